@@ -56,7 +56,8 @@ export const GAME_BALANCE = {
         CROWD_SIZE_THRESHOLD: 3,       // How many people constitute a "Crowd"
         INTROVERT_STRESS_PENALTY: 0.05, // Per tick penalty for introverts in crowds
         EXTROVERT_CROWD_BONUS: 0.1,    // Social battery gain for extroverts in crowds
-        ISOLATION_PENALTY: 0.1         // Extra decay for extroverts alone
+        ISOLATION_PENALTY: 0.1,        // Extra decay for extroverts alone
+        REPLY_TIMEOUT_TICKS: 10        // SocializingState: how long to wait for a conversation handshake
     },
 
     // --- 6. AI Utility Scoring Weights ---
@@ -90,6 +91,7 @@ export const GAME_BALANCE = {
         
         // Economy
         MONEY_TO_WORK: 500, // If below this, work is prioritized
+        HOUSING_RETRY_COOLDOWN_TICKS: 24, // AcquireHousingState: after giving up (broke), don't re-plan for this long
         
         // Desperation Levels (Used by Scorer)
         STARVATION_EMERGENCY: 95, 
@@ -108,20 +110,390 @@ export const GAME_BALANCE = {
         HOUSING_DOWNPAYMENT: 3500, 
         MAINTENANCE: 25,
         GROCERIES: 15,
+        MEAL_OUT: 10,                  // EatingState: a meal anywhere but home
         
         // Travel
         TAXI_BASE: 5.00,
         TAXI_PER_MILE: 2.50,
         SUBWAY_FARE: 2.75,
-        
-        // Shopping Behaviors (Used by ShoppingState)
-        IMPULSE_BUY_MULTIPLIER: 1.5, 
-        BARGAIN_HUNT_MULTIPLIER: 0.8, 
     },
 
     // --- 9. World Simulation Rules ---
     WORLD: {
         WEATHER_CHANGE_CHANCE: 0.05,
         BASE_BUILDING_DEGRADATION: 0.01,
+        // Rent day (worldService.handleRentDay)
+        FINANCIAL_ANXIETY_DURATION: 96 * 7, // Ticks of FINANCIAL_ANXIETY after a missed rent
+        EVICTION_FAILURE_COUNT: 3,          // Missed rents in a row before the household is put out
+    },
+
+    // --- 10. Travel & Routing ---
+    // Used by worldGraph.findRoute() and CommutingState
+    TRAVEL: {
+        TICKS_PER_BASE_TIME: 1,        // location_graph.yaml edge base_time -> ticks
+        TAXI_WEALTH_THRESHOLD: 3000,   // Agents holding more cash than this will hail cabs
+
+        // Edge modes an agent is willing to use (edge `mode` in location_graph.yaml)
+        MODE_PROFILES: {
+            walk_only: ['walk'],
+            transit: ['walk', 'subway'],
+            taxi: ['walk', 'subway', 'drive'],
+        },
+
+        // Weather slowdowns per edge mode. First keyword found in the weather name wins.
+        // Must stay >= 1.0: the A* heuristic assumes clear-weather times are the fastest possible.
+        WEATHER_MULTIPLIERS: {
+            walk: [['thunder', 2.0], ['snow', 2.0], ['frigid', 1.5], ['rain', 1.5], ['drizzle', 1.2], ['fog', 1.2]],
+            drive: [['snow', 1.8], ['thunder', 1.5], ['rain', 1.3], ['fog', 1.3]],
+            subway: [['snow', 1.2]],
+        },
+    },
+
+    // --- 11. Location Capacity ---
+    // Used by CommutingState.ProcessArrival when the destination is full
+    CAPACITY: {
+        EXEMPT_TYPES: ['home', 'street', 'park', 'subway', 'bus_stop'], // Open/public spaces never turn anyone away
+        QUEUE_TOLERANCE: 1.5,       // Agents wait in line if occupancy < capacity * this
+        MAX_WAIT_TICKS: 4,          // Give up on the line after this many ticks
+        ALTERNATIVE_SEARCH_K: 3,    // findKNearest() candidates when re-targeting
+        TURNED_AWAY_MOOD_PENALTY: 8,
+        TURNED_AWAY_STRESS: 5,
+    },
+
+    // --- 12. Goal Planner ---
+    // Used by engine/goalPlanner.js (multi-step intention plans)
+    PLANNER: {
+        SATED_HUNGER: 25,              // 'not_hungry' holds below this
+        CANDIDATE_K: 3,                // Nearest open stores / eateries considered per plan
+        MONEY_COST_WEIGHT: 0.5,        // Plan cost per dollar spent (step costs are in ticks)
+        MEALS_PER_SHOP: 5,             // A grocery run feeds this many meals; plans charge one meal's share
+        STEP_TICKS: 1,                 // Cost of a shop / eat step
+        MAX_EXPANSIONS: 300,           // Search budget per plan
+        MAX_REPLANS: 3,                // Failed steps tolerated before the goal is shelved
+        SHELVE_TICKS: 12,              // How long a shelved goal falls back to the plain FSM
+    },
+
+    // --- 13. Social Plans (Meetups) ---
+    // Proposed in socialService, honored by the FSM, resolved in agent/agentSocialPlans.js
+    SOCIAL_PLANS: {
+        MIN_AFFINITY: 40,              // Only friends make plans
+        PROPOSE_CHANCE: 0.15,          // Per qualifying conversation
+        MAX_PENDING: 2,                // Open meetups per agent
+        DAYS_AHEAD: [1, 4],            // Meetup lands this many days out (inclusive)
+        HOURS: [18, 19, 20, 21],       // Evening slots
+        VENUE_TYPES: ['bar', 'restaurant', 'park'],
+        VENUE_SEARCH_K: 5,             // Nearest venues considered
+        LEAD_TICKS: 8,                 // Drop what you're doing this long before the meetup
+        WINDOW_TICKS: 8,               // How long after the start time a meetup can still happen
+        // States a meetup may pull an agent out of (critical needs still win)
+        INTERRUPTIBLE_STATES: ['fsm_idle', 'fsm_recreation', 'fsm_socializing', 'fsm_maintenance'],
+        KEPT_AFFINITY: 6,
+        STOOD_UP_AFFINITY: -10,        // Showed up, the friend didn't
+        NO_SHOW_AFFINITY: -3,          // Didn't make it yourself
+    },
+
+    // --- 14. Relationships ---
+    // Tie typing and decay, applied in agent/agentRelationships.js
+    RELATIONSHIPS: {
+        HISTORY_SIZE: 50,              // Events kept per tie
+        FRIEND_AT: 50,                 // Acquaintance/coworker/neighbor becomes a friend
+        FRIEND_DROP: 30,               // ...and falls back to its base type below this
+        RIVAL_AT: -40,
+        RIVAL_DROP: -15,
+        ROMANCE_AT: 70,                // A friend you date at this affinity becomes romantic
+        ROMANCE_EVENTS: ['DATE'],
+        DECAY_GRACE_TICKS: 96 * 3,     // No decay for 3 days after the last contact
+        DECAY_PER_DAY: 1,              // Affinity drift toward 0 per day without contact
+        // Ties that fade slower (or not at all) than the default rate of 1
+        DECAY_MULTIPLIERS: { family: 0.25, romantic: 0.5, rival: 0.5 },
+        FORGET_BELOW: 3,               // Faded acquaintances under this |affinity| are dropped
+    },
+
+    // --- 15. Gossip ---
+    // Facts passed along in conversation, see agent/agentGossip.js
+    GOSSIP: {
+        SHARE_CHANCE: 0.25,            // Per tick of face-to-face conversation
+        MAX_FACTS: 20,                 // Facts an agent carries; the least certain go first
+        FORGET_TICKS: 96 * 5,          // Unrefreshed facts are forgotten after 5 days
+        HOP_DECAY: 0.9,                // Confidence kept per retelling
+        TRUST_FLOOR: 0.5,              // Share of that kept from a speaker the listener can't stand
+        BELIEVE_AT: 0.4,               // Confidence needed to act on a fact or pass it on
+        MAX_HEARSAY_CONFIDENCE: 0.95,  // Only seeing it yourself makes it certain
+        DISTORT_CHANCE: 0.15,          // Per retelling
+        STREET_FAIR_CHANCE: 0.05,      // Rolled with the other random world events
+        STREET_FAIR_TICKS: [24, 48],   // Duration range
+        STREET_FAIR_TYPES: ['park', 'street'],
+    },
+
+    // --- 16. Households ---
+    // Shared homes and budgets, see engine/householdRegistry.js
+    HOUSEHOLDS: {
+        CHILD_CHANCE: 0.5,             // Seeded married couples that have children
+        MAX_CHILDREN: 2,
+        DEPENDENT_ALLOWANCE: 50,       // Dependents are topped up to this daily from the pooled budget
+        MOVE_IN_AT: 80,                // Both partners' affinity needed to move in together
+        MOVE_IN_MIN_TICKS: 96 * 7,     // ...after knowing each other for a week
+        MOVE_IN_CHANCE: 0.1,           // Per day once both hold
+        BREAKUP_STRESS: 40,
+        BREAKUP_MOOD_DROP: 40,
+    },
+
+    // --- 17. Population ---
+    // Aging, births, deaths and migration, see engine/populationManager.js
+    POPULATION: {
+        ADULT_AGE: 18,                 // Dependents come of age and join the workforce
+        DEFAULT_ADULT_AGES: [18, 75],  // Used when demographics.yaml has no age_brackets
+        MORTALITY_BASE: 0.0001,        // Gompertz: annual risk = BASE * e^(GROWTH * age)
+        MORTALITY_GROWTH: 0.085,       // ~0.3% a year at 40, ~9% at 80
+        STRAIN_MORTALITY: 4,           // Risk multiplier is 1 + this * strain^2 (strain 0..1)
+        STRAIN_SMOOTHING: 0.05,        // Weight of each day in the running chronic strain
+        STRAIN_WEIGHTS: { stress: 0.4, hunger: 0.35, burnout: 0.25 },
+        FERTILE_AGES: [18, 45],        // Both partners must be in range
+        BIRTH_CHANCE: 0.001,           // Per cohabiting couple per day (~1 in 3 per year)
+        MAX_CHILDREN: 3,               // Per household
+        MIGRATION_IN_RATE: 0.0002,     // Expected arrivals per day, as a share of the population (~7%/year)
+        MIGRATION_OUT_RATE: 0.0002,    // Expected households leaving per day, as a share of households
+        MIGRATION_BOUNDS: [0.5, 2],    // No departures below / arrivals above this share of INITIAL_AGENTS
+        PYRAMID_BRACKET_YEARS: 5,
+    },
+
+    // --- 18. Job Market ---
+    // Hiring, firing and quitting, see engine/jobMarket.js
+    JOBS: {
+        POSTING_CHANCE: 0.2,           // Per business per day, while it can afford another hire
+        HIRING_RESERVE_WEEKS: 8,       // Treasury must cover this many weeks of payroll, new hire included
+        STAFF_PER_CAPACITY: 0.5,       // Headcount cap as a share of the location's capacity
+        MAX_OPENINGS_PER_BUSINESS: 2,
+        OPENING_TTL_DAYS: 14,          // Unfilled openings are withdrawn after this
+        SEARCH_CHANCE: 0.3,            // Per unemployed adult per day (desperate ones always look)
+        LATE_GRACE_HOURS: 1,           // Arriving later than this into a shift counts as late
+        CONDUCT_WINDOW_DAYS: 14,       // Lateness and walkouts older than this are forgiven
+        FIRE_LATE_COUNT: 4,            // Late this often within the window -> fired
+        FIRE_WALKOUT_COUNT: 3,         // Left mid-shift burned out this often -> fired
+        QUIT_STRESS: 85,               // Stress at which a worker considers walking away...
+        QUIT_STRESS_CHANCE: 0.05,      // ...per day, scaled by stress proneness
+        QUIT_SAVINGS: 1000,            // ...but only with this much money to fall back on
+        QUIT_STRESS_RELIEF: 20,
+        JOB_HOP_CHANCE: 0.01,          // Per employed adult per day: looks at openings
+        JOB_HOP_RAISE: 1.2,            // Moves for an opening paying at least this much more
+        JOB_LOSS_STRESS: 30,           // Fired or laid off
+        JOB_LOSS_MOOD_DROP: 25,
+        UNEMPLOYED_DAILY_STRESS: 2,    // Added per day without work
+        DESPERATE_HUNGER: 70,          // Unemployed, broke and this hungry -> DesperateState
+    },
+
+    // --- 19. Businesses ---
+    // Takings, closures, openings and owners, see engine/businessManager.js
+    BUSINESSES: {
+        WALK_IN_SHARE: 0.25,           // Baseline takings per tick as a share of productivity
+        CUSTOMER_SPEND: 5,             // Per customer on the premises per tick (x level)
+        LEDGER_DAYS: 28,               // Daily ledger entries kept per business
+        CLOSURE_LOSS_DAYS: 28,         // Days in a row with a losing week before closing...
+        CLOSURE_RUNWAY_WEEKS: 2,       // ...unless the treasury still covers this many weeks of costs
+        MISSED_PAYROLL_LIMIT: 2,       // Paydays it can't meet before closing outright
+        MIN_VACANCY_DAYS: 14,          // A closed storefront sits empty at least this long
+        OPENING_CHANCE: 0.05,          // Per vacant storefront per day after that
+        OPENING_TYPES: ['store', 'restaurant', 'bar', 'office'],
+        DEFAULT_FOOTFALL: 6,           // Density-hours per day for types without a crowd schedule
+        FOUNDER_MIN_WEALTH: 20000,     // Agents with this much can found a business...
+        FOUNDER_STAKE: 0.6,            // ...and put this share of their money into it
+        STARTUP_CAPITAL: 15000,        // Treasury of a business opened by an outside investor
+        INITIAL_OWNED_SHARE: 0.2,      // Share of the starting businesses given agent owners
+        DIVIDEND_SHARE: 0.3,           // Of a profitable week's net, paid to the owner weekly
+        BAILOUT_SHARE: 0.5,            // Owners put up to this share of their money into a failing business
+        CLOSURE_STRESS: 40,            // Owner losing their business
+        CLOSURE_MOOD_DROP: 40,
+    },
+
+    // --- 20. Goods Market ---
+    // Store inventories, prices and deliveries, see engine/goodsMarket.js
+    MARKET: {
+        TARGET_STOCK: 40,              // Units of each catalog item a store keeps on the shelf
+        NORMAL_DAILY_SALES: 6,         // Units per item per store per day that count as normal demand
+        PURCHASE_QTY: 5,               // Units in an ordinary shopping trip
+        SHOPPING_ITEMS: { standard: 'protein_bar', impulse: 'energy_drink', frugal: 'canned_soup', hoarding: 'canned_soup' },
+        LOW_STOCK_SHARE: 0.2,          // Below this share of target stock, the shopping experience suffers
+
+        // Pricing: target = catalog cost x scarcity markup x demand markup, approached hourly
+        SCARCITY_MARKUP: 1.5,          // Added at empty shelves (scaled by the share missing, squared)
+        DEMAND_MARKUP: 0.25,           // Added per multiple of normal demand above 1
+        OVERSTOCK_DISCOUNT: 0.15,      // Taken off when demand is well under normal and shelves are full
+        PRICE_FLOOR: 0.7,              // Price bounds as multiples of the catalog cost
+        PRICE_CEILING: 4,
+        PRICE_STICKINESS: 0.25,        // Share of the gap to the target price closed each hour
+        DEMAND_SMOOTHING: 0.15,        // Weight of the latest hour in the demand average
+
+        // Supply chain
+        RESTOCK_HOUR: 4,               // Deliveries arrive once a day at this hour
+        REORDER_SHARE: 0.75,           // Items below this share of target get reordered
+        MAX_ORDER_FACTOR: 2,           // Stores stock up to this many times target when demand runs high
+        WHOLESALE_SHARE: 0.5,          // Delivery cost per unit as a share of the catalog cost
+        DISRUPTING_WEATHER: ['Thunderstorm', 'Frigid', 'Snow'],
+        DISRUPTING_EVENTS: ['BLIZZARD', 'TRUCKERS_STRIKE'],
+        DISRUPTED_DELIVERY_CHANCE: 0.3, // Chance a delivery still gets through while disrupted
+        DISRUPTED_COST_FACTOR: 1.5,
+
+        // Shoppers
+        HOARDING_EVENTS: ['Y2K_PANIC', 'BLIZZARD'],
+        HOARD_CHANCE: 0.5,             // Per trip while a hoarding event is on (x 0.5..1.5 by stress proneness)
+        HOARD_MULTIPLIER: 4,           // Hoarders buy this many times the usual quantity
+        PRICE_LIMIT: 2,                // Shoppers walk out above this multiple of the catalog cost...
+        FRUGAL_PRICE_LIMIT: 1.3,       // ...frugal ones sooner; hoarders pay anything
+        HISTORY_HOURS: 168,            // Hourly price index points kept for the dashboard and API
+    },
+
+    // --- 21. Banking ---
+    // Savings, loans and credit scores, see engine/bank.js
+    BANK: {
+        INITIAL_RESERVES: 2000000,     // The bank's own money, before anyone deposits
+        CASH_BUFFER_WEEKS: 2,          // Cash kept on hand, in weeks of financial.weeklyExpenses (plus a month's rent)
+        DEPOSIT_SHARE: 0.5,            // Share of cash above the buffer paid in each day
+        SAVINGS_APR: 0.04,             // Paid monthly on the 1st
+        LEDGER_ENTRIES: 5000,          // Most recent money movements kept in memory
+
+        // Credit scores
+        INITIAL_SCORE: 650,            // Plus up to SCORE_SPREAD either way by conscientiousness
+        SCORE_SPREAD: 100,
+        MIN_SCORE: 300,
+        MAX_SCORE: 850,
+        ON_TIME_BONUS: 2,              // Per loan payment made on time
+        PAID_OFF_BONUS: 15,
+        MISSED_PAYMENT_PENALTY: 30,
+        DEFAULT_PENALTY: 100,
+        RENT_FAILURE_PENALTY: 40,
+
+        // Loans
+        MIN_LOAN_SCORE: 560,
+        UNEMPLOYED_MIN_SCORE: 680,     // No paycheck, so only the best scores get credit
+        MAX_LOANS: 2,
+        EMERGENCY_LOAN: 400,           // What a desperate agent asks for
+        LOAN_TERM_WEEKS: 26,           // Repaid weekly
+        BASE_LOAN_APR: 0.08,           // At MAX_SCORE...
+        RISK_LOAN_APR: 0.30,           // ...plus up to this much more down at MIN_LOAN_SCORE
+        MAX_PAYMENT_SHARE: 0.25,       // Weekly loan payments may not exceed this share of weekly pay
+        LATE_FEE: 25,                  // Added to the balance per missed payment
+        DEFAULT_MISSED_PAYMENTS: 4,    // Missed payments in a row before the loan is written off
+        LOAN_RETRY_DAYS: 7,            // Between applications
+
+        // Leases (AcquireHousingState.SignLease)
+        LEASE_MIN_SCORE: 520,          // Landlords turn down anyone below this
+        LEASE_GOOD_SCORE: 650,         // Below this they want a bigger deposit
+        LOW_SCORE_DEPOSIT_FACTOR: 2,
+    },
+
+    // --- 22. Money Ledger ---
+    // Double-entry transfers and the conservation audit, see engine/moneyLedger.js
+    LEDGER: {
+        FLUSH_TICKS: 24,               // Entries are summed per account pair and kind and written to the DB this often
+        AUDIT_TOLERANCE: 0.05,         // Drift in total money (cents rounding) before a tick is flagged
+        MAX_FLAGS: 100,                // Flagged ticks kept for the dashboard and API
+    },
+
+    // --- 23. Weather ---
+    // Physical effects of engine/weatherSystem.js; the patterns, climate and fronts themselves
+    // are in data/weather_patterns.yaml
+    WEATHER: {
+        STEP_HOURS: 6,                 // How often the patterns move on along their transitions
+        INDOOR_TEMP: 21,               // Indoors the temperature stays near this...
+        INDOOR_SHARE: 0.3,             // ...picking up this share of the difference outside
+        COMFORT_MIN: 10,               // Outdoor affordances lose quality outside this range (°C)...
+        COMFORT_MAX: 27,
+        QUALITY_LOSS_PER_DEGREE: 0.03, // ...per degree beyond it
+        MIN_OUTDOOR_QUALITY: 0.15,
+        COLD_TEMP: 5,                  // Beyond these, agents tire faster and stress outdoors
+        HOT_TEMP: 30,
+        EXTREME_ENERGY_MULT: 1.2,
+        TEMP_STRESS_PER_DEGREE: 0.05,  // Stress per tick outdoors per degree beyond COLD_TEMP/HOT_TEMP
+        EXTREME_WALK_FACTOR: 1.2,      // Walking slows down this much beyond COLD_TEMP/HOT_TEMP
+        WALK_MOOD_PENALTY: 1.0,        // Mood lost per tick on foot at outdoor quality 0
+    },
+
+    // --- 24. Calendar Events ---
+    // Scheduled events (calendar_events in data/events.yaml), see engine/eventCalendar.js
+    CALENDAR: {
+        MAX_LEAD_TICKS: 24,            // Attendees set off as long before the start as the trip takes,
+        EARLY_TICKS: 2,                // plus this, but never more than MAX_LEAD_TICKS ahead...
+        STAY_TICKS: 12,                // ...and move on this long after arriving (or when it ends)
+        // States an event may pull an agent out of (critical needs still win)
+        INTERRUPTIBLE_STATES: ['fsm_idle', 'fsm_recreation', 'fsm_socializing', 'fsm_maintenance'],
+        LOOKAHEAD_DAYS: 60,            // Coming events listed by the dashboard and API
+        HISTORY: 20,                   // Past events kept with their turnout
+    },
+
+    // --- 25. Crisis Scenarios ---
+    // Scripted disruptions (crisis_scenarios in data/events.yaml), see engine/crisisManager.js
+    CRISIS: {
+        HUNGRY_AT: 85,                 // Hunger that counts as going hungry in the post-crisis report
+        REPORTS: 20,                   // Post-crisis reports kept
+    },
+
+    // --- 26. Crime & Policing ---
+    // Petty crime by desperate agents, police beats and neighborhood crime rates, see
+    // engine/crimeSystem.js and engine/agent/agentCrime.js
+    CRIME: {
+        // Chance per tick a desperate agent tries something, by where it is standing
+        ATTEMPT_CHANCE: { store: 0.06, subway: 0.05, street: 0.04, park: 0.04, bus_stop: 0.03, bar: 0.03, restaurant: 0.02 },
+        DARK_FACTOR: 1.5,              // Odds x (1 + this x darkness), darkness being 1 - globalLight
+        DANGEROUS_FACTOR: 1.5,         // Where crowd_schedules expects a 'dangerous' crowd at the hour
+        DETERRENCE: 0.8,               // Share of attempts given up with an officer at the spot
+        CATCH_HERE: 0.6,               // Chance per officer at the spot of catching the offender...
+        CATCH_NEARBY: 0.15,            // ...and per officer one step away
+        PICKPOCKET_MIN: 5,             // Taken from a victim's cash (never more than they carry)
+        PICKPOCKET_MAX: 40,
+        SHOPLIFT_MIN: 5,               // Taken out of a store's treasury
+        SHOPLIFT_MAX: 30,
+        FARE_FINE: 100,                // Ticket for a caught fare evader, if they can pay it
+        CAUGHT_STRESS: 20,
+
+        // Police beats (WorkingState): on-shift officers walk between the nodes this many walk
+        // hops from their work location, one step every PATROL_TICKS
+        BEAT_HOPS: 3,
+        PATROL_TICKS: 2,
+
+        // Fear of a place, 0-1: victims start at VICTIM, witnesses and those told about it at
+        // WITNESS (times their confidence in the story). Fades by DECAY_PER_DAY; places feared at
+        // AVOID_AT or more are left out of plans
+        FEAR_VICTIM: 1.0,
+        FEAR_WITNESS: 0.5,
+        FEAR_DECAY_PER_DAY: 0.1,
+        FEAR_AVOID_AT: 0.4,
+
+        // Neighborhood crime rates: thefts per day averaged over WINDOW_DAYS. At DANGER_AT
+        // a neighborhood is fully dangerous: rents there drop by RENT_DISCOUNT, and at night
+        // (NIGHT_HOURS) walking through it costs NIGHT_WALK_PENALTY more when routing
+        WINDOW_DAYS: 7,
+        DANGER_AT: 3,
+        RENT_DISCOUNT: 0.2,
+        NIGHT_HOURS: [19, 6],
+        NIGHT_WALK_PENALTY: 0.5,
+        INCIDENTS: 50,                 // Recent incidents kept for the dashboard and API
+    },
+
+    // --- 27. Health & Contagion ---
+    // A catching illness (the SICK status effect) and the immunity it leaves (IMMUNE), see
+    // engine/healthSystem.js and engine/agent/agentHealth.js
+    HEALTH: {
+        // Chance per tick each sick agent at a place infects someone there, times the crowd
+        // factor 1 + present / CROWD_REF (capped at CROWD_CAP)
+        TRANSMISSION: 0.002,
+        CROWD_REF: 10,
+        CROWD_CAP: 4,
+        BACKGROUND_CHANCE: 0.0005,     // Chance per day anyone catches something out of nowhere
+
+        // The illness: ticks left, counted down like any status effect
+        SICK_TICKS: [96 * 3, 96 * 6],  // Drawn between these when infected
+        MAX_SICK_TICKS: 96 * 14,
+        ONSET_ENERGY: 15,              // Knocked off energy when it starts
+        ENERGY_DECAY_MULT: 1.5,        // Energy drains this much faster while sick
+
+        // Recovery: sleeping takes SLEEP_RECOVERY extra ticks off a tick, being WELL_FED
+        // FED_RECOVERY; going hungry (hunger >= HUNGRY_AT) puts HUNGER_SETBACK back on
+        SLEEP_RECOVERY: 1,
+        FED_RECOVERY: 1,
+        HUNGRY_AT: 70,
+        HUNGER_SETBACK: 1,
+
+        IMMUNITY_TICKS: 96 * 60,       // How long recovered agents can't catch it again
+        CURVE_DAYS: 120,               // Daily S/I/R counts kept for the epidemic curve
     }
 };
\ No newline at end of file
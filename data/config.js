@@ -18,6 +18,8 @@ export const DB_PATH = getEnv('DB_PATH', './nyc_1999.db');
 export const MAX_CHECKPOINTS_TO_KEEP = parseInt(getEnv('MAX_CHECKPOINTS_TO_KEEP', '5'), 10);
 export const SYNC_INTERVAL_TICKS = 15;
 export const CHECKPOINT_INTERVAL_TICKS = 60;
+// If set, Matrix rewinds to this retained checkpoint tick on boot (see --restore-tick)
+export const RESTORE_TICK = getEnv('RESTORE_TICK', '') === '' ? null : parseInt(getEnv('RESTORE_TICK', ''), 10);
 
 // --- 3. Hard System Limits (Capacities) ---
 export const MAX_HUNGER = 100;
@@ -34,6 +36,22 @@ export const METASIM_AGENT_NAMES = ['Neo', 'Trinity', 'Morpheus', 'Agent Smith']
 export const LOD2_TICK_INTERVAL = 10; 
 export const LOD2_LOCATION_CHANGE_CHANCE = 0.1;
 
+// --- 5b. Determinism & Replay ---
+// Master seed for engine/rng.js. If empty, Matrix derives one from the clock and logs it.
+export const SIM_SEED = getEnv('SIM_SEED', '');
+// Agent worker pool size; 0 means one per CPU core but one (see --replay-workers)
+export const WORKER_COUNT = parseInt(getEnv('WORKER_COUNT', '0'), 10);
+// Crisis runs to schedule at boot, e.g. 'blackout@96-144,transit_strike@200' (see --crisis)
+export const CRISIS_SCRIPT = getEnv('CRISIS_SCRIPT', '');
+// Agents to make sick at boot (see --outbreak and engine/healthSystem.js)
+export const OUTBREAK_CASES = parseInt(getEnv('OUTBREAK_CASES', '0'), 10);
+
+// --- 5c. Control API (ui/apiServer.js) ---
+// Local HTTP/JSON + WebSocket control surface. Binds to loopback by default.
+export const API_ENABLED = getEnv('API_ENABLED', 'false') === 'true';
+export const API_PORT = parseInt(getEnv('API_PORT', '8099'), 10);
+export const API_HOST = getEnv('API_HOST', '127.0.0.1');
+
 // --- 6. Debugging & Logging ---
 // These control the "Legacy" thought bubbles. 
 // Note: Deep Sim thoughts (Lizard Brain/Scorer) ignore these and always log on change.
@@ -64,6 +82,13 @@ export const LOG_TRANSACTIONS_TO_MEMORY = getEnv('LOG_TRANSACTIONS_TO_MEMORY', '
 export const DISABLE_ALL_THINKING = getEnv('DISABLE_ALL_THINKING', 'false') === 'true';
 export const DEBUG_AGENT_IDS = getEnv('DEBUG_AGENT_IDS', '').split(',').filter(id => id.length > 0);
 
+// Behavior tree tracing (engine/btTracer.js). When enabled, DEBUG_AGENT_IDS are traced from startup;
+// agents can also be toggled at runtime from the dashboard ('t') or the control API.
+export const BT_TRACE_ENABLED = getEnv('BT_TRACE_ENABLED', 'false') === 'true';
+export const BT_TRACE_BUFFER_TICKS = parseInt(getEnv('BT_TRACE_BUFFER_TICKS', '100'), 10); // Ring buffer size per agent
+export const BT_TRACE_MAX_AGENTS = parseInt(getEnv('BT_TRACE_MAX_AGENTS', '20'), 10);
+export const BT_TRACE_EXPORT_DIR = getEnv('BT_TRACE_EXPORT_DIR', './traces');
+
 export function shouldLogThinking(agent, thinkingType = 'general') {
   if (DISABLE_ALL_THINKING) return false;
   if (agent.lod !== 1) return false;
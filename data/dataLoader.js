@@ -3,6 +3,9 @@ import { promises as fsPromises } from 'fs'; // Use fs/promises for async I/O
 import yaml from 'js-yaml';
 import path from 'path';
 import eventBus from '../engine/eventBus.js';
+import { validateTreeDefinitions } from '../engine/behaviorTreeRegistry.js';
+import { validateCalendarEvents } from '../engine/eventCalendar.js';
+import { validateCrisisScenarios } from '../engine/crisisManager.js';
 
 /**
  * dataLoader.js
@@ -21,8 +24,14 @@ export const CROWD_SCHEDULES = {};
 export const RANDOM_EVENTS = {};
 export const DIALOGUE_LIBRARY = {};
 export const CULTURE_DATA = {};
+export const BEHAVIOR_TREE_DEFS = {};
+export const CALENDAR_EVENTS = {};
+export const CRISIS_SCENARIOS = {};
 // --- END ---
 
+// Optional: when absent, every state runs its hardcoded JS tree.
+const BEHAVIOR_TREES_FILE = 'behavior_trees.yaml';
+
 
 class DataLoader {
   constructor() {
@@ -207,6 +216,64 @@ class DataLoader {
     });
   }
 
+  /**
+   * @description Loads and validates the optional behavior tree overrides/variants.
+   * Compilation into nodes happens later in the FSM, once every state has registered its leaves.
+   */
+  async loadBehaviorTrees() {
+    for (const key of Object.keys(BEHAVIOR_TREE_DEFS)) delete BEHAVIOR_TREE_DEFS[key];
+
+    if (!fs.existsSync(path.join(process.cwd(), 'data', BEHAVIOR_TREES_FILE))) {
+      this.log(`[DataLoader] No ${BEHAVIOR_TREES_FILE}; using built-in behavior trees.`);
+      return;
+    }
+
+    const data = await this.loadYaml(BEHAVIOR_TREES_FILE);
+    const errors = data ? validateTreeDefinitions(data.behavior_trees) : [`${BEHAVIOR_TREES_FILE} failed to load`];
+    if (errors.length > 0) {
+      const msg = `\n\n[DataLoader] 🛑 FATAL ERROR: Invalid ${BEHAVIOR_TREES_FILE}:\n${errors.map(e => ` - ${e}`).join('\n')}\n`;
+      this.logCritical(msg);
+      throw new Error(msg);
+    }
+
+    Object.assign(BEHAVIOR_TREE_DEFS, data.behavior_trees);
+    this.log(`[DataLoader] Loaded ${Object.keys(BEHAVIOR_TREE_DEFS).length} behavior tree definition(s).`);
+  }
+
+  /**
+   * @description Validates the scheduled events in events.yaml against the location graph.
+   * A broken entry stops the load rather than silently never happening.
+   */
+  loadCalendarEvents(eventsData, locationGraph) {
+    for (const key of Object.keys(CALENDAR_EVENTS)) delete CALENDAR_EVENTS[key];
+
+    const defs = eventsData?.calendar_events;
+    const errors = validateCalendarEvents(defs, locationGraph?.nodes);
+    if (errors.length > 0) {
+      const msg = `\n\n[DataLoader] 🛑 FATAL ERROR: Invalid calendar_events in events.yaml:\n${errors.map(e => ` - ${e}`).join('\n')}\n`;
+      this.logCritical(msg);
+      throw new Error(msg);
+    }
+
+    Object.assign(CALENDAR_EVENTS, defs);
+    this.log(`[DataLoader] Loaded ${Object.keys(CALENDAR_EVENTS).length} calendar event(s).`);
+  }
+
+  loadCrisisScenarios(eventsData, locationGraph) {
+    for (const key of Object.keys(CRISIS_SCENARIOS)) delete CRISIS_SCENARIOS[key];
+
+    const defs = eventsData?.crisis_scenarios;
+    const errors = validateCrisisScenarios(defs, locationGraph?.nodes);
+    if (errors.length > 0) {
+      const msg = `\n\n[DataLoader] 🛑 FATAL ERROR: Invalid crisis_scenarios in events.yaml:\n${errors.map(e => ` - ${e}`).join('\n')}\n`;
+      this.logCritical(msg);
+      throw new Error(msg);
+    }
+
+    Object.assign(CRISIS_SCENARIOS, defs);
+    this.log(`[DataLoader] Loaded ${Object.keys(CRISIS_SCENARIOS).length} crisis scenario(s).`);
+  }
+
   async loadAllData() {
     this.log('[DataLoader] Starting asynchronous data load...');
     
@@ -270,6 +337,8 @@ class DataLoader {
 
     this.log('[DataLoader] Processing world data...');
     this._processWorldData(this.worldData, eventsData);
+    this.loadCalendarEvents(eventsData, this.locationGraph);
+    this.loadCrisisScenarios(eventsData, this.locationGraph);
 
     if (cultureData) {
         Object.assign(CULTURE_DATA, cultureData);
@@ -282,6 +351,8 @@ class DataLoader {
     if (crowdData?.schedules) {
         Object.assign(CROWD_SCHEDULES, crowdData.schedules);
     }
+
+    await this.loadBehaviorTrees();
     
     this.log('[DataLoader] ✅ All YAML data loaded successfully.', 'medium');
   }
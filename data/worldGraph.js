@@ -6,12 +6,24 @@ import {
     dataLoader,
     ACTIVITY_COSTS,
     DYNAMIC_AFFORDANCE_MODIFIERS,
-    CROWD_SCHEDULES
+    CROWD_SCHEDULES,
+    ITEM_CATALOG
 } from './dataLoader.js';
 import {
   MINUTES_PER_TICK
 } from './config.js';
 import { GAME_BALANCE } from './balance.js';
+import rng from '../engine/rng.js';
+import { localWeather } from '../engine/weatherSystem.js';
+import { getNeighborhood } from '../engine/worldSeeder.js';
+
+// Per-node fields that change at runtime and must survive a checkpoint restore.
+// (employee_ids is excluded: it is rebuilt from agents by Matrix._populateEmployees.
+// Vacancies and new business types come back through applyStorefronts.)
+const DYNAMIC_NODE_FIELDS = [
+  'name', 'treasury', 'condition', 'prosperity', 'rent_cost', 'level', 'noise',
+  'owner_id', 'loss_days', 'missed_payrolls', 'opened_tick',
+];
 
 /**
  * worldGraph.js
@@ -19,7 +31,57 @@ import { GAME_BALANCE } from './balance.js';
  * OPTIMIZATIONS v8.0: Hash-based cache invalidation
  * (MODIFIED v12.2: Restored getExpectedCrowdProfile and _generateBaseAffordances)
  * (FIXED v13.0: Cache invalidation to include occupancy, hour validation)
+ * (v14.0: Weighted A* routing over edge base_time with mode filters and weather costs)
  */
+
+const ALL_EDGE_MODES = ['walk', 'subway', 'drive'];
+
+/**
+ * Minimal binary min-heap keyed on `priority`, used by the A* open set.
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+}
+
 class WorldGraph {
   constructor() {
     this.nodes = {};
@@ -31,9 +93,23 @@ class WorldGraph {
     this.currentDay = 0;
     this.currentWorldTime = new Date();
     this.currentWeather = null;
+    // borough -> travel multipliers per mode under the current weather; see _indexWeather
+    this._localMultipliers = new Map();
+    this._weatherKey = '';
+    // Street closures, event sites, shut node types and travel slowdowns read off the world
+    // events; see indexWorldEvents
+    this._closedModes = new Map();
+    this._eventSites = new Map();
+    this._closedTypes = new Map();
+    this._travelFactors = {};
+    this._closureKey = '';
+    // neighborhood -> danger 0-1 from the crime rates (engine/crimeSystem.js); see applyCrimeRates
+    this._crimeDanger = new Map();
+    this._crimeKey = '';
     this.currentOccupancy = new Map();
     
     this.localEvents = new Map(); 
+    // storeKey -> { itemId: { stock, price, demand, sold } }; owned by engine/goodsMarket.js
     this.nodeInventory = new Map(); 
     
     this.temporaryModifiers = [];
@@ -42,6 +118,8 @@ class WorldGraph {
     this._pathCacheAccess = new Map(); 
     this._travelCostCache = new Map(); 
     this._cacheMaxSize = 1000;
+    // Lowest base_time per unit of x/y distance over all edges (A* heuristic scale)
+    this._minTimePerDistance = 0;
     
     this._queryCache = new Map();
     this._affordanceStateCache = new Map(); 
@@ -53,6 +131,30 @@ class WorldGraph {
     this._loadGraph();
   }
 
+  /**
+   * Adds a directed edge. The YAML lists most connections in both directions, so an
+   * existing edge with the same target and mode is kept and given the faster time.
+   */
+  _addEdge(from, to, mode, baseTime) {
+    const existing = this.edges[from].find(e => e.to === to && e.mode === mode);
+    if (existing) {
+      existing.base_time = Math.min(existing.base_time, baseTime);
+      return;
+    }
+    this.edges[from].push({ to, mode, base_time: baseTime });
+  }
+
+  _computeMinTimePerDistance() {
+    let min = Infinity;
+    for (const [from, edges] of Object.entries(this.edges)) {
+      for (const edge of edges) {
+        const dist = this.getStraightLineDistance(from, edge.to);
+        if (dist > 0) min = Math.min(min, edge.base_time / dist);
+      }
+    }
+    return Number.isFinite(min) ? min : 0;
+  }
+
   log(message, level = 'low') {
     const event = level === 'error' ? 'log:error' : 'log:system';
     eventBus.queue(event, level, `[WorldGraph] ${message}`);
@@ -77,13 +179,13 @@ class WorldGraph {
       this.edges[node.key] = [];
 
       node.prosperity = 50; 
-      this.nodeInventory.set(node.key, 100); 
+      if (node.type === 'store') this.nodeInventory.set(node.key, this.createInventory(GAME_BALANCE.MARKET.TARGET_STOCK));
       this.localEvents.set(node.key, []);
 
       const nodeType = node.type;
       const nameList = worldData.consistent_locations?.[nodeType] || [];
       if (nameList.length > 0) {
-          node.name = nameList[Math.floor(Math.random() * nameList.length)];
+          node.name = nameList[Math.floor(rng.random() * nameList.length)];
       } else {
           const fallbackName = `${node.borough} ${node.type}`
               .replace(/_/g, ' ')
@@ -110,7 +212,7 @@ class WorldGraph {
       const businessTypes = ['office', 'bar', 'restaurant', 'store', 'venue', 'gym'];
       if (businessTypes.includes(node.type)) {
         node.is_business = true;
-        node.treasury = Math.floor(Math.random() * 10000) + 5000;
+        node.treasury = Math.floor(rng.random() * 10000) + 5000;
         node.level = 1;
         node.productivity = (node.capacity || 10) * 0.5;
         node.upkeep = node.productivity * 0.2;
@@ -118,7 +220,7 @@ class WorldGraph {
       }
 
       if (node.type === 'home') {
-          node.condition = Math.floor(Math.random() * 20) + 80;
+          node.condition = Math.floor(rng.random() * 20) + 80;
           node.rent_cost = 500; 
       }
 
@@ -130,11 +232,13 @@ class WorldGraph {
 
     for (const edge of graphData.edges) {
       if (this.nodes[edge.from] && this.nodes[edge.to]) {
-        const travel_ticks = edge.travel_ticks || 1;
-        this.edges[edge.from].push({ to: edge.to, travel_ticks: travel_ticks });
-        this.edges[edge.to].push({ to: edge.from, travel_ticks: travel_ticks });
+        const mode = ALL_EDGE_MODES.includes(edge.mode) ? edge.mode : 'walk';
+        const baseTime = edge.base_time || 1;
+        this._addEdge(edge.from, edge.to, mode, baseTime);
+        this._addEdge(edge.to, edge.from, mode, baseTime);
       }
     }
+    this._minTimePerDistance = this._computeMinTimePerDistance();
 
     this.log(`Successfully loaded graph with ${Object.keys(this.nodes).length} nodes.`, 'medium');
   }
@@ -169,11 +273,71 @@ class WorldGraph {
       }
   }
 
-  consumeStock(nodeKey, amount = 5) {
-      const current = this.nodeInventory.get(nodeKey) || 0;
-      if (current <= 0) return false; 
+  /**
+   * Applies business closures and openings decided on the main thread (engine/businessManager.js).
+   * A vacant storefront is closed and offers nothing; a reopened one takes on the new business's
+   * type, name, crowd schedule and affordances. Nodes not listed are left alone, so applying the
+   * same storefronts twice is harmless.
+   * @param {Object<string, {type: string, name: string, vacant: boolean}>} storefronts
+   */
+  applyStorefronts(storefronts) {
+      let changed = false;
+      for (const [key, front] of Object.entries(storefronts || {})) {
+          const node = this.nodes[key];
+          if (!node) continue;
+
+          if (front.type && front.type !== node.type) {
+              this.nodesByType[node.type] = (this.nodesByType[node.type] || []).filter(n => n !== node);
+              (this.nodesByType[front.type] ??= []).push(node);
+              node.type = front.type;
+              node.crowd_schedule = CROWD_SCHEDULES[front.type] || [];
+          }
+          node.name = front.name ?? node.name;
+          node.vacant = !!front.vacant;
+          node.is_business = !front.vacant;
+          node.employee_ids ??= [];
+          node.base_affordances = front.vacant ? [] : this._generateBaseAffordances(node.type);
+          node.affordances = node.base_affordances;
+          changed = true;
+      }
+
+      if (changed) {
+          this._queryCache.clear();
+          this._affordanceStateCache.clear();
+      }
+  }
+
+  /**
+   * A store's shelf: every catalog item at `stock` units and its catalog price.
+   */
+  createInventory(stock) {
+      const inventory = {};
+      for (const [itemId, item] of Object.entries(ITEM_CATALOG)) {
+          inventory[itemId] = { stock, price: item.cost, demand: GAME_BALANCE.MARKET.NORMAL_DAILY_SALES, sold: 0 };
+      }
+      return inventory;
+  }
+
+  getStock(nodeKey, itemId) {
+      return this.nodeInventory.get(nodeKey)?.[itemId]?.stock ?? 0;
+  }
+
+  /**
+   * Current shelf price of an item at a store, or null if the store doesn't carry it.
+   */
+  getPrice(nodeKey, itemId) {
+      return this.nodeInventory.get(nodeKey)?.[itemId]?.price ?? null;
+  }
+
+  /**
+   * Takes `qty` units of an item off the shelf.
+   * @returns {boolean} False (and takes nothing) if there aren't that many.
+   */
+  consumeStock(nodeKey, itemId, qty = 1) {
+      const entry = this.nodeInventory.get(nodeKey)?.[itemId];
+      if (!entry || entry.stock < qty) return false; 
       
-      this.nodeInventory.set(nodeKey, Math.max(0, current - amount));
+      entry.stock -= qty;
       
       const node = this.nodes[nodeKey];
       if (node) node.prosperity = Math.min(100, (node.prosperity || 50) + 0.1);
@@ -181,6 +345,80 @@ class WorldGraph {
       return true;
   }
 
+  /**
+   * Replaces the local shelves with the main thread's (workers call this every tick).
+   * @param {Object<string, object>} inventory
+   */
+  applyInventory(inventory) {
+      this.nodeInventory = new Map(Object.entries(inventory || {}));
+      this._affordanceStateCache.clear();
+  }
+
+  // Nothing left to sell in the usual quantity
+  _isSoldOut(inventory) {
+      const qty = GAME_BALANCE.MARKET.PURCHASE_QTY;
+      return Object.values(inventory).every(entry => entry.stock < qty);
+  }
+
+  _isLowStock(inventory) {
+      const entries = Object.values(inventory);
+      const stock = entries.reduce((sum, e) => sum + e.stock, 0);
+      return stock < entries.length * GAME_BALANCE.MARKET.TARGET_STOCK * GAME_BALANCE.MARKET.LOW_STOCK_SHARE;
+  }
+
+  /**
+   * Captures the mutable world state (node economy/condition, store stock, local events)
+   * for historical checkpoints. The static graph itself is rebuilt from YAML on boot.
+   * @returns {{nodes: object, inventory: object, localEvents: object}}
+   */
+  getDynamicSnapshot() {
+      const nodes = {};
+      for (const [key, node] of Object.entries(this.nodes)) {
+          const state = {};
+          for (const field of DYNAMIC_NODE_FIELDS) {
+              if (node[field] !== undefined) state[field] = node[field];
+          }
+          nodes[key] = state;
+      }
+
+      const localEvents = {};
+      for (const [key, events] of this.localEvents) {
+          if (events.length > 0) {
+              localEvents[key] = events.map(e => ({ ...e, expiresAt: e.expiresAt.toISOString() }));
+          }
+      }
+
+      return { nodes, inventory: Object.fromEntries(this.nodeInventory), localEvents };
+  }
+
+  /**
+   * Re-applies a snapshot produced by getDynamicSnapshot(). Unknown nodes are ignored
+   * so old checkpoints stay loadable after location_graph.yaml edits.
+   * @param {{nodes: object, inventory: object, localEvents: object}} snapshot
+   */
+  applyDynamicSnapshot(snapshot) {
+      if (!snapshot) return;
+
+      for (const [key, state] of Object.entries(snapshot.nodes || {})) {
+          const node = this.nodes[key];
+          if (node) Object.assign(node, state);
+      }
+      for (const [key, inventory] of Object.entries(snapshot.inventory || {})) {
+          // Older checkpoints kept a single number per node
+          if (this.nodes[key] && inventory && typeof inventory === 'object') this.nodeInventory.set(key, inventory);
+      }
+      for (const key of this.localEvents.keys()) this.localEvents.set(key, []);
+      for (const [key, events] of Object.entries(snapshot.localEvents || {})) {
+          if (this.nodes[key]) {
+              this.localEvents.set(key, events.map(e => ({ ...e, expiresAt: new Date(e.expiresAt) })));
+          }
+      }
+
+      this._queryCache.clear();
+      this._affordanceStateCache.clear();
+      this._worldStateHash = this._generateWorldStateHash();
+  }
+
   addLocalEvent(nodeKey, type, effect, durationMinutes) {
       if (!this.localEvents.has(nodeKey)) this.localEvents.set(nodeKey, []);
       
@@ -208,13 +446,9 @@ class WorldGraph {
     this.currentDay = worldTime.getDay();
     this.currentOccupancy = occupancyMap || new Map();
     this.currentWeather = currentWeather;
-    
-    if (this.currentHour === 4 && worldTime.getMinutes() === 0) {
-        for (const key of this.nodeInventory.keys()) {
-            this.nodeInventory.set(key, 100);
-        }
-        this.log('All stores restocked.', 'low');
-    }
+    this._indexWeather();
+    this.indexWorldEvents(worldEvents);
+    this._indexCrime();
 
     this._cleanExpiredLocalEvents();
 
@@ -231,13 +465,94 @@ class WorldGraph {
     this.currentWorldEvents = worldEvents;
   }
 
+  /**
+   * Reads closures and sites off the world events. An event that names its `nodes` (a parade,
+   * see engine/eventCalendar.js) is held there, and its `closures` edge modes are closed to
+   * through traffic at them: routes may start or end at a site but not cross it. An event with
+   * `closures` and no nodes closes those modes across the city; a crisis (engine/crisisManager.js)
+   * can also shut every node of its `closes` types and slow its `travel` modes. Routes and
+   * affordances are dropped whenever any of these change.
+   * @param {object[]} worldEvents
+   */
+  indexWorldEvents(worldEvents) {
+    this._closedModes = new Map();
+    this._eventSites = new Map();
+    this._closedTypes = new Map();
+    this._travelFactors = {};
+    for (const event of worldEvents || []) {
+      for (const type of event.closes || []) {
+        if (!this._closedTypes.has(type)) this._closedTypes.set(type, event.label || event.type);
+      }
+      for (const [mode, factor] of Object.entries(event.travel || {})) {
+        this._travelFactors[mode] = (this._travelFactors[mode] ?? 1) * factor;
+      }
+      for (const key of event.nodes || []) {
+        if (!this._eventSites.has(key)) this._eventSites.set(key, []);
+        this._eventSites.get(key).push(event);
+      }
+      if (!event.closures?.length) continue;
+      for (const key of event.nodes || ['']) {
+        if (!this._closedModes.has(key)) this._closedModes.set(key, new Set());
+        for (const mode of event.closures) this._closedModes.get(key).add(mode);
+      }
+    }
+
+    const closureKey = [
+      ...[...this._closedModes].map(([key, modes]) => `${key}:${[...modes].sort().join(',')}`).sort(),
+      [...this._closedTypes.keys()].sort().join(','),
+      ALL_EDGE_MODES.map(mode => this._travelFactors[mode] ?? 1).join(','),
+    ].join('|');
+    if (closureKey !== this._closureKey) {
+      this._closureKey = closureKey;
+      this.clearPathCache();
+      this._affordanceStateCache.clear();
+    }
+  }
+
+  /**
+   * Takes the neighborhoods' danger from their crime rates (engine/crimeSystem.js). At night
+   * (CRIME.NIGHT_HOURS) walking out of a dangerous neighborhood costs more, so routes go around
+   * it where they can.
+   * @param {Object<string, number>} danger - neighborhood -> 0-1
+   */
+  applyCrimeRates(danger) {
+    this._crimeDanger = new Map(Object.entries(danger || {}).filter(([, level]) => level > 0));
+    this._indexCrime();
+  }
+
+  // The danger that applies this hour (none by day), with routes dropped whenever it changes
+  _indexCrime() {
+    const [start, end] = GAME_BALANCE.CRIME.NIGHT_HOURS;
+    const night = this.currentHour >= start || this.currentHour < end;
+    const crimeKey = night ? [...this._crimeDanger].map(([area, level]) => `${area}:${level}`).sort().join(',') : '';
+    if (crimeKey !== this._crimeKey) {
+      this._crimeKey = crimeKey;
+      this.clearPathCache();
+    }
+  }
+
+  /**
+   * World events held at a node (see indexWorldEvents).
+   * @returns {object[]}
+   */
+  getEventsAt(nodeKey) {
+    return this._eventSites.get(nodeKey) || [];
+  }
+
+  // True if a `mode` edge out of fromId is closed: the mode is closed across the city, or at
+  // fromId and the route didn't start there
+  _isClosed(fromId, mode, startKey = fromId) {
+    if (this._closedModes.size === 0) return false;
+    return !!(this._closedModes.get('')?.has(mode) || (fromId !== startKey && this._closedModes.get(fromId)?.has(mode)));
+  }
+
   // FIX FOR BUG 5: Include aggregate occupancy in hash calculation
   _generateWorldStateHash() {
     let localEventCount = 0;
     for (const evts of this.localEvents.values()) localEventCount += evts.length;
     
     const eventTypes = this.currentWorldEvents.map(e => e.type).sort().join(',');
-    const weatherKey = this.currentWeather?.weather || 'Clear';
+    const weatherKey = this._weatherKey || 'Clear';
 
     // Aggregate occupancy for hash calculation
     let totalOccupancy = 0;
@@ -283,6 +598,7 @@ class WorldGraph {
 
   getDynamicAffordances(node, currentHour, currentDay, worldEvents) {
     if (!node || !node.base_affordances) return { open: false, affordances: [], reason: 'No Data' };
+    if (node.vacant) return { open: false, affordances: [], reason: 'Vacant' };
     
     // FIX FOR BUG 4: Validate hour parameter
     if (currentHour === undefined || currentHour === null) {
@@ -302,18 +618,24 @@ class WorldGraph {
     let currentAffordances = node.base_affordances.map(aff => ({ ...aff }));
     let closeReason = null;
 
-    if (node.type === 'store') {
-        const stock = this.nodeInventory.get(node.key) ?? 100;
-        if (stock <= 5) {
+    // Shut across the city by a crisis (see indexWorldEvents)
+    if (this._closedTypes.has(node.type)) {
+        isCurrentlyOpen = false;
+        closeReason = this._closedTypes.get(node.type);
+    }
+
+    const inventory = node.type === 'store' ? this.nodeInventory.get(node.key) : null;
+    if (inventory) {
+        if (this._isSoldOut(inventory)) {
             currentAffordances = [];
             isCurrentlyOpen = false;
             closeReason = "Sold Out";
-        } else if (stock < 20) {
+        } else if (this._isLowStock(inventory)) {
             currentAffordances.forEach(aff => aff.quality *= 0.5);
         }
     }
 
-    const localEvts = this.localEvents.get(node.key) || [];
+    const localEvts = [...(this.localEvents.get(node.key) || []), ...this.getEventsAt(node.key)];
     for (const evt of localEvts) {
         if (evt.effect) {
             currentAffordances.forEach(aff => {
@@ -326,10 +648,8 @@ class WorldGraph {
     }
 
     if (isCurrentlyOpen && node.isOutdoors) {
-        const weatherType = this.currentWeather?.weather || 'Clear';
-        if (weatherType.includes('Rain') || weatherType.includes('Snow')) {
-            currentAffordances.forEach(aff => aff.quality *= 0.4);
-        }
+        const outdoor = this.getLocalWeather(node).outdoor ?? 1;
+        if (outdoor !== 1) currentAffordances.forEach(aff => aff.quality *= outdoor);
     }
 
     if (isCurrentlyOpen && currentAffordances.length > 0) {
@@ -395,60 +715,221 @@ class WorldGraph {
     return foundNodes;
   }
 
-  findPath(startKey, endKey) {
+  /**
+   * Straight-line distance between two nodes using their x/y coordinates (0 if unknown).
+   */
+  getStraightLineDistance(fromId, toId) {
+    const a = this.nodes[fromId];
+    const b = this.nodes[toId];
+    if (!a || !b || typeof a.x !== 'number' || typeof b.x !== 'number') return 0;
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  /**
+   * Current conditions in the node's borough (engine/weatherSystem.js).
+   * @returns {{weather: string, temperature: number, outdoor: number, stress: number}}
+   */
+  getLocalWeather(node) {
+    return localWeather(this.currentWeather, node?.borough);
+  }
+
+  /**
+   * Weather slowdown for an edge mode (see GAME_BALANCE.TRAVEL.WEATHER_MULTIPLIERS); walking
+   * also slows in extreme heat or cold.
+   * @param {string} mode - 'walk' | 'subway' | 'drive'
+   * @param {string} [weather] - Weather name; defaults to the current city weather.
+   * @param {number} [temperature] - Outdoor temperature (°C), if known.
+   */
+  getWeatherMultiplier(mode, weather = this.currentWeather?.weather, temperature = undefined) {
+    let multiplier = 1.0;
+    const name = (weather || '').toLowerCase();
+    const rules = GAME_BALANCE.TRAVEL.WEATHER_MULTIPLIERS[mode] || [];
+    for (const [keyword, factor] of rules) {
+      if (name.includes(keyword)) {
+        multiplier = factor;
+        break;
+      }
+    }
+    const { COLD_TEMP, HOT_TEMP, EXTREME_WALK_FACTOR } = GAME_BALANCE.WEATHER;
+    if (mode === 'walk' && (temperature < COLD_TEMP || temperature > HOT_TEMP)) multiplier *= EXTREME_WALK_FACTOR;
+    return multiplier;
+  }
+
+  // Travel multipliers per borough for the current weather ('' for nodes without one),
+  // and a key that changes whenever any of them does
+  _indexWeather() {
+    this._localMultipliers = new Map();
+    const keys = [];
+    for (const borough of ['', ...Object.keys(this.currentWeather?.boroughs ?? {})]) {
+      const local = localWeather(this.currentWeather, borough || undefined);
+      const multipliers = {};
+      for (const mode of ALL_EDGE_MODES) multipliers[mode] = this.getWeatherMultiplier(mode, local.weather, local.temperature);
+      this._localMultipliers.set(borough, multipliers);
+      keys.push(`${borough}:${local.weather}:${ALL_EDGE_MODES.map(m => multipliers[m]).join(',')}:${local.outdoor ?? 1}`);
+    }
+    this._weatherKey = keys.join('|');
+  }
+
+  // Slowdown for an edge leaving `fromId`: the given weather everywhere, or if none is given,
+  // the weather in fromId's borough; times any crisis slowdown for the mode, and for a walk
+  // at night the danger of fromId's neighborhood
+  _edgeMultiplier(fromId, mode, weather) {
+    let extra = this._travelFactors[mode] ?? 1;
+    if (mode === 'walk' && this._crimeKey) {
+      const node = this.nodes[fromId];
+      const area = node && (node.neighborhood ?? getNeighborhood(node.borough, node.y));
+      extra *= 1 + GAME_BALANCE.CRIME.NIGHT_WALK_PENALTY * (this._crimeDanger.get(area) ?? 0);
+    }
+    if (weather !== undefined) return this.getWeatherMultiplier(mode, weather) * extra;
+    const multipliers = this._localMultipliers?.get(this.nodes[fromId]?.borough) ?? this._localMultipliers?.get('');
+    return (multipliers?.[mode] ?? this.getWeatherMultiplier(mode)) * extra;
+  }
+
+  /**
+   * Cheapest direct edge between two adjacent nodes among the allowed modes that isn't closed
+   * (a leg out of an event site is open: closures there only stop routes crossing it).
+   * @returns {{to: string, mode: string, base_time: number, time: number}|null}
+   *   `time` is base_time with the weather multiplier applied (fromId's borough's weather
+   *   unless `weather` is given), any crisis slowdown and, walking at night, the danger of
+   *   fromId's neighborhood (see applyCrimeRates).
+   */
+  getEdge(fromId, toId, { modes = ALL_EDGE_MODES, weather } = {}) {
+    let best = null;
+    for (const edge of this.edges[fromId] || []) {
+      if (edge.to !== toId || !modes.includes(edge.mode) || this._isClosed(fromId, edge.mode)) continue;
+      const time = edge.base_time * this._edgeMultiplier(fromId, edge.mode, weather);
+      if (!best || time < best.time) best = { ...edge, time };
+    }
+    return best;
+  }
+
+  /**
+   * A* over edge base_time (weather-adjusted), restricted to the given edge modes and skipping
+   * closed edges (see indexWorldEvents). Each edge is slowed by the weather in the borough it
+   * leaves, unless a single `weather` is given.
+   * The heuristic is the straight-line x/y distance scaled by the fastest time-per-distance
+   * found in the graph, so it never overestimates.
+   * @param {string} startKey
+   * @param {string} endKey
+   * @param {{modes?: string[], weather?: string}} [options]
+   * @returns {{path: string[], legs: Array<{from: string, to: string, mode: string, time: number}>, totalTime: number}|null}
+   */
+  findRoute(startKey, endKey, { modes = ALL_EDGE_MODES, weather } = {}) {
     if (!this.nodes[startKey] || !this.nodes[endKey]) return null;
-    if (startKey === endKey) return [startKey];
+    if (startKey === endKey) return { path: [startKey], legs: [], totalTime: 0 };
 
-    const cacheKey = `${startKey}->${endKey}`;
+    // Weather only matters for the multipliers it produces, so cache on those
+    const weatherKey = weather !== undefined
+      ? modes.map(m => this.getWeatherMultiplier(m, weather)).join(',')
+      : this._weatherKey;
+    const cacheKey = `${startKey}->${endKey}|${modes.join(',')}|${weatherKey}`;
     if (this._pathCache.has(cacheKey)) {
       this._pathCacheAccess.set(cacheKey, Date.now());
       return this._pathCache.get(cacheKey);
     }
 
-    const queue = [[startKey]];
-    const visited = new Set([startKey]);
-    
-    while (queue.length > 0) {
-      const path = queue.shift();
-      const nodeKey = path[path.length - 1];
-      if (nodeKey === endKey) {
-        this._pathCache.set(cacheKey, path);
-        this._pathCacheAccess.set(cacheKey, Date.now());
-        return path;
+    const heuristic = (key) => this.getStraightLineDistance(key, endKey) * this._minTimePerDistance;
+    const bestTime = new Map([[startKey, 0]]);
+    const cameFrom = new Map();
+    const closed = new Set();
+    const open = new MinHeap();
+    open.push(startKey, heuristic(startKey));
+
+    let route = null;
+    while (open.size > 0) {
+      const current = open.pop();
+      if (closed.has(current)) continue;
+      if (current === endKey) {
+        route = this._buildRoute(cameFrom, endKey, bestTime.get(endKey));
+        break;
       }
-      if (this.edges[nodeKey]) {
-        for (const edge of this.edges[nodeKey]) {
-            if (!visited.has(edge.to)) {
-                visited.add(edge.to);
-                queue.push([...path, edge.to]);
-            }
+      closed.add(current);
+
+      const currentTime = bestTime.get(current);
+      for (const edge of this.edges[current] || []) {
+        if (closed.has(edge.to) || !modes.includes(edge.mode) || this._isClosed(current, edge.mode, startKey)) continue;
+        const time = edge.base_time * this._edgeMultiplier(current, edge.mode, weather);
+        const candidate = currentTime + time;
+        if (candidate < (bestTime.get(edge.to) ?? Infinity)) {
+          bestTime.set(edge.to, candidate);
+          cameFrom.set(edge.to, { from: current, mode: edge.mode, time });
+          open.push(edge.to, candidate + heuristic(edge.to));
         }
       }
     }
-    this._pathCache.set(cacheKey, null);
-    return null;
+
+    this._cacheRoute(cacheKey, route);
+    return route;
+  }
+
+  _buildRoute(cameFrom, endKey, totalTime) {
+    const legs = [];
+    let key = endKey;
+    while (cameFrom.has(key)) {
+      const step = cameFrom.get(key);
+      legs.push({ from: step.from, to: key, mode: step.mode, time: step.time });
+      key = step.from;
+    }
+    legs.reverse();
+    return { path: [key, ...legs.map(l => l.to)], legs, totalTime };
+  }
+
+  _cacheRoute(cacheKey, route) {
+    if (this._pathCache.size >= this._cacheMaxSize) {
+      // Evict the least recently used entry
+      let oldestKey = null;
+      let oldestAccess = Infinity;
+      for (const [key, access] of this._pathCacheAccess) {
+        if (access < oldestAccess) {
+          oldestAccess = access;
+          oldestKey = key;
+        }
+      }
+      if (oldestKey !== null) {
+        this._pathCache.delete(oldestKey);
+        this._pathCacheAccess.delete(oldestKey);
+      }
+    }
+    this._pathCache.set(cacheKey, route);
+    this._pathCacheAccess.set(cacheKey, Date.now());
+  }
+
+  clearPathCache() {
+    this._pathCache.clear();
+    this._pathCacheAccess.clear();
+  }
+
+  /**
+   * Node sequence of the fastest route (see findRoute), or null if unreachable.
+   * NOTE: The returned array is shared with the route cache; copy it before mutating.
+   */
+  findPath(startKey, endKey, options = {}) {
+    const route = this.findRoute(startKey, endKey, options);
+    return route ? route.path : null;
   }
 
-  getTravelCost(fromId, toId) {
-      const path = this.findPath(fromId, toId);
-      if (!path) return Infinity;
-      const weatherPenalty = (this.currentWeather?.weather.includes('Rain')) ? 1.5 : 1.0;
-      return (path.length - 1) * 1.50 * weatherPenalty; 
+  /**
+   * Total travel time (weather-adjusted base_time) of the fastest route. Infinity if unreachable.
+   */
+  getTravelCost(fromId, toId, options = {}) {
+      const route = this.findRoute(fromId, toId, options);
+      return route ? route.totalTime : Infinity;
   }
 
   /**
    * Alias for getTravelCost to support legacy calls or clearer semantic usage.
    * @param {string} fromId 
    * @param {string} toId 
+   * @param {{modes?: string[], weather?: string}} [options]
    * @returns {number} Distance/Cost
    */
-  getDistance(fromId, toId) {
-      return this.getTravelCost(fromId, toId);
+  getDistance(fromId, toId, options = {}) {
+      return this.getTravelCost(fromId, toId, options);
   }
 
   findRandomLocationByType(type) {
     if (this.nodesByType[type] && this.nodesByType[type].length > 0) {
-      return this.nodesByType[type][Math.floor(Math.random() * this.nodesByType[type].length)];
+      return this.nodesByType[type][Math.floor(rng.random() * this.nodesByType[type].length)];
     }
     return null;
   }
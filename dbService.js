@@ -3,6 +3,7 @@ import path from 'path';
 import fs from 'fs';
 import { Worker } from 'worker_threads';
 import logger from './logger.js';
+import { MAX_CHECKPOINTS_TO_KEEP } from './data/config.js';
 
 class DbService {
   constructor(dbPath) {
@@ -34,6 +35,11 @@ class DbService {
     // Maintenance counters
     this.pruneCounter = 0;
     this.PRUNE_INTERVAL = 100; 
+
+    // Delta Snapshot Tracking
+    // Holds the serialized agents of the last written checkpoint so the next one only
+    // stores rows that changed. Null => next checkpoint is written as a full keyframe.
+    this._lastSnapshot = null;
     
     // CONSTRUCTOR CHANGE: Removed synchronous side effects (connect/initSchema)
     // You must now call .init() explicitly.
@@ -274,6 +280,19 @@ class DbService {
           timestamp TEXT
         );
       `);
+      this._migrateCheckpointsTable();
+
+      // HISTORICAL SNAPSHOTS: Agent rows per checkpoint.
+      // Keyframes store every agent; deltas store only agents changed since prev_tick.
+      // A NULL data column is a tombstone (agent removed since the previous checkpoint).
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS checkpoint_agents (
+          tick INTEGER,
+          agent_id TEXT,
+          data TEXT,
+          PRIMARY KEY (tick, agent_id)
+        );
+      `);
 
       this.db.exec(`
         CREATE TABLE IF NOT EXISTS simulation_events (
@@ -305,6 +324,41 @@ class DbService {
         CREATE INDEX IF NOT EXISTS idx_memories_tick ON memories(tick);
       `);
 
+      // MONEY LEDGER: Double-entry transfers between accounts (engine/moneyLedger.js),
+      // summed per account pair and kind between flushes.
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS ledger_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          tick INTEGER,
+          from_account TEXT,
+          to_account TEXT,
+          kind TEXT,
+          amount REAL,
+          count INTEGER DEFAULT 1
+        );
+        CREATE INDEX IF NOT EXISTS idx_ledger_entries_tick ON ledger_entries(tick);
+        CREATE INDEX IF NOT EXISTS idx_ledger_entries_from ON ledger_entries(from_account, tick DESC);
+        CREATE INDEX IF NOT EXISTS idx_ledger_entries_to ON ledger_entries(to_account, tick DESC);
+      `);
+
+      // RELATIONSHIP GRAPH: One row per directed tie (agent_id's view of other_id).
+      // Kept out of the agents data blob so ties can be queried across the population.
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS relationships (
+          agent_id TEXT,
+          other_id TEXT,
+          type TEXT,
+          base_type TEXT,
+          affinity REAL,
+          since_tick INTEGER,
+          last_contact_tick INTEGER,
+          history TEXT,
+          PRIMARY KEY (agent_id, other_id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_relationships_other ON relationships(other_id);
+        CREATE INDEX IF NOT EXISTS idx_relationships_type ON relationships(type);
+      `);
+
       this.refreshStatements();
       this.isInitialized = true;
       logger.info('[DbService] Schema initialized.');
@@ -344,10 +398,49 @@ class DbService {
       }
   }
 
+  /**
+   * Adds the snapshot columns to pre-existing `checkpoints` tables (old DBs only stored tick + timestamp).
+   */
+  _migrateCheckpointsTable() {
+    const existing = new Set(this.db.prepare('PRAGMA table_info(checkpoints)').all().map(c => c.name));
+    const columns = {
+        base_tick: 'INTEGER',   // Keyframe this checkpoint's delta chain starts from
+        prev_tick: 'INTEGER',   // Checkpoint this delta applies on top of (NULL for keyframes)
+        world_time: 'TEXT',
+        world_state: 'TEXT',
+        graph_state: 'TEXT',
+        agent_count: 'INTEGER'
+    };
+    for (const [name, type] of Object.entries(columns)) {
+        if (!existing.has(name)) {
+            this.db.exec(`ALTER TABLE checkpoints ADD COLUMN ${name} ${type}`);
+            logger.info(`[DbService] Migrated checkpoints table: added column ${name}.`);
+        }
+    }
+  }
+
   _prepareStatements() {
-    this.statements.saveCheckpoint = this.db.prepare('INSERT OR REPLACE INTO checkpoints (tick, timestamp) VALUES (?, ?)');
-    this.statements.getLatestCheckpoint = this.db.prepare('SELECT tick FROM checkpoints ORDER BY tick DESC LIMIT 1');
+    // OR IGNORE: a bare marker must never clobber a full snapshot row written for the same tick
+    this.statements.saveCheckpoint = this.db.prepare('INSERT OR IGNORE INTO checkpoints (tick, timestamp) VALUES (?, ?)');
+    this.statements.getLatestCheckpoint = this.db.prepare('SELECT tick, world_time, world_state, graph_state FROM checkpoints ORDER BY tick DESC LIMIT 1');
+
+    // Historical Snapshots
+    this.statements.saveSnapshotCheckpoint = this.db.prepare(`
+        INSERT OR REPLACE INTO checkpoints (tick, timestamp, base_tick, prev_tick, world_time, world_state, graph_state, agent_count)
+        VALUES (@tick, @timestamp, @base_tick, @prev_tick, @world_time, @world_state, @graph_state, @agent_count)
+    `);
+    this.statements.saveSnapshotAgent = this.db.prepare('INSERT OR REPLACE INTO checkpoint_agents (tick, agent_id, data) VALUES (?, ?, ?)');
+    this.statements.getCheckpoint = this.db.prepare('SELECT * FROM checkpoints WHERE tick = ?');
+    this.statements.getCheckpointChain = this.db.prepare('SELECT tick, prev_tick FROM checkpoints WHERE base_tick = ? AND tick <= ? ORDER BY tick ASC');
+    this.statements.getSnapshotAgents = this.db.prepare('SELECT agent_id, data FROM checkpoint_agents WHERE tick = ?');
+    this.statements.listSnapshots = this.db.prepare('SELECT tick, timestamp, base_tick, world_time, agent_count FROM checkpoints WHERE world_time IS NOT NULL ORDER BY tick DESC');
+    this.statements.deleteSnapshotAgentsAt = this.db.prepare('DELETE FROM checkpoint_agents WHERE tick = ?');
+    this.statements.deleteSnapshotAgentsBefore = this.db.prepare('DELETE FROM checkpoint_agents WHERE tick < ?');
+    this.statements.deleteCheckpointsBefore = this.db.prepare('DELETE FROM checkpoints WHERE tick < ?');
+    this.statements.rebaseCheckpoints = this.db.prepare('UPDATE checkpoints SET base_tick = ? WHERE base_tick = ? AND tick >= ?');
+    this.statements.markKeyframe = this.db.prepare('UPDATE checkpoints SET prev_tick = NULL WHERE tick = ?');
     this.statements.pruneEvents = this.db.prepare("DELETE FROM simulation_events WHERE tick < ?");
+    this.statements.pruneLedger = this.db.prepare("DELETE FROM ledger_entries WHERE tick < ?");
     
     try {
         this.statements.pruneMemories = this.db.prepare("DELETE FROM memories WHERE tick < ?");
@@ -357,6 +450,13 @@ class DbService {
     }
 
     this.statements.logEvent = this.db.prepare('INSERT INTO simulation_events (tick, type, data) VALUES (?, ?, ?)');
+    this.statements.insertLedgerEntry = this.db.prepare(
+        'INSERT INTO ledger_entries (tick, from_account, to_account, kind, amount, count) VALUES (@tick, @from, @to, @kind, @amount, @count)'
+    );
+    this.statements.getLedgerEntries = this.db.prepare(
+        'SELECT * FROM ledger_entries WHERE from_account = @account OR to_account = @account ORDER BY tick DESC, id DESC LIMIT @limit'
+    );
+    this.statements.getRecentLedgerEntries = this.db.prepare('SELECT * FROM ledger_entries ORDER BY tick DESC, id DESC LIMIT ?');
 
     // LAZY LOADING OPTIMIZATION:
     // 1. Light query: Fetch only core fields, exclude massive 'data' blob
@@ -381,17 +481,48 @@ class DbService {
             data=excluded.data
     `);
     
+    this.statements.deleteAgent = this.db.prepare('DELETE FROM agents WHERE id = ?');
+    this.statements.deleteAgentTies = this.db.prepare('DELETE FROM relationships WHERE agent_id = ?');
+    this.statements.deleteTiesToAgent = this.db.prepare('DELETE FROM relationships WHERE other_id = ?');
+    this.statements.insertTie = this.db.prepare(`
+        INSERT INTO relationships (agent_id, other_id, type, base_type, affinity, since_tick, last_contact_tick, history)
+        VALUES (@agent_id, @other_id, @type, @base_type, @affinity, @since_tick, @last_contact_tick, @history)
+    `);
+    this.statements.getAgentTies = this.db.prepare('SELECT * FROM relationships WHERE agent_id = ? ORDER BY affinity DESC');
+    this.statements.getTiesToAgent = this.db.prepare('SELECT * FROM relationships WHERE other_id = ? ORDER BY affinity DESC');
+
     this.saveAgentsBatch = this.db.transaction((agents) => {
         for (const agent of agents) {
-            const { id, name, state, locationId, money, energy, hunger, social, ...rest } = agent;
+            const { id, name, state, locationId, money, energy, hunger, social, relationships, ...rest } = agent;
             this.statements.upsertAgent.run({
                 id, name, state, locationId, money, energy, hunger, social,
                 data: JSON.stringify(rest)
             });
+            if (relationships) this._writeTies(id, relationships);
         }
     });
   }
 
+  /**
+   * Replaces an agent's outgoing ties. Must run inside a transaction.
+   */
+  _writeTies(agentId, relationships) {
+    this.statements.deleteAgentTies.run(agentId);
+    for (const [otherId, tie] of Object.entries(relationships)) {
+        if (!tie) continue;
+        this.statements.insertTie.run({
+            agent_id: agentId,
+            other_id: otherId,
+            type: tie.type ?? 'acquaintance',
+            base_type: tie.baseType ?? null,
+            affinity: tie.affinity ?? 0,
+            since_tick: tie.since ?? null,
+            last_contact_tick: tie.lastContact ?? null,
+            history: JSON.stringify(tie.history ?? [])
+        });
+    }
+  }
+
   // Helper to record internal metrics
   _recordMetric(name, duration) {
       if (!this.metrics.ops[name]) {
@@ -528,7 +659,39 @@ class DbService {
       }
   }
 
-  async createCheckpoint(tick) {
+  /**
+   * Deletes agents who left the simulation, with every tie from or to them.
+   * Their memories stay behind as history.
+   * @param {string[]} agentIds
+   */
+  async removeAgents(agentIds) {
+      if (this.CIRCUIT_OPEN || !agentIds || agentIds.length === 0) return;
+      if (!this.isInitialized) throw new Error('[DbService] Remove agents failed: Service not initialized');
+
+      try {
+          await this._executeWithRetry('removeAgents', () => {
+              const remove = this.db.transaction((ids) => {
+                  for (const id of ids) {
+                      this.statements.deleteAgent.run(id);
+                      this.statements.deleteAgentTies.run(id);
+                      this.statements.deleteTiesToAgent.run(id);
+                  }
+              });
+              remove(agentIds);
+          });
+      } catch (err) {
+          logger.error('[DbService] Agent removal failed after retries', { error: err, count: agentIds.length });
+          this.checkHealth();
+      }
+  }
+
+  /**
+   * Records a checkpoint. When a snapshot is supplied, the full simulation state is stored
+   * (agents as a delta against the previous checkpoint) so the tick can be restored later.
+   * @param {number} tick
+   * @param {{worldTime: string, worldState: object, graphState: object, agents: Array<object>}} [snapshot]
+   */
+  async createCheckpoint(tick, snapshot = null) {
     if (this.CIRCUIT_OPEN) return;
     if (!this.isInitialized) throw new Error('[DbService] Checkpoint failed: Service not initialized');
     
@@ -536,11 +699,16 @@ class DbService {
     try {
         await this._executeWithRetry('createCheckpoint', () => {
             const timestamp = new Date().toISOString();
-            this.statements.saveCheckpoint.run(tick, timestamp);
+            if (snapshot) {
+                this._writeSnapshot(tick, timestamp, snapshot);
+            } else {
+                this.statements.saveCheckpoint.run(tick, timestamp);
+            }
             
             this.pruneCounter++;
             if (this.pruneCounter >= this.PRUNE_INTERVAL) {
                 const eventDeleteResult = this.statements.pruneEvents.run(tick - 1000);
+                this.statements.pruneLedger.run(tick - 5000);
                 let memoryDeleteCount = 0;
                 if (this.statements.pruneMemories) {
                     const memoryDeleteResult = this.statements.pruneMemories.run(tick - 5000);
@@ -565,6 +733,207 @@ class DbService {
     }
   }
 
+  /**
+   * Writes one historical snapshot. Keyframes store every agent; deltas store only agents
+   * whose serialized state changed since the previous checkpoint, plus tombstones for removals.
+   * World state and graph dynamic state are small and stored whole on every checkpoint.
+   */
+  _writeSnapshot(tick, timestamp, snapshot) {
+      const prev = this._lastSnapshot;
+      // Already captured (e.g. shutdown save right after a periodic checkpoint)
+      if (prev && prev.tick === tick) return;
+
+      const isKeyframe = !prev || prev.tick > tick;
+      const baseTick = isKeyframe ? tick : prev.baseTick;
+
+      const current = new Map();
+      for (const agent of snapshot.agents || []) current.set(agent.id, JSON.stringify(agent));
+
+      let written = 0;
+      let removed = 0;
+      const write = this.db.transaction(() => {
+          this.statements.saveSnapshotCheckpoint.run({
+              tick,
+              timestamp,
+              base_tick: baseTick,
+              prev_tick: isKeyframe ? null : prev.tick,
+              world_time: snapshot.worldTime,
+              world_state: JSON.stringify(snapshot.worldState || {}),
+              graph_state: JSON.stringify(snapshot.graphState || null),
+              agent_count: current.size
+          });
+          this.statements.deleteSnapshotAgentsAt.run(tick);
+
+          for (const [id, json] of current) {
+              if (isKeyframe || prev.agents.get(id) !== json) {
+                  this.statements.saveSnapshotAgent.run(tick, id, json);
+                  written++;
+              }
+          }
+          if (!isKeyframe) {
+              for (const id of prev.agents.keys()) {
+                  if (!current.has(id)) {
+                      this.statements.saveSnapshotAgent.run(tick, id, null);
+                      removed++;
+                  }
+              }
+          }
+      });
+      write();
+
+      this._lastSnapshot = { tick, baseTick, agents: current };
+      logger.info(`[DbService] Checkpoint ${tick}: ${isKeyframe ? 'keyframe' : 'delta'} snapshot (${written} agents written, ${removed} removed).`);
+
+      this._pruneSnapshots(MAX_CHECKPOINTS_TO_KEEP);
+  }
+
+  /**
+   * Replays the delta chain (keyframe -> ... -> tick) into a Map of agentId -> serialized JSON.
+   * @returns {{row: object, agents: Map<string, string>}|null} Null if the tick holds no snapshot.
+   * @throws {Error} If the chain is broken (missing keyframe or gap between deltas).
+   */
+  _reconstructSnapshotAgents(tick) {
+      const row = this.statements.getCheckpoint.get(tick);
+      if (!row || row.world_time === null || row.base_tick === null) return null;
+
+      const chain = this.statements.getCheckpointChain.all(row.base_tick, tick);
+      if (chain.length === 0 || chain[0].tick !== row.base_tick) {
+          throw new Error(`[DbService] Snapshot chain for tick ${tick} is missing its keyframe (tick ${row.base_tick}).`);
+      }
+      for (let i = 1; i < chain.length; i++) {
+          if (chain[i].prev_tick !== chain[i - 1].tick) {
+              throw new Error(`[DbService] Snapshot chain for tick ${tick} is broken between ticks ${chain[i - 1].tick} and ${chain[i].tick}.`);
+          }
+      }
+
+      const agents = new Map();
+      for (const link of chain) {
+          for (const agentRow of this.statements.getSnapshotAgents.iterate(link.tick)) {
+              if (agentRow.data === null) agents.delete(agentRow.agent_id);
+              else agents.set(agentRow.agent_id, agentRow.data);
+          }
+      }
+      return { row, agents };
+  }
+
+  /**
+   * Enforces MAX_CHECKPOINTS_TO_KEEP. The oldest retained checkpoint is materialized into a
+   * keyframe first (if it was a delta) so the older rows it depended on can be deleted.
+   */
+  _pruneSnapshots(keep) {
+      const snapshots = this.statements.listSnapshots.all();
+      if (keep < 1 || snapshots.length <= keep) return;
+
+      const oldestKept = snapshots[keep - 1];
+      const oldBase = oldestKept.base_tick;
+
+      const prune = this.db.transaction(() => {
+          if (oldBase !== oldestKept.tick) {
+              const { agents } = this._reconstructSnapshotAgents(oldestKept.tick);
+              this.statements.deleteSnapshotAgentsAt.run(oldestKept.tick);
+              for (const [id, json] of agents) {
+                  this.statements.saveSnapshotAgent.run(oldestKept.tick, id, json);
+              }
+              this.statements.rebaseCheckpoints.run(oldestKept.tick, oldBase, oldestKept.tick);
+              this.statements.markKeyframe.run(oldestKept.tick);
+          }
+          this.statements.deleteSnapshotAgentsBefore.run(oldestKept.tick);
+          this.statements.deleteCheckpointsBefore.run(oldestKept.tick);
+      });
+      prune();
+
+      if (this._lastSnapshot && this._lastSnapshot.baseTick === oldBase) {
+          this._lastSnapshot.baseTick = oldestKept.tick;
+      }
+      logger.info(`[DbService] Snapshot retention: kept ${keep} checkpoints (oldest: tick ${oldestKept.tick}).`);
+  }
+
+  /**
+   * Lists retained, restorable checkpoints (newest first).
+   * @returns {Array<{tick: number, timestamp: string, base_tick: number, world_time: string, agent_count: number}>}
+   */
+  listSnapshots() {
+      if (!this.isInitialized) return [];
+      try {
+          return this.statements.listSnapshots.all();
+      } catch (err) {
+          this.metrics.errors++;
+          logger.error('[DbService] listSnapshots failed', { error: err });
+          return [];
+      }
+  }
+
+  /**
+   * Rebuilds the full simulation state stored at a retained checkpoint.
+   * @param {number} tick
+   * @returns {{tick: number, worldTime: string, worldState: object, graphState: object, agents: Array<object>}}
+   * @throws {Error} If no snapshot is retained for that tick.
+   */
+  loadSnapshot(tick) {
+      if (!this.isInitialized) throw new Error('[DbService] Cannot load snapshot: DB not initialized.');
+
+      const result = this._reconstructSnapshotAgents(tick);
+      if (!result) {
+          const available = this.listSnapshots().map(s => s.tick);
+          throw new Error(`[DbService] No snapshot retained for tick ${tick}. Available: ${available.join(', ') || 'none'}`);
+      }
+
+      const agents = [];
+      let corrupted = 0;
+      for (const json of result.agents.values()) {
+          try { agents.push(JSON.parse(json)); } catch (e) { corrupted++; }
+      }
+      if (corrupted > 0) {
+          logger.warn(`[DbService] Snapshot ${tick}: skipped ${corrupted} corrupted agent rows.`);
+      }
+
+      return { tick, ...this._parseWorldSnapshot(result.row), agents };
+  }
+
+  _parseWorldSnapshot(row) {
+      if (!row || !row.world_time) return {};
+      try {
+          return {
+              worldTime: row.world_time,
+              worldState: row.world_state ? JSON.parse(row.world_state) : null,
+              graphState: row.graph_state ? JSON.parse(row.graph_state) : null
+          };
+      } catch (err) {
+          logger.error('[DbService] Failed to parse world snapshot', { error: err, tick: row.tick });
+          return {};
+      }
+  }
+
+  /**
+   * Makes a restored checkpoint the authoritative timeline: drops all history after `tick`
+   * and replaces the live agents table with the restored agents.
+   * @param {number} tick
+   * @param {Array<object>} agents - Agent instances or serialized agents.
+   */
+  async rewindTo(tick, agents) {
+      if (this.CIRCUIT_OPEN) return;
+      if (!this.isInitialized) throw new Error('[DbService] Rewind failed: Service not initialized');
+
+      await this._executeWithRetry('rewindTo', () => {
+          const rows = agents.map(a => a.serialize ? a.serialize() : a);
+          const rewind = this.db.transaction(() => {
+              this.db.prepare('DELETE FROM checkpoint_agents WHERE tick > ?').run(tick);
+              this.db.prepare('DELETE FROM checkpoints WHERE tick > ?').run(tick);
+              this.db.prepare('DELETE FROM simulation_events WHERE tick > ?').run(tick);
+              this.db.prepare('DELETE FROM memories WHERE tick > ?').run(tick);
+              this.db.prepare('DELETE FROM ledger_entries WHERE tick > ?').run(tick);
+              this.db.prepare('DELETE FROM agents').run();
+              this.db.prepare('DELETE FROM relationships').run();
+              this.saveAgentsBatch(rows);
+          });
+          rewind();
+      });
+
+      // Force the next checkpoint to be a keyframe on the new timeline
+      this._lastSnapshot = null;
+      logger.info(`[DbService] Rewound history to tick ${tick} (${agents.length} agents).`);
+  }
+
   async backup(backupName = 'daily') {
       if (this.CIRCUIT_OPEN) return;
       
@@ -660,14 +1029,25 @@ class DbService {
   /**
    * @description Loads all agent state from the latest checkpoint into memory.
    * This operation is moved to a separate worker to prevent main thread blocking (P4).
-   * @returns {Promise<{lastTick: number, baseState: {agents: Array<object>}}>} The loaded simulation state.
+   * @param {number|null} [restoreTick] - If set, rebuild the state stored at this retained checkpoint instead.
+   * @returns {Promise<{lastTick: number, baseState: {agents: Array<object>, worldTime?: string, worldState?: object, graphState?: object}}>} The loaded simulation state.
    * @throws {Error} If the worker fails or data is corrupted.
    */
-  async loadStateFromRecovery() {
+  async loadStateFromRecovery(restoreTick = null) {
     if (!this.isInitialized || !this.statements.getLatestCheckpoint) {
         throw new Error('[DbService] Cannot load state: DB not initialized.');
     }
 
+    // HISTORICAL RESTORE: Rebuild from the snapshot chain instead of the live agents table
+    if (restoreTick !== null && restoreTick !== undefined) {
+        logger.info(`[DbService] Restoring historical snapshot at tick ${restoreTick}...`);
+        const { agents, worldTime, worldState, graphState } = this.loadSnapshot(restoreTick);
+        return {
+            lastTick: restoreTick,
+            baseState: { agents, worldTime, worldState, graphState },
+        };
+    }
+
     // Since we cannot run better-sqlite3 statements inside this worker (it must open its own connection),
     // we pass the DB path and let the worker manage the synchronous heavy load internally.
     const latest = this.statements.getLatestCheckpoint.get();
@@ -695,8 +1075,23 @@ class DbService {
             const QUERY_TIMEOUT_MS = 10000; // Longer timeout for this heavy read
             const stmt = db.prepare('SELECT * FROM agents');
             const agents = [];
-            let rowCount = 0;
-            const errors = [];
+
+            // Ties live in their own table; databases saved before it existed still carry them in the blob
+            const tiesByAgent = new Map();
+            for (const tie of db.prepare('SELECT * FROM relationships').iterate()) {
+                if (!tiesByAgent.has(tie.agent_id)) tiesByAgent.set(tie.agent_id, {});
+                let history = [];
+                try { history = JSON.parse(tie.history || '[]'); } catch (e) { /* keep the tie, drop its history */ }
+                tiesByAgent.get(tie.agent_id)[tie.other_id] = {
+                    type: tie.type,
+                    baseType: tie.base_type,
+                    affinity: tie.affinity,
+                    score: tie.affinity,
+                    since: tie.since_tick,
+                    lastContact: tie.last_contact_tick,
+                    history
+                };
+            }
             
             // Stream rows and process synchronously within the worker thread
             for (const row of stmt.iterate()) {
@@ -717,6 +1112,7 @@ class DbService {
 
                 agents.push({
                     ...data, 
+                    relationships: tiesByAgent.get(row.id) ?? data.relationships ?? {},
                     id: row.id,
                     name: row.name,
                     state: row.state,
@@ -753,7 +1149,7 @@ class DbService {
           }
           resolve({
             lastTick: lastTick,
-            baseState: { agents: result.agents },
+            baseState: { agents: result.agents, ...this._parseWorldSnapshot(latest) },
           });
         }
       });
@@ -806,6 +1202,65 @@ class DbService {
       }
   }
 
+  /**
+   * Stores a batch of money ledger entries in one transaction.
+   * @param {Array<{tick: number, from: string, to: string, kind: string, amount: number, count: number}>} entries
+   */
+  writeLedgerBatch(entries) {
+      if (this.CIRCUIT_OPEN) return;
+      if (!entries.length) return;
+      if (!this.isInitialized) {
+         logger.error('[DbService] writeLedgerBatch failed: Service not initialized');
+         return;
+      }
+      const insertMany = this.db.transaction((items) => {
+        for (const item of items) this.statements.insertLedgerEntry.run(item);
+      });
+      try {
+        insertMany(entries);
+      } catch (e) {
+          this.metrics.errors++;
+          logger.error('[DbService] writeLedgerBatch failed', { error: e, count: entries.length });
+      }
+  }
+
+  /**
+   * Stored ledger entries, newest first.
+   * @param {string|null} [account] - Only entries into or out of this account.
+   * @param {number} [limit]
+   */
+  getLedgerEntries(account = null, limit = 50) {
+      if (this.CIRCUIT_OPEN) return [];
+      if (!this.isInitialized) return [];
+      try {
+          return account
+            ? this._safeRead(this.statements.getLedgerEntries, { account, limit })
+            : this._safeRead(this.statements.getRecentLedgerEntries, limit);
+      } catch (e) {
+          this.metrics.errors++;
+          logger.error('[DbService] getLedgerEntries failed', { error: e, account });
+          return [];
+      }
+  }
+
+  /**
+   * Persisted ties for an agent, as of the last sync.
+   * @param {string} agentId
+   * @param {'outgoing'|'incoming'} [direction] - The agent's own ties, or other agents' ties to it.
+   */
+  getAgentTies(agentId, direction = 'outgoing') {
+      if (this.CIRCUIT_OPEN) return [];
+      if (!this.isInitialized) return [];
+      try {
+          const stmt = direction === 'incoming' ? this.statements.getTiesToAgent : this.statements.getAgentTies;
+          return stmt.all(agentId).map(row => ({ ...row, history: JSON.parse(row.history || '[]') }));
+      } catch (e) {
+          this.metrics.errors++;
+          logger.error('[DbService] getAgentTies failed', { error: e, agentId });
+          return [];
+      }
+  }
+
   getAgentMemories(agentId, limit = 10) { 
       if (this.CIRCUIT_OPEN) return [];
       if (!this.isInitialized) return [];
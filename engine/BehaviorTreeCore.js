@@ -4,7 +4,18 @@
  * * CONCEPT:
  * Nodes (Selector, Sequence) are static definitions.
  * State is read/written entirely from the 'agent' and 'context' objects passed into execute().
+ * * NODE MEMORY:
+ * Stateful nodes (Memory*, Repeat, Retry, Timeout) keep their per-agent state in
+ * agent.stateContext.bt[key], which the FSM clears on every state change. Cooldowns live in
+ * agent.stateContext.btCooldowns[key] and survive state changes. Both travel with the agent
+ * across worker IPC. `key` defaults to a construction-order id; pass one explicitly when the
+ * memory must stay meaningful across code changes (e.g. persisted cooldowns).
+ * * TRACING:
+ * Subclasses implement tick(); BTNode.execute() wraps it and records the node when btTracer
+ * has an open trace (see engine/btTracer.js).
  */
+import rng from './rng.js';
+import btTracer from './btTracer.js';
 
 export const Status = {
     SUCCESS: 'SUCCESS',
@@ -12,6 +23,56 @@ export const Status = {
     RUNNING: 'RUNNING'
 };
 
+let nodeSerial = 0;
+
+function nodeKey(type, key) {
+    return key || `${type}#${++nodeSerial}`;
+}
+
+function currentTick(agent, context) {
+    return context?.worldState?.currentTick ?? agent.matrix?.tickCount ?? 0;
+}
+
+function nodeMemory(agent) {
+    agent.stateContext = agent.stateContext || {};
+    return agent.stateContext.bt || (agent.stateContext.bt = {});
+}
+
+function forgetNode(agent, key) {
+    if (agent.stateContext?.bt) delete agent.stateContext.bt[key];
+}
+
+/**
+ * BTNode
+ * Common base: tracing wrapper around tick(). `label` names the node in traces.
+ */
+export class BTNode {
+    get label() {
+        return this.constructor.name;
+    }
+
+    execute(agent, context) {
+        if (!btTracer.active) return this.tick(agent, context);
+
+        const entry = btTracer.enter(this.label);
+        let status;
+        try {
+            status = this.tick(agent, context);
+        } finally {
+            btTracer.exit(entry, status);
+        }
+        return status;
+    }
+
+    /**
+     * Clears this subtree's per-agent memory (used when a parent aborts or restarts it).
+     */
+    reset(agent) {
+        if (this.children) this.children.forEach(child => child.reset(agent));
+        if (this.child) this.child.reset(agent);
+    }
+}
+
 // === COMPOSITE NODES ===
 
 /**
@@ -21,12 +82,13 @@ export const Status = {
  * - If a child fails, it tries the next one.
  * - If all fail, the Selector fails.
  */
-export class Selector {
+export class Selector extends BTNode {
     constructor(children = []) {
+        super();
         this.children = children;
     }
 
-    execute(agent, context) {
+    tick(agent, context) {
         for (const child of this.children) {
             const status = child.execute(agent, context);
             
@@ -45,12 +107,13 @@ export class Selector {
  * - If a child fails, the Sequence fails immediately.
  * - If all succeed, the Sequence succeeds.
  */
-export class Sequence {
+export class Sequence extends BTNode {
     constructor(children = []) {
+        super();
         this.children = children;
     }
 
-    execute(agent, context) {
+    tick(agent, context) {
         for (const child of this.children) {
             const status = child.execute(agent, context);
 
@@ -62,18 +125,138 @@ export class Sequence {
     }
 }
 
+/**
+ * MemorySequence
+ * Like Sequence, but resumes from the child that returned RUNNING on the previous tick
+ * instead of re-checking earlier children.
+ */
+export class MemorySequence extends BTNode {
+    constructor(children = [], { key } = {}) {
+        super();
+        this.children = children;
+        this.key = nodeKey('MemorySequence', key);
+    }
+
+    tick(agent, context) {
+        const start = nodeMemory(agent)[this.key]?.index ?? 0;
+        if (start > 0) btTracer.annotate({ resumeAt: start });
+
+        for (let i = start; i < this.children.length; i++) {
+            const status = this.children[i].execute(agent, context);
+            if (status === Status.RUNNING) {
+                nodeMemory(agent)[this.key] = { index: i };
+                return status;
+            }
+            if (status === Status.FAILURE) {
+                forgetNode(agent, this.key);
+                return status;
+            }
+        }
+        forgetNode(agent, this.key);
+        return Status.SUCCESS;
+    }
+
+    reset(agent) {
+        forgetNode(agent, this.key);
+        super.reset(agent);
+    }
+}
+
+/**
+ * MemorySelector
+ * Like Selector, but resumes from the child that returned RUNNING on the previous tick
+ * instead of re-trying higher-priority children.
+ */
+export class MemorySelector extends BTNode {
+    constructor(children = [], { key } = {}) {
+        super();
+        this.children = children;
+        this.key = nodeKey('MemorySelector', key);
+    }
+
+    tick(agent, context) {
+        const start = nodeMemory(agent)[this.key]?.index ?? 0;
+        if (start > 0) btTracer.annotate({ resumeAt: start });
+
+        for (let i = start; i < this.children.length; i++) {
+            const status = this.children[i].execute(agent, context);
+            if (status === Status.RUNNING) {
+                nodeMemory(agent)[this.key] = { index: i };
+                return status;
+            }
+            if (status === Status.SUCCESS) {
+                forgetNode(agent, this.key);
+                return status;
+            }
+        }
+        forgetNode(agent, this.key);
+        return Status.FAILURE;
+    }
+
+    reset(agent) {
+        forgetNode(agent, this.key);
+        super.reset(agent);
+    }
+}
+
+/**
+ * Parallel
+ * Ticks every child each tick (reactive: finished children are re-evaluated).
+ * Policies are 'all', 'one' or a count N.
+ * - SUCCESS once `success` children succeed; FAILURE once `failure` children fail.
+ * - RUNNING while neither threshold is met and some child is still running.
+ * - FAILURE if nothing is running and the success threshold wasn't reached.
+ */
+export class Parallel extends BTNode {
+    constructor(children = [], { success = 'all', failure = 'one' } = {}) {
+        super();
+        this.children = children;
+        this.successPolicy = success;
+        this.failurePolicy = failure;
+    }
+
+    get label() {
+        return `Parallel(success=${this.successPolicy}, failure=${this.failurePolicy})`;
+    }
+
+    _threshold(policy) {
+        if (policy === 'all') return this.children.length;
+        if (policy === 'one') return 1;
+        return Math.min(Math.max(1, policy), this.children.length);
+    }
+
+    tick(agent, context) {
+        let successes = 0;
+        let failures = 0;
+        for (const child of this.children) {
+            const status = child.execute(agent, context);
+            if (status === Status.SUCCESS) successes++;
+            else if (status === Status.FAILURE) failures++;
+        }
+
+        let status = Status.RUNNING;
+        if (successes >= this._threshold(this.successPolicy)) status = Status.SUCCESS;
+        else if (failures >= this._threshold(this.failurePolicy)) status = Status.FAILURE;
+        else if (successes + failures === this.children.length) status = Status.FAILURE;
+
+        if (status !== Status.RUNNING) this.reset(agent);
+        return status;
+    }
+}
+
 // === DECORATOR NODES ===
 
 /**
  * Inverter
  * Flips Success to Failure and vice-versa. Running stays Running.
  */
-export class Inverter {
+export class Inverter extends BTNode {
     constructor(child) {
+        super();
         this.child = child;
     }
 
-    execute(agent, context) {
+    tick(agent, context) {
         const status = this.child.execute(agent, context);
         if (status === Status.SUCCESS) return Status.FAILURE;
         if (status === Status.FAILURE) return Status.SUCCESS;
@@ -85,20 +268,229 @@ export class Inverter {
  * Chance
  * Randomly executes the child or fails.
  */
-export class Chance {
+export class Chance extends BTNode {
     constructor(probability, child) {
+        super();
         this.probability = probability;
         this.child = child;
     }
 
-    execute(agent, context) {
-        if (Math.random() < this.probability) {
+    get label() {
+        return `Chance(${this.probability})`;
+    }
+
+    tick(agent, context) {
+        const roll = rng.random();
+        btTracer.annotate({ roll: Number(roll.toFixed(4)) });
+        if (roll < this.probability) {
             return this.child.execute(agent, context);
         }
         return Status.FAILURE;
     }
 }
 
+/**
+ * Repeat
+ * Runs the child once per tick until it has succeeded `times` times (Infinity = forever).
+ * RUNNING between iterations; FAILURE as soon as the child fails.
+ */
+export class Repeat extends BTNode {
+    constructor(times, child, { key } = {}) {
+        super();
+        this.times = times;
+        this.child = child;
+        this.key = nodeKey('Repeat', key);
+    }
+
+    get label() {
+        return `Repeat(${this.times})`;
+    }
+
+    tick(agent, context) {
+        const status = this.child.execute(agent, context);
+        if (status === Status.RUNNING) return status;
+        if (status === Status.FAILURE) {
+            this.reset(agent);
+            return status;
+        }
+
+        const count = (nodeMemory(agent)[this.key]?.count ?? 0) + 1;
+        btTracer.annotate({ count });
+        if (count >= this.times) {
+            this.reset(agent);
+            return Status.SUCCESS;
+        }
+        this.child.reset(agent);
+        nodeMemory(agent)[this.key] = { count };
+        return Status.RUNNING;
+    }
+
+    reset(agent) {
+        forgetNode(agent, this.key);
+        super.reset(agent);
+    }
+}
+
+/**
+ * RetryUntilSuccess
+ * Re-runs a failing child on following ticks, up to `maxAttempts` attempts in total.
+ * RUNNING between attempts; FAILURE once the attempts are used up.
+ */
+export class RetryUntilSuccess extends BTNode {
+    constructor(maxAttempts, child, { key } = {}) {
+        super();
+        this.maxAttempts = maxAttempts;
+        this.child = child;
+        this.key = nodeKey('RetryUntilSuccess', key);
+    }
+
+    get label() {
+        return `RetryUntilSuccess(${this.maxAttempts})`;
+    }
+
+    tick(agent, context) {
+        const status = this.child.execute(agent, context);
+        if (status === Status.RUNNING) return status;
+        if (status === Status.SUCCESS) {
+            this.reset(agent);
+            return status;
+        }
+
+        const attempts = (nodeMemory(agent)[this.key]?.attempts ?? 0) + 1;
+        btTracer.annotate({ attempts });
+        if (attempts >= this.maxAttempts) {
+            this.reset(agent);
+            return Status.FAILURE;
+        }
+        this.child.reset(agent);
+        nodeMemory(agent)[this.key] = { attempts };
+        return Status.RUNNING;
+    }
+
+    reset(agent) {
+        forgetNode(agent, this.key);
+        super.reset(agent);
+    }
+}
+
+/**
+ * Cooldown
+ * After the child succeeds, fails without running it for the next `ticks` ticks.
+ * Kept in stateContext.btCooldowns, so the cooldown outlives the current state.
+ */
+export class Cooldown extends BTNode {
+    constructor(ticks, child, { key } = {}) {
+        super();
+        this.ticks = ticks;
+        this.child = child;
+        this.key = nodeKey('Cooldown', key);
+    }
+
+    get label() {
+        return `Cooldown(${this.ticks}, ${this.key})`;
+    }
+
+    tick(agent, context) {
+        const now = currentTick(agent, context);
+        const cooldowns = agent.stateContext?.btCooldowns;
+        const readyAt = cooldowns?.[this.key];
+
+        if (readyAt !== undefined) {
+            if (now < readyAt) {
+                btTracer.annotate({ readyAt });
+                return Status.FAILURE;
+            }
+            delete cooldowns[this.key];
+        }
+
+        const status = this.child.execute(agent, context);
+        if (status === Status.SUCCESS) {
+            agent.stateContext = agent.stateContext || {};
+            agent.stateContext.btCooldowns = agent.stateContext.btCooldowns || {};
+            agent.stateContext.btCooldowns[this.key] = now + this.ticks;
+        }
+        return status;
+    }
+}
+
+/**
+ * Timeout
+ * Fails (and resets the child) once the child has been RUNNING for `ticks` ticks.
+ */
+export class Timeout extends BTNode {
+    constructor(ticks, child, { key } = {}) {
+        super();
+        this.ticks = ticks;
+        this.child = child;
+        this.key = nodeKey('Timeout', key);
+    }
+
+    get label() {
+        return `Timeout(${this.ticks})`;
+    }
+
+    tick(agent, context) {
+        const now = currentTick(agent, context);
+        const startedAt = nodeMemory(agent)[this.key]?.startedAt;
+
+        if (startedAt !== undefined && now - startedAt >= this.ticks) {
+            btTracer.annotate({ timedOut: true, startedAt });
+            this.reset(agent);
+            return Status.FAILURE;
+        }
+
+        const status = this.child.execute(agent, context);
+        if (status === Status.RUNNING) {
+            if (startedAt === undefined) nodeMemory(agent)[this.key] = { startedAt: now };
+        } else {
+            forgetNode(agent, this.key);
+        }
+        return status;
+    }
+
+    reset(agent) {
+        forgetNode(agent, this.key);
+        super.reset(agent);
+    }
+}
+
+/**
+ * Guard
+ * Runs the child only while a blackboard (agent.stateContext) check holds; otherwise
+ * fails and resets the child so an interrupted RUNNING subtree starts fresh next time.
+ * `check` is either a function (blackboard, agent, context) => boolean or a spec:
+ *   { key, equals } | { key, notEquals } | { key, exists: true|false }
+ */
+export class Guard extends BTNode {
+    constructor(check, child) {
+        super();
+        this.check = check;
+        this.child = child;
+        this.test = typeof check === 'function' ? check : Guard.compileSpec(check);
+    }
+
+    static compileSpec({ key, equals, notEquals, exists }) {
+        if (equals !== undefined) return (bb) => bb[key] === equals;
+        if (notEquals !== undefined) return (bb) => bb[key] !== notEquals;
+        const shouldExist = exists !== false;
+        return (bb) => (bb[key] !== undefined && bb[key] !== null && bb[key] !== false) === shouldExist;
+    }
+
+    get label() {
+        if (typeof this.check === 'function') return `Guard(${this.check.name || 'anonymous'})`;
+        const { key, ...rest } = this.check;
+        return `Guard(${key} ${JSON.stringify(rest)})`;
+    }
+
+    tick(agent, context) {
+        if (!this.test(agent.stateContext || {}, agent, context)) {
+            this.child.reset(agent);
+            return Status.FAILURE;
+        }
+        return this.child.execute(agent, context);
+    }
+}
+
 // === LEAF NODES ===
 
 /**
@@ -106,12 +498,17 @@ export class Chance {
  * Checks a boolean function. Returns SUCCESS or FAILURE.
  * Never returns RUNNING.
  */
-export class Condition {
+export class Condition extends BTNode {
     constructor(fn) {
+        super();
         this.fn = fn;
     }
 
-    execute(agent, context) {
+    get label() {
+        return `Condition(${this.fn.name || 'anonymous'})`;
+    }
+
+    tick(agent, context) {
         return this.fn(agent, context) ? Status.SUCCESS : Status.FAILURE;
     }
 }
@@ -123,12 +520,17 @@ export class Condition {
  * - A Status string (SUCCESS, FAILURE, RUNNING)
  * - OR a plain object (for FSM transitions) which implies SUCCESS.
  */
-export class Action {
+export class Action extends BTNode {
     constructor(fn) {
+        super();
         this.fn = fn;
     }
 
-    execute(agent, context) {
+    get label() {
+        return `Action(${this.fn.name || 'anonymous'})`;
+    }
+
+    tick(agent, context) {
         const result = this.fn(agent, context);
         
         // Handle explicit Status return
@@ -141,6 +543,7 @@ export class Action {
         if (result && typeof result === 'object') {
             if (result.nextState) {
                 context.transition = result; // Pass bubble-up data
+                btTracer.annotate({ nextState: result.nextState });
             }
             return Status.SUCCESS;
         }
@@ -1,4 +1,3 @@
-import crypto from 'crypto';
 import { STARTING_MONEY } from '../data/config.js';
 import { FiniteStateMachine } from './fsm.js';
 import { dataLoader, ITEM_CATALOG } from '../data/dataLoader.js';
@@ -13,9 +12,11 @@ import {
   rehydrateActivity as activityRehydrate, 
   updateCurrentActivity as activityUpdate
 } from './agent/agentActivity.js'; 
+import { getTie, recordInteraction } from './agent/agentRelationships.js';
 import { 
   generateRandomName, 
   generateRandomJob, 
+  generateEducation,
   generateInterests, 
   generatePersona, 
   generateAspiration,
@@ -24,6 +25,7 @@ import {
 } from './agentUtilities.js';
 
 import logger from '../logger.js';
+import rng from './rng.js';
 
 // === CONFIGURATION ===
 // Centralized tuning for the Agent core logic
@@ -49,7 +51,6 @@ const AGENT_CONFIG = {
     // Limits & Buffers
     INTENTION_TIMEOUT_TICKS: 96 * 3, // 3 Days (Adjusted for 15m ticks: 96/day * 3)
     HISTORY_BUFFER_SIZE: 40,
-    RELATIONSHIP_HISTORY_SIZE: 50,
     MAX_INTENTION_DEPTH: 5,
     RECENT_ACTIVITY_BUFFER: 5,
     
@@ -67,7 +68,7 @@ const AGENT_CONFIG = {
     },
     
     // Default Relationship
-    DEFAULT_REL_VALUES: { affinity: 0, score: 0, type: 'acquaintance', history: [] },
+    DEFAULT_REL_VALUES: Object.freeze({ affinity: 0, score: 0, type: 'acquaintance', baseType: 'acquaintance', history: Object.freeze([]) }),
 
     // Safe Math Bounds
     MATH: {
@@ -94,9 +95,9 @@ class Agent {
         locationId, isMetasim, persona, homeLocationId, workLocationId, 
         targetLocationId, job, interests, currentActivity, currentActivityName, travelTimer, 
         transitFrom, transitTo, inventory, status_effects, relationships, 
-        skills, aspiration, partnerId, rentFailures, activityStartTick, 
+        skills, education, unemployedSince, ownedBusinessId, aspiration, partnerId, householdId, householdRole, birthDate, chronicStrain, rentFailures, activityStartTick, 
         minActivityDuration, mood, stress, boredom, recentActivities, 
-        beliefs, routines, contextualRoutines, intentionStack, intentionPlan, 
+        beliefs, routines, contextualRoutines, intentionStack, intentionPlan, socialPlans, 
         history, circadianBias, habits, financial, burnout, socialState, rent_cost,
         // [REF] New stateContext property
         stateContext 
@@ -108,17 +109,17 @@ class Agent {
     if (typeof id === 'string' && id.length > 0 && id !== '[object Object]') {
         this.id = id;
     } else {
-        this.id = crypto.randomUUID();
+        this.id = rng.uuid();
     }
 
     this.name = name || (demographics ? generateRandomName(demographics) : `Sim-${this.id.substring(0, 4)}`);
     
     // FIX [P6]: Organic Variance / Jitter
-    this.hunger = hunger ?? Math.floor(Math.random() * 30); 
-    this.social = social ?? Math.floor(Math.random() * 40); 
-    this.boredom = boredom ?? Math.floor(Math.random() * 20); 
-    this.stress = stress ?? Math.floor(Math.random() * 10); 
-    this.energy = energy ?? (70 + Math.floor(Math.random() * 30)); 
+    this.hunger = hunger ?? Math.floor(rng.random() * 30); 
+    this.social = social ?? Math.floor(rng.random() * 40); 
+    this.boredom = boredom ?? Math.floor(rng.random() * 20); 
+    this.stress = stress ?? Math.floor(rng.random() * 10); 
+    this.energy = energy ?? (70 + Math.floor(rng.random() * 30)); 
     
     this._lastTickStress = this.stress;
 
@@ -126,7 +127,8 @@ class Agent {
     this.mood = mood ?? 0; 
     
     this.burnout = burnout ?? 0;
-    this.financial = safeParseComplex(financial, { weeklyExpenses: 400, debts: [] });
+    // savings, creditScore and debts (loans) are kept by the bank on the main thread (engine/bank.js)
+    this.financial = safeParseComplex(financial, { weeklyExpenses: 400, debts: [], savings: 0, creditScore: null });
     this.habits = safeParseComplex(habits, {}); 
 
     this.state = state || 'fsm_idle';
@@ -140,17 +142,32 @@ class Agent {
     this.homeLocationId = homeLocationId;
     this.workLocationId = workLocationId;
 
+    // Household membership is managed on the main thread (see engine/householdRegistry.js)
+    this.householdId = householdId || null;
+    this.householdRole = householdRole || null;
+    // Age and wear (see agent/agentLifecycle.js); set by PopulationManager
+    this.birthDate = birthDate || null;
+    this.chronicStrain = chronicStrain ?? 0;
+
+    // A null home or workplace is deliberate (moved out, between jobs); only brand-new agents
+    // get one here. Dependents don't work.
     if (worldGraph?.findRandomLocationByType && worldGraph.nodes) {
-        if (!this.homeLocationId) this.homeLocationId = worldGraph.findRandomLocationByType('home')?.key;
-        if (!this.workLocationId) this.workLocationId = worldGraph.findRandomLocationByType('office')?.key;
+        if (this.homeLocationId === undefined) this.homeLocationId = worldGraph.findRandomLocationByType('home')?.key;
+        if (this.workLocationId === undefined && this.householdRole !== 'dependent') this.workLocationId = worldGraph.findRandomLocationByType('office')?.key;
     } 
     
     this.locationId = locationId || this.homeLocationId;
     this.targetLocationId = targetLocationId;
     this.rent_cost = rent_cost || 0;
 
+    this.education = education || generateEducation(demographics);
     this.job = safeParseComplex(job, null);
-    if (!this.job && demographics?.jobs) { this.job = generateRandomJob(demographics); } 
+    // Copy: recentEvents is per agent, the demographics entry is shared
+    if (!this.job && demographics?.jobs) { this.job = { ...generateRandomJob(demographics, this.education) }; } 
+    // Tick the agent last lost a job (see engine/jobMarket.js); null while employed
+    this.unemployedSince = unemployedSince ?? null;
+    // Business node this agent owns (see engine/businessManager.js)
+    this.ownedBusinessId = ownedBusinessId ?? null;
     if (this.job && !this.job.recentEvents) this.job.recentEvents = [];
     
     this.isMetasim = isMetasim || false;
@@ -175,6 +192,8 @@ class Agent {
     
     this.intentionStack = safeParseComplex(intentionStack, []) ?? [];
     this.intentionPlan = safeParseComplex(intentionPlan, []) ?? [];
+    // Meetups agreed with friends (see agent/agentSocialPlans.js)
+    this.socialPlans = safeParseComplex(socialPlans, []) ?? [];
     this.partnerId = partnerId || null;
     this.rentFailures = rentFailures ?? 0;
     this.currentActivity = currentActivity || currentActivityName || 'Idling';
@@ -396,31 +415,11 @@ class Agent {
   updateCurrentActivity(newState, hour = 12) { return activityUpdate(this, newState, hour); }
   
   getRelationship(agentId) {
-    if (!(this.relationships ?? {})[agentId]) return AGENT_CONFIG.DEFAULT_REL_VALUES; 
-    const rel = this.relationships[agentId];
-    return { 
-        affinity: rel.affinity ?? 0, 
-        score: rel.score ?? rel.affinity ?? 0,
-        type: rel.type ?? 'acquaintance', 
-        history: rel.history ?? [] 
-    };
+    return getTie(this, agentId) ?? AGENT_CONFIG.DEFAULT_REL_VALUES;
   }
 
   updateRelationship(agentId, affinityAmount, newType = null, historyEvent = null) {
-    let current = this.getRelationship(agentId);
-    const newAffinity = Math.min(100, Math.max(-100, (current.affinity ?? 0) + affinityAmount));
-    let updatedType = newType || current.type;
-    let history = current.history || [];
-    if (historyEvent) {
-        history.push(historyEvent);
-        if (history.length > AGENT_CONFIG.RELATIONSHIP_HISTORY_SIZE) history.shift();
-    }
-    this.relationships[agentId] = { 
-        affinity: newAffinity, 
-        score: newAffinity, 
-        type: updatedType, 
-        history: history 
-    };
+    return recordInteraction(this, agentId, affinityAmount, { type: newType, event: historyEvent });
   }
   
   serialize() {
@@ -433,7 +432,8 @@ class Agent {
       hunger: sanitize(this.hunger) ?? 0, 
       energy: sanitize(this.energy) ?? 100, 
       social: sanitize(this.social) ?? 0,
-      money: Math.round(sanitize(this.money) ?? 0),
+      // To the cent: whole dollars would make and destroy money on every round trip to the workers
+      money: Math.round((sanitize(this.money) ?? 0) * 100) / 100,
       state: sanitize(this.state) || 'fsm_idle', 
       // [REF] Serialize stateContext to DB
       stateContext: this.stateContext,
@@ -449,6 +449,9 @@ class Agent {
       targetLocationId: sanitize(this.targetLocationId),
       // currentGoal: sanitize(activeIntention ? activeIntention.goal : null), // Removed
       job: this.job, 
+      education: sanitize(this.education),
+      unemployedSince: sanitize(this.unemployedSince),
+      ownedBusinessId: sanitize(this.ownedBusinessId),
       interests: this.interests,
       currentActivity: sanitize(this.currentActivity),
       currentActivityName: sanitize(this.currentActivityName) || 'Idling',
@@ -468,6 +471,10 @@ class Agent {
       skills: this.skills,
       aspiration: this.aspiration,
       partnerId: sanitize(this.partnerId),
+      householdId: sanitize(this.householdId),
+      householdRole: sanitize(this.householdRole),
+      birthDate: sanitize(this.birthDate),
+      chronicStrain: sanitize(this.chronicStrain) ?? 0,
       rentFailures: sanitize(this.rentFailures) ?? 0,
       activityStartTick: sanitize(this.activityStartTick) ?? 0,
       minActivityDuration: sanitize(this.minActivityDuration) ?? 0,
@@ -477,6 +484,7 @@ class Agent {
       intentionStack: this.intentionStack,
       beliefs: this.beliefs, 
       intentionPlan: this.intentionPlan,
+      socialPlans: this.socialPlans,
       history: this.history,
       perceivedAgents: this.perceivedAgents,
       perceivedCrowding: (typeof this.perceivedCrowding === 'string') ? this.perceivedCrowding : 'empty',
@@ -2,6 +2,7 @@ import { dataLoader, ACTIVITIES_MAP, ITEM_CATALOG } from '../../data/dataLoader.
 import { hasHobbyItem } from './agentInventory.js';
 // FIX: Change named import to default import to resolve P0 crash
 import worldGraph from '../../data/worldGraph.js';
+import rng from '../rng.js';
 
 const activityCache = new Map();
 
@@ -11,7 +12,7 @@ function setSubLocation(agent, locationType) {
     : [];
   const places = Array.isArray(rawPlaces) ? rawPlaces : []; 
   if (places.length > 0) {
-      agent.subLocation = places[Math.floor(Math.random() * places.length)];
+      agent.subLocation = places[Math.floor(rng.random() * places.length)];
   } else {
       agent.subLocation = null;
   }
@@ -76,12 +77,12 @@ export function updateCurrentActivity(agent, newState, hour = 12) {
     return;
   }
 
-  const chosenActivity = validActivities[Math.floor(Math.random() * validActivities.length)];
+  const chosenActivity = validActivities[Math.floor(rng.random() * validActivities.length)];
   const activityActions = Array.isArray(chosenActivity?.actions) ? chosenActivity.actions : [];
   
   if (activityActions.length > 0) {
     // The base action text must come from the YAML/dataLoader
-    const baseAction = activityActions[Math.floor(Math.random() * activityActions.length)];
+    const baseAction = activityActions[Math.floor(rng.random() * activityActions.length)];
     agent.currentActivity = getColorizedActivityText(baseAction, agent);
     agent.currentActivityName = chosenActivity.name;
 
@@ -0,0 +1,67 @@
+import { GAME_BALANCE } from '../../data/balance.js';
+import worldGraph from '../../data/worldGraph.js';
+import rng, { hashSeed } from '../rng.js';
+
+/**
+ * agent/agentCalendar.js
+ * Whether an agent goes to one of the city's scheduled events (engine/eventCalendar.js).
+ *
+ * The events come with the tick as worldState.calendar.events:
+ *   { key, id, name, startsAt, endsAt, nodes, attendance: { interests, chance, others }, arrivals }
+ * An agent sharing one of the event's interests goes at `chance`, anyone else at `others`. The
+ * decision is a hash of the seed, the event and the agent rather than a draw, so it is the same
+ * every tick and on every worker. Attendees set off in time to get there by the start (at most
+ * MAX_LEAD_TICKS ahead) and move on STAY_TICKS after arriving (arrivals are recorded on the
+ * main thread).
+ */
+
+const { CALENDAR, TRAVEL } = GAME_BALANCE;
+
+export function wantsToAttend(agent, event) {
+    const { interests = [], chance = 0, others = 0 } = event.attendance ?? {};
+    const odds = (agent.interests ?? []).some(i => interests.includes(i)) ? chance : others;
+    return odds > 0 && hashSeed(rng.seed ?? '', 'calendar', event.key, agent.id) / 2 ** 32 < odds;
+}
+
+/**
+ * The event the agent should be at or on the way to this tick, or null.
+ */
+export function getEventToAttend(agent, worldState) {
+    const tick = worldState.currentTick;
+    for (const event of worldState.calendar?.events ?? []) {
+        if (tick < event.startsAt - CALENDAR.MAX_LEAD_TICKS || tick >= event.endsAt) continue;
+        const arrived = event.arrivals?.[agent.id];
+        if (arrived !== undefined && tick - arrived >= CALENDAR.STAY_TICKS) continue;
+        if (!wantsToAttend(agent, event)) continue;
+        if (!event.nodes.includes(agent.locationId)) {
+            const trip = tripTicks(agent, nearestSite(agent, event));
+            if (trip === Infinity || event.startsAt - tick > trip + CALENDAR.EARLY_TICKS) continue;
+        }
+        return event;
+    }
+    return null;
+}
+
+// Ticks the trip takes: each leg's travel time plus the tick spent setting off and the one
+// spent arriving (see fsmStates/CommutingState.js). Infinity if there's no way there.
+function tripTicks(agent, siteKey) {
+    const route = worldGraph.findRoute(agent.locationId, siteKey);
+    if (!route) return Infinity;
+    return route.legs.reduce((sum, leg) => sum + Math.max(1, Math.ceil(leg.time * TRAVEL.TICKS_PER_BASE_TIME)) + 2, 0);
+}
+
+/**
+ * The event's node closest to where the agent is.
+ */
+export function nearestSite(agent, event) {
+    let best = event.nodes[0];
+    let bestDistance = Infinity;
+    for (const key of event.nodes) {
+        const distance = worldGraph.getStraightLineDistance(agent.locationId, key);
+        if (distance < bestDistance) {
+            best = key;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
@@ -0,0 +1,97 @@
+import { GAME_BALANCE } from '../../data/balance.js';
+import worldGraph from '../../data/worldGraph.js';
+import { MINUTES_PER_TICK } from '../../data/config.js';
+
+/**
+ * agent/agentCrime.js
+ * Petty crime from the street: who tries something, where officers walk their beat, and the
+ * fear it leaves behind. Attempts are settled on the main thread (engine/crimeSystem.js).
+ *
+ * A desperate agent (fsmStates/DesperateState.js) may lift something from a store, jump a
+ * subway turnstile or pick a pocket anywhere else. The odds go by the type of place
+ * (CRIME.ATTEMPT_CHANCE), how dark it is, and whether crowd_schedules expects a 'dangerous'
+ * crowd there at this hour. Most would-be offenders give up with an officer on the spot
+ * (worldState.crime.patrols).
+ *
+ * Fear is kept in agent.beliefs.fear as nodeKey -> { level, tick } and fades by the day.
+ */
+
+const { CRIME } = GAME_BALANCE;
+const TICKS_PER_DAY = (60 * 24) / MINUTES_PER_TICK;
+
+// Work location -> nodes on the beat (see beatOf)
+const beats = new Map();
+
+export function isOfficer(agent) {
+    const title = (agent.job?.title || '').toLowerCase();
+    return title.includes('officer') || title.includes('police');
+}
+
+/**
+ * What a desperate agent would try at this node, or null if nothing is worth it there.
+ * @returns {'shoplifting'|'fare_evasion'|'pickpocketing'|null}
+ */
+export function crimeFor(node) {
+    if (!node || !CRIME.ATTEMPT_CHANCE[node.type]) return null;
+    if (node.type === 'store') return worldGraph.isLocationOpen(node) ? 'shoplifting' : null;
+    if (node.type === 'subway') return 'fare_evasion';
+    return 'pickpocketing';
+}
+
+/**
+ * Chance this tick that a desperate agent at `node` tries something.
+ * @param {object} node
+ * @param {object} worldState - For the light level and the officers on patrol.
+ */
+export function crimeOdds(node, worldState) {
+    if (!crimeFor(node)) return 0;
+    const darkness = 1 - (worldState?.environment?.globalLight ?? 1);
+    let odds = CRIME.ATTEMPT_CHANCE[node.type] * (1 + CRIME.DARK_FACTOR * Math.max(0, darkness));
+    if (worldGraph.getExpectedCrowdProfile(node).demographics?.includes('dangerous')) odds *= CRIME.DANGEROUS_FACTOR;
+    if (worldState?.crime?.patrols?.[node.key]) odds *= 1 - CRIME.DETERRENCE;
+    return Math.min(1, odds);
+}
+
+/**
+ * Nodes within CRIME.BEAT_HOPS walk hops of an officer's work location.
+ * @returns {Set<string>}
+ */
+export function beatOf(workKey) {
+    if (beats.has(workKey)) return beats.get(workKey);
+    const beat = new Set([workKey]);
+    let frontier = [workKey];
+    for (let hop = 0; hop < CRIME.BEAT_HOPS; hop++) {
+        const next = [];
+        for (const key of frontier) {
+            for (const edge of worldGraph.edges[key] || []) {
+                if (edge.mode !== 'walk' || beat.has(edge.to)) continue;
+                beat.add(edge.to);
+                next.push(edge.to);
+            }
+        }
+        frontier = next;
+    }
+    beats.set(workKey, beat);
+    return beat;
+}
+
+/**
+ * How afraid the agent is of a place today, 0-1.
+ */
+export function fearOf(agent, nodeKey, tick) {
+    const fear = agent.beliefs?.fear?.[nodeKey];
+    if (!fear) return 0;
+    return Math.max(0, fear.level - CRIME.FEAR_DECAY_PER_DAY * (tick - fear.tick) / TICKS_PER_DAY);
+}
+
+/**
+ * Raises the agent's fear of a place to at least `level`, dropping fears that have faded.
+ */
+export function addFear(agent, nodeKey, level, tick) {
+    if (!agent.beliefs) agent.beliefs = { weather: 'unknown', locationStatus: {}, perceivedAgents: [] };
+    const fears = agent.beliefs.fear ??= {};
+    for (const key of Object.keys(fears)) {
+        if (fearOf(agent, key, tick) <= 0) delete fears[key];
+    }
+    if (level > fearOf(agent, nodeKey, tick)) fears[nodeKey] = { level: Math.min(1, level), tick };
+}
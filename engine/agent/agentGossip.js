@@ -0,0 +1,237 @@
+import { GAME_BALANCE } from '../../data/balance.js';
+import { CULTURE_DATA } from '../../data/dataLoader.js';
+import worldGraph from '../../data/worldGraph.js';
+import rng from '../rng.js';
+import { getTie } from './agentRelationships.js';
+import { addFear } from './agentCrime.js';
+
+/**
+ * agent/agentGossip.js
+ * Facts agents carry around and pass on in conversation ("the bodega on 5th is sold out").
+ *
+ * Each agent keeps what it knows in agent.beliefs.facts, keyed by `${kind}:${subjectId}`:
+ *   { rumorId, kind, subjectId, subjectName, detail, claim: {verb, adjective}, text,
+ *     confidence, hops, distortions, originId, originTick, heardFrom, heardAt }
+ *
+ * A fact starts first-hand (observeFact, confidence 1) and loses confidence with every
+ * retelling, more so when the listener doesn't trust the speaker. Retellings can distort
+ * it: places get mixed up with a nearby one of the same type, stories about people turn
+ * into generic 'rumor's. Believed facts feed the same beliefs perceptionService keeps
+ * (locationStatus, stockStatus), and seeing the truth first-hand overrides them. Word of a
+ * 'crime' makes the place feared (agent/agentCrime.js).
+ *
+ * `rumorId` survives every retelling (distortions included), so 'gossip:spread' events can
+ * be stitched back into a spread trace on the main thread (engine/rumorTracker.js).
+ */
+
+const { GOSSIP, CRIME } = GAME_BALANCE;
+
+export const FACT_KINDS = ['location_closed', 'out_of_stock', 'eviction', 'new_partner', 'local_event', 'crime', 'rumor'];
+const LOCATION_KINDS = new Set(['location_closed', 'out_of_stock', 'local_event', 'crime']);
+
+const pick = (arr) => (arr?.length ? arr[Math.floor(rng.random() * arr.length)] : null);
+
+function getFacts(agent) {
+    if (!agent.beliefs) agent.beliefs = { weather: 'unknown', locationStatus: {}, perceivedAgents: [] };
+    if (!agent.beliefs.facts) agent.beliefs.facts = {};
+    return agent.beliefs.facts;
+}
+
+function renderText(fact) {
+    const template = pick(CULTURE_DATA.gossip_templates) || '{SUBJECT_NAME} {GOSSIP_VERB}.';
+    const fill = (phrase) => String(phrase ?? '').replace('{DETAIL}', fact.detail ?? 'event');
+    return template
+        .replace('{SUBJECT_NAME}', fact.subjectName)
+        .replace('{GOSSIP_VERB}', fill(fact.claim.verb))
+        .replace('{GOSSIP_ADJECTIVE}', fill(fact.claim.adjective));
+}
+
+function applyBelief(agent, fact) {
+    if (fact.confidence < GOSSIP.BELIEVE_AT) return;
+    if (fact.kind === 'location_closed') {
+        agent.beliefs.locationStatus = agent.beliefs.locationStatus || {};
+        agent.beliefs.locationStatus[fact.subjectId] = 'closed';
+    } else if (fact.kind === 'out_of_stock') {
+        agent.beliefs.stockStatus = agent.beliefs.stockStatus || {};
+        agent.beliefs.stockStatus[fact.subjectId] = 'out';
+    } else if (fact.kind === 'crime') {
+        addFear(agent, fact.subjectId, CRIME.FEAR_WITNESS * fact.confidence, fact.heardAt);
+    }
+}
+
+function storeFact(agent, fact) {
+    const facts = getFacts(agent);
+    facts[`${fact.kind}:${fact.subjectId}`] = fact;
+    applyBelief(agent, fact);
+
+    const keys = Object.keys(facts);
+    if (keys.length <= GOSSIP.MAX_FACTS) return;
+    keys.sort((a, b) => (facts[a].confidence - facts[b].confidence) || (facts[a].heardAt - facts[b].heardAt));
+    for (const key of keys.slice(0, keys.length - GOSSIP.MAX_FACTS)) delete facts[key];
+}
+
+function emitSpread(eventBus, fact, to, tick, distorted) {
+    eventBus?.queue('gossip:spread', 'low', {
+        rumorId: fact.rumorId,
+        kind: fact.kind,
+        subjectId: fact.subjectId,
+        subjectName: fact.subjectName,
+        originTick: fact.originTick,
+        from: fact.heardFrom,
+        to,
+        tick,
+        hops: fact.hops,
+        confidence: fact.confidence,
+        distorted,
+        text: fact.text,
+    });
+}
+
+/**
+ * Records something the agent saw or lived through. Re-observing a known first-hand fact
+ * just refreshes it; a first-hand sighting replaces any hearsay about the same thing.
+ * @param {object} agent
+ * @param {string} kind - One of FACT_KINDS.
+ * @param {{id: string, name: string}} subject - The place or person the fact is about.
+ * @param {number} tick
+ * @param {{detail?: string, eventBus?: object}} [opts]
+ * @returns {object|null} The new fact, or null if it was already known first-hand.
+ */
+export function observeFact(agent, kind, subject, tick, { detail = null, eventBus = null } = {}) {
+    if (!subject?.id) return null;
+    const known = getFacts(agent)[`${kind}:${subject.id}`];
+    if (known && known.hops === 0) {
+        known.heardAt = tick;
+        return null;
+    }
+
+    const claim = CULTURE_DATA.gossip_facts?.[kind] ?? { verb: kind.replace(/_/g, ' '), adjective: kind.replace(/_/g, ' ') };
+    const fact = {
+        rumorId: `${kind}:${subject.id}:${tick}:${agent.id}`,
+        kind,
+        subjectId: subject.id,
+        subjectName: subject.name || subject.id,
+        detail,
+        claim: { ...claim },
+        confidence: 1,
+        hops: 0,
+        distortions: 0,
+        originId: agent.id,
+        originTick: tick,
+        heardFrom: null,
+        heardAt: tick,
+    };
+    fact.text = renderText(fact);
+    storeFact(agent, fact);
+    emitSpread(eventBus, fact, agent.id, tick, false);
+    return fact;
+}
+
+/**
+ * Drops a fact the agent has just seen to be false (e.g. the "closed" bar is open).
+ */
+export function forgetFact(agent, kind, subjectId) {
+    const facts = agent.beliefs?.facts;
+    if (facts) delete facts[`${kind}:${subjectId}`];
+}
+
+export function getFact(agent, kind, subjectId) {
+    return agent.beliefs?.facts?.[`${kind}:${subjectId}`] ?? null;
+}
+
+export function forgetStaleFacts(agent, tick) {
+    const facts = agent.beliefs?.facts;
+    if (!facts) return;
+    for (const [key, fact] of Object.entries(facts)) {
+        if (tick - fact.heardAt > GOSSIP.FORGET_TICKS) delete facts[key];
+    }
+}
+
+/**
+ * 0..1 from the listener's own tie to the speaker; strangers sit at 0.5.
+ */
+function trustIn(listener, speakerId) {
+    const affinity = getTie(listener, speakerId)?.affinity ?? 0;
+    return Math.min(1, Math.max(0, (affinity + 100) / 200));
+}
+
+/**
+ * Mutates a retold fact in place. Returns false if there was nothing to mix it up with.
+ */
+function distort(fact) {
+    if (LOCATION_KINDS.has(fact.kind)) {
+        const type = worldGraph.nodes[fact.subjectId]?.type;
+        const neighbor = type ? pick(worldGraph.findKNearest(fact.subjectId, n => n.type === type, 3)) : null;
+        if (!neighbor) return false;
+        fact.subjectId = neighbor.key;
+        fact.subjectName = neighbor.name || neighbor.key;
+        return true;
+    }
+    const verb = pick(CULTURE_DATA.gossip_verbs);
+    const adjective = pick(CULTURE_DATA.gossip_adjectives);
+    if (!verb || !adjective) return false;
+    fact.kind = 'rumor';
+    fact.claim = { verb, adjective };
+    return true;
+}
+
+function pickFactToHear(listener, speaker) {
+    const own = listener.beliefs?.facts ?? {};
+    const heldRumors = new Set(Object.values(own).map(f => f.rumorId));
+    const candidates = Object.values(speaker.beliefs?.facts ?? {}).filter(f =>
+        f.confidence >= GOSSIP.BELIEVE_AT &&
+        f.subjectId !== listener.id &&      // Not to their face
+        f.heardFrom !== listener.id &&
+        !heldRumors.has(f.rumorId)
+    );
+    if (candidates.length === 0) return null;
+
+    const total = candidates.reduce((sum, f) => sum + f.confidence, 0);
+    let roll = rng.random() * total;
+    for (const fact of candidates) {
+        roll -= fact.confidence;
+        if (roll <= 0) return fact;
+    }
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * One tick of a face-to-face conversation: the listener may pick up one of the speaker's
+ * facts. Only the listener is modified, so both sides can call this from their own tick.
+ * @returns {object|null} The fact as the listener now holds it.
+ */
+export function hearGossip(listener, speaker, tick, eventBus = null) {
+    if (rng.random() >= GOSSIP.SHARE_CHANCE) return null;
+    forgetStaleFacts(listener, tick);
+
+    const told = pickFactToHear(listener, speaker);
+    if (!told) return null;
+
+    const trust = trustIn(listener, speaker.id);
+    const heard = {
+        ...told,
+        claim: { ...told.claim },
+        hops: told.hops + 1,
+        heardFrom: speaker.id,
+        heardAt: tick,
+        confidence: told.confidence * GOSSIP.HOP_DECAY * (GOSSIP.TRUST_FLOOR + (1 - GOSSIP.TRUST_FLOOR) * trust),
+    };
+    const distorted = rng.random() < GOSSIP.DISTORT_CHANCE && distort(heard);
+    if (distorted) heard.distortions++;
+    heard.text = renderText(heard);
+
+    // Same story from a second source: corroborates what we had instead of replacing it
+    const existing = getFact(listener, heard.kind, heard.subjectId);
+    if (existing?.hops === 0) {
+        emitSpread(eventBus, heard, listener.id, tick, distorted);
+        return existing;
+    }
+    if (existing) {
+        heard.confidence = 1 - (1 - existing.confidence) * (1 - heard.confidence);
+    }
+    heard.confidence = Math.min(GOSSIP.MAX_HEARSAY_CONFIDENCE, heard.confidence);
+
+    storeFact(listener, heard);
+    emitSpread(eventBus, heard, listener.id, tick, distorted);
+    return heard;
+}
@@ -0,0 +1,73 @@
+import { GAME_BALANCE } from '../../data/balance.js';
+import rng from '../rng.js';
+
+/**
+ * agent/agentLifecycle.js
+ * Age and wear for the population model (engine/populationManager.js).
+ *
+ * Agents carry a `birthDate` ('YYYY-MM-DD', in world time) and a `chronicStrain` (0..1), a slow
+ * running average of how stressed, hungry and burned out they have been day to day. Mortality
+ * follows a Gompertz curve over age, scaled up by that strain.
+ */
+
+const { POPULATION } = GAME_BALANCE;
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Whole years between the agent's birthDate and `worldTime`, or null if unknown.
+ */
+export function ageOf(agent, worldTime) {
+    if (!agent.birthDate) return null;
+    const born = new Date(`${agent.birthDate}T00:00:00`);
+    let age = worldTime.getFullYear() - born.getFullYear();
+    if (worldTime.getMonth() < born.getMonth() ||
+        (worldTime.getMonth() === born.getMonth() && worldTime.getDate() < born.getDate())) {
+        age--;
+    }
+    return Math.max(0, age);
+}
+
+/**
+ * A birthDate making the agent between minAge and maxAge (inclusive) on `worldTime`.
+ */
+export function randomBirthDate(worldTime, minAge, maxAge) {
+    const ageMs = (minAge + rng.random() * (maxAge - minAge + 1)) * MS_PER_YEAR;
+    return toDateString(new Date(worldTime.getTime() - ageMs));
+}
+
+export function birthDateToday(worldTime) {
+    return toDateString(worldTime);
+}
+
+/**
+ * True on the agent's birthday (the day their age ticks over).
+ */
+export function isBirthday(agent, worldTime) {
+    if (!agent.birthDate) return false;
+    const [, month, day] = agent.birthDate.split('-').map(Number);
+    return worldTime.getMonth() + 1 === month && worldTime.getDate() === day;
+}
+
+/**
+ * Folds today's stress, hunger and burnout into the running strain. Call once per day.
+ * @returns {number} The new chronicStrain.
+ */
+export function updateChronicStrain(agent) {
+    const w = POPULATION.STRAIN_WEIGHTS;
+    const today = ((agent.stress ?? 0) * w.stress + (agent.hunger ?? 0) * w.hunger + (agent.burnout ?? 0) * w.burnout) / 100;
+    const previous = agent.chronicStrain ?? today;
+    agent.chronicStrain = previous + (today - previous) * POPULATION.STRAIN_SMOOTHING;
+    return agent.chronicStrain;
+}
+
+/**
+ * Chance the agent dies today.
+ */
+export function dailyMortality(agent, age) {
+    const annual = POPULATION.MORTALITY_BASE * Math.exp(POPULATION.MORTALITY_GROWTH * age);
+    const strain = agent.chronicStrain ?? 0;
+    const risk = annual * (1 + POPULATION.STRAIN_MORTALITY * strain * strain);
+    return Math.min(1, risk) / 365;
+}
@@ -0,0 +1,164 @@
+import { GAME_BALANCE } from '../../data/balance.js';
+
+/**
+ * agent/agentRelationships.js
+ * Typed ties between agents, stored per agent in agent.relationships[otherId]:
+ *   { type, baseType, affinity, score, history, since, lastContact }
+ *
+ * Ties are directed: each side keeps its own copy, so A can count B as a friend while B
+ * still sees A as a coworker. `baseType` is the structural link the tie started from
+ * (family, coworker, neighbor, acquaintance); `type` is what it has grown into (friend,
+ * romantic, rival) and falls back to `baseType` when affinity drops again.
+ *
+ * Pure functions over the agent object, so they run the same in workers and on the main
+ * thread. Cross-population queries live in engine/relationshipGraph.js.
+ */
+
+const { RELATIONSHIPS } = GAME_BALANCE;
+
+export const TIE_TYPES = ['family', 'friend', 'romantic', 'coworker', 'neighbor', 'rival', 'acquaintance'];
+const BASE_TYPES = new Set(['family', 'coworker', 'neighbor', 'acquaintance']);
+
+// Pre-typed saves used these names
+const LEGACY_TYPES = {
+    roommate: 'neighbor',
+    romantic_partner: 'romantic',
+    stranger: 'acquaintance',
+};
+
+export function normalizeType(type) {
+    const mapped = LEGACY_TYPES[type] ?? type;
+    return TIE_TYPES.includes(mapped) ? mapped : 'acquaintance';
+}
+
+/**
+ * Fills in missing fields on a stored (possibly legacy) tie. Returns a new object.
+ */
+export function normalizeTie(raw = {}) {
+    const type = normalizeType(raw.type);
+    const affinity = raw.affinity ?? raw.score ?? 0;
+    return {
+        type,
+        baseType: BASE_TYPES.has(raw.baseType) ? raw.baseType : (BASE_TYPES.has(type) ? type : 'acquaintance'),
+        affinity,
+        score: affinity,
+        history: Array.isArray(raw.history) ? raw.history : [],
+        since: raw.since ?? null,
+        lastContact: raw.lastContact ?? raw.since ?? null,
+    };
+}
+
+export function createTie(type, affinity, tick = null) {
+    return normalizeTie({ type, baseType: type, affinity, since: tick, lastContact: tick });
+}
+
+export function getTie(agent, otherId) {
+    const raw = agent.relationships?.[otherId];
+    return raw ? normalizeTie(raw) : null;
+}
+
+/**
+ * Re-derives the tie type from its affinity. Family never changes; everything else can
+ * grow into a friendship, sour into a rivalry, or fall back to its base type.
+ */
+function evolveType(tie, event) {
+    if (tie.type === 'family') return;
+    const { affinity } = tie;
+
+    if (affinity <= RELATIONSHIPS.RIVAL_AT) {
+        tie.type = 'rival';
+        return;
+    }
+    if (tie.type === 'rival') {
+        if (affinity > RELATIONSHIPS.RIVAL_DROP) tie.type = tie.baseType;
+        return;
+    }
+    if (tie.type === 'romantic' || tie.type === 'friend') {
+        if (affinity < RELATIONSHIPS.FRIEND_DROP) {
+            tie.type = tie.baseType;
+            return;
+        }
+    } else if (affinity >= RELATIONSHIPS.FRIEND_AT) {
+        tie.type = 'friend';
+    }
+    if (tie.type === 'friend' && affinity >= RELATIONSHIPS.ROMANCE_AT &&
+        RELATIONSHIPS.ROMANCE_EVENTS.includes(event?.type)) {
+        tie.type = 'romantic';
+    }
+}
+
+/**
+ * Applies an interaction to this agent's side of the tie, creating it if needed.
+ * @param {object} agent
+ * @param {string} otherId
+ * @param {number} affinityAmount - Added to affinity (clamped to -100..100).
+ * @param {object} [opts]
+ * @param {string|null} [opts.type] - Forces the tie type (a base type also resets baseType).
+ * @param {{type: string, description: string, tick: number}|null} [opts.event] - Appended to the bounded history.
+ * @returns {object} The updated tie.
+ */
+export function recordInteraction(agent, otherId, affinityAmount, { type = null, event = null } = {}) {
+    if (!agent.relationships) agent.relationships = {};
+    const tie = getTie(agent, otherId) ?? createTie('acquaintance', 0, event?.tick ?? null);
+
+    tie.affinity = Math.min(100, Math.max(-100, tie.affinity + affinityAmount));
+    tie.score = tie.affinity;
+
+    if (event) {
+        tie.history = [...tie.history, event].slice(-RELATIONSHIPS.HISTORY_SIZE);
+        if (event.tick !== undefined && event.tick !== null) {
+            tie.lastContact = event.tick;
+            tie.since ??= event.tick;
+        }
+    }
+
+    if (type) {
+        tie.type = normalizeType(type);
+        if (BASE_TYPES.has(tie.type)) tie.baseType = tie.type;
+    } else {
+        evolveType(tie, event);
+    }
+
+    agent.relationships[otherId] = tie;
+    return tie;
+}
+
+/**
+ * Drifts a tie's affinity toward 0 once it has gone DECAY_GRACE_TICKS without contact.
+ * @returns {boolean} True if the tie changed.
+ */
+export function decayTie(tie, tick, days = 1) {
+    const lastContact = tie.lastContact ?? tie.since;
+    if (lastContact === null || lastContact === undefined) {
+        // Seeded before ticks were tracked: start the clock now
+        tie.lastContact = tick;
+        return true;
+    }
+    if (tick - lastContact < RELATIONSHIPS.DECAY_GRACE_TICKS || tie.affinity === 0) return false;
+
+    const rate = RELATIONSHIPS.DECAY_PER_DAY * (RELATIONSHIPS.DECAY_MULTIPLIERS[tie.type] ?? 1) * days;
+    tie.affinity = tie.affinity > 0 ? Math.max(0, tie.affinity - rate) : Math.min(0, tie.affinity + rate);
+    tie.score = tie.affinity;
+    evolveType(tie, null);
+    return true;
+}
+
+/**
+ * Decays every tie the agent holds and forgets acquaintances that have faded out.
+ * @returns {number} Number of ties changed or dropped.
+ */
+export function decayRelationships(agent, tick, days = 1) {
+    let changed = 0;
+    for (const [otherId, raw] of Object.entries(agent.relationships ?? {})) {
+        const tie = normalizeTie(raw);
+        if (!decayTie(tie, tick, days)) continue;
+        changed++;
+        const faded = tick - tie.lastContact >= RELATIONSHIPS.DECAY_GRACE_TICKS;
+        if (faded && tie.type === 'acquaintance' && Math.abs(tie.affinity) < RELATIONSHIPS.FORGET_BELOW) {
+            delete agent.relationships[otherId];
+        } else {
+            agent.relationships[otherId] = tie;
+        }
+    }
+    return changed;
+}
@@ -0,0 +1,99 @@
+import { GAME_BALANCE } from '../../data/balance.js';
+
+/**
+ * agent/agentSocialPlans.js
+ * Meetups friends agree on during a conversation ("meet at bar X Friday 8pm").
+ *
+ * Each side keeps its own copy in agent.socialPlans:
+ *   { id, partnerId, partnerName, locationId, locationName, tick, when, attended, metPartner }
+ * socialService proposes them, the FSM sends the agent to the venue once one is due, and
+ * updateMeetups() resolves them as kept or missed, feeding the outcome into the relationship
+ * history.
+ */
+
+const { SOCIAL_PLANS } = GAME_BALANCE;
+
+export function addMeetup(agent, meetup) {
+    if (!Array.isArray(agent.socialPlans)) agent.socialPlans = [];
+    agent.socialPlans.push({ ...meetup, attended: false, metPartner: false });
+}
+
+export function hasMeetupWith(agent, partnerId) {
+    return (agent.socialPlans ?? []).some(m => m.partnerId === partnerId);
+}
+
+export function countPendingMeetups(agent) {
+    return (agent.socialPlans ?? []).length;
+}
+
+/**
+ * The earliest meetup whose window (LEAD_TICKS before to WINDOW_TICKS after) covers `tick`.
+ */
+export function getDueMeetup(agent, tick) {
+    let due = null;
+    for (const meetup of agent.socialPlans ?? []) {
+        if (tick < meetup.tick - SOCIAL_PLANS.LEAD_TICKS || tick > meetup.tick + SOCIAL_PLANS.WINDOW_TICKS) continue;
+        if (!due || meetup.tick < due.tick) due = meetup;
+    }
+    return due;
+}
+
+/**
+ * A due meetup at the agent's current location whose partner hasn't turned up yet.
+ */
+export function getAwaitedMeetup(agent, tick) {
+    const meetup = getDueMeetup(agent, tick);
+    return (meetup && meetup.locationId === agent.locationId && !meetup.metPartner) ? meetup : null;
+}
+
+/**
+ * Records attendance for due meetups and resolves the ones whose window has closed.
+ * Presence comes from last tick's locationSocialContext, which spans every worker.
+ * @returns {Array<{meetup: object, outcome: 'kept'|'missed'}>} Meetups resolved this tick.
+ */
+export function updateMeetups(agent, tick, locationSocialContext, eventBus) {
+    if (!agent.socialPlans?.length) return [];
+
+    const resolved = [];
+    agent.socialPlans = agent.socialPlans.filter(meetup => {
+        if (tick > meetup.tick + SOCIAL_PLANS.WINDOW_TICKS) {
+            resolved.push({ meetup, outcome: resolveMeetup(agent, meetup, tick, eventBus) });
+            return false;
+        }
+        if (agent.locationId === meetup.locationId && getDueMeetup(agent, tick) === meetup) {
+            meetup.attended = true;
+            const here = locationSocialContext?.get?.(meetup.locationId) || [];
+            if (here.some(a => a.id === meetup.partnerId)) meetup.metPartner = true;
+        }
+        return true;
+    });
+    return resolved;
+}
+
+function resolveMeetup(agent, meetup, tick, eventBus) {
+    const place = meetup.locationName || meetup.locationId;
+    let outcome, affinity, description;
+
+    if (meetup.metPartner) {
+        outcome = 'kept';
+        affinity = SOCIAL_PLANS.KEPT_AFFINITY;
+        description = `Met up with ${meetup.partnerName} at ${place} like we planned.`;
+    } else if (meetup.attended) {
+        outcome = 'missed';
+        affinity = SOCIAL_PLANS.STOOD_UP_AFFINITY;
+        description = `Waited at ${place} for ${meetup.partnerName}. They never showed.`;
+    } else {
+        outcome = 'missed';
+        affinity = SOCIAL_PLANS.NO_SHOW_AFFINITY;
+        description = `Never made it to ${place} to meet ${meetup.partnerName}.`;
+    }
+
+    agent.updateRelationship?.(meetup.partnerId, affinity, null, {
+        type: outcome === 'kept' ? 'MEETUP_KEPT' : 'MEETUP_MISSED',
+        description,
+        tick,
+        affinity,
+    });
+    eventBus?.queue('db:writeMemory', 'low', agent.id, tick, description);
+    return outcome;
+}
@@ -1,5 +1,7 @@
 import crypto from 'crypto';
 import { GAME_BALANCE } from '../data/balance.js'; 
+import rng from './rng.js';
+import { createTie } from './agent/agentRelationships.js';
 
 const UTILITIES_CONFIG = {
     // Work Defaults
@@ -14,6 +16,10 @@ const UTILITIES_CONFIG = {
     RELATIONSHIP: {
         ROOMMATE_MIN: 30,
         ROOMMATE_MAX: 70,
+        FAMILY_MIN: 50,
+        FAMILY_MAX: 90,
+        PARTNER_MIN: 75,
+        PARTNER_MAX: 100,
         COWORKER_MIN: 30,
         COWORKER_MAX: 60,
         STRANGER_MIN: -10,
@@ -41,7 +47,7 @@ export function coerceObject(value, defaultValue) {
 // --- Time & Context Helpers ---
 export function isAgentWorkShift(agent, hour) {
     if (!agent || hour === undefined || hour === null) return false;
-    if (!agent.workLocationId) return false;
+    if (!agent.workLocationId || agent.householdRole === 'dependent') return false;
     
     hour = Math.max(0, Math.min(23, Math.floor(hour)));
     const start = agent.workStartHour ?? UTILITIES_CONFIG.DEFAULT_WORK_START;
@@ -63,27 +69,64 @@ export function isVenueClosingSoon(hour) {
     return hour >= UTILITIES_CONFIG.VENUE_CLOSE_START && hour < UTILITIES_CONFIG.VENUE_CLOSE_END;
 }
 
+// Down with the catching illness (engine/healthSystem.js)
+export function isAgentSick(agent) {
+    return !!agent?.status_effects?.some(e => e.type === 'SICK');
+}
+
 // --- Initialization & Generation Helpers ---
 export function generateRandomName(demographics) {
   const firstNames = demographics?.first_names || ['John'];
   const lastNames = demographics?.last_names || ['Doe'];
-  const first = firstNames[Math.floor(Math.random() * firstNames.length)];
-  const last = lastNames[Math.floor(Math.random() * lastNames.length)];
+  const first = firstNames[Math.floor(rng.random() * firstNames.length)];
+  const last = lastNames[Math.floor(rng.random() * lastNames.length)];
   return `${first} ${last}`;
 }
 
-export function generateRandomJob(demographics) {
-  const jobs = demographics?.jobs || [{ title: 'Unemployed', salary: 0, hours: [9, 17] }];
-  return jobs[Math.floor(Math.random() * jobs.length)];
+export function generateRandomJob(demographics, education = null) {
+  const allJobs = demographics?.jobs || [{ title: 'Unemployed', salary: 0, hours: [9, 17] }];
+  const eligible = education ? allJobs.filter(j => meetsEducation(education, j.education_req, demographics)) : allJobs;
+  const jobs = eligible.length > 0 ? eligible : allJobs;
+  return jobs[Math.floor(rng.random() * jobs.length)];
+}
+
+export function generateEducation(demographics) {
+  const levels = demographics?.education_levels;
+  if (!levels || levels.length === 0) return 'High School';
+  const total = levels.reduce((sum, l) => sum + (l.weight ?? 0), 0);
+  let roll = rng.random() * total;
+  for (const l of levels) {
+    roll -= l.weight ?? 0;
+    if (roll <= 0) return l.level;
+  }
+  return levels[levels.length - 1].level;
+}
+
+/**
+ * True if `education` is at least `requirement`. Levels rank in the order
+ * demographics.yaml lists them; an unknown requirement is no requirement.
+ */
+export function meetsEducation(education, requirement, demographics) {
+  if (!requirement) return true;
+  const levels = (demographics?.education_levels || []).map(l => l.level);
+  const required = levels.indexOf(requirement);
+  if (required === -1) return true;
+  return levels.indexOf(education) >= required;
+}
+
+// Adults with no job; dependents aren't part of the workforce
+export function isUnemployed(agent) {
+  if (!agent || agent.householdRole === 'dependent') return false;
+  return !agent.workLocationId || !agent.job?.title || agent.job.title === 'Unemployed';
 }
 
 export function generateInterests(demographics) {
   const interestsList = demographics?.interests;
   if (!interestsList || interestsList.length === 0) return ['reading', 'movies'];
   const interests = new Set();
-  const numInterests = Math.floor(Math.random() * 3) + 2;
+  const numInterests = Math.floor(rng.random() * 3) + 2;
   while (interests.size < numInterests && interests.size < (interestsList ?? []).length) {
-    const interest = interestsList[Math.floor(Math.random() * interestsList.length)];
+    const interest = interestsList[Math.floor(rng.random() * interestsList.length)];
     interests.add(interest);
   }
   return Array.from(interests);
@@ -99,14 +142,14 @@ const ARCHETYPES = [
 ];
 
 export function generatePersona() {
-  const base = ARCHETYPES[Math.floor(Math.random() * ARCHETYPES.length)];
-  const fuzz = () => (Math.random() * 0.2) - 0.1;
+  const base = ARCHETYPES[Math.floor(rng.random() * ARCHETYPES.length)];
+  const fuzz = () => (rng.random() * 0.2) - 0.1;
   
   return {
     extroversion: Math.max(0, Math.min(1, base.e + fuzz())),
     conscientiousness: Math.max(0, Math.min(1, base.c + fuzz())),
     stressProneness: Math.max(0, Math.min(1, base.s + fuzz())),
-    openness: Math.random() 
+    openness: rng.random() 
   };
 }
 
@@ -125,44 +168,55 @@ export function seedInitialRelationships(agent, allAgentIds) {
         }
     }
 
+    const tick = agent.matrix.tickCount ?? 0;
     const addRel = (id, type, minAffinity, maxAffinity) => {
         if (id !== agent.id && !relationships[id]) {
-            const affinity = Math.floor(Math.random() * (maxAffinity - minAffinity)) + minAffinity;
-            // FIX: Initialize with 'score' matching affinity so sorts work
-            relationships[id] = { affinity: affinity, score: affinity, type: type, history: [] };
+            const affinity = Math.floor(rng.random() * (maxAffinity - minAffinity)) + minAffinity;
+            relationships[id] = createTie(type, affinity, tick);
             return true;
         }
         return false;
     };
+    const surname = (name) => String(name ?? '').split(' ').slice(1).join(' ');
 
     let relationshipsCreated = 0;
     const R = UTILITIES_CONFIG.RELATIONSHIP;
     
-    // 1. Roommates (Auto-detect)
+    // 0. Partner (seeded by HouseholdRegistry.seed)
+    if (agent.partnerId && addRel(agent.partnerId, 'romantic', R.PARTNER_MIN, R.PARTNER_MAX)) {
+        relationshipsCreated++;
+    }
+
+    // 1. Housemates (Auto-detect): same surname is family, anyone else a neighbor
     if (agent.homeLocationId) {
-        const roommates = allAgentIds.filter(id => {
+        const housemates = allAgentIds.filter(id => {
              if (id === agent.id) return false;
              const other = agent.matrix.cacheManager.getAgent(id);
              return other && other.homeLocationId === agent.homeLocationId;
         });
         
-        for (const roommateId of roommates) {
-            addRel(roommateId, 'roommate', R.ROOMMATE_MIN, R.ROOMMATE_MAX);
+        for (const housemateId of housemates) {
+            const other = agent.matrix.cacheManager.getAgent(housemateId);
+            if (surname(other.name) && surname(other.name) === surname(agent.name)) {
+                addRel(housemateId, 'family', R.FAMILY_MIN, R.FAMILY_MAX);
+            } else {
+                addRel(housemateId, 'neighbor', R.ROOMMATE_MIN, R.ROOMMATE_MAX);
+            }
             relationshipsCreated++;
         }
     }
 
-    // 2. Coworkers (Auto-detect)
-    if (agent.job && agent.job.title && agent.job.title !== 'Unemployed') {
+    // 2. Coworkers (Auto-detect): people sharing the agent's workplace
+    if (agent.workLocationId && agent.job && agent.job.title && agent.job.title !== 'Unemployed') {
+        const coworkers = allAgentIds.filter(id => {
+             if (id === agent.id) return false;
+             const other = agent.matrix.cacheManager.getAgent(id);
+             return other && other.workLocationId === agent.workLocationId;
+        });
         let attempts = 0;
-        while (relationshipsCreated < 3 && attempts < 50) {
-            const randomId = allAgentIds[Math.floor(Math.random() * allAgentIds.length)];
-            const otherAgent = agent.matrix.cacheManager.getAgent(randomId);
-            
-            if (otherAgent && otherAgent.id !== agent.id && otherAgent.job && otherAgent.job.title === agent.job.title) {
-                addRel(randomId, 'acquaintance', R.COWORKER_MIN, R.COWORKER_MAX); 
-                relationshipsCreated++;
-            }
+        while (relationshipsCreated < 3 && coworkers.length > 0 && attempts < 50) {
+            const randomId = coworkers[Math.floor(rng.random() * coworkers.length)];
+            if (addRel(randomId, 'coworker', R.COWORKER_MIN, R.COWORKER_MAX)) relationshipsCreated++;
             attempts++;
         }
     }
@@ -170,8 +224,8 @@ export function seedInitialRelationships(agent, allAgentIds) {
     // 3. Randoms
     let attempts = 0;
     while (relationshipsCreated < R.TARGET_COUNT && attempts < 50) {
-        const randomId = allAgentIds[Math.floor(Math.random() * allAgentIds.length)];
-        if (addRel(randomId, 'stranger', R.STRANGER_MIN, R.STRANGER_MAX)) {
+        const randomId = allAgentIds[Math.floor(rng.random() * allAgentIds.length)];
+        if (addRel(randomId, 'acquaintance', R.STRANGER_MIN, R.STRANGER_MAX)) {
             relationshipsCreated++;
         }
         attempts++;
@@ -182,7 +236,7 @@ export function seedInitialRelationships(agent, allAgentIds) {
 
 export function generateAspiration(agent) {
   const p = agent.persona || {};
-  const rand = Math.random();
+  const rand = rng.random();
   const A = UTILITIES_CONFIG.ASPIRATION;
   
   if (p.extroversion > 0.7) {
@@ -196,7 +250,7 @@ export function generateAspiration(agent) {
 
   if ((p.openness || 0.5) > 0.6) {
       const skills = (agent.interests ?? []).length > 0 ? agent.interests : ['programming', 'art'];
-      const skillToMaster = skills[Math.floor(Math.random() * skills.length)];
+      const skillToMaster = skills[Math.floor(rng.random() * skills.length)];
       return { type: 'MASTER_SKILL', skill: skillToMaster, target: A.SKILL_TARGET };
   }
 
@@ -0,0 +1,390 @@
+/**
+ * bank.js
+ * The city's bank: savings accounts, loans, late fees and credit scores.
+ *
+ * Accounts live on agent.financial ({ savings, creditScore, debts: [loan] }), which the main
+ * thread owns; workers only read it. runDaily, on the main thread after the business books
+ * close, sweeps each adult's cash above a buffer (CASH_BUFFER_WEEKS of weeklyExpenses plus a
+ * month's rent) into savings, tops the buffer back up from savings when it runs low, collects
+ * weekly loan payments and, on the 1st, pays interest on savings.
+ *
+ * Loans are amortized over LOAN_TERM_WEEKS at a rate set by the borrower's credit score. A
+ * payment that can't be covered from cash and savings is missed: a LATE_FEE goes on the balance
+ * and the score drops, and after DEFAULT_MISSED_PAYMENTS in a row the loan is written off.
+ * Desperate agents apply for loans from their worker (fsmStates/DesperateState.js) with a
+ * 'bank:loanApplication' event; lease signings draw on savings with 'bank:withdraw'. Landlords
+ * check the score too (leaseTerms, used by fsmStates/AcquireHousingState.js), and a missed rent
+ * payment costs points.
+ *
+ * Every movement in an account is posted to the bank's books: the latest LEDGER_ENTRIES in
+ * memory, running totals per kind in worldState.bank. audit() checks the totals against what
+ * agents actually hold and owe. Cash crossing the counter (deposits, withdrawals, loans paid out
+ * and repayments) moves between the agent and the 'bank' account of the city's money ledger
+ * (engine/moneyLedger.js); interest, fees and write-offs only change what is owed.
+ */
+import { GAME_BALANCE } from '../data/balance.js';
+import { MINUTES_PER_TICK } from '../data/config.js';
+import { isUnemployed } from './agentUtilities.js';
+import { BANK_ACCOUNT, EXTERNAL, agentAccount } from './moneyLedger.js';
+
+const { BANK, COSTS } = GAME_BALANCE;
+const TICKS_PER_DAY = (60 * 24) / MINUTES_PER_TICK;
+const TICKS_PER_WEEK = TICKS_PER_DAY * 7;
+
+const round = (n) => Math.round(n * 100) / 100;
+const clampScore = (score) => Math.max(BANK.MIN_SCORE, Math.min(BANK.MAX_SCORE, Math.round(score)));
+
+// Ledger kinds; see audit() for how they add up
+const POSTING_KINDS = ['deposit', 'withdrawal', 'interest', 'closed', 'loan', 'loan_interest', 'late_fee', 'repayment', 'write_off'];
+
+/**
+ * An agent's credit score, or where it starts if the bank hasn't seen them yet.
+ */
+export function creditScoreOf(agent) {
+  return agent.financial?.creditScore ??
+    clampScore(BANK.INITIAL_SCORE + ((agent.persona?.conscientiousness ?? 0.5) - 0.5) * 2 * BANK.SCORE_SPREAD);
+}
+
+/**
+ * What a landlord asks of this agent: turned down below LEASE_MIN_SCORE, a bigger deposit
+ * below LEASE_GOOD_SCORE.
+ * @returns {{approved: boolean, deposit: number, score: number}}
+ */
+export function leaseTerms(agent) {
+  const score = creditScoreOf(agent);
+  const base = COSTS?.HOUSING_DOWNPAYMENT || 1000;
+  return {
+    approved: score >= BANK.LEASE_MIN_SCORE,
+    deposit: score >= BANK.LEASE_GOOD_SCORE ? base : base * BANK.LOW_SCORE_DEPOSIT_FACTOR,
+    score,
+  };
+}
+
+/**
+ * Yearly rate on a new loan for this score.
+ */
+export function loanRate(score) {
+  const risk = (BANK.MAX_SCORE - score) / (BANK.MAX_SCORE - BANK.MIN_LOAN_SCORE);
+  return Math.round((BANK.BASE_LOAN_APR + BANK.RISK_LOAN_APR * Math.max(0, Math.min(1, risk))) * 10000) / 10000;
+}
+
+function weeklyPayment(principal, apr, weeks) {
+  const r = apr / 52;
+  return r > 0 ? principal * r / (1 - Math.pow(1 + r, -weeks)) : principal / weeks;
+}
+
+export default class Bank {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+    // Latest postings, oldest first: { tick, kind, agentId, amount, loanId? }
+    this.ledger = [];
+  }
+
+  get cacheManager() { return this.matrix.cacheManager; }
+  get eventBus() { return this.matrix.eventBus; }
+  get moneyLedger() { return this.matrix.ledger; }
+
+  get state() {
+    if (!this.matrix.worldState.bank) {
+      this.matrix.worldState.bank = {
+        reserves: BANK.INITIAL_RESERVES,
+        nextLoanId: 1,
+        lastInterestMonth: null,
+        totals: Object.fromEntries(POSTING_KINDS.map(kind => [kind, 0])),
+      };
+    }
+    return this.matrix.worldState.bank;
+  }
+
+  // Fills in accounts for agents from before banking (or just born)
+  _account(agent) {
+    const financial = agent.financial ?? (agent.financial = { weeklyExpenses: 400 });
+    financial.savings ??= 0;
+    financial.debts ??= [];
+    financial.creditScore ??= creditScoreOf(agent);
+    return financial;
+  }
+
+  _post(kind, agentId, amount, tick, loanId = null) {
+    amount = round(amount);
+    if (amount <= 0) return 0;
+    const state = this.state;
+    state.totals[kind] = round((state.totals[kind] ?? 0) + amount);
+    const entry = { tick, kind, agentId, amount };
+    if (loanId) entry.loanId = loanId;
+    this.ledger.push(entry);
+    if (this.ledger.length > BANK.LEDGER_ENTRIES) this.ledger.splice(0, this.ledger.length - BANK.LEDGER_ENTRIES);
+    return amount;
+  }
+
+  adjustScore(agent, delta) {
+    const financial = this._account(agent);
+    financial.creditScore = clampScore(financial.creditScore + delta);
+  }
+
+  deposit(agent, amount, tick) {
+    const financial = this._account(agent);
+    amount = this._post('deposit', agent.id, Math.min(amount, agent.money ?? 0), tick);
+    if (amount <= 0) return 0;
+    this.moneyLedger.transfer(agentAccount(agent.id), BANK_ACCOUNT, amount, 'deposit', { tick });
+    financial.savings = round(financial.savings + amount);
+    return amount;
+  }
+
+  /**
+   * Moves up to `amount` from savings into cash.
+   * @returns {number} What was actually withdrawn.
+   */
+  withdraw(agent, amount, tick) {
+    const financial = this._account(agent);
+    amount = this._post('withdrawal', agent.id, Math.min(amount, financial.savings), tick);
+    if (amount <= 0) return 0;
+    financial.savings = round(financial.savings - amount);
+    this.moneyLedger.transfer(BANK_ACCOUNT, agentAccount(agent.id), amount, 'withdrawal', { tick });
+    return amount;
+  }
+
+  /**
+   * Draws `amount` out of the given agents' savings into their cash, fullest account first,
+   * e.g. to make up a household's rent.
+   * @returns {number} How much was found.
+   */
+  cover(agents, amount, tick) {
+    let found = 0;
+    const savers = [...agents].sort((a, b) => (b.financial?.savings ?? 0) - (a.financial?.savings ?? 0));
+    for (const agent of savers) {
+      if (found >= amount) break;
+      found += this.withdraw(agent, amount - found, tick);
+    }
+    return found;
+  }
+
+  /**
+   * Worker request to move savings into cash (e.g. the rest of a lease deposit).
+   * @param {{agentId: string, amount: number, tick: number}} request
+   */
+  handleWithdrawal({ agentId, amount, tick }) {
+    const agent = this.cacheManager.getAgent(agentId);
+    if (agent) this.withdraw(agent, amount, tick);
+  }
+
+  /**
+   * Worker loan application. Approved loans are paid out in cash straight away.
+   * @param {{agentId: string, amount: number, purpose?: string, tick: number}} application
+   * @returns {object|null} The new loan, or null if turned down.
+   */
+  handleLoanApplication({ agentId, amount, purpose = 'emergency', tick }) {
+    const agent = this.cacheManager.getAgent(agentId);
+    if (!agent) return null;
+    const financial = this._account(agent);
+    // One application per LOAN_RETRY_DAYS, however many ticks the worker asked on
+    if (financial.lastApplicationTick != null && tick - financial.lastApplicationTick < BANK.LOAN_RETRY_DAYS * TICKS_PER_DAY) return null;
+    financial.lastApplicationTick = tick;
+
+    const score = financial.creditScore;
+    const apr = loanRate(score);
+    const payment = weeklyPayment(amount, apr, BANK.LOAN_TERM_WEEKS);
+    const weeklyPay = isUnemployed(agent) ? 0 : (agent.job?.salary ?? 0) / 52;
+    const committed = financial.debts.reduce((sum, loan) => sum + loan.payment, 0);
+
+    let reason = null;
+    if (score < BANK.MIN_LOAN_SCORE) reason = 'my credit score is too low';
+    else if (financial.debts.length >= BANK.MAX_LOANS) reason = 'I already owe them too much';
+    else if (weeklyPay === 0 && score < BANK.UNEMPLOYED_MIN_SCORE) reason = "I don't have a job";
+    else if (weeklyPay > 0 && committed + payment > weeklyPay * BANK.MAX_PAYMENT_SHARE) reason = "I don't earn enough to pay it back";
+    else if (this.state.reserves < amount) reason = "they aren't lending right now";
+
+    if (reason) {
+      agent.stress = Math.min(100, (agent.stress ?? 0) + 10);
+      this.eventBus.queue('db:writeMemory', 'high', agent.id, tick, `The bank turned down my loan. They said ${reason}.`);
+      this.cacheManager.markAgentDirty(agent.id);
+      return null;
+    }
+
+    const loan = {
+      id: `loan_${this.state.nextLoanId++}`,
+      purpose,
+      principal: round(amount),
+      balance: round(amount),
+      apr,
+      payment: round(payment),
+      issuedTick: tick,
+      nextDueTick: tick + TICKS_PER_WEEK,
+      missed: 0,
+    };
+    this._post('loan', agent.id, amount, tick, loan.id);
+    financial.debts.push(loan);
+    this.moneyLedger.transfer(BANK_ACCOUNT, agentAccount(agent.id), loan.principal, 'loan', { tick });
+    this.eventBus.queue('db:writeMemory', 'high', agent.id, tick,
+      `Took out a $${loan.principal} loan at ${Math.round(apr * 1000) / 10}%. $${loan.payment} a week for ${BANK.LOAN_TERM_WEEKS} weeks.`);
+    this.cacheManager.markAgentDirty(agent.id);
+    return loan;
+  }
+
+  runDaily(tick) {
+    const worldTime = this.matrix.worldTime;
+    const state = this.state;
+    const interestDay = worldTime.getDate() === 1 && state.lastInterestMonth !== worldTime.getMonth();
+    if (interestDay) state.lastInterestMonth = worldTime.getMonth();
+
+    for (const agent of this.cacheManager.getAllAgents()) {
+      if (agent.householdRole === 'dependent') continue;
+      const financial = this._account(agent);
+
+      for (const loan of [...financial.debts]) {
+        if (tick >= loan.nextDueTick) this._collect(agent, loan, tick);
+      }
+      if (interestDay && financial.savings > 0) this._payInterest(agent, tick);
+
+      const buffer = (financial.weeklyExpenses ?? 0) * BANK.CASH_BUFFER_WEEKS + (agent.rent_cost ?? 0);
+      const cash = agent.money ?? 0;
+      if (cash > buffer) this.deposit(agent, Math.floor((cash - buffer) * BANK.DEPOSIT_SHARE), tick);
+      else if (cash < buffer && financial.savings > 0) this.withdraw(agent, buffer - cash, tick);
+    }
+  }
+
+  // Interest is owed to the saver, not paid out: the reserves only fall when it's withdrawn
+  _payInterest(agent, tick) {
+    const financial = agent.financial;
+    const interest = this._post('interest', agent.id, financial.savings * BANK.SAVINGS_APR / 12, tick);
+    financial.savings = round(financial.savings + interest);
+  }
+
+  // One weekly payment: cash first, then savings. All or nothing.
+  _collect(agent, loan, tick) {
+    const financial = agent.financial;
+    loan.nextDueTick += TICKS_PER_WEEK;
+    loan.balance = round(loan.balance + this._post('loan_interest', agent.id, loan.balance * loan.apr / 52, tick, loan.id));
+    const due = Math.min(loan.payment, loan.balance);
+
+    if (Math.max(0, agent.money ?? 0) + financial.savings >= due) {
+      const fromCash = Math.min(Math.max(0, agent.money ?? 0), due);
+      if (fromCash < due) this.withdraw(agent, due - fromCash, tick);
+      const repaid = this._post('repayment', agent.id, due, tick, loan.id);
+      this.moneyLedger.transfer(agentAccount(agent.id), BANK_ACCOUNT, repaid, 'repayment', { tick });
+      loan.balance = round(loan.balance - due);
+      loan.missed = 0;
+
+      if (loan.balance <= 0) {
+        financial.debts = financial.debts.filter(l => l !== loan);
+        this.adjustScore(agent, BANK.PAID_OFF_BONUS);
+        this.eventBus.queue('db:writeMemory', 'medium', agent.id, tick, `Made the last payment on my loan. Debt free!`);
+      } else {
+        this.adjustScore(agent, BANK.ON_TIME_BONUS);
+      }
+    } else {
+      loan.missed++;
+      loan.balance = round(loan.balance + this._post('late_fee', agent.id, BANK.LATE_FEE, tick, loan.id));
+      this.adjustScore(agent, -BANK.MISSED_PAYMENT_PENALTY);
+      agent.stress = Math.min(100, (agent.stress ?? 0) + 15);
+
+      if (loan.missed >= BANK.DEFAULT_MISSED_PAYMENTS) {
+        this._post('write_off', agent.id, loan.balance, tick, loan.id);
+        financial.debts = financial.debts.filter(l => l !== loan);
+        this.adjustScore(agent, -BANK.DEFAULT_PENALTY);
+        this.eventBus.queue('log:info', 'medium', `[Bank] ${agent.name} defaulted on ${loan.id} ($${loan.balance} written off).`);
+        this.eventBus.queue('db:writeMemory', 'high', agent.id, tick, `I defaulted on my loan. My credit is ruined.`);
+      } else {
+        this.eventBus.queue('db:writeMemory', 'high', agent.id, tick,
+          `Missed a $${loan.payment} loan payment. They added a $${BANK.LATE_FEE} late fee.`);
+      }
+    }
+    this.cacheManager.markAgentDirty(agent.id);
+  }
+
+  /**
+   * Closes out an agent leaving the city: savings go with them, debts are written off.
+   */
+  closeAccounts(agent, tick) {
+    const financial = agent.financial;
+    if (!financial) return;
+    if (financial.savings > 0) {
+      const closed = this._post('closed', agent.id, financial.savings, tick);
+      this.moneyLedger.transfer(BANK_ACCOUNT, EXTERNAL, closed, 'departure', { tick });
+      financial.savings = 0;
+    }
+    for (const loan of financial.debts ?? []) this._post('write_off', agent.id, loan.balance, tick, loan.id);
+    financial.debts = [];
+  }
+
+  /**
+   * Checks the ledger totals against the accounts: savings held, loan balances owed and the
+   * bank's reserves should each match what was posted. Differences under a dollar are rounding.
+   */
+  audit() {
+    const t = this.state.totals;
+    let savings = 0, owed = 0;
+    for (const agent of this.cacheManager.getAllAgents()) {
+      savings += agent.financial?.savings ?? 0;
+      for (const loan of agent.financial?.debts ?? []) owed += loan.balance;
+    }
+    const check = (expected, actual) => ({
+      expected: round(expected), actual: round(actual), ok: Math.abs(expected - actual) < 1,
+    });
+    const result = {
+      savings: check(t.deposit + t.interest - t.withdrawal - t.closed, savings),
+      loans: check(t.loan + t.loan_interest + t.late_fee - t.repayment - t.write_off, owed),
+      reserves: check(BANK.INITIAL_RESERVES + t.deposit - t.withdrawal - t.closed - t.loan + t.repayment,
+        this.state.reserves),
+    };
+    result.ok = result.savings.ok && result.loans.ok && result.reserves.ok;
+    return result;
+  }
+
+  /**
+   * City-wide deposits, lending and credit, with the audit.
+   */
+  getSummary() {
+    let savers = 0, savings = 0, debtors = 0, owed = 0, activeLoans = 0, scoreSum = 0, adults = 0;
+    const scoreBands = { poor: 0, fair: 0, good: 0, excellent: 0 };
+    for (const agent of this.cacheManager.getAllAgents()) {
+      if (agent.householdRole === 'dependent') continue;
+      adults++;
+      const financial = agent.financial ?? {};
+      if ((financial.savings ?? 0) > 0) { savers++; savings += financial.savings; }
+      if (financial.debts?.length) {
+        debtors++;
+        activeLoans += financial.debts.length;
+        owed += financial.debts.reduce((sum, loan) => sum + loan.balance, 0);
+      }
+      const score = creditScoreOf(agent);
+      scoreSum += score;
+      scoreBands[score < 580 ? 'poor' : score < 670 ? 'fair' : score < 740 ? 'good' : 'excellent']++;
+    }
+    const state = this.state;
+    return {
+      reserves: state.reserves,
+      savers,
+      savings: round(savings),
+      debtors,
+      activeLoans,
+      owed: round(owed),
+      avgScore: adults ? Math.round(scoreSum / adults) : null,
+      scoreBands,
+      totals: { ...state.totals },
+      audit: this.audit(),
+    };
+  }
+
+  /**
+   * One agent's account: savings, score, loans and their recent postings.
+   * @returns {object|null}
+   */
+  getAccount(agentId, { limit = 50 } = {}) {
+    const agent = this.cacheManager.getAgent(agentId);
+    if (!agent) return null;
+    const financial = agent.financial ?? {};
+    return {
+      agentId,
+      name: agent.name,
+      cash: Math.round(agent.money ?? 0),
+      savings: financial.savings ?? 0,
+      creditScore: creditScoreOf(agent),
+      loans: [...(financial.debts ?? [])],
+      ledger: this.ledger.filter(entry => entry.agentId === agentId).slice(-limit),
+    };
+  }
+}
@@ -0,0 +1,436 @@
+/**
+ * behaviorTreeRegistry.js
+ * Named leaves + data-driven tree variants for the FSM states.
+ *
+ * CONCEPT:
+ * Each state module registers its Conditions / Actions and its hardcoded JS tree under a
+ * tree id (e.g. 'working'). data/behavior_trees.yaml may then define one or more variants
+ * of that tree from the same named leaves. The FSM compiles the YAML into BehaviorTreeCore
+ * nodes once at startup (main thread and every worker), and states ask the registry for the
+ * tree to run for a given agent.
+ *
+ * VARIANTS (A/B):
+ * Agents are split between a tree's variants by weight, using a hash of (treeId, agentId).
+ * The split is stable across ticks, workers, restarts and seeds, and never consumes rng draws.
+ *
+ * YAML NODE SYNTAX (one key per node):
+ *   { selector: [ ...nodes ] }          { sequence: [ ...nodes ] }
+ *   { inverter: node }                  { chance: 0.3, child: node }
+ *   { condition: IsShiftOver }          { action: SlackOff }
+ *   { condition: commuting.HasPath }    (another tree's leaf, qualified by tree id)
+ *   { check: { field: stress, op: '>', value: 90 } }   (agent field comparison, dotted paths ok)
+ *   { parallel: [ ... ], success: all|one|N, failure: all|one|N }
+ *   { memory_sequence: [ ... ] }        { memory_selector: [ ... ] }
+ *   { repeat: 3|forever, child: node }  { retry: 3, child: node }
+ *   { timeout: 10, child: node }        { cooldown: 24, child: node, key: housing_give_up }
+ *   { guard: { key: waitingForReply, equals: true }, child: node }   (blackboard = agent.stateContext)
+ * Stateful nodes take an optional `key`; the default is derived from the node's YAML path.
+ *
+ * A variant runs the same named leaves as its state's JS tree (checks, chances and decorators
+ * may differ). Otherwise a leaf wired into only one of them would silently never run wherever
+ * the other is in use, so compiling such a variant throws.
+ */
+import {
+    Selector, Sequence, Inverter, Chance, Condition, Action,
+    Parallel, MemorySequence, MemorySelector, Repeat, RetryUntilSuccess, Cooldown, Timeout, Guard,
+} from './BehaviorTreeCore.js';
+import { hashSeed } from './rng.js';
+import btTracer from './btTracer.js';
+
+const CHECK_OPS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+};
+
+export class BehaviorTreeError extends Error {
+    constructor(message, path) {
+        super(path ? `${path}: ${message}` : message);
+        this.name = 'BehaviorTreeError';
+        this.path = path;
+    }
+}
+
+function readField(agent, field) {
+    return field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), agent);
+}
+
+const PARALLEL_POLICIES = ['all', 'one'];
+const GUARD_TESTS = ['equals', 'notEquals', 'exists'];
+
+function validatePositiveInt(value, name, path, { allowForever = false } = {}) {
+    if (allowForever && value === 'forever') return;
+    if (!Number.isInteger(value) || value < 1) {
+        throw new BehaviorTreeError(`${name} must be a positive integer${allowForever ? ' or "forever"' : ''}`, path);
+    }
+}
+
+function validateKey(spec, path) {
+    if (spec.key !== undefined && (typeof spec.key !== 'string' || !spec.key)) {
+        throw new BehaviorTreeError('key must be a non-empty string', path);
+    }
+}
+
+function validatePolicy(policy, name, path) {
+    if (policy === undefined || PARALLEL_POLICIES.includes(policy)) return;
+    if (!Number.isInteger(policy) || policy < 1) {
+        throw new BehaviorTreeError(`${name} must be "all", "one" or a positive integer`, path);
+    }
+}
+
+// Stateful nodes keep memory under a key; YAML paths make stable defaults
+const memoryKey = (spec, path) => ({ key: spec.key || path.replace(/^behavior_trees\./, '') });
+
+// Condition / Action functions anywhere under a compiled node
+function leafFunctions(node, found = new Set()) {
+    if (typeof node.fn === 'function') found.add(node.fn);
+    for (const child of node.children || []) leafFunctions(child, found);
+    if (node.child) leafFunctions(node.child, found);
+    return found;
+}
+
+/**
+ * Builds a "<type>: ticks, child: node" decorator node type.
+ */
+function tickDecorator(type, NodeClass, { allowForever = false } = {}) {
+    return {
+        allowedKeys: ['child', 'key'],
+        validate: (spec, path, validateChild) => {
+            validatePositiveInt(spec[type], type, path, { allowForever });
+            validateKey(spec, path);
+            validateChild(spec.child, `${path}.child`);
+        },
+        build: (spec, compileChild, path) => {
+            const value = spec[type] === 'forever' ? Infinity : spec[type];
+            return new NodeClass(value, compileChild(spec.child, `${path}.child`), memoryKey(spec, path));
+        },
+    };
+}
+
+/**
+ * Node builders. `validate` checks YAML shape only (used by dataLoader before any state is
+ * registered); `build` resolves names and returns a BehaviorTreeCore node.
+ */
+const NODE_TYPES = {
+    selector: {
+        validate: (spec, path, validateChild) => validateChildren(spec.selector, `${path}.selector`, validateChild),
+        build: (spec, compileChild, path) => new Selector(spec.selector.map((c, i) => compileChild(c, `${path}.selector[${i}]`))),
+    },
+    sequence: {
+        validate: (spec, path, validateChild) => validateChildren(spec.sequence, `${path}.sequence`, validateChild),
+        build: (spec, compileChild, path) => new Sequence(spec.sequence.map((c, i) => compileChild(c, `${path}.sequence[${i}]`))),
+    },
+    inverter: {
+        validate: (spec, path, validateChild) => validateChild(spec.inverter, `${path}.inverter`),
+        build: (spec, compileChild, path) => new Inverter(compileChild(spec.inverter, `${path}.inverter`)),
+    },
+    chance: {
+        allowedKeys: ['child'],
+        validate: (spec, path, validateChild) => {
+            if (typeof spec.chance !== 'number' || spec.chance < 0 || spec.chance > 1) {
+                throw new BehaviorTreeError('chance must be a number between 0 and 1', path);
+            }
+            validateChild(spec.child, `${path}.child`);
+        },
+        build: (spec, compileChild, path) => new Chance(spec.chance, compileChild(spec.child, `${path}.child`)),
+    },
+    memory_sequence: {
+        allowedKeys: ['key'],
+        validate: (spec, path, validateChild) => {
+            validateKey(spec, path);
+            validateChildren(spec.memory_sequence, `${path}.memory_sequence`, validateChild);
+        },
+        build: (spec, compileChild, path) => new MemorySequence(
+            spec.memory_sequence.map((c, i) => compileChild(c, `${path}.memory_sequence[${i}]`)), memoryKey(spec, path)),
+    },
+    memory_selector: {
+        allowedKeys: ['key'],
+        validate: (spec, path, validateChild) => {
+            validateKey(spec, path);
+            validateChildren(spec.memory_selector, `${path}.memory_selector`, validateChild);
+        },
+        build: (spec, compileChild, path) => new MemorySelector(
+            spec.memory_selector.map((c, i) => compileChild(c, `${path}.memory_selector[${i}]`)), memoryKey(spec, path)),
+    },
+    parallel: {
+        allowedKeys: ['success', 'failure'],
+        validate: (spec, path, validateChild) => {
+            validatePolicy(spec.success, 'success', path);
+            validatePolicy(spec.failure, 'failure', path);
+            validateChildren(spec.parallel, `${path}.parallel`, validateChild);
+        },
+        build: (spec, compileChild, path) => new Parallel(
+            spec.parallel.map((c, i) => compileChild(c, `${path}.parallel[${i}]`)),
+            { success: spec.success, failure: spec.failure }),
+    },
+    repeat: tickDecorator('repeat', Repeat, { allowForever: true }),
+    retry: tickDecorator('retry', RetryUntilSuccess),
+    timeout: tickDecorator('timeout', Timeout),
+    cooldown: tickDecorator('cooldown', Cooldown),
+    guard: {
+        allowedKeys: ['child'],
+        validate: (spec, path, validateChild) => {
+            const { key, ...tests } = spec.guard || {};
+            if (typeof key !== 'string' || !key) throw new BehaviorTreeError('guard.key must be a non-empty string', path);
+            const testKeys = Object.keys(tests);
+            if (testKeys.length > 1 || testKeys.some(k => !GUARD_TESTS.includes(k))) {
+                throw new BehaviorTreeError(`guard takes at most one of: ${GUARD_TESTS.join(', ')}`, path);
+            }
+            validateChild(spec.child, `${path}.child`);
+        },
+        build: (spec, compileChild, path) => new Guard(spec.guard, compileChild(spec.child, `${path}.child`)),
+    },
+    condition: {
+        validate: (spec, path) => validateName(spec.condition, path),
+        build: (spec, compileChild, path, resolveLeaf) => new Condition(resolveLeaf('conditions', spec.condition, path)),
+    },
+    action: {
+        validate: (spec, path) => validateName(spec.action, path),
+        build: (spec, compileChild, path, resolveLeaf) => new Action(resolveLeaf('actions', spec.action, path)),
+    },
+    check: {
+        validate: (spec, path) => {
+            const { field, op, value } = spec.check || {};
+            if (typeof field !== 'string' || !field) throw new BehaviorTreeError('check.field must be a non-empty string', path);
+            if (!CHECK_OPS[op]) throw new BehaviorTreeError(`check.op must be one of ${Object.keys(CHECK_OPS).join(' ')}`, path);
+            if (value === undefined) throw new BehaviorTreeError('check.value is required', path);
+        },
+        build: (spec) => {
+            const { field, op, value } = spec.check;
+            const compare = CHECK_OPS[op];
+            const check = (agent) => {
+                const actual = readField(agent, field);
+                btTracer.annotate({ actual });
+                return compare(actual, value);
+            };
+            // Shows up as Condition(check stress > 60) in traces
+            Object.defineProperty(check, 'name', { value: `check ${field} ${op} ${value}` });
+            return new Condition(check);
+        },
+    },
+};
+
+function validateChildren(children, path, validateChild) {
+    if (!Array.isArray(children) || children.length === 0) {
+        throw new BehaviorTreeError('expected a non-empty list of child nodes', path);
+    }
+    children.forEach((child, i) => validateChild(child, `${path}[${i}]`));
+}
+
+function validateName(name, path) {
+    if (typeof name !== 'string' || !/^([a-z_]+\.)?[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new BehaviorTreeError(`invalid leaf name "${name}"`, path);
+    }
+}
+
+function nodeTypeOf(spec, path) {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new BehaviorTreeError('node must be a mapping', path);
+    }
+    const keys = Object.keys(spec);
+    const typeKeys = keys.filter(k => NODE_TYPES[k]);
+    if (typeKeys.length !== 1) {
+        throw new BehaviorTreeError(`node must have exactly one of: ${Object.keys(NODE_TYPES).join(', ')} (got ${keys.join(', ') || 'nothing'})`, path);
+    }
+    const type = typeKeys[0];
+    const allowed = new Set([type, ...(NODE_TYPES[type].allowedKeys || [])]);
+    const unknown = keys.filter(k => !allowed.has(k));
+    if (unknown.length > 0) throw new BehaviorTreeError(`unexpected key(s) ${unknown.join(', ')} on ${type} node`, path);
+    return type;
+}
+
+/**
+ * Structural validation of a single YAML node (recursive). Throws BehaviorTreeError.
+ */
+export function validateTreeSpec(spec, path = 'tree') {
+    const type = nodeTypeOf(spec, path);
+    NODE_TYPES[type].validate(spec, path, validateTreeSpec);
+}
+
+/**
+ * Structural validation of the whole behavior_trees.yaml document.
+ * @returns {string[]} Human-readable errors (empty if valid).
+ */
+export function validateTreeDefinitions(defs) {
+    const errors = [];
+    if (!defs || typeof defs !== 'object' || Array.isArray(defs)) {
+        return ['behavior_trees must be a mapping of tree id -> definition'];
+    }
+    for (const [treeId, def] of Object.entries(defs)) {
+        const base = `behavior_trees.${treeId}`;
+        try {
+            if (!def || typeof def.variants !== 'object' || Object.keys(def.variants).length === 0) {
+                throw new BehaviorTreeError('must define at least one entry under "variants"', base);
+            }
+            for (const [variant, spec] of Object.entries(def.variants)) {
+                try {
+                    validateTreeSpec(spec, `${base}.variants.${variant}`);
+                } catch (err) {
+                    errors.push(err.message);
+                }
+            }
+            if (def.default !== undefined && !def.variants[def.default]) {
+                throw new BehaviorTreeError(`default variant "${def.default}" is not defined`, base);
+            }
+            if (def.weights !== undefined) {
+                const entries = Object.entries(def.weights || {});
+                for (const [variant, weight] of entries) {
+                    if (!def.variants[variant]) errors.push(`${base}.weights: unknown variant "${variant}"`);
+                    if (typeof weight !== 'number' || weight < 0) errors.push(`${base}.weights.${variant}: must be a number >= 0`);
+                }
+                if (entries.reduce((sum, [, w]) => sum + (Number(w) || 0), 0) <= 0) {
+                    errors.push(`${base}.weights: at least one variant needs a positive weight`);
+                }
+            }
+        } catch (err) {
+            errors.push(err.message);
+        }
+    }
+    return errors;
+}
+
+class BehaviorTreeRegistry {
+    constructor() {
+        // treeId -> { conditions, actions, tree, variants: Map<name, node>, weights: Array<[name, weight]>, defaultVariant }
+        this.trees = new Map();
+    }
+
+    /**
+     * Registers a state's named leaves and its hardcoded JS tree (used when YAML doesn't override it).
+     * @param {string} treeId
+     * @param {{conditions?: object, actions?: object, tree: object}} definition
+     */
+    register(treeId, { conditions = {}, actions = {}, tree }) {
+        this.trees.set(treeId, {
+            conditions,
+            actions,
+            tree,
+            variants: new Map(),
+            weights: [],
+            defaultVariant: null,
+        });
+    }
+
+    /**
+     * Compiles validated YAML definitions into BehaviorTreeCore nodes, replacing any
+     * previously compiled variants. Throws BehaviorTreeError on unknown trees or leaves.
+     * @param {object} defs - dataLoader's BEHAVIOR_TREE_DEFS
+     * @returns {number} Number of variants compiled.
+     */
+    compileDefinitions(defs) {
+        for (const entry of this.trees.values()) {
+            entry.variants.clear();
+            entry.weights = [];
+            entry.defaultVariant = null;
+        }
+
+        let compiled = 0;
+        for (const [treeId, def] of Object.entries(defs || {})) {
+            const entry = this.trees.get(treeId);
+            if (!entry) {
+                throw new BehaviorTreeError(`unknown tree id (registered: ${[...this.trees.keys()].join(', ')})`, `behavior_trees.${treeId}`);
+            }
+            for (const [variant, spec] of Object.entries(def.variants)) {
+                const path = `behavior_trees.${treeId}.variants.${variant}`;
+                const node = this._compileNode(treeId, spec, path);
+                this._checkLeaves(treeId, node, path);
+                entry.variants.set(variant, node);
+                compiled++;
+            }
+            entry.defaultVariant = def.default || Object.keys(def.variants)[0];
+            entry.weights = def.weights
+                ? Object.entries(def.weights).filter(([, w]) => w > 0)
+                : [[entry.defaultVariant, 1]];
+        }
+        return compiled;
+    }
+
+    _compileNode(treeId, spec, path) {
+        const type = nodeTypeOf(spec, path);
+        const compileChild = (child, childPath) => this._compileNode(treeId, child, childPath);
+        const resolveLeaf = (kind, name, leafPath) => this._resolveLeaf(treeId, kind, name, leafPath);
+        return NODE_TYPES[type].build(spec, compileChild, path, resolveLeaf);
+    }
+
+    // The tree's own named leaves must match between a variant and the JS tree
+    _checkLeaves(treeId, node, path) {
+        const entry = this.trees.get(treeId);
+        if (!entry.tree) return;
+        const names = new Map();
+        for (const kind of ['conditions', 'actions']) {
+            for (const [name, fn] of Object.entries(entry[kind])) names.set(fn, name);
+        }
+        const named = (fns) => new Set([...fns].filter(fn => names.has(fn)));
+        const builtin = named(leafFunctions(entry.tree));
+        const used = named(leafFunctions(node));
+        const missing = [...builtin].filter(fn => !used.has(fn)).map(fn => names.get(fn));
+        const extra = [...used].filter(fn => !builtin.has(fn)).map(fn => names.get(fn));
+        if (missing.length > 0) {
+            throw new BehaviorTreeError(`never runs ${missing.join(', ')}, which the JS "${treeId}" tree does`, path);
+        }
+        if (extra.length > 0) {
+            throw new BehaviorTreeError(`runs ${extra.join(', ')}, which the JS "${treeId}" tree never does`, path);
+        }
+    }
+
+    _resolveLeaf(treeId, kind, name, path) {
+        const [ownerId, leafName] = name.includes('.') ? name.split('.') : [treeId, name];
+        const owner = this.trees.get(ownerId);
+        const fn = owner?.[kind]?.[leafName];
+        if (typeof fn !== 'function') {
+            const available = owner ? Object.keys(owner[kind]).join(', ') : `no tree "${ownerId}"`;
+            throw new BehaviorTreeError(`unknown ${kind.slice(0, -1)} "${name}" (available: ${available})`, path);
+        }
+        return fn;
+    }
+
+    /**
+     * Variant name an agent is assigned to for a tree, or null if the tree has no YAML variants.
+     */
+    getVariant(treeId, agentId) {
+        const entry = this.trees.get(treeId);
+        if (!entry || entry.weights.length === 0) return null;
+        if (entry.weights.length === 1) return entry.weights[0][0];
+
+        const total = entry.weights.reduce((sum, [, w]) => sum + w, 0);
+        let roll = (hashSeed('bt-variant', treeId, agentId) / 4294967296) * total;
+        for (const [variant, weight] of entry.weights) {
+            roll -= weight;
+            if (roll < 0) return variant;
+        }
+        return entry.defaultVariant;
+    }
+
+    /**
+     * The tree an agent should run: its YAML variant if one is defined, else the registered JS tree.
+     */
+    resolve(treeId, agent) {
+        const entry = this.trees.get(treeId);
+        if (!entry) throw new BehaviorTreeError(`tree "${treeId}" was never registered`);
+        const variant = this.getVariant(treeId, agent.id);
+        const tree = (variant && entry.variants.get(variant)) || entry.tree;
+        if (btTracer.active) btTracer.active.tree = { id: treeId, variant: tree === entry.tree ? 'builtin' : variant };
+        return tree;
+    }
+
+    /**
+     * @returns {Object<string, {source: string, variants: string[], weights: object}>}
+     */
+    describe() {
+        const summary = {};
+        for (const [treeId, entry] of this.trees) {
+            summary[treeId] = {
+                source: entry.variants.size > 0 ? 'yaml' : 'js',
+                variants: [...entry.variants.keys()],
+                weights: Object.fromEntries(entry.weights),
+            };
+        }
+        return summary;
+    }
+}
+
+const btRegistry = new BehaviorTreeRegistry();
+export default btRegistry;
@@ -0,0 +1,164 @@
+/**
+ * btTracer.js
+ * Optional behavior tree tracing for selected agents.
+ *
+ * CONCEPT:
+ * Capture: the FSM opens a trace before running a traced agent's state tick. While a trace is
+ * open, every BehaviorTreeCore node records its path, label, status and any args it annotates
+ * (Chance rolls, transitions, check values). Tree execution is synchronous, so one open trace
+ * per thread is enough. When no trace is open, nodes pay a single null check.
+ *
+ * Storage: records are forwarded to the main thread ('bt:trace') and kept in a per-agent ring
+ * buffer there, for the dashboard trace panel, the control API and JSON export.
+ *
+ * Each thread holds its own singleton; Matrix keeps the workers' traced set in sync.
+ */
+import fs from 'fs';
+import path from 'path';
+import {
+    BT_TRACE_ENABLED,
+    BT_TRACE_BUFFER_TICKS,
+    DEBUG_AGENT_IDS,
+} from '../data/config.js';
+
+// Guards against runaway traces (e.g. a looping decorator) bloating IPC payloads
+const MAX_NODES_PER_TRACE = 500;
+
+class BehaviorTreeTracer {
+    constructor() {
+        this.tracedIds = new Set(BT_TRACE_ENABLED ? DEBUG_AGENT_IDS : []);
+        this.bufferSize = BT_TRACE_BUFFER_TICKS;
+        this.active = null;
+        // agentId -> Array<record>, oldest first (main thread only)
+        this.buffers = new Map();
+    }
+
+    // === Traced agent set ===
+
+    isTraced(agentId) {
+        return this.tracedIds.has(agentId);
+    }
+
+    getTracedIds() {
+        return [...this.tracedIds];
+    }
+
+    setTraced(agentId, enabled) {
+        if (enabled) {
+            this.tracedIds.add(agentId);
+        } else {
+            this.tracedIds.delete(agentId);
+        }
+    }
+
+    setTracedIds(agentIds = []) {
+        this.tracedIds = new Set(agentIds);
+    }
+
+    // === Capture (any thread) ===
+
+    begin() {
+        this.active = { tree: null, override: null, nodes: [], truncated: false, stack: [{ path: '', next: 0, entry: null }] };
+    }
+
+    /**
+     * Opens a node entry. Returns null (but keeps depth bookkeeping) once the node cap is hit.
+     */
+    enter(label) {
+        const trace = this.active;
+        const parent = trace.stack[trace.stack.length - 1];
+        const index = parent.next++;
+        const nodePath = parent.path ? `${parent.path}.${index}` : String(index);
+
+        let entry = null;
+        if (trace.nodes.length < MAX_NODES_PER_TRACE) {
+            entry = { path: nodePath, depth: trace.stack.length - 1, node: label, status: null };
+            trace.nodes.push(entry);
+        } else {
+            trace.truncated = true;
+        }
+        trace.stack.push({ path: nodePath, next: 0, entry });
+        return entry;
+    }
+
+    exit(entry, status) {
+        if (entry) entry.status = status ?? 'ERROR';
+        this.active.stack.pop();
+    }
+
+    /**
+     * Attaches args to the innermost open node (no-op when not tracing).
+     */
+    annotate(args) {
+        const top = this.active?.stack[this.active.stack.length - 1]?.entry;
+        if (top) top.args = { ...top.args, ...args };
+    }
+
+    /**
+     * Closes the open trace.
+     * @returns {{tree: {id: string, variant: string}|null, override: string|null, nodes: Array, truncated: boolean}|null}
+     */
+    end() {
+        const trace = this.active;
+        this.active = null;
+        if (!trace) return null;
+        return { tree: trace.tree, override: trace.override, nodes: trace.nodes, truncated: trace.truncated };
+    }
+
+    // === Storage (main thread) ===
+
+    record(record) {
+        if (!record?.agentId) return;
+        let buffer = this.buffers.get(record.agentId);
+        if (!buffer) {
+            buffer = [];
+            this.buffers.set(record.agentId, buffer);
+        }
+        buffer.push(record);
+        if (buffer.length > this.bufferSize) buffer.splice(0, buffer.length - this.bufferSize);
+    }
+
+    getTraces(agentId, limit = this.bufferSize) {
+        const buffer = this.buffers.get(agentId) || [];
+        return buffer.slice(-limit);
+    }
+
+    getLatest(agentId) {
+        const buffer = this.buffers.get(agentId);
+        return buffer ? buffer[buffer.length - 1] : null;
+    }
+
+    clear(agentId = null) {
+        if (agentId) {
+            this.buffers.delete(agentId);
+        } else {
+            this.buffers.clear();
+        }
+    }
+
+    /**
+     * @param {string|null} agentId - One agent, or every buffered agent when null.
+     */
+    exportJSON(agentId = null) {
+        const ids = agentId ? [agentId] : [...this.buffers.keys()];
+        return {
+            exportedAt: new Date().toISOString(),
+            tracedAgents: this.getTracedIds(),
+            agents: Object.fromEntries(ids.map(id => [id, this.getTraces(id)])),
+        };
+    }
+
+    /**
+     * Writes exportJSON() to `<dir>/bt_trace_<tick>_<timestamp>.json`.
+     * @returns {string} The written file path.
+     */
+    writeExport(dir, tick, agentId = null) {
+        fs.mkdirSync(dir, { recursive: true });
+        const filePath = path.join(dir, `bt_trace_${tick}_${Date.now()}.json`);
+        fs.writeFileSync(filePath, JSON.stringify({ tick, ...this.exportJSON(agentId) }, null, 2));
+        return filePath;
+    }
+}
+
+const btTracer = new BehaviorTreeTracer();
+export default btTracer;
@@ -0,0 +1,369 @@
+/**
+ * businessManager.js
+ * The business lifecycle: daily books, closures, new openings and agent owners.
+ *
+ * worldService.updateBusinessEconomies (every tick), handlePayday (Friday 5 PM), shift wages and
+ * the goods market's sales and deliveries (engine/goodsMarket.js) move the money through the
+ * ledger (engine/moneyLedger.js), which reports it here.
+ * runDaily, on the main thread after the job market, closes each business's books for the day
+ * and then:
+ *   - counts loss_days while the trailing week runs at a loss. After CLOSURE_LOSS_DAYS of that,
+ *     once the treasury no longer covers CLOSURE_RUNWAY_WEEKS of costs, the business closes; so
+ *     does one that misses MISSED_PAYROLL_LIMIT paydays in a row. Staff are laid off, what's
+ *     left in the till goes to the owner and the storefront goes vacant.
+ *   - gives vacant storefronts, after MIN_VACANCY_DAYS, a daily chance of a new business moving
+ *     in, higher where more people live and work. The type is weighted by how busy
+ *     crowd_schedules.yaml says it gets over how many of that type the neighborhood already
+ *     has. A well-off local founds it with their own money if there is one, otherwise outside
+ *     investors put up STARTUP_CAPITAL.
+ *   - once a week pays owners a dividend out of a profitable week, or has them prop up a
+ *     failing business out of their own pocket.
+ *
+ * Vacancies and reopenings live in worldState.businesses.storefronts, which the workers apply
+ * to their own copy of the graph (WorldGraph.applyStorefronts). Owners, loss streaks and missed
+ * paydays are node fields saved with the graph; the daily ledgers are in memory only and start
+ * over on restart.
+ */
+import worldGraph from '../data/worldGraph.js';
+import { GAME_BALANCE } from '../data/balance.js';
+import { MINUTES_PER_TICK } from '../data/config.js';
+import { dataLoader, CROWD_SCHEDULES } from '../data/dataLoader.js';
+import rng from './rng.js';
+import { EXTERNAL, agentAccount, businessAccount } from './moneyLedger.js';
+
+const { BUSINESSES } = GAME_BALANCE;
+const TICKS_PER_DAY = (60 * 24) / MINUTES_PER_TICK;
+
+const areaOf = (node) => node.neighborhood ?? node.borough ?? 'city';
+const round = (n) => Math.round(n * 100) / 100;
+
+// Density-hours per day a type of place draws, from crowd_schedules.yaml
+function footfall(type) {
+  const schedule = CROWD_SCHEDULES[type];
+  if (!schedule?.length) return BUSINESSES.DEFAULT_FOOTFALL;
+  return schedule.reduce((sum, { hours: [start, end], density }) =>
+    sum + (density ?? 0) * (end > start ? end - start : end + 24 - start), 0);
+}
+
+export default class BusinessManager {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+    // nodeId -> daily entries, oldest first
+    this.ledgers = new Map();
+    // nodeId -> takings and costs so far today
+    this.today = new Map();
+  }
+
+  get cacheManager() { return this.matrix.cacheManager; }
+  get eventBus() { return this.matrix.eventBus; }
+  get ledger() { return this.matrix.ledger; }
+
+  get state() {
+    if (!this.matrix.worldState.businesses) {
+      this.matrix.worldState.businesses = { storefronts: {}, version: 0, opened: 0, closed: 0, ownersSeeded: false };
+    }
+    return this.matrix.worldState.businesses;
+  }
+
+  /**
+   * Adds to a business's running total for the day.
+   * @param {{revenue?: number, upkeep?: number, payroll?: number, supplies?: number}} amounts
+   */
+  record(nodeId, { revenue = 0, upkeep = 0, payroll = 0, supplies = 0 }) {
+    let day = this.today.get(nodeId);
+    if (!day) this.today.set(nodeId, day = { revenue: 0, upkeep: 0, payroll: 0, supplies: 0 });
+    day.revenue += revenue;
+    day.upkeep += upkeep;
+    day.payroll += payroll;
+    day.supplies += supplies;
+  }
+
+  runDaily(tick) {
+    const state = this.state;
+    if (!state.ownersSeeded) this._seedOwners();
+    const weekly = Math.floor(tick / TICKS_PER_DAY) % 7 === 0;
+    const versionBefore = state.version;
+
+    for (const [id, node] of this._businesses()) {
+      const entry = this._closeBooks(id, node, tick);
+      const weekNet = this._weekNet(id);
+      node.loss_days = weekNet < 0 ? (node.loss_days ?? 0) + 1 : 0;
+
+      const reason = this._closureReason(node);
+      if (reason) {
+        this._close(id, node, tick, reason);
+        continue;
+      }
+      if (weekly && node.owner_id) this._settleWithOwner(node, entry, weekNet, tick);
+    }
+    this.today.clear();
+
+    const vacant = Object.entries(worldGraph.nodes ?? {}).filter(([, node]) => node.vacant);
+    if (vacant.length > 0) {
+      const demand = this._demand();
+      for (const [id, node] of vacant) this._tryOpen(id, node, tick, demand);
+    }
+
+    if (state.version !== versionBefore) this.matrix.invalidateWorldCaches();
+  }
+
+  _businesses() {
+    return Object.entries(worldGraph.nodes ?? {}).filter(([, node]) => node.is_business);
+  }
+
+  _staff(node) {
+    return (node.employee_ids ?? []).map(id => this.cacheManager.getAgent(id)).filter(Boolean);
+  }
+
+  // What a normal week costs: upkeep plus payroll (supplies pay for themselves in sales)
+  _weeklyCosts(node) {
+    const upkeep = (node.upkeep ?? 0) * (node.level ?? 1) * TICKS_PER_DAY * 7;
+    return upkeep + this._staff(node).reduce((sum, a) => sum + (a.job?.salary ?? 0) / 52, 0);
+  }
+
+  _closeBooks(id, node, tick) {
+    const day = this.today.get(id) ?? { revenue: 0, upkeep: 0, payroll: 0, supplies: 0 };
+    const entry = {
+      tick,
+      revenue: round(day.revenue),
+      upkeep: round(day.upkeep),
+      payroll: round(day.payroll),
+      supplies: round(day.supplies),
+      net: round(day.revenue - day.upkeep - day.payroll - day.supplies),
+      dividend: 0,
+      invested: 0,
+      treasury: round(node.treasury ?? 0),
+    };
+    const ledger = this.ledgers.get(id) ?? [];
+    ledger.push(entry);
+    if (ledger.length > BUSINESSES.LEDGER_DAYS) ledger.splice(0, ledger.length - BUSINESSES.LEDGER_DAYS);
+    this.ledgers.set(id, ledger);
+    return entry;
+  }
+
+  _weekNet(id) {
+    return (this.ledgers.get(id) ?? []).slice(-7).reduce((sum, e) => sum + e.net, 0);
+  }
+
+  _closureReason(node) {
+    if ((node.missed_payrolls ?? 0) >= BUSINESSES.MISSED_PAYROLL_LIMIT) {
+      return `after missing ${node.missed_payrolls} paydays`;
+    }
+    if ((node.loss_days ?? 0) >= BUSINESSES.CLOSURE_LOSS_DAYS &&
+        (node.treasury ?? 0) < BUSINESSES.CLOSURE_RUNWAY_WEEKS * this._weeklyCosts(node)) {
+      return `after ${node.loss_days} days of losses`;
+    }
+    return null;
+  }
+
+  // A dividend out of a good week, or the owner's own money into a bad one
+  _settleWithOwner(node, entry, weekNet, tick) {
+    const owner = this.cacheManager.getAgent(node.owner_id);
+    if (!owner) return;
+
+    if (weekNet > 0) {
+      const dividend = Math.min(Math.floor(weekNet * BUSINESSES.DIVIDEND_SHARE), Math.floor(node.treasury ?? 0));
+      if (dividend <= 0) return;
+      entry.dividend = this.ledger.transfer(businessAccount(node.key), agentAccount(owner.id), dividend, 'dividend', { tick });
+    } else if (node.loss_days > 0) {
+      const shortfall = BUSINESSES.CLOSURE_RUNWAY_WEEKS * this._weeklyCosts(node) - (node.treasury ?? 0);
+      const invested = Math.floor(Math.min(shortfall, (owner.money ?? 0) * BUSINESSES.BAILOUT_SHARE));
+      if (invested <= 0) return;
+      entry.invested = this.ledger.transfer(agentAccount(owner.id), businessAccount(node.key), invested, 'investment', { tick });
+      owner.stress = Math.min(100, (owner.stress ?? 0) + 5);
+      this.eventBus.queue('db:writeMemory', 'medium', owner.id, tick,
+        `I put $${invested} of my own money into ${node.name} to keep it afloat.`);
+    }
+    this.cacheManager.markAgentDirty(owner.id);
+  }
+
+  _close(id, node, tick, reason) {
+    const state = this.state;
+    this.matrix.jobMarket.closeBusiness(id, tick);
+
+    // What's left in the till goes to the owner, or back to the outside investors. An overdrawn
+    // till (shift wages are paid whether or not the money is there) is written off by creditors.
+    const owner = node.owner_id ? this.cacheManager.getAgent(node.owner_id) : null;
+    const till = node.treasury ?? 0;
+    const leftover = Math.floor(Math.max(0, till));
+    if (till > 0) this.ledger.transfer(businessAccount(id), owner ? agentAccount(owner.id) : EXTERNAL, till, 'closure', { tick });
+    else if (till < 0) this.ledger.transfer(EXTERNAL, businessAccount(id), -till, 'closure', { tick });
+    if (owner) {
+      owner.ownedBusinessId = null;
+      owner.stress = Math.min(100, (owner.stress ?? 0) + BUSINESSES.CLOSURE_STRESS);
+      owner.mood = Math.max(-100, (owner.mood ?? 0) - BUSINESSES.CLOSURE_MOOD_DROP);
+      this.cacheManager.markAgentDirty(owner.id);
+      this.eventBus.queue('db:writeMemory', 'high', owner.id, tick, leftover > 0
+        ? `I had to close ${node.name}. All I got out of it was $${leftover}.`
+        : `I had to close ${node.name}. There was nothing left.`);
+    }
+
+    node.owner_id = null;
+    node.loss_days = 0;
+    node.missed_payrolls = 0;
+    state.storefronts[id] = { type: node.type, name: node.name, vacant: true, since: tick };
+    worldGraph.applyStorefronts({ [id]: state.storefronts[id] });
+    state.closed++;
+    state.version++;
+    this.eventBus.queue('log:info', 'high', `[Business] ${node.name} closed ${reason}.`);
+  }
+
+  // Residents and workers per neighborhood, and open businesses per neighborhood and type
+  _demand() {
+    const locals = new Map();
+    for (const agent of this.cacheManager.getAllAgents()) {
+      for (const loc of [agent.homeLocationId, agent.workLocationId]) {
+        const node = loc ? worldGraph.nodes[loc] : null;
+        if (node) locals.set(areaOf(node), (locals.get(areaOf(node)) || 0) + 1);
+      }
+    }
+    const open = new Map();
+    for (const [, node] of this._businesses()) {
+      const key = `${areaOf(node)}:${node.type}`;
+      open.set(key, (open.get(key) || 0) + 1);
+    }
+    const average = locals.size ? [...locals.values()].reduce((a, b) => a + b, 0) / locals.size : 0;
+    return { locals, open, average };
+  }
+
+  _pickType(area, { open }) {
+    const weights = BUSINESSES.OPENING_TYPES.map(type => footfall(type) / (1 + (open.get(`${area}:${type}`) || 0)));
+    let roll = rng.random() * weights.reduce((a, b) => a + b, 0);
+    for (const [i, weight] of weights.entries()) {
+      roll -= weight;
+      if (roll <= 0) return BUSINESSES.OPENING_TYPES[i];
+    }
+    return BUSINESSES.OPENING_TYPES[0];
+  }
+
+  // A local with money to spare and no business already, or anyone in the city failing that
+  _findFounder(area) {
+    const candidates = this.cacheManager.getAllAgents().filter(a =>
+      a.householdRole !== 'dependent' && !a.ownedBusinessId && (a.money ?? 0) >= BUSINESSES.FOUNDER_MIN_WEALTH);
+    const locals = candidates.filter(a => [a.homeLocationId, a.workLocationId]
+      .some(loc => loc && worldGraph.nodes[loc] && areaOf(worldGraph.nodes[loc]) === area));
+    const pool = locals.length > 0 ? locals : candidates;
+    return pool.length > 0 ? rng.pick(pool) : null;
+  }
+
+  _tryOpen(id, node, tick, demand) {
+    const state = this.state;
+    const front = state.storefronts[id];
+    if (tick - (front?.since ?? 0) < BUSINESSES.MIN_VACANCY_DAYS * TICKS_PER_DAY) return;
+
+    const area = areaOf(node);
+    const pull = demand.average > 0 ? (demand.locals.get(area) || 0) / demand.average : 1;
+    if (rng.random() >= BUSINESSES.OPENING_CHANCE * Math.min(2, Math.max(0.25, pull))) return;
+
+    const type = this._pickType(area, demand);
+    const names = dataLoader.worldData?.consistent_locations?.[type] ?? [];
+    const label = area.replace(/_/g, ' ');
+    const name = names.length > 0
+      ? `${rng.pick(names)} (${label})`
+      : `${type.charAt(0).toUpperCase() + type.slice(1)} (${label})`;
+
+    const founder = this._findFounder(area);
+    const capital = founder ? Math.floor(founder.money * BUSINESSES.FOUNDER_STAKE) : BUSINESSES.STARTUP_CAPITAL;
+
+    state.storefronts[id] = { type, name, vacant: false, since: tick };
+    worldGraph.applyStorefronts({ [id]: state.storefronts[id] });
+    this.ledger.transfer(founder ? agentAccount(founder.id) : EXTERNAL, businessAccount(id), capital, 'investment', { tick });
+    node.level = 1;
+    node.productivity ??= (node.capacity || 10) * 0.5;
+    node.upkeep ??= node.productivity * 0.2;
+    node.loss_days = 0;
+    node.missed_payrolls = 0;
+    node.opened_tick = tick;
+    node.owner_id = founder?.id ?? null;
+    node.employee_ids = [];
+    this.ledgers.set(id, []);
+    demand.open.set(`${area}:${type}`, (demand.open.get(`${area}:${type}`) || 0) + 1);
+
+    if (founder) {
+      founder.ownedBusinessId = id;
+      founder.mood = Math.min(100, (founder.mood ?? 0) + 20);
+      this.cacheManager.markAgentDirty(founder.id);
+      this.eventBus.queue('db:writeMemory', 'high', founder.id, tick, `I put $${capital} into opening my own ${type}, ${name}!`);
+    }
+    state.opened++;
+    state.version++;
+    this.eventBus.queue('log:info', 'high',
+      `[Business] ${name} opened in ${label}${founder ? `, founded by ${founder.name}` : ''} ($${capital}).`);
+  }
+
+  // Existing businesses start out partly in agents' hands
+  _seedOwners() {
+    const candidates = this.cacheManager.getAllAgents().filter(a => a.householdRole !== 'dependent' && !a.ownedBusinessId);
+    for (const [id, node] of this._businesses()) {
+      if (node.owner_id || candidates.length === 0 || rng.random() >= BUSINESSES.INITIAL_OWNED_SHARE) continue;
+      const owner = candidates.splice(Math.floor(rng.random() * candidates.length), 1)[0];
+      node.owner_id = owner.id;
+      owner.ownedBusinessId = id;
+      this.cacheManager.markAgentDirty(owner.id);
+    }
+    this.state.ownersSeeded = true;
+  }
+
+  _describe(id, node) {
+    const owner = node.owner_id ? this.cacheManager.getAgent(node.owner_id) : null;
+    return {
+      id,
+      name: node.name,
+      type: node.type,
+      status: node.vacant ? 'vacant' : 'open',
+      owner: owner ? { id: owner.id, name: owner.name } : null,
+      staff: node.employee_ids?.length ?? 0,
+      treasury: Math.round(node.treasury ?? 0),
+      weekNet: Math.round(this._weekNet(id)),
+      lossDays: node.loss_days ?? 0,
+      missedPayrolls: node.missed_payrolls ?? 0,
+      openedTick: node.opened_tick ?? null,
+    };
+  }
+
+  /**
+   * Every business and vacant storefront.
+   * @param {{sort?: 'treasury'|'net'|'losses', limit?: number}} [opts]
+   */
+  list({ sort = 'treasury', limit = 100 } = {}) {
+    const rows = Object.entries(worldGraph.nodes ?? {})
+      .filter(([, node]) => node.is_business || node.vacant)
+      .map(([id, node]) => this._describe(id, node));
+    const by = {
+      treasury: (a, b) => b.treasury - a.treasury,
+      net: (a, b) => b.weekNet - a.weekNet,
+      losses: (a, b) => b.lossDays - a.lossDays || a.weekNet - b.weekNet,
+    }[sort] ?? ((a, b) => b.treasury - a.treasury);
+    return rows.sort(by).slice(0, limit);
+  }
+
+  /**
+   * One business with its daily ledger, or null.
+   */
+  getLedger(id) {
+    const node = worldGraph.nodes?.[id];
+    if (!node || !(node.is_business || node.vacant)) return null;
+    return { ...this._describe(id, node), ledger: [...(this.ledgers.get(id) ?? [])] };
+  }
+
+  /**
+   * City-wide counts.
+   * @returns {{open: number, vacant: number, owned: number, losing: number, treasury: number,
+   *            opened: number, closed: number}}
+   */
+  getSummary() {
+    let open = 0, vacant = 0, owned = 0, losing = 0, treasury = 0;
+    for (const node of Object.values(worldGraph.nodes ?? {})) {
+      if (node.vacant) { vacant++; continue; }
+      if (!node.is_business) continue;
+      open++;
+      if (node.owner_id) owned++;
+      if ((node.loss_days ?? 0) > 0) losing++;
+      treasury += node.treasury ?? 0;
+    }
+    return { open, vacant, owned, losing, treasury: Math.round(treasury), opened: this.state.opened, closed: this.state.closed };
+  }
+}
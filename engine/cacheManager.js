@@ -1,9 +1,9 @@
 import Agent from './agent.js';
-import crypto from 'crypto'; // Needed for ID repair
 import { LOD2_TICK_INTERVAL } from '../data/config.js'; 
 import worldGraph from '../data/worldGraph.js'; 
 import { seedInitialRelationships } from './agentUtilities.js';
 import logger from '../logger.js'; 
+import rng from './rng.js';
 
 /**
  * cacheManager.js
@@ -31,7 +31,7 @@ class CacheManager {
       if (!data) return null;
       if (typeof data.id === 'object') {
           logger.warn(`[CacheManager] Found corrupted agent ID object. Regenerating.`);
-          data.id = crypto.randomUUID();
+          data.id = rng.uuid();
       }
       if (!Array.isArray(data.inventory)) data.inventory = [];
       if (!data.history || Array.isArray(data.history) || typeof data.history !== 'object') {
@@ -48,7 +48,7 @@ class CacheManager {
         'persona', 'job', 'interests', 'inventory', 'status_effects', 
         'relationships', 'skills', 'aspiration', 'recentActivities', 
         'routines', 'contextualRoutines', 'intentionStack', 'beliefs', 
-        'intentionPlan', 'perceivedAgents', 'history'
+        'intentionPlan', 'socialPlans', 'perceivedAgents', 'history'
     ];
 
     for (const field of JSON_FIELDS) {
@@ -56,7 +56,7 @@ class CacheManager {
             try {
                 coerced[field] = JSON.parse(coerced[field]);
             } catch (e) {
-                if (['inventory','recentActivities','routines','contextualRoutines','intentionStack','intentionPlan','perceivedAgents','status_effects'].includes(field)) {
+                if (['inventory','recentActivities','routines','contextualRoutines','intentionStack','intentionPlan','socialPlans','perceivedAgents','status_effects'].includes(field)) {
                     coerced[field] = [];
                 } else {
                     coerced[field] = {};
@@ -73,6 +73,11 @@ class CacheManager {
     this.dirtyAgents.add(agent.id);
   }
 
+  removeAgent(id) {
+    this.agents.delete(id);
+    this.dirtyAgents.delete(id);
+  }
+
   getAgent(id) {
     return this.agents.get(id);
   }
@@ -183,7 +188,7 @@ class CacheManager {
       
       // ASSIGN HOME AT SPAWN
       if (availableHomes.length > 0) {
-        const homeNode = availableHomes[Math.floor(Math.random() * availableHomes.length)];
+        const homeNode = availableHomes[Math.floor(rng.random() * availableHomes.length)];
         agent.homeLocationId = homeNode.key;
         // [FIX] REMOVED agent.homeNode = homeNode;
         // Storing the object reference caused stale data issues when worldGraph mutated.
@@ -209,6 +214,9 @@ class CacheManager {
       newAgents.push(agent);
     }
     
+    // Families first, so relationship seeding sees partners and children under one roof
+    this.matrix?.households?.seed(newAgents);
+    this.matrix?.population?.assignBirthDates(newAgents);
     this.runPostInitSetup(newAgents);
     return newAgents;
   }
@@ -247,10 +255,12 @@ class CacheManager {
 
       for (const a of agents) {
           if (a.state === 'fsm_homeless') homeless++;
-          if (!a.job || !a.job.title || a.job.title === 'Unemployed') unemployed++;
           if ((a.status_effects || []).some(e => e.type === 'SICK')) sick++;
           totalWealth += (a.money || 0);
           totalMood += (a.mood || 0);
+          // Dependents aren't part of the workforce
+          if (a.householdRole === 'dependent') continue;
+          if (!a.job || !a.job.title || a.job.title === 'Unemployed') unemployed++;
           if (a.job && a.job.title) jobs[a.job.title] = (jobs[a.job.title] || 0) + 1;
       }
 
@@ -296,6 +306,16 @@ class CacheManager {
               if (data.relationships !== undefined) agent.relationships = data.relationships;
               if (data.history !== undefined) agent.history = data.history;
               if (data.intentionStack !== undefined) agent.intentionStack = data.intentionStack;
+              if (data.intentionPlan !== undefined) agent.intentionPlan = data.intentionPlan;
+              if (data.socialPlans !== undefined) agent.socialPlans = data.socialPlans;
+              if (data.beliefs !== undefined) agent.beliefs = data.beliefs;
+              if (data.stateContext !== undefined) agent.stateContext = data.stateContext;
+
+              // 2b. Sync Travel (commutes and plans span many ticks)
+              if (data.targetLocationId !== undefined) agent.targetLocationId = data.targetLocationId;
+              if (data.travelTimer !== undefined) agent.travelTimer = data.travelTimer;
+              if (data.transitFrom !== undefined) agent.transitFrom = data.transitFrom;
+              if (data.transitTo !== undefined) agent.transitTo = data.transitTo;
               
               // FIX: Sync Job Data to prevent "Unemployed" drift in UI
               if (data.job !== undefined) agent.job = data.job;
@@ -0,0 +1,294 @@
+/**
+ * crimeSystem.js
+ * Petty crime and policing on the main thread: settles what offenders try, keeps the
+ * neighborhoods' crime rates and lets them weigh on rents and night-time routes.
+ *
+ * Desperate agents try shoplifting, pickpocketing or jumping a turnstile where they stand, and
+ * broke riders board the subway without paying (agent/agentCrime.js, fsmStates/DesperateState.js,
+ * fsmStates/CommutingState.js); each try arrives as 'crime:attempt'. Officers on shift walk a
+ * beat around their work location (fsmStates/WorkingState.js). Where they stand goes out to
+ * the workers every tick as `patrols`, which puts most offenders off, and here an officer at the
+ * spot or a step away may catch the one who goes ahead. A caught offender gets nothing and, for
+ * fare evasion, a ticket; otherwise the takings move through the ledger. A pickpocket's victim
+ * remembers it and fears the place, and so does anyone who saw it, who then tells others
+ * (a 'crime' fact, agent/agentGossip.js). Agents leave feared places out of their plans.
+ *
+ * Every day each neighborhood's thefts go into a WINDOW_DAYS average (fare evasion is counted but
+ * hurts nobody there). The rate sets its danger (0-1), which takes up to RENT_DISCOUNT off its
+ * rents and, at night, makes routes walk around it (WorldGraph.applyCrimeRates); `version` tells
+ * the workers it changed.
+ *
+ * The state is worldState.crime, which goes to the workers every tick.
+ */
+import worldGraph from '../data/worldGraph.js';
+import { GAME_BALANCE } from '../data/balance.js';
+import rng from './rng.js';
+import { agentAccount, businessAccount, CITY } from './moneyLedger.js';
+import { isOfficer, addFear, beatOf } from './agent/agentCrime.js';
+import { observeFact } from './agent/agentGossip.js';
+import { getNeighborhood } from './worldSeeder.js';
+
+const { CRIME } = GAME_BALANCE;
+const KINDS = ['shoplifting', 'pickpocketing', 'fare_evasion'];
+
+const round = (n) => Math.round(n * 100) / 100;
+const areaOf = (node) => node.neighborhood ?? getNeighborhood(node.borough, node.y);
+const between = (draws, min, max) => min + draws.random() * (max - min);
+const byAgentId = (a, b) => (a.agentId < b.agentId ? -1 : a.agentId > b.agentId ? 1 : 0);
+
+export default class CrimeSystem {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+  }
+
+  get cacheManager() { return this.matrix.cacheManager; }
+  get eventBus() { return this.matrix.eventBus; }
+
+  get state() {
+    if (!this.matrix.worldState.crime) {
+      this.matrix.worldState.crime = {
+        version: 0,
+        patrols: {},
+        areas: {},
+        danger: {},
+        totals: { shoplifting: 0, pickpocketing: 0, fare_evasion: 0, arrests: 0 },
+        incidents: [],
+      };
+    }
+    return this.matrix.worldState.crime;
+  }
+
+  /**
+   * Puts a restored save's crime rates back on the graph.
+   */
+  load() {
+    worldGraph.applyCrimeRates(this.state.danger);
+  }
+
+  /**
+   * Runs once per tick on the main thread, before the workers: where the officers on shift and
+   * on their beat are.
+   */
+  update() {
+    const patrols = {};
+    for (const agent of this.cacheManager.getAllAgents()) {
+      if (!agent.locationId || !agent.state?.startsWith('fsm_work') || !isOfficer(agent)) continue;
+      if (!agent.workLocationId || !beatOf(agent.workLocationId).has(agent.locationId)) continue;
+      patrols[agent.locationId] = (patrols[agent.locationId] ?? 0) + 1;
+    }
+    this.state.patrols = patrols;
+  }
+
+  // Chance the officers at the spot and a walk away catch an offender there
+  _catchChance(locationId) {
+    const patrols = this.state.patrols;
+    let missed = (1 - CRIME.CATCH_HERE) ** (patrols[locationId] ?? 0);
+    for (const edge of worldGraph.edges[locationId] || []) {
+      if (edge.mode === 'walk') missed *= (1 - CRIME.CATCH_NEARBY) ** (patrols[edge.to] ?? 0);
+    }
+    return 1 - missed;
+  }
+
+  /**
+   * A tick's worth of worker reports ('crime:attempt' is batched), settled in offender id order
+   * so who robs whom first doesn't depend on which worker answered first.
+   * @param {Array<object>} attempts
+   */
+  handleAttempts(attempts) {
+    for (const attempt of attempts.slice().sort(byAgentId)) this.handleAttempt(attempt);
+  }
+
+  /**
+   * Worker report of an offender trying something. Settles it: caught, or the takings move
+   * through the ledger. A pickpocket with nobody worth robbing around gives up unnoticed.
+   * Draws come from the attempt's own stream, keyed by tick and offender, as workers key theirs
+   * by agent and place; the main thread's 'world' stream is left alone.
+   * @param {{agentId: string, kind: string, locationId: string, tick: number}} attempt
+   * @returns {object|null} The incident, or null if nothing happened.
+   */
+  handleAttempt({ agentId, kind, locationId, tick = this.matrix.tickCount }) {
+    const offender = this.cacheManager.getAgent(agentId);
+    const node = worldGraph.nodes[locationId];
+    if (!offender || !node || !KINDS.includes(kind)) return null;
+    const draws = rng.fork('crime', tick, agentId);
+
+    let victim = null;
+    if (kind === 'pickpocketing') {
+      const marks = this.cacheManager.getAllAgents().filter(a => a.id !== agentId && a.locationId === locationId && (a.money ?? 0) >= 1);
+      if (marks.length === 0) return null;
+      victim = draws.pick(marks);
+    }
+
+    const place = node.name || node.key;
+    const incident = {
+      tick,
+      kind,
+      locationId,
+      place,
+      area: areaOf(node),
+      offenderId: agentId,
+      victimId: victim?.id ?? null,
+      amount: 0,
+      caught: draws.random() < this._catchChance(locationId),
+    };
+
+    if (incident.caught) this._arrest(offender, incident, victim);
+    else this._getAway(offender, incident, victim, draws);
+    if (victim) this._spreadFear(offender, victim, node, incident);
+
+    this._record(incident);
+    return incident;
+  }
+
+  _arrest(offender, incident, victim) {
+    const { kind, place, tick } = incident;
+    offender.stress = Math.min(100, (offender.stress ?? 0) + CRIME.CAUGHT_STRESS);
+    this.cacheManager.markAgentDirty(offender.id);
+
+    let memory;
+    if (kind === 'fare_evasion') {
+      const fine = (offender.money ?? 0) >= CRIME.FARE_FINE
+        ? this.matrix.ledger.transfer(agentAccount(offender.id), CITY, CRIME.FARE_FINE, 'fine', { tick })
+        : 0;
+      memory = fine > 0
+        ? `A cop caught me jumping the turnstile at ${place}. $${fine} ticket.`
+        : `A cop caught me jumping the turnstile at ${place}. Wrote me up; not like I can pay.`;
+    } else if (kind === 'shoplifting') {
+      memory = `Got caught shoplifting at ${place}. Spent hours being processed.`;
+    } else {
+      memory = `Got grabbed by a cop trying to lift a wallet at ${place}.`;
+      this.eventBus.queue('db:writeMemory', 'low', victim.id, tick,
+        `Somebody tried to pick my pocket at ${place}. A cop grabbed them before they got anything.`);
+    }
+    this.eventBus.queue('db:writeMemory', 'high', offender.id, tick, memory);
+  }
+
+  _getAway(offender, incident, victim, draws) {
+    const { kind, place, locationId, tick } = incident;
+    const ledger = this.matrix.ledger;
+    let memory;
+    if (kind === 'pickpocketing') {
+      const amount = Math.min(victim.money ?? 0, between(draws, CRIME.PICKPOCKET_MIN, CRIME.PICKPOCKET_MAX));
+      incident.amount = ledger.transfer(agentAccount(victim.id), agentAccount(offender.id), amount, 'theft', { tick });
+      memory = `Took $${incident.amount} off somebody at ${place}. Didn't look back.`;
+      this.eventBus.queue('db:writeMemory', 'high', victim.id, tick,
+        `Had my pocket picked at ${place}. Lost $${incident.amount}.`);
+    } else if (kind === 'shoplifting') {
+      const treasury = Math.max(0, worldGraph.nodes[locationId]?.treasury ?? 0);
+      const amount = Math.min(treasury, between(draws, CRIME.SHOPLIFT_MIN, CRIME.SHOPLIFT_MAX));
+      incident.amount = ledger.transfer(businessAccount(locationId), agentAccount(offender.id), amount, 'theft', { tick });
+      memory = `Walked out of ${place} with $${incident.amount} worth under my jacket.`;
+    } else {
+      memory = `Jumped the turnstile at ${place}. Nobody stopped me.`;
+    }
+    this.eventBus.queue('db:writeMemory', 'low', offender.id, tick, memory);
+  }
+
+  // The victim fears the place, and so does everyone who saw it happen (and will say so)
+  _spreadFear(offender, victim, node, incident) {
+    const { tick } = incident;
+    const subject = { id: node.key, name: node.name || node.key };
+    const detail = incident.caught ? 'jumped' : 'robbed';
+    addFear(victim, node.key, incident.caught ? CRIME.FEAR_WITNESS : CRIME.FEAR_VICTIM, tick);
+    victim.stress = Math.min(100, (victim.stress ?? 0) + CRIME.CAUGHT_STRESS);
+    observeFact(victim, 'crime', subject, tick, { detail, eventBus: this.eventBus });
+    this.cacheManager.markAgentDirty(victim.id);
+
+    for (const witness of this.cacheManager.getAllAgents()) {
+      if (witness.locationId !== node.key || witness === offender || witness === victim) continue;
+      observeFact(witness, 'crime', subject, tick, { detail, eventBus: this.eventBus });
+      this.cacheManager.markAgentDirty(witness.id);
+    }
+  }
+
+  _record(incident) {
+    const state = this.state;
+    const area = state.areas[incident.area] ??= { today: 0, days: [], rate: 0, thefts: 0, evasions: 0, arrests: 0 };
+    if (incident.kind === 'fare_evasion') {
+      area.evasions++;
+    } else {
+      area.today++;
+      area.thefts++;
+    }
+    state.totals[incident.kind]++;
+    if (incident.caught) {
+      area.arrests++;
+      state.totals.arrests++;
+    }
+    state.incidents.push(incident);
+    if (state.incidents.length > CRIME.INCIDENTS) state.incidents.splice(0, state.incidents.length - CRIME.INCIDENTS);
+  }
+
+  /**
+   * Runs once per day on the main thread: closes the day's counts, recomputes each
+   * neighborhood's rate and danger, and if any danger changed, the graph and the rents.
+   * @param {number} tick
+   */
+  runDaily(tick) {
+    const state = this.state;
+    let changed = false;
+    for (const [name, area] of Object.entries(state.areas)) {
+      area.days.push(area.today);
+      area.today = 0;
+      if (area.days.length > CRIME.WINDOW_DAYS) area.days.splice(0, area.days.length - CRIME.WINDOW_DAYS);
+      area.rate = round(area.days.reduce((sum, n) => sum + n, 0) / area.days.length);
+
+      const danger = round(Math.min(1, area.rate / CRIME.DANGER_AT));
+      if (danger === (state.danger[name] ?? 0)) continue;
+      if (danger > 0) state.danger[name] = danger;
+      else delete state.danger[name];
+      changed = true;
+    }
+    if (!changed) return;
+
+    state.version++;
+    worldGraph.applyCrimeRates(state.danger);
+    this._setRents();
+
+    const worst = Object.entries(state.danger).sort((a, b) => b[1] - a[1])[0];
+    if (worst) {
+      this.eventBus.queue('log:world', 'low',
+        `[Crime] ${worst[0].replace(/_/g, ' ')} is the most dangerous neighborhood (${state.areas[worst[0]].rate} thefts a day); rents there are down ${Math.round(CRIME.RENT_DISCOUNT * worst[1] * 100)}%.`);
+    }
+    if (this.matrix.dbService?.isHealthy) {
+      this.matrix.dbService.logSimulationEvent(tick, 'CRIME_RATES', { danger: state.danger, totals: state.totals });
+    }
+  }
+
+  // Rents follow the neighborhood's danger from the rent the home was seeded with
+  _setRents() {
+    const danger = this.state.danger;
+    for (const node of worldGraph.nodesByType.home || []) {
+      node.base_rent ??= node.rent_cost;
+      if (!(node.base_rent > 0)) continue;
+      node.rent_cost = Math.floor(node.base_rent * (1 - CRIME.RENT_DISCOUNT * (danger[areaOf(node)] ?? 0)));
+    }
+  }
+
+  /**
+   * Crime rates by neighborhood, totals, officers on patrol and recent incidents, for the
+   * dashboard and API.
+   */
+  getSummary() {
+    const state = this.state;
+    return {
+      totals: { ...state.totals },
+      officersOnPatrol: Object.values(state.patrols).reduce((sum, n) => sum + n, 0),
+      areas: Object.entries(state.areas)
+        .map(([name, area]) => ({
+          name,
+          rate: area.rate,
+          today: area.today,
+          danger: state.danger[name] ?? 0,
+          thefts: area.thefts,
+          evasions: area.evasions,
+          arrests: area.arrests,
+        }))
+        .sort((a, b) => b.danger - a.danger || b.thefts - a.thefts),
+      incidents: state.incidents.slice().reverse(),
+    };
+  }
+}
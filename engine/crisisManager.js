@@ -0,0 +1,338 @@
+/**
+ * crisisManager.js
+ * Scripted city-wide disruptions for stress-testing: a blackout, a transit strike, a blizzard.
+ *
+ * The scenarios are authored under crisis_scenarios in data/events.yaml and checked by
+ * validateCrisisScenarios() when the dataLoader reads them (a bad entry stops the load). A run
+ * is put on the schedule with a start and end tick from the command line (--crisis, see
+ * parseCrisisScript) or the control API (Matrix.scheduleCrisis).
+ *
+ * While a crisis runs it is a world event with no site, so everything on it applies across the
+ * city: the graph closes its `closures` edge modes, shuts every node of its `closes` types and
+ * slows its `travel` modes (WorldGraph.indexWorldEvents), and updateWorldState holds
+ * globalLight at its `light`. Agents route around what's shut (fsmStates/CommutingState.js);
+ * those left with no way to where they were going report in as 'crisis:stranded' and get a
+ * memory of it. A scenario's world_event can bring weather with it (see the fronts in
+ * data/weather_patterns.yaml).
+ *
+ * Until it ends, the manager counts who was stranded, who went hungry and who was evicted; the
+ * count goes out as the post-crisis report (logged, kept in reports and written to the db).
+ *
+ * The state is worldState.crises, which goes to the workers every tick.
+ */
+import worldGraph from '../data/worldGraph.js';
+import { CRISIS_SCENARIOS } from '../data/dataLoader.js';
+import { GAME_BALANCE } from '../data/balance.js';
+import { MINUTES_PER_TICK } from '../data/config.js';
+
+const { CRISIS } = GAME_BALANCE;
+const TICKS_PER_HOUR = 60 / MINUTES_PER_TICK;
+const EDGE_MODES = ['walk', 'subway', 'drive'];
+
+/**
+ * Checks crisis_scenarios from events.yaml.
+ * @param {object} defs - id -> scenario definition
+ * @param {object[]} [nodes] - location_graph.yaml nodes, to check closed types against
+ * @returns {string[]} One message per problem; empty if the scenarios are usable.
+ */
+export function validateCrisisScenarios(defs, nodes = []) {
+  if (defs === undefined || defs === null) return [];
+  if (typeof defs !== 'object' || Array.isArray(defs)) return ['crisis_scenarios must be a map of scenario id -> scenario'];
+
+  const types = new Set(nodes.map(n => n.type));
+  const errors = [];
+  for (const [id, def] of Object.entries(defs)) {
+    const where = `crisis_scenarios.${id}`;
+    if (!def || typeof def !== 'object') {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    if (!/^[a-z][a-z0-9_]*$/.test(id)) errors.push(`${where}: ids must be lower_snake_case`);
+    if (typeof def.name !== 'string' || !def.name) errors.push(`${where}.name is required`);
+    if (!Number.isInteger(def.ticks) || def.ticks < 1) errors.push(`${where}.ticks must be a positive number of ticks`);
+    if (def.light !== undefined && !(typeof def.light === 'number' && def.light >= 0 && def.light <= 1)) {
+      errors.push(`${where}.light must be 0-1`);
+    }
+    if (def.closures !== undefined &&
+        (!Array.isArray(def.closures) || def.closures.some(mode => !EDGE_MODES.includes(mode)))) {
+      errors.push(`${where}.closures must list edge modes (${EDGE_MODES.join(', ')})`);
+    }
+    if (def.closes !== undefined) {
+      if (!Array.isArray(def.closes)) errors.push(`${where}.closes must list node types`);
+      else for (const type of def.closes) if (types.size && !types.has(type)) errors.push(`${where}.closes: unknown node type "${type}"`);
+    }
+    if (def.travel !== undefined &&
+        (typeof def.travel !== 'object' || Object.entries(def.travel).some(([mode, v]) => !EDGE_MODES.includes(mode) || !(typeof v === 'number' && v >= 1)))) {
+      errors.push(`${where}.travel must map edge modes to slowdowns of at least 1`);
+    }
+    if (def.world_event !== undefined && !/^[A-Z][A-Z0-9_]*$/.test(def.world_event)) {
+      errors.push(`${where}.world_event must be UPPER_SNAKE_CASE`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Reads a crisis script: comma-separated `scenario@start-end` runs in ticks, or `scenario@start`
+ * for the scenario's own length (e.g. "blackout@96-144,transit_strike@200").
+ * @param {string} script
+ * @returns {{runs: Array<{scenario: string, start: number, end?: number}>, errors: string[]}}
+ */
+export function parseCrisisScript(script) {
+  const runs = [];
+  const errors = [];
+  for (const part of (script || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = /^([a-z][a-z0-9_]*)@(\d+)(?:-(\d+))?$/.exec(part);
+    if (!match) {
+      errors.push(`"${part}" is not scenario@start or scenario@start-end`);
+      continue;
+    }
+    const run = { scenario: match[1], start: Number(match[2]) };
+    if (match[3] !== undefined) run.end = Number(match[3]);
+    runs.push(run);
+  }
+  return { runs, errors };
+}
+
+export default class CrisisManager {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+  }
+
+  get eventBus() { return this.matrix.eventBus; }
+
+  get state() {
+    if (!this.matrix.worldState.crises) {
+      this.matrix.worldState.crises = { events: [], reports: [] };
+    }
+    return this.matrix.worldState.crises;
+  }
+
+  /**
+   * Puts the runs of a crisis script on the schedule, skipping ones already scheduled or run
+   * (a restored save carries them) and logging the ones that can't be.
+   * @param {string} script - See parseCrisisScript.
+   */
+  loadScript(script) {
+    const { runs, errors } = parseCrisisScript(script);
+    for (const run of runs) {
+      const key = `${run.scenario}@${run.start}`;
+      if (this.state.events.some(e => e.key === key) || this.state.reports.some(r => r.key === key)) continue;
+      const problem = this.check(run.scenario, run.start, run.end);
+      if (problem) errors.push(`${key}: ${problem}`);
+      else this.schedule(run.scenario, run.start, run.end);
+    }
+    for (const error of errors) this.eventBus.queue('log:error', 'medium', `[Crisis] Skipping crisis script entry ${error}.`);
+  }
+
+  /**
+   * Why a run can't go on the schedule, or null if it can.
+   * @param {string} scenario
+   * @param {number} start
+   * @param {number} [end] - Defaults to the scenario's own length.
+   * @returns {string|null}
+   */
+  check(scenario, start, end) {
+    const def = CRISIS_SCENARIOS[scenario];
+    if (!def) return `unknown scenario "${scenario}" (known: ${Object.keys(CRISIS_SCENARIOS).join(', ') || 'none'})`;
+    if (!Number.isInteger(start) || start <= this.matrix.tickCount) return `the start must be a tick after ${this.matrix.tickCount}`;
+    if (end !== undefined && (!Number.isInteger(end) || end <= start)) return 'the end must be a tick after the start';
+    if (this.state.events.some(e => e.key === `${scenario}@${start}`)) return 'it is already on the schedule';
+    return null;
+  }
+
+  /**
+   * Schedules a run (see check()).
+   * @returns {object} The scheduled crisis.
+   */
+  schedule(scenario, start, end = undefined) {
+    const def = CRISIS_SCENARIOS[scenario];
+    const crisis = {
+      key: `${scenario}@${start}`,
+      scenario,
+      name: def.name,
+      type: def.world_event || scenario.toUpperCase(),
+      startsAt: start,
+      endsAt: end ?? start + def.ticks,
+      closures: def.closures || [],
+      closes: def.closes || [],
+      travel: def.travel || {},
+      light: def.light,
+      started: false,
+      before: null,
+      stranded: {},
+      hungry: {},
+      evicted: {},
+    };
+    this.state.events.push(crisis);
+    this.eventBus.queue('log:world', 'medium',
+      `[Crisis] ${crisis.name} scheduled for ticks ${crisis.startsAt}-${crisis.endsAt} (${this._hours(crisis)}).`);
+    return crisis;
+  }
+
+  /**
+   * Brings a running or scheduled crisis to an end at the next tick.
+   * @returns {object|null} The crisis, or null if there's none by that key.
+   */
+  endEarly(key) {
+    const crisis = this.state.events.find(e => e.key === key);
+    if (!crisis) return null;
+    crisis.endsAt = Math.min(crisis.endsAt, this.matrix.tickCount + 1);
+    return crisis;
+  }
+
+  /**
+   * Runs once per tick on the main thread, before updateWorldState.
+   * @param {number} tick
+   */
+  update(tick) {
+    const state = this.state;
+    state.events = state.events.filter(crisis => {
+      if (tick >= crisis.endsAt) {
+        this._end(crisis, tick);
+        return false;
+      }
+      if (!crisis.started && tick >= crisis.startsAt) this._start(crisis);
+      if (crisis.started) {
+        this._keepWorldEvent(crisis, tick);
+        this._count(crisis);
+      }
+      return true;
+    });
+  }
+
+  _hours(crisis) {
+    const hours = Math.round((crisis.endsAt - crisis.startsAt) / TICKS_PER_HOUR);
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+
+  _worldEvent(crisis) {
+    return (this.matrix.worldState.world_events || []).find(e => e.crisis === crisis.key);
+  }
+
+  _start(crisis) {
+    crisis.started = true;
+    // Those already hungry or out on the street don't count against the crisis
+    const agents = this.matrix.cacheManager.getAllAgents();
+    crisis.before = {
+      hungry: Object.fromEntries(agents.filter(a => (a.hunger ?? 0) >= CRISIS.HUNGRY_AT).map(a => [a.id, true])),
+      homeless: Object.fromEntries(agents.filter(a => a.state === 'fsm_homeless').map(a => [a.id, true])),
+    };
+    this._keepWorldEvent(crisis, crisis.startsAt);
+    this.matrix.invalidateWorldCaches?.();
+
+    const effects = [];
+    if (crisis.closures.length) effects.push(`no ${crisis.closures.join('/')}`);
+    if (crisis.closes.length) effects.push(`${crisis.closes.join('/')} closed`);
+    if (Object.keys(crisis.travel).length) effects.push('travel slowed');
+    if (crisis.light !== undefined) effects.push('lights out');
+    this.eventBus.queue('log:world', 'high', `[Crisis] ${crisis.name} has hit the city${effects.length ? `: ${effects.join(', ')}` : ''}.`);
+  }
+
+  // Keeps the crisis's world event up until it ends (world events count down on their own)
+  _keepWorldEvent(crisis, tick) {
+    const remaining = crisis.endsAt - tick;
+    const existing = this._worldEvent(crisis);
+    if (existing) {
+      existing.duration = Math.max(existing.duration, remaining);
+      return;
+    }
+    const event = {
+      type: crisis.type,
+      duration: remaining,
+      crisis: crisis.key,
+      description: crisis.name,
+      label: crisis.name,
+      closures: crisis.closures,
+      closes: crisis.closes,
+      travel: crisis.travel,
+    };
+    if (crisis.light !== undefined) event.light = crisis.light;
+    (this.matrix.worldState.world_events ??= []).push(event);
+  }
+
+  // Who is going hungry or has been put out since the crisis hit
+  _count(crisis) {
+    for (const agent of this.matrix.cacheManager.getAllAgents()) {
+      if ((agent.hunger ?? 0) >= CRISIS.HUNGRY_AT && !crisis.before.hungry[agent.id]) crisis.hungry[agent.id] = true;
+      if (agent.state === 'fsm_homeless' && !crisis.before.homeless[agent.id]) crisis.evicted[agent.id] = true;
+    }
+  }
+
+  _end(crisis, tick) {
+    const events = this.matrix.worldState.world_events || [];
+    this.matrix.worldState.world_events = events.filter(e => e.crisis !== crisis.key);
+    if (!crisis.started) {
+      this.eventBus.queue('log:world', 'medium', `[Crisis] ${crisis.name} called off before it started.`);
+      return;
+    }
+    this.matrix.invalidateWorldCaches?.();
+
+    const report = {
+      key: crisis.key,
+      scenario: crisis.scenario,
+      name: crisis.name,
+      startsAt: crisis.startsAt,
+      endsAt: crisis.endsAt,
+      stranded: Object.keys(crisis.stranded).length,
+      hungry: Object.keys(crisis.hungry).length,
+      hungryBefore: Object.keys(crisis.before.hungry).length,
+      evicted: Object.keys(crisis.evicted).length,
+    };
+    const reports = this.state.reports;
+    reports.push(report);
+    if (reports.length > CRISIS.REPORTS) reports.splice(0, reports.length - CRISIS.REPORTS);
+
+    this.eventBus.queue('log:world', 'high',
+      `[Crisis] ${crisis.name} is over after ${this._hours(crisis)}: ${report.stranded} stranded, ` +
+      `${report.hungry} went hungry (${report.hungryBefore} already were), ${report.evicted} evicted.`);
+    if (this.matrix.dbService?.isHealthy) this.matrix.dbService.logSimulationEvent(tick, 'CRISIS_REPORT', report);
+  }
+
+  /**
+   * Worker report of an agent left with no way to where it was going. The first time in each
+   * running crisis counts and leaves a memory.
+   * @param {{agentId: string, locationId: string}} report
+   */
+  recordStranded({ agentId, locationId }) {
+    const tick = this.matrix.tickCount;
+    for (const crisis of this.state.events) {
+      if (!crisis.started || crisis.stranded[agentId]) continue;
+      crisis.stranded[agentId] = tick;
+      const place = worldGraph.nodes[locationId]?.name;
+      this.eventBus.queue('db:writeMemory', 'low', agentId, tick,
+        `Got stranded${place ? ` at ${place}` : ''} in the ${crisis.name}. No way to get where I was going.`);
+    }
+  }
+
+  /**
+   * Scheduled and running crises with their running counts, the scenarios on offer and past
+   * reports, for the dashboard and API.
+   */
+  getSummary() {
+    const tick = this.matrix.tickCount;
+    const state = this.state;
+    return {
+      events: state.events.map(c => ({
+        key: c.key,
+        scenario: c.scenario,
+        name: c.name,
+        started: c.started,
+        startsIn: Math.max(0, c.startsAt - tick),
+        ticksLeft: Math.max(0, c.endsAt - tick),
+        closures: c.closures,
+        closes: c.closes,
+        travel: c.travel,
+        light: c.light ?? null,
+        stranded: Object.keys(c.stranded).length,
+        hungry: Object.keys(c.hungry).length,
+        evicted: Object.keys(c.evicted).length,
+      })),
+      scenarios: Object.entries(CRISIS_SCENARIOS).map(([id, def]) => ({ id, name: def.name, ticks: def.ticks })),
+      reports: state.reports.slice().reverse(),
+    };
+  }
+}
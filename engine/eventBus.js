@@ -33,6 +33,7 @@ class EventBus {
       // 'db:updateRelationship' is removed as it's no longer a DB table
       'db:writeMemory',
       'db:writeWAL',
+      'crime:attempt',
     ]);
     this._batchQueues = new Map();
 
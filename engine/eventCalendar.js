@@ -0,0 +1,350 @@
+/**
+ * eventCalendar.js
+ * Scheduled city events: parades, fireworks, the marathon, the World Series, New Year's Eve.
+ *
+ * The events are authored under calendar_events in data/events.yaml and checked by
+ * validateCalendarEvents() when the dataLoader reads them (a bad entry stops the load). Each
+ * midnight the calendar puts the day's events on the schedule, with their site worked out from
+ * the graph: every `site` stretch is `count` neighbouring nodes of the given types, starting
+ * from the one nearest the middle of the borough.
+ *
+ * While an event runs it is a world event that names its `nodes`. The graph reads its street
+ * closures and affordance effects off it (WorldGraph.indexWorldEvents), venues at the site stop
+ * turning people away (fsmStates/CommutingState.js), and agents whose interests match set off
+ * for it (agent/agentCalendar.js). Arrivals come back here as 'calendar:arrived'; each
+ * attendee gets a memory of it, and when it is over the turnout is logged and kept in history.
+ *
+ * The state is worldState.calendar, which goes to the workers every tick.
+ */
+import worldGraph from '../data/worldGraph.js';
+import { CALENDAR_EVENTS } from '../data/dataLoader.js';
+import { GAME_BALANCE } from '../data/balance.js';
+import { MINUTES_PER_TICK } from '../data/config.js';
+
+const { CALENDAR } = GAME_BALANCE;
+const TICK_MS = MINUTES_PER_TICK * 60000;
+const EDGE_MODES = ['walk', 'subway', 'drive'];
+
+const pad = (n) => String(n).padStart(2, '0');
+const dateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Checks calendar_events from events.yaml.
+ * @param {object} defs - id -> event definition
+ * @param {object[]} [nodes] - location_graph.yaml nodes, to check sites against
+ * @returns {string[]} One message per problem; empty if the calendar is usable.
+ */
+export function validateCalendarEvents(defs, nodes = []) {
+  if (defs === undefined || defs === null) return [];
+  if (typeof defs !== 'object' || Array.isArray(defs)) return ['calendar_events must be a map of event id -> event'];
+
+  const keys = new Set(nodes.map(n => n.key));
+  const boroughs = new Set(nodes.map(n => n.borough));
+  const types = new Set(nodes.map(n => n.type));
+  const isInt = (v, min, max) => Number.isInteger(v) && v >= min && v <= max;
+  const isShare = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+
+  const errors = [];
+  for (const [id, def] of Object.entries(defs)) {
+    const where = `calendar_events.${id}`;
+    if (!def || typeof def !== 'object') {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+    if (typeof def.name !== 'string' || !def.name) errors.push(`${where}.name is required`);
+
+    const date = def.date;
+    if (!date || typeof date !== 'object') {
+      errors.push(`${where}.date is required`);
+    } else {
+      if (!isInt(date.month, 1, 12)) errors.push(`${where}.date.month must be 1-12`);
+      if (date.year !== undefined && !Number.isInteger(date.year)) errors.push(`${where}.date.year must be a year`);
+      const byDay = date.day !== undefined;
+      const byWeekday = date.weekday !== undefined || date.nth !== undefined;
+      if (byDay === byWeekday) errors.push(`${where}.date needs either day or weekday + nth`);
+      if (byDay && !isInt(date.day, 1, 31)) errors.push(`${where}.date.day must be 1-31`);
+      if (byWeekday) {
+        if (!isInt(date.weekday, 0, 6)) errors.push(`${where}.date.weekday must be 0 (Sunday) - 6`);
+        if (!(isInt(date.nth, 1, 5) || date.nth === -1)) errors.push(`${where}.date.nth must be 1-5 or -1 (last)`);
+      }
+    }
+
+    const hours = def.hours;
+    if (!Array.isArray(hours) || hours.length !== 2 || !hours.every(h => isInt(h, 0, 23)) || hours[0] === hours[1]) {
+      errors.push(`${where}.hours must be [start, end], two different hours 0-23`);
+    }
+
+    if (!Array.isArray(def.site) || def.site.length === 0) {
+      errors.push(`${where}.site must list at least one node or stretch`);
+    } else {
+      def.site.forEach((entry, i) => {
+        const at = `${where}.site[${i}]`;
+        if (typeof entry === 'string') {
+          if (keys.size && !keys.has(entry)) errors.push(`${at}: unknown node "${entry}"`);
+          return;
+        }
+        if (!entry || typeof entry !== 'object') {
+          errors.push(`${at} must be a node key or { borough, types, count }`);
+          return;
+        }
+        if (boroughs.size && !boroughs.has(entry.borough)) errors.push(`${at}: unknown borough "${entry.borough}"`);
+        if (!Array.isArray(entry.types) || entry.types.length === 0) errors.push(`${at}.types must list node types`);
+        else for (const type of entry.types) if (types.size && !types.has(type)) errors.push(`${at}: unknown node type "${type}"`);
+        if (!isInt(entry.count, 1, 50)) errors.push(`${at}.count must be 1-50`);
+      });
+    }
+
+    if (def.closures !== undefined &&
+        (!Array.isArray(def.closures) || def.closures.some(mode => !EDGE_MODES.includes(mode)))) {
+      errors.push(`${where}.closures must list edge modes (${EDGE_MODES.join(', ')})`);
+    }
+    if (def.effect !== undefined &&
+        (typeof def.effect !== 'object' || Object.values(def.effect).some(v => !(typeof v === 'number' && v > 0)))) {
+      errors.push(`${where}.effect must map actions to positive multipliers`);
+    }
+    const attendance = def.attendance;
+    if (attendance !== undefined) {
+      if (typeof attendance !== 'object') errors.push(`${where}.attendance must be { interests, chance, others }`);
+      else {
+        if (attendance.interests !== undefined && !Array.isArray(attendance.interests)) errors.push(`${where}.attendance.interests must be a list`);
+        if (attendance.chance !== undefined && !isShare(attendance.chance)) errors.push(`${where}.attendance.chance must be 0-1`);
+        if (attendance.others !== undefined && !isShare(attendance.others)) errors.push(`${where}.attendance.others must be 0-1`);
+      }
+    }
+    if (def.world_event !== undefined && !/^[A-Z][A-Z0-9_]*$/.test(def.world_event)) {
+      errors.push(`${where}.world_event must be UPPER_SNAKE_CASE`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * True if the event's date falls on `date`.
+ */
+export function occursOn(def, date) {
+  const { year, month, day, weekday, nth } = def.date;
+  if (year !== undefined && year !== date.getFullYear()) return false;
+  if (month !== date.getMonth() + 1) return false;
+  if (day !== undefined) return day === date.getDate();
+  if (weekday !== date.getDay()) return false;
+  if (nth === -1) {
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    return date.getDate() + 7 > daysInMonth;
+  }
+  return Math.ceil(date.getDate() / 7) === nth;
+}
+
+export default class EventCalendar {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+  }
+
+  get eventBus() { return this.matrix.eventBus; }
+
+  get state() {
+    if (!this.matrix.worldState.calendar) {
+      this.matrix.worldState.calendar = { day: null, events: [], history: [] };
+    }
+    return this.matrix.worldState.calendar;
+  }
+
+  /**
+   * Runs once per tick on the main thread, before updateWorldState.
+   * @param {Date} worldTime
+   * @param {number} tick
+   */
+  update(worldTime, tick) {
+    const state = this.state;
+    const today = dateKey(worldTime);
+    if (state.day !== today) {
+      state.day = today;
+      this._schedule(worldTime, tick);
+    }
+
+    state.events = state.events.filter(event => {
+      if (tick >= event.endsAt) {
+        this._end(event, tick);
+        return false;
+      }
+      if (!event.started && tick >= event.startsAt) this._start(event);
+      if (event.started) this._keepWorldEvent(event, tick);
+      return true;
+    });
+  }
+
+  // Puts today's events on the schedule, including one that started yesterday evening
+  // and runs past midnight (a restart can land in the middle of either)
+  _schedule(worldTime, tick) {
+    const midnight = new Date(worldTime.getFullYear(), worldTime.getMonth(), worldTime.getDate());
+    const yesterday = new Date(midnight.getTime() - 24 * 3600000);
+    for (const [id, def] of Object.entries(CALENDAR_EVENTS)) {
+      for (const day of [yesterday, midnight]) {
+        if (!occursOn(def, day)) continue;
+        const [start, end] = def.hours;
+        const startsAt = new Date(day.getFullYear(), day.getMonth(), day.getDate(), start);
+        const hours = (end - start + 24) % 24;
+        const endsAt = new Date(startsAt.getTime() + hours * 3600000);
+        if (endsAt <= worldTime) continue;
+
+        const key = `${id}@${dateKey(day)}`;
+        if (this.state.events.some(e => e.key === key)) continue;
+        const nodes = this._site(def);
+        if (nodes.length === 0) {
+          this.eventBus.queue('log:error', 'medium', `[Calendar] No site found for ${def.name}; skipping it.`);
+          continue;
+        }
+        const event = {
+          key,
+          id,
+          name: def.name,
+          type: def.world_event || id.toUpperCase(),
+          startsAt: tick + Math.max(0, Math.round((startsAt - worldTime) / TICK_MS)),
+          endsAt: tick + Math.round((endsAt - worldTime) / TICK_MS),
+          nodes,
+          closures: def.closures || [],
+          effect: def.effect || null,
+          attendance: def.attendance || {},
+          memory: def.memory || null,
+          started: false,
+          arrivals: {},
+        };
+        this.state.events.push(event);
+        this.eventBus.queue('log:world', 'medium',
+          `[Calendar] On the schedule: ${def.name}, ${pad(start)}:00-${pad(end)}:00 (${nodes.length} locations).`);
+      }
+    }
+  }
+
+  /**
+   * The nodes an event is held at: listed keys as they are, and for each { borough, types,
+   * count } stretch the borough's node of those types nearest its middle plus its nearest
+   * neighbours of the same types.
+   * @returns {string[]}
+   */
+  _site(def) {
+    const nodes = [];
+    for (const entry of def.site) {
+      if (typeof entry === 'string') {
+        if (worldGraph.nodes[entry]) nodes.push(entry);
+        continue;
+      }
+      const matches = (node) => node.borough === entry.borough && entry.types.includes(node.type) &&
+        !node.vacant && !nodes.includes(node.key);
+      const candidates = Object.values(worldGraph.nodes).filter(matches);
+      if (candidates.length === 0) continue;
+      const cx = candidates.reduce((sum, n) => sum + (n.x ?? 0), 0) / candidates.length;
+      const cy = candidates.reduce((sum, n) => sum + (n.y ?? 0), 0) / candidates.length;
+      const first = candidates.reduce((best, n) =>
+        Math.hypot((n.x ?? 0) - cx, (n.y ?? 0) - cy) < Math.hypot((best.x ?? 0) - cx, (best.y ?? 0) - cy) ? n : best);
+      nodes.push(first.key);
+      for (const node of worldGraph.findKNearest(first.key, matches, entry.count - 1)) nodes.push(node.key);
+    }
+    return nodes;
+  }
+
+  _worldEvent(event) {
+    return (this.matrix.worldState.world_events || []).find(e => e.calendar === event.key);
+  }
+
+  _start(event) {
+    event.started = true;
+    this._keepWorldEvent(event, event.startsAt);
+    this.matrix.invalidateWorldCaches?.();
+    const closed = event.closures.length ? ` ${event.closures.join('/')} closed at the site.` : '';
+    this.eventBus.queue('log:world', 'medium', `[Calendar] ${event.name} is under way.${closed}`);
+  }
+
+  // Keeps the event's world event up until it ends (world events count down on their own)
+  _keepWorldEvent(event, tick) {
+    const remaining = event.endsAt - tick;
+    const existing = this._worldEvent(event);
+    if (existing) {
+      existing.duration = Math.max(existing.duration, remaining);
+      return;
+    }
+    (this.matrix.worldState.world_events ??= []).push({
+      type: event.type,
+      duration: remaining,
+      calendar: event.key,
+      description: event.name,
+      label: event.name,
+      locationId: event.nodes[0],
+      nodes: event.nodes,
+      closures: event.closures,
+      effect: event.effect,
+    });
+  }
+
+  _end(event, tick) {
+    const events = this.matrix.worldState.world_events || [];
+    this.matrix.worldState.world_events = events.filter(e => e.calendar !== event.key);
+    if (event.started) this.matrix.invalidateWorldCaches?.();
+
+    const attendees = Object.keys(event.arrivals).length;
+    const record = { id: event.id, key: event.key, name: event.name, startsAt: event.startsAt, endsAt: event.endsAt, attendees };
+    const history = this.state.history;
+    history.push(record);
+    if (history.length > CALENDAR.HISTORY) history.splice(0, history.length - CALENDAR.HISTORY);
+
+    this.eventBus.queue('log:world', 'medium', `[Calendar] ${event.name} is over: ${attendees} ${attendees === 1 ? 'person' : 'people'} came.`);
+    if (this.matrix.dbService?.isHealthy) this.matrix.dbService.logSimulationEvent(tick, 'CALENDAR_EVENT', record);
+  }
+
+  /**
+   * Worker report of an agent reaching an event's site. The first arrival counts (from the
+   * start, for early birds) and leaves a memory.
+   * @param {{key: string, agentId: string}} arrival
+   */
+  recordArrival({ key, agentId }) {
+    const event = this.state.events.find(e => e.key === key);
+    if (!event || event.arrivals[agentId] !== undefined) return;
+    const tick = this.matrix.tickCount;
+    event.arrivals[agentId] = Math.max(tick, event.startsAt);
+    this.eventBus.queue('db:writeMemory', 'low', agentId, tick, event.memory || `Went to the ${event.name}.`);
+  }
+
+  /**
+   * Dates of the coming events, soonest first.
+   * @param {number} [days] - How far ahead to look.
+   * @returns {Array<{id: string, name: string, date: string, hours: number[]}>}
+   */
+  getUpcoming(days = CALENDAR.LOOKAHEAD_DAYS) {
+    const now = this.matrix.worldTime;
+    const upcoming = [];
+    for (let i = 0; i <= days; i++) {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i);
+      for (const [id, def] of Object.entries(CALENDAR_EVENTS)) {
+        if (!occursOn(def, day)) continue;
+        if (i === 0 && now.getHours() >= def.hours[0]) continue;
+        upcoming.push({ id, name: def.name, date: dateKey(day), hours: def.hours });
+      }
+    }
+    return upcoming;
+  }
+
+  /**
+   * Scheduled and running events, the coming ones and past turnouts, for the dashboard and API.
+   */
+  getSummary() {
+    const tick = this.matrix.tickCount;
+    const state = this.state;
+    return {
+      events: state.events.map(e => ({
+        id: e.id,
+        key: e.key,
+        name: e.name,
+        started: e.started,
+        startsIn: Math.max(0, e.startsAt - tick),
+        ticksLeft: Math.max(0, e.endsAt - tick),
+        nodes: e.nodes,
+        closures: e.closures,
+        attendees: Object.keys(e.arrivals).length,
+      })),
+      upcoming: this.getUpcoming(),
+      history: state.history.slice().reverse(),
+    };
+  }
+}
@@ -11,6 +11,13 @@ import { AcquireHousingState } from './fsmStates/AcquireHousingState.js';
 import { DesperateState } from './fsmStates/DesperateState.js';
 import { GAME_BALANCE } from '../data/balance.js';
 import eventBus from '../engine/eventBus.js';
+import worldGraph from '../data/worldGraph.js';
+import btRegistry from './behaviorTreeRegistry.js';
+import btTracer from './btTracer.js';
+import { BEHAVIOR_TREE_DEFS } from '../data/dataLoader.js';
+import { getDueMeetup, updateMeetups } from './agent/agentSocialPlans.js';
+import { getEventToAttend, nearestSite } from './agent/agentCalendar.js';
+import { isUnemployed } from './agentUtilities.js';
 
 // Map exports to Balance file for centralized tuning
 export const SOCIALIZE_REGEN_PER_TICK_FIXED = GAME_BALANCE.REGEN.SOCIALIZE || 5;
@@ -101,8 +108,18 @@ export class FiniteStateMachine {
         this._changeStateInstance(agent.state || 'fsm_idle', { reason: 'init' });
     }
 
+    /**
+     * Compiles behavior_trees.yaml (already validated by dataLoader) against the leaves every
+     * state registered at import time. Must run after dataLoader.loadAllData() on each thread.
+     * @returns {number} Number of compiled variants.
+     */
+    static compileBehaviorTrees() {
+        return btRegistry.compileDefinitions(BEHAVIOR_TREE_DEFS);
+    }
+
     static clearPathCache() {
-        // Placeholder for future path caching
+        // Routes depend on world events / weather; drop them when the world changes
+        worldGraph.clearPathCache();
     }
 
     startInitialState() {
@@ -161,6 +178,44 @@ export class FiniteStateMachine {
     }
 
     tick(hour, localEnv, worldState) {
+        if (!btTracer.isTraced(this.agent.id)) return this._tick(hour, localEnv, worldState);
+
+        const stateBefore = this.agent.state;
+        btTracer.begin();
+        let tickResult;
+        try {
+            tickResult = this._tick(hour, localEnv, worldState);
+        } finally {
+            this._emitTrace(btTracer.end(), stateBefore, hour, worldState, tickResult);
+        }
+        return tickResult;
+    }
+
+    /**
+     * Ships a finished trace to the main thread's ring buffer (via the worker's event mock there).
+     * Lizard-brain overrides skip the tree entirely; `override` records their reason.
+     */
+    _emitTrace(trace, stateBefore, hour, worldState, tickResult) {
+        if (!trace) return;
+        const agent = this.agent;
+        const record = {
+            agentId: agent.id,
+            agentName: agent.name,
+            tick: worldState.currentTick,
+            hour,
+            state: stateBefore,
+            nextState: agent.state !== stateBefore ? agent.state : (tickResult?.nextState || null),
+            needs: {
+                energy: agent.energy, hunger: agent.hunger, social: agent.social,
+                stress: agent.stress, mood: agent.mood, money: agent.money,
+            },
+            ...trace,
+        };
+        const bus = agent.matrix?.eventBus || eventBus;
+        bus.queue('bt:trace', 'low', record);
+    }
+
+    _tick(hour, localEnv, worldState) {
         this.lastTickTimestamp = worldState.currentTick;
         this.ticksInCurrentState++;
         
@@ -170,7 +225,18 @@ export class FiniteStateMachine {
         // --- 1. LIZARD BRAIN (Safety Overrides) ---
         if (this._handleCriticalInterruption(worldState.currentTick)) {
             tickResult = { isDirty: true, walOp: null };
+            if (btTracer.active) btTracer.active.override = this.pendingStateParams?.reason || 'critical';
+        } 
+        // --- 1b. SOCIAL PLANS (Meetups outrank routine, not survival) ---
+        else if (this._handleSocialPlans(worldState)) {
+            tickResult = { isDirty: true, walOp: null };
+            if (btTracer.active) btTracer.active.override = this.pendingStateParams?.reason || 'meetup';
         } 
+        // --- 1c. CALENDAR EVENTS (Parades, fireworks: same standing as a meetup) ---
+        else if (this._handleCalendarEvents(worldState)) {
+            tickResult = { isDirty: true, walOp: null };
+            if (btTracer.active) btTracer.active.override = this.pendingStateParams?.reason || 'calendar_event';
+        }
         // --- 2. Execute Normal Tick ---
         else if (this.currentState && typeof this.currentState.tick === 'function') {
             // [REF] Pass THIS.AGENT as the first argument
@@ -199,8 +265,8 @@ export class FiniteStateMachine {
      */
     _handleCriticalInterruption(tick) {
         const agent = this.agent;
-        // Use the instance as the source of truth, fall back to agent.state if instance missing (init)
-        const state = this.currentState ? this.currentState.name : agent.state;
+        // State instances are shared flyweights whose `name` is always 'BaseState'
+        const state = agent.state;
 
         // A. PASSING OUT (Energy < CRITICAL_ENERGY_THRESHOLD)
         if ((agent.energy ?? 0) < CRITICAL_ENERGY_THRESHOLD && state !== 'fsm_sleeping') {
@@ -223,10 +289,82 @@ export class FiniteStateMachine {
             this._queueStateChange('fsm_desperate', { reason: 'critical_starvation' }); // [FIX] Target standardized state
             return true;
         }
+
+        // C. DESTITUTION (No job, no money for food, and getting hungry)
+        if (state === 'fsm_idle' && isUnemployed(agent) &&
+            (agent.money ?? 0) < (GAME_BALANCE.COSTS?.GROCERIES || 15) &&
+            (agent.hunger ?? 0) > GAME_BALANCE.JOBS.DESPERATE_HUNGER) {
+
+            (agent.matrix?.eventBus || eventBus).queue('db:writeMemory', 'high', agent.id, tick,
+                `No job, no money, nothing to eat. I'll take any work I can get.`);
+            this._queueStateChange('fsm_desperate', { reason: 'unemployed_broke' });
+            return true;
+        }
         
         return false;
     }
 
+    /**
+     * Keeps the agent's meetups up to date and heads for a due one.
+     * Returns true if a state change was queued.
+     */
+    _handleSocialPlans(worldState) {
+        const agent = this.agent;
+        if (!agent.socialPlans?.length) return false;
+
+        const tick = worldState.currentTick;
+        updateMeetups(agent, tick, worldState.locationSocialContext, agent.matrix?.eventBus || eventBus);
+
+        const meetup = getDueMeetup(agent, tick);
+        // State instances are shared flyweights whose `name` is always 'BaseState'
+        const state = agent.state;
+        // Once the friend has been seen, the meetup no longer overrides anything
+        if (!meetup || meetup.metPartner) return false;
+        if (!GAME_BALANCE.SOCIAL_PLANS.INTERRUPTIBLE_STATES.includes(state)) return false;
+
+        if (agent.locationId === meetup.locationId) {
+            if (state === 'fsm_socializing') return false;
+            this._queueStateChange('fsm_socializing', { reason: 'meetup' });
+            return true;
+        }
+
+        if (agent.lod === 1) console.log(`[${agent.name}] Heading to ${meetup.locationName || meetup.locationId} to meet ${meetup.partnerName}.`);
+        agent.targetLocationId = meetup.locationId;
+        this.pushIntention({ goal: 'fsm_socializing', reason: `meetup:${meetup.partnerName}` });
+        this._queueStateChange('fsm_commuting', { reason: 'meetup' });
+        return true;
+    }
+
+    /**
+     * Sends the agent to a scheduled city event it has chosen to go to (engine/agent/agentCalendar.js)
+     * and keeps it socializing there. Returns true if an override occurred.
+     */
+    _handleCalendarEvents(worldState) {
+        const agent = this.agent;
+        const event = getEventToAttend(agent, worldState);
+        if (!event) return false;
+        const atSite = event.nodes.includes(agent.locationId);
+        // Reported until the main thread has it on record
+        if (atSite && event.arrivals?.[agent.id] === undefined) {
+            (agent.matrix?.eventBus || eventBus).queue('calendar:arrived', 'low', { key: event.key, agentId: agent.id });
+        }
+        const state = agent.state;
+        if (!GAME_BALANCE.CALENDAR.INTERRUPTIBLE_STATES.includes(state)) return false;
+
+        const reason = `event:${event.id}`;
+        if (atSite) {
+            if (state === 'fsm_socializing') return false;
+            this._queueStateChange('fsm_socializing', { reason });
+            return true;
+        }
+
+        if (agent.lod === 1) console.log(`[${agent.name}] Heading out to the ${event.name}.`);
+        agent.targetLocationId = nearestSite(agent, event);
+        this.pushIntention({ goal: 'fsm_socializing', reason });
+        this._queueStateChange('fsm_commuting', { reason: 'calendar_event' });
+        return true;
+    }
+
     _queueStateChange(newStateName, params = {}) {
         this.pendingStateChange = newStateName;
         this.pendingStateParams = params;
@@ -269,6 +407,9 @@ export class FiniteStateMachine {
                 if (this.agent.stateContext[this.previousStateName]) {
                     delete this.agent.stateContext[this.previousStateName];
                 }
+                // Behavior tree node memory (RUNNING resumes, timers) belongs to the old state's tree.
+                // Cooldowns (stateContext.btCooldowns) deliberately survive.
+                delete this.agent.stateContext.bt;
             }
             
             this.ticksInCurrentState = 0;
@@ -1,7 +1,13 @@
 import { BaseState } from './BaseState.js';
-import { Selector, Sequence, Condition, Action, Inverter, Status } from '../BehaviorTreeCore.js';
+import { Selector, Sequence, Condition, Action, Inverter, Cooldown, Status } from '../BehaviorTreeCore.js';
+import btRegistry from '../behaviorTreeRegistry.js';
 import { GAME_BALANCE } from '../../data/balance.js';
 import worldGraph from '../../data/worldGraph.js';
+import { leaseTerms } from '../bank.js';
+import { payFrom, EXTERNAL } from '../moneyLedger.js';
+
+// Cash plus savings (the bank moves savings into cash on request)
+const fundsOf = (agent) => (agent.money ?? 0) + (agent.financial?.savings ?? 0);
 
 // === 1. LEAF NODES ===
 
@@ -25,8 +31,7 @@ const Actions = {
         return { isDirty: true, nextState: 'fsm_idle' }; 
     },
 
-    GiveUpHousing: (agent, { worldState }) => {
-        agent.lastHousingFailureTick = worldState.currentTick;
+    GiveUpHousing: (agent) => {
         if (agent.lod === 1) console.log(`[${agent.name}] Cannot afford housing. Giving up.`);
         
         // Decide next step based on desperation
@@ -40,15 +45,31 @@ const Actions = {
     },
 
     SignLease: (agent, { worldState }) => {
-        const cost = GAME_BALANCE.COSTS?.HOUSING_DOWNPAYMENT || 1000;
         const newHomeNode = worldGraph.nodes[agent.targetLocationId];
         
         if (newHomeNode && newHomeNode.type === 'home') {
-            agent.money -= cost;
+            // The landlord runs a credit check; the score may have dropped since we set out
+            const { approved, deposit: cost, score } = leaseTerms(agent);
+            if (!approved || fundsOf(agent) < cost) {
+                if (agent.lod === 1) console.log(`[${agent.name}] Lease application turned down (credit score ${score}).`);
+                return {
+                    isDirty: true,
+                    walOp: { op: 'AGENT_LEASE_DENIED', data: { score, homeId: newHomeNode.key } },
+                    nextState: 'fsm_idle'
+                };
+            }
+
+            // Whatever the cash doesn't cover comes out of savings
+            const shortfall = cost - Math.max(0, agent.money ?? 0);
+            if (shortfall > 0) {
+                agent.matrix?.eventBus?.queue('bank:withdraw', 'high', {
+                    agentId: agent.id, amount: shortfall, tick: worldState.currentTick
+                });
+            }
+            payFrom(agent, EXTERNAL, cost, 'lease_deposit', worldState.currentTick);
             agent.homeLocationId = newHomeNode.key;
             agent.homeNode = newHomeNode; // Note: This might not serialize well, ID is better
             agent.rent_cost = newHomeNode.rent_cost;
-            agent.lastHousingFailureTick = 0;
             
             return { 
                 isDirty: true, 
@@ -66,15 +87,13 @@ const Actions = {
 };
 
 const Conditions = {
+    // A landlord would take us and we can cover the deposit they'd ask for
     CanAfford: (agent) => {
-        const cost = GAME_BALANCE.COSTS?.HOUSING_DOWNPAYMENT || 1000;
-        return (agent.money ?? 0) >= cost;
+        const { approved, deposit } = leaseTerms(agent);
+        return approved && fundsOf(agent) >= deposit;
     },
     
-    IsCoolingDown: (agent, { worldState }) => {
-        const lastFail = agent.lastHousingFailureTick || 0;
-        return (worldState.currentTick - lastFail) < 24;
-    },
+    HasTarget: (agent) => !!agent.targetLocationId,
 
     IsAtTarget: (agent) => {
         const currentLoc = agent.locationId || agent.homeLocationId;
@@ -85,32 +104,40 @@ const Conditions = {
 // === 2. BEHAVIOR TREE ===
 
 const HousingTree = new Selector([
-    // 1. Cooldown Check (Don't spam searches if broke)
-    new Sequence([
-        new Condition(Conditions.IsCoolingDown),
-        new Inverter(new Condition(Conditions.CanAfford)), // If broke AND cooling down
-        new Action(Actions.WaitCooldown)
-    ]),
-
-    // 2. Affordability Check (Hard Gate)
+    // 1. Affordability Check (Hard Gate)
+    // Giving up starts a cooldown (kept in stateContext, so it survives leaving this state);
+    // while it runs, a broke agent just goes idle instead of re-planning.
     new Sequence([
         new Inverter(new Condition(Conditions.CanAfford)),
-        new Action(Actions.GiveUpHousing)
+        new Selector([
+            new Cooldown(
+                GAME_BALANCE.THRESHOLDS.HOUSING_RETRY_COOLDOWN_TICKS,
+                new Action(Actions.GiveUpHousing),
+                { key: 'housing_give_up' }
+            ),
+            new Action(Actions.WaitCooldown)
+        ])
     ]),
 
-    // 3. Identification (Find a target)
-    new Action(Actions.FindHousingTarget),
-
-    // 4. Travel Check
+    // 2. Identification (Find a target), then travel there or sign
     new Sequence([
-        new Inverter(new Condition(Conditions.IsAtTarget)),
-        new Action(Actions.TravelToHouse)
-    ]),
-
-    // 5. Execution
-    new Action(Actions.SignLease)
+        new Action(Actions.FindHousingTarget),
+        new Condition(Conditions.HasTarget),
+        new Selector([
+            // 3. Travel Check
+            new Sequence([
+                new Inverter(new Condition(Conditions.IsAtTarget)),
+                new Action(Actions.TravelToHouse)
+            ]),
+
+            // 4. Execution
+            new Action(Actions.SignLease)
+        ])
+    ])
 ]);
 
+btRegistry.register('acquire_housing', { conditions: Conditions, actions: Actions, tree: HousingTree });
+
 // === 3. STATE CLASS ===
 
 export class AcquireHousingState extends BaseState {
@@ -125,7 +152,7 @@ export class AcquireHousingState extends BaseState {
         super.tick(agent, hour, localEnv, worldState, { decay: true });
 
         const context = { hour, localEnv, worldState, transition: null };
-        const status = HousingTree.execute(agent, context);
+        const status = btRegistry.resolve('acquire_housing', agent).execute(agent, context);
 
         if (context.transition) return context.transition;
 
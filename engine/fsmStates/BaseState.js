@@ -43,15 +43,14 @@ export class BaseState {
         }
 
         // --- Weather Impact (Thermoregulation) ---
-        const globalTemp = worldState.environment?.globalTemp ?? 20;
-        if (globalTemp > 30 || globalTemp < 5) {
-            energyMult *= 1.2; 
+        const { WEATHER } = GAME_BALANCE;
+        const feltTemp = localEnv?.temperature ?? worldState.environment?.globalTemp ?? 20;
+        if (feltTemp > WEATHER.HOT_TEMP || feltTemp < WEATHER.COLD_TEMP) {
+            energyMult *= WEATHER.EXTREME_ENERGY_MULT; 
         }
 
-        // --- Sickness Impact ---
-        if (agent.status_effects && agent.status_effects.some(e => e.type === 'SICK')) {
-            energyMult *= 1.5;
-        }
+        // --- Status Effects (e.g. SICK drains energy faster) ---
+        energyMult *= agent.getStatMultiplier?.('energy_decay') ?? 1.0;
 
         hungerMult = Math.min(hungerMult, 3.0);
         energyMult = Math.min(energyMult, 3.0);
@@ -110,6 +109,9 @@ export class BaseState {
                 stressPenalty += GAME_BALANCE.EMOTIONAL.STRESS_PENALTY_NOISE;
             }
 
+            // Caught outdoors in bad weather or extreme temperatures
+            stressPenalty += localEnv?.weatherStress ?? 0;
+
             // --- Social Anxiety (Crowds) ---
             const crowdCount = agent.perceivedAgents?.length || 0;
             if (crowdCount > 3 && (agent.persona?.extroversion ?? 0.5) < 0.3) {
@@ -117,7 +119,7 @@ export class BaseState {
             }
 
             // --- Financial Anxiety ---
-            if ((agent.money ?? 0) < (agent.rent_cost ?? 0)) {
+            if ((agent.money ?? 0) + (agent.financial?.savings ?? 0) < (agent.rent_cost ?? 0)) {
                 const financialStress = agent.persona.stressProneness > 0.7 ? 0.05 : 0.02;
                 stressPenalty += financialStress;
             }
@@ -1,10 +1,55 @@
 import { BaseState } from './BaseState.js';
 import { Selector, Sequence, Condition, Action, Status } from '../BehaviorTreeCore.js';
+import btRegistry from '../behaviorTreeRegistry.js';
+import goalPlanner from '../goalPlanner.js';
 import worldGraph from '../../data/worldGraph.js';
 import eventBus from '../../engine/eventBus.js';
+import { GAME_BALANCE } from '../../data/balance.js';
+import { payFrom, CITY } from '../moneyLedger.js';
+
+const { TRAVEL, COSTS, CAPACITY, WEATHER } = GAME_BALANCE;
+const { MODE_PROFILES } = TRAVEL;
+
+// Profiles from most to least frugal. If the preferred one can't reach the target
+// (e.g. walking between boroughs), routing falls back to the next one.
+const PROFILE_ORDER = [MODE_PROFILES.walk_only, MODE_PROFILES.transit, MODE_PROFILES.taxi];
 
 // === 1. LEAF NODES ===
 
+/**
+ * Which edge modes this agent is willing to use: broke agents walk, the rich take cabs.
+ */
+function getPreferredModes(agent) {
+    const money = agent.money || 0;
+    if (money < COSTS.SUBWAY_FARE) return MODE_PROFILES.walk_only;
+    if (money >= TRAVEL.TAXI_WEALTH_THRESHOLD) return MODE_PROFILES.taxi;
+    return MODE_PROFILES.transit;
+}
+
+/**
+ * Agents already inside `node`, excluding this agent (it counts itself in the
+ * tick-start snapshot unless it is standing in line, see Matrix location density).
+ */
+function countOthersAt(agent, node) {
+    const occupancy = worldGraph.currentOccupancy.get(node.key) || 0;
+    const selfCounted = agent.locationId === node.key && agent.stateContext.queuedAt !== node.key;
+    return Math.max(0, occupancy - (selfCounted ? 1 : 0));
+}
+
+function isCapacityEnforced(agent, node) {
+    if (!node || !node.capacity) return false;
+    if (CAPACITY.EXEMPT_TYPES.includes(node.type)) return false;
+    // Scheduled events pack their venues (engine/eventCalendar.js)
+    if (worldGraph.getEventsAt(node.key).length > 0) return false;
+    // Staff and residents always get in
+    return node.key !== agent.workLocationId && node.key !== agent.homeLocationId;
+}
+
+function clearQueueState(agent) {
+    agent.stateContext.queuedAt = null;
+    agent.stateContext.queueTicks = 0;
+}
+
 const Actions = {
     // --- PLANNING ---
     FindPath: (agent, context) => {
@@ -19,21 +64,33 @@ const Actions = {
             return Status.SUCCESS; 
         }
 
-        // Calculate
-        const path = worldGraph.findPath(agent.locationId, agent.targetLocationId);
-        if (!path || path.length === 0) {
-            // Fallback: If no path found, maybe just move directly to target if connected or as emergency
-            // But for simulation realism, let's abort if unconnected.
+        // Calculate (weighted by edge time and each borough's weather, preferred modes first)
+        let route = null;
+        let modes = getPreferredModes(agent);
+        for (const profile of PROFILE_ORDER.slice(PROFILE_ORDER.indexOf(modes))) {
+            route = worldGraph.findRoute(agent.locationId, agent.targetLocationId, { modes: profile });
+            if (route) {
+                modes = profile;
+                break;
+            }
+        }
+        if (!route || route.path.length === 0) {
+            // A crisis can shut every way there (engine/crisisManager.js counts the stranded)
+            if (context.worldState?.world_events?.some(e => e.crisis)) {
+                (agent.matrix?.eventBus || eventBus).queue('crisis:stranded', 'low', { agentId: agent.id, locationId: agent.locationId });
+            }
+            // For simulation realism, abort if unconnected.
             return Actions.AbortCommute(agent, "No path found.");
         }
 
-        // Clean path (remove current node if present)
-        if (path[0] === agent.locationId) path.shift();
+        // Copy: route.path is shared with the route cache. Drop the current node.
+        const path = route.path[0] === agent.locationId ? route.path.slice(1) : route.path.slice();
         
         agent.stateContext.currentPath = path;
+        agent.stateContext.travelModes = modes;
         
         if (agent.lod === 1) {
-            console.log(`[${agent.name}] Planned route to ${agent.targetLocationId} (${path.length} stops)`);
+            console.log(`[${agent.name}] Planned route to ${agent.targetLocationId} (${path.length} stops, ~${Math.ceil(route.totalTime)} ticks)`);
         }
         
         return Status.SUCCESS;
@@ -42,20 +99,31 @@ const Actions = {
     AbortCommute: (agent, reason) => {
         if (agent.lod === 1) console.log(`[${agent.name}] Aborting commute: ${reason}`);
         agent.intentionStack = []; 
+        // Part of a plan: route the plan around this destination (IdleState picks up the new one)
+        if (goalPlanner.getActiveStep(agent)) {
+            goalPlanner.failStep(agent, null, reason, { exclude: agent.targetLocationId, tick: agent.matrix?.tickCount });
+        }
         return { isDirty: true, nextState: 'fsm_idle' };
     },
 
     // --- EXECUTION ---
-    SetupNextHop: (agent) => {
+    SetupNextHop: (agent, context) => {
         const path = agent.stateContext.currentPath;
         if (!path || path.length === 0) return Status.FAILURE; // Should be caught by Arrive logic
 
-        const nextNodeId = path.shift();
-        
-        // Calculate Cost
-        // Standardized travel time: Distance * Multiplier (e.g. 15 mins per hop roughly)
-        const dist = worldGraph.getDistance(agent.locationId, nextNodeId) || 1;
-        const travelTicks = Math.max(1, Math.ceil(dist * 2)); // 2 ticks per unit distance
+        const nextNodeId = path[0];
+        const edge = worldGraph.getEdge(agent.locationId, nextNodeId, {
+            modes: agent.stateContext.travelModes || MODE_PROFILES.taxi
+        });
+        if (!edge) {
+            // Route went stale (e.g. restored from an older checkpoint): replan next tick
+            agent.stateContext.currentPath = null;
+            return Status.FAILURE;
+        }
+        path.shift();
+
+        // Travel time comes straight from the (weather-adjusted) edge
+        const travelTicks = Math.max(1, Math.ceil(edge.time * TRAVEL.TICKS_PER_BASE_TIME));
 
         // Set Transit State
         agent.transitFrom = agent.locationId;
@@ -63,18 +131,32 @@ const Actions = {
         agent.travelTimer = travelTicks;
         agent.stateContext.isTraveling = true;
         
-        // Determine Mode (Simulated)
-        // If distance is short (< 2), walk. Else, take subway/taxi.
-        if (dist <= 2) {
-            agent.stateContext.transportMode = 'walking';
-            agent.currentActivity = 'Walking to ' + nextNodeId;
-        } else {
+        // Fares are paid on boarding; consecutive legs of the same ride are free (cab meter excepted)
+        const boarding = agent.stateContext.lastEdgeMode !== edge.mode;
+        let fare = 0;
+        if (edge.mode === 'subway') {
             agent.stateContext.transportMode = 'transit';
             agent.currentActivity = 'Taking subway to ' + nextNodeId;
-            // Fare logic
-            if ((agent.money || 0) >= 2.75) {
-                agent.money -= 2.75;
-            }
+            if (boarding) fare = COSTS.SUBWAY_FARE;
+        } else if (edge.mode === 'drive') {
+            agent.stateContext.transportMode = 'taxi';
+            agent.currentActivity = 'Taking a cab to ' + nextNodeId;
+            const miles = worldGraph.getStraightLineDistance(agent.locationId, nextNodeId);
+            fare = (boarding ? COSTS.TAXI_BASE : 0) + miles * COSTS.TAXI_PER_MILE;
+        } else {
+            agent.stateContext.transportMode = 'walking';
+            agent.currentActivity = 'Walking to ' + nextNodeId;
+        }
+        agent.stateContext.lastEdgeMode = edge.mode;
+
+        // Fare logic: fares go to the city. Boarding the subway without one is fare evasion,
+        // which the main thread settles (engine/crimeSystem.js)
+        if (fare > 0 && (agent.money || 0) >= fare) {
+            payFrom(agent, CITY, fare, 'fare', context.worldState?.currentTick);
+        } else if (edge.mode === 'subway' && boarding) {
+            (agent.matrix?.eventBus || eventBus).queue('crime:attempt', 'high', {
+                agentId: agent.id, kind: 'fare_evasion', locationId: agent.locationId, tick: context.worldState?.currentTick
+            });
         }
 
         return { isDirty: true, walOp: { op: 'AGENT_STATE_UPDATE', data: { state: 'fsm_in_transit' } } };
@@ -84,14 +166,13 @@ const Actions = {
         // 1. Time Logic
         agent.travelTimer = (agent.travelTimer ?? 0) - 1;
 
-        // 2. Weather Impact (from Beliefs)
-        const weather = (agent.beliefs && agent.beliefs.weather) ? agent.beliefs.weather : 'Clear';
-        const isBadWeather = weather.includes('Rain') || weather.includes('Snow');
+        // 2. Weather Impact: the worse it is outside, the more a walk gets you down
+        const outdoorQuality = worldGraph.getLocalWeather(worldGraph.nodes[agent.transitFrom ?? agent.locationId]).outdoor ?? 1;
 
         if (agent.stateContext.transportMode === 'walking') {
             agent.energy = Math.max(0, (agent.energy ?? 0) - 0.5); // Walking is tiring
-            if (isBadWeather) {
-                agent.mood = Math.max(0, (agent.mood ?? 0) - 1.0);
+            if (outdoorQuality < 1) {
+                agent.mood = Math.max(-100, (agent.mood ?? 0) - WEATHER.WALK_MOOD_PENALTY * (1 - outdoorQuality));
             }
         } else {
             agent.energy = Math.max(0, (agent.energy ?? 0) - 0.1); // Sitting on train is easy
@@ -115,6 +196,18 @@ const Actions = {
     // --- ARRIVAL ---
     ProcessArrival: (agent) => {
         // We are at the target
+        const node = worldGraph.nodes[agent.locationId];
+        // Planned stops may have closed while we were on the way
+        const isOwnPlace = node?.key === agent.homeLocationId || node?.key === agent.workLocationId;
+        if (goalPlanner.getActiveStep(agent) && node && !isOwnPlace && !worldGraph.isLocationOpen(node)) {
+            clearQueueState(agent);
+            return Actions.AbortCommute(agent, `${node.name} is closed.`);
+        }
+        if (isCapacityEnforced(agent, node) && countOthersAt(agent, node) >= node.capacity) {
+            return Actions.HandleFullLocation(agent, node);
+        }
+        clearQueueState(agent);
+
         const originalGoal = agent.intentionStack?.[agent.intentionStack.length - 1]?.goal || 'fsm_idle';
         
         // If we were commuting to do something specific (from intention), we are done commuting.
@@ -131,6 +224,50 @@ const Actions = {
             walOp: { op: 'AGENT_ARRIVE', data: { location: agent.locationId, state: originalGoal } }, 
             nextState: originalGoal 
         };
+    },
+
+    // --- OVERFLOW ---
+    HandleFullLocation: (agent, node) => {
+        const others = countOthersAt(agent, node);
+        const waited = agent.stateContext.queuedAt === node.key ? (agent.stateContext.queueTicks || 0) : 0;
+
+        // 1. Short line: wait outside (queued agents are excluded from the location's occupancy)
+        if (others < node.capacity * CAPACITY.QUEUE_TOLERANCE && waited < CAPACITY.MAX_WAIT_TICKS) {
+            agent.stateContext.queuedAt = node.key;
+            agent.stateContext.queueTicks = waited + 1;
+            agent.currentActivity = `Waiting in line at ${node.name}`;
+            return { isDirty: true, walOp: null };
+        }
+        clearQueueState(agent);
+
+        // 2. Try the next nearest place of the same kind
+        const alternative = worldGraph.findKNearest(node.key, (candidate) =>
+            candidate.type === node.type &&
+            worldGraph.isLocationOpen(candidate) &&
+            !(isCapacityEnforced(agent, candidate) && countOthersAt(agent, candidate) >= candidate.capacity),
+            CAPACITY.ALTERNATIVE_SEARCH_K
+        )[0];
+
+        const eventBusRef = agent.matrix?.eventBus;
+        eventBusRef?.queue('location:turnedAway', 'low', {
+            locationId: node.key,
+            agentId: agent.id,
+            outcome: alternative ? 'retargeted' : 'left'
+        });
+
+        if (alternative) {
+            agent.targetLocationId = alternative.key;
+            agent.stateContext.currentPath = null;
+            agent.currentActivity = `${node.name} is packed, heading to ${alternative.name}`;
+            if (agent.lod === 1) console.log(`[${agent.name}] ${node.name} is full. Trying ${alternative.name} instead.`);
+            return { isDirty: true, walOp: null };
+        }
+
+        // 3. Nowhere else to go
+        agent.mood = Math.max(-100, (agent.mood ?? 0) - CAPACITY.TURNED_AWAY_MOOD_PENALTY);
+        agent.stress = Math.min(100, (agent.stress ?? 0) + CAPACITY.TURNED_AWAY_STRESS);
+        eventBusRef?.queue('db:writeMemory', 'low', agent.id, agent.matrix?.tickCount, `Got turned away at the door of ${node.name}. Packed.`);
+        return Actions.AbortCommute(agent, `${node.name} is full.`);
     }
 };
 
@@ -164,18 +301,19 @@ const CommutingTree = new Selector([
         ])
     ]),
 
-    // 3. Planning (If not traveling and not at dest)
-    new Sequence([
-        new Action(Actions.FindPath) // Returns SUCCESS if path found/exists
-    ]),
-
-    // 4. Start Next Leg (If we have a path)
+    // 3. Plan if needed (not traveling and not at dest), then start the next leg
     new Sequence([
+        new Selector([
+            new Condition(Conditions.HasPath),
+            new Action(Actions.FindPath) // Returns SUCCESS if path found/exists
+        ]),
         new Condition(Conditions.HasPath),
         new Action(Actions.SetupNextHop)
     ])
 ]);
 
+btRegistry.register('commuting', { conditions: Conditions, actions: Actions, tree: CommutingTree });
+
 // === 3. STATE CLASS ===
 
 export class CommutingState extends BaseState {
@@ -186,7 +324,10 @@ export class CommutingState extends BaseState {
         // Initialize State Context
         if (!agent.stateContext.isTraveling) {
             agent.stateContext.currentPath = null;
+            agent.stateContext.travelModes = null;
+            agent.stateContext.lastEdgeMode = null;
             agent.stateContext.isTraveling = false;
+            clearQueueState(agent);
             agent.stateContext.transportMode = 'transit';
         }
     }
@@ -196,7 +337,7 @@ export class CommutingState extends BaseState {
         super.tick(agent, hour, localEnv, worldState, { skipBoredom: true });
 
         const context = { hour, localEnv, worldState, transition: null };
-        const status = CommutingTree.execute(agent, context);
+        const status = btRegistry.resolve('commuting', agent).execute(agent, context);
 
         if (context.transition) return context.transition;
         
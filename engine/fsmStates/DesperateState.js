@@ -1,7 +1,16 @@
 import { BaseState } from './BaseState.js';
 import { Selector, Sequence, Condition, Action, Status } from '../BehaviorTreeCore.js';
+import btRegistry from '../behaviorTreeRegistry.js';
 import { GAME_BALANCE } from '../../data/balance.js';
 import worldGraph from '../../data/worldGraph.js';
+import { MINUTES_PER_TICK } from '../../data/config.js';
+import rng from '../rng.js';
+import { creditScoreOf } from '../bank.js';
+import { payTo, EXTERNAL } from '../moneyLedger.js';
+import { crimeFor, crimeOdds } from '../agent/agentCrime.js';
+
+const { BANK } = GAME_BALANCE;
+const TICKS_PER_DAY = (60 * 24) / MINUTES_PER_TICK;
 
 // === 1. LEAF NODES ===
 
@@ -34,6 +43,17 @@ const Actions = {
         return Status.FAILURE;
     },
 
+    // The bank decides on the main thread (Bank.handleLoanApplication); an approved loan shows
+    // up as cash in a tick or two and CheckForRecovery takes it from there
+    ApplyForLoan: (agent, { worldState }) => {
+        agent.stateContext.loanAppliedTick = worldState.currentTick;
+        agent.matrix?.eventBus?.queue('bank:loanApplication', 'high', {
+            agentId: agent.id, amount: BANK.EMERGENCY_LOAN, purpose: 'emergency', tick: worldState.currentTick
+        });
+        if (agent.lod === 1) console.log(`[${agent.name}] Applying for an emergency loan.`);
+        return { isDirty: true, walOp: { op: 'AGENT_LOAN_APPLICATION', data: { amount: BANK.EMERGENCY_LOAN } } };
+    },
+
     Relocate: (agent, { worldState }) => {
         // Move every 20 ticks if unsuccessful
         if (agent.stateContext.ticksInState % 20 !== 0) return Status.FAILURE;
@@ -47,15 +67,28 @@ const Actions = {
         return Status.FAILURE;
     },
 
-    Scavenge: (agent) => {
+    // Whether it works is up to the main thread (CrimeSystem.handleAttempt): the takings, or
+    // the arrest, show up in a tick or two
+    Steal: (agent, { worldState }) => {
+        const kind = crimeFor(worldGraph.nodes[agent.locationId]);
+        agent.stateContext.lastCrimeTick = worldState.currentTick;
+        agent.stress = Math.min(100, (agent.stress ?? 0) + 2);
+        agent.matrix?.eventBus?.queue('crime:attempt', 'high', {
+            agentId: agent.id, kind, locationId: agent.locationId, tick: worldState.currentTick
+        });
+        if (agent.lod === 1) console.log(`[${agent.name}] Desperate enough to try ${kind.replace('_', ' ')}.`);
+        return { isDirty: true, walOp: { op: 'AGENT_CRIME_ATTEMPT', data: { kind, locationId: agent.locationId } } };
+    },
+
+    Scavenge: (agent, context) => {
         agent.stateContext.ticksInState++;
         agent.stress = Math.min(100, (agent.stress ?? 0) + 0.5);
         agent.mood = Math.max(-100, (agent.mood ?? 0) - 0.5);
 
         // 10% Chance to find money
-        if (Math.random() < 0.1) {
-            const foundMoney = Math.floor(Math.random() * 5) + 1;
-            agent.money = (agent.money ?? 0) + foundMoney;
+        if (rng.random() < 0.1) {
+            const foundMoney = Math.floor(rng.random() * 5) + 1;
+            payTo(agent, EXTERNAL, foundMoney, 'found', context.worldState?.currentTick);
             return { isDirty: true, walOp: { op: 'AGENT_FOUND_MONEY', data: { amount: foundMoney } } };
         }
         
@@ -67,7 +100,24 @@ const Conditions = {
     IsExhausted: (agent) => {
         return (agent.stateContext.ticksInState >= agent.stateContext.maxDesperationTicks);
     },
-    IsStarving: (agent) => (agent.hunger ?? 0) > 95
+    IsStarving: (agent) => (agent.hunger ?? 0) > 95,
+
+    // Once per spell, with a good enough score, room for another loan and no recent application
+    CanApplyForLoan: (agent, { worldState }) => {
+        const financial = agent.financial ?? {};
+        const last = financial.lastApplicationTick;
+        return agent.stateContext.loanAppliedTick === undefined &&
+            creditScoreOf(agent) >= BANK.MIN_LOAN_SCORE &&
+            (financial.debts?.length ?? 0) < BANK.MAX_LOANS &&
+            (last == null || worldState.currentTick - last >= BANK.LOAN_RETRY_DAYS * TICKS_PER_DAY);
+    },
+
+    // One try per hour at most; the odds go by place, hour and light (agent/agentCrime.js)
+    IsTempted: (agent, { worldState }) => {
+        const last = agent.stateContext.lastCrimeTick;
+        if (last !== undefined && worldState.currentTick - last < TICKS_PER_DAY / 24) return false;
+        return rng.random() < crimeOdds(worldGraph.nodes[agent.locationId], worldState);
+    }
 };
 
 // === 2. BEHAVIOR TREE ===
@@ -91,14 +141,28 @@ const DesperateTree = new Sequence([
         // 2. Success? (Have we found enough money?)
         new Action(Actions.CheckForRecovery),
 
-        // 3. Need to move?
+        // 3. Ask the bank
+        new Sequence([
+            new Condition(Conditions.CanApplyForLoan),
+            new Action(Actions.ApplyForLoan)
+        ]),
+
+        // 4. Need to move?
         new Action(Actions.Relocate),
 
-        // 4. Scrounge
+        // 5. Take what isn't given
+        new Sequence([
+            new Condition(Conditions.IsTempted),
+            new Action(Actions.Steal)
+        ]),
+
+        // 6. Scrounge
         new Action(Actions.Scavenge)
     ])
 ]);
 
+btRegistry.register('desperate', { conditions: Conditions, actions: Actions, tree: DesperateTree });
+
 // === 3. STATE CLASS ===
 
 export class DesperateState extends BaseState {
@@ -106,13 +170,14 @@ export class DesperateState extends BaseState {
         super.enter(agent);
         this._updateActivityFromState(agent);
         agent.stateContext.ticksInState = undefined; // Trigger Init
+        agent.stateContext.loanAppliedTick = undefined;
     }
 
     tick(agent, hour, localEnv, worldState) {
         super.tick(agent, hour, localEnv, worldState);
 
         const context = { hour, localEnv, worldState, transition: null };
-        const status = DesperateTree.execute(agent, context);
+        const status = btRegistry.resolve('desperate', agent).execute(agent, context);
 
         if (context.transition) return context.transition;
 
@@ -1,7 +1,11 @@
 import { BaseState } from './BaseState.js';
 import { Sequence, Action, Status } from '../BehaviorTreeCore.js';
+import btRegistry from '../behaviorTreeRegistry.js';
+import goalPlanner from '../goalPlanner.js';
+import { getConsumableFoodItem, consumeItem } from '../agent/agentInventory.js';
 import { GAME_BALANCE } from '../../data/balance.js';
 import worldGraph from '../../data/worldGraph.js';
+import { payFrom, businessAccount, EXTERNAL } from '../moneyLedger.js';
 
 // === 1. LEAF NODES ===
 
@@ -15,11 +19,14 @@ const Actions = {
             console.log(`[${agent.name}] Eating a full meal.`);
         }
         
-        // Cost logic (Simplified)
+        // Cost logic (Simplified): a meal out is paid to the place, if it's a business
         if (agent.locationId !== agent.homeLocationId) {
-             if ((agent.money || 0) > 10) agent.money -= 10;
+             const venue = worldGraph.nodes[agent.locationId]?.is_business ? businessAccount(agent.locationId) : EXTERNAL;
+             if ((agent.money || 0) > GAME_BALANCE.COSTS.MEAL_OUT) payFrom(agent, venue, GAME_BALANCE.COSTS.MEAL_OUT, 'meal', context.worldState?.currentTick);
         } else {
-             // Home cooking (free/inventory for now to ensure they eat)
+             // Home cooking: use groceries if there are any (still free without, to ensure they eat)
+             const food = getConsumableFoodItem(agent);
+             if (food) consumeItem(agent, food.itemId);
         }
 
         return Status.SUCCESS;
@@ -41,6 +48,7 @@ const Actions = {
         });
         
         // 3. EXIT
+        goalPlanner.completeStep(agent, agent.locationId === agent.homeLocationId ? 'eat_home' : 'eat_out');
         if (agent.intentionStack) agent.intentionStack.pop();
         return { isDirty: true, nextState: 'fsm_idle' };
     }
@@ -53,6 +61,8 @@ const EatingTree = new Sequence([
     new Action(Actions.EatAndFinish)
 ]);
 
+btRegistry.register('eating', { actions: Actions, tree: EatingTree });
+
 // === 3. STATE CLASS ===
 
 export class EatingState extends BaseState {
@@ -66,7 +76,7 @@ export class EatingState extends BaseState {
         super.tick(agent, hour, localEnv, worldState, { skipHunger: true });
 
         const context = { hour, localEnv, worldState, transition: null };
-        const status = EatingTree.execute(agent, context);
+        const status = btRegistry.resolve('eating', agent).execute(agent, context);
 
         if (context.transition) return context.transition;
         
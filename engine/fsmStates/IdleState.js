@@ -1,14 +1,17 @@
 import { BaseState } from './BaseState.js';
 import { Selector, Sequence, Condition, Action, Status } from '../BehaviorTreeCore.js';
-import { isAgentWorkShift } from '../agentUtilities.js';
+import btRegistry from '../behaviorTreeRegistry.js';
+import goalPlanner from '../goalPlanner.js';
+import { isAgentWorkShift, isAgentSick } from '../agentUtilities.js';
 import eventBus from '../eventBus.js';
 import worldGraph from '../../data/worldGraph.js';
+import rng from '../rng.js';
 
 // === 1. LEAF NODES ===
 
 const Actions = {
     // Consolidated "Check Needs" Action
-    EvaluateNeeds: (agent, { hour }) => {
+    EvaluateNeeds: (agent, { hour, worldState }) => {
         const p = agent.persona || {};
         
         let hungerScore = agent.hunger || 0;
@@ -22,6 +25,7 @@ const Actions = {
         
         if (isNight) energyScore *= 2.0; 
         if (energyScore > 90) energyScore *= 2.0; 
+        if (isAgentSick(agent)) energyScore *= 1.5; // Sleep it off
 
         // 2. Pick the Winner
         const THRESHOLD = 50;
@@ -38,17 +42,33 @@ const Actions = {
             maxScore = energyScore;
         }
         
-        // Work Override
-        if (isAgentWorkShift(agent, hour)) {
+        // Work Override (the sick stay home)
+        if (isAgentWorkShift(agent, hour) && !isAgentSick(agent)) {
             return { isDirty: true, nextState: 'fsm_working' };
         }
 
-        if (winner === 'eat') return { isDirty: true, nextState: 'fsm_eating' };
+        if (winner === 'eat') return Actions.PlanMeal(agent, { worldState });
         if (winner === 'sleep') return { isDirty: true, nextState: 'fsm_sleeping' };
         
         return Status.FAILURE; 
     },
 
+    // Hunger is a multi-step goal (e.g. store -> home -> eat) rather than a straight state flip
+    PlanMeal: (agent, { worldState }) => {
+        const tick = worldState.currentTick;
+        if (goalPlanner.hasPlan(agent) ||
+            (goalPlanner.canPlan(agent, 'not_hungry', tick) && goalPlanner.plan(agent, 'not_hungry', tick))) {
+            const transition = goalPlanner.startNextStep(agent, tick);
+            if (transition) return transition;
+        }
+        // No workable plan: eat whatever is at hand
+        return { isDirty: true, nextState: 'fsm_eating' };
+    },
+
+    FollowPlan: (agent, { worldState }) => {
+        return goalPlanner.startNextStep(agent, worldState.currentTick) || Status.FAILURE;
+    },
+
     SeekHousing: (agent) => {
         if (agent.lod === 1) console.log(`[${agent.name}] Idle and homeless. Looking for home.`);
         return { isDirty: true, nextState: 'fsm_acquire_housing' };
@@ -90,7 +110,7 @@ const Actions = {
 
     SeekFun: (agent) => {
         const isExtrovert = (agent.persona?.extroversion ?? 0.5) > 0.6;
-        if (isExtrovert && Math.random() < 0.7) {
+        if (isExtrovert && rng.random() < 0.7) {
             return { isDirty: true, nextState: 'fsm_socializing' };
         }
         return { isDirty: true, nextState: 'fsm_recreation' };
@@ -108,7 +128,7 @@ const Actions = {
         if (!agent.currentActivityName || agent.currentActivityName === 'idling') {
              // Use valid activities from yaml
              const idleActs = ['making coffee', 'reading newspaper', 'checking email', 'listening to music'];
-             agent.currentActivityName = idleActs[Math.floor(Math.random() * idleActs.length)];
+             agent.currentActivityName = idleActs[Math.floor(rng.random() * idleActs.length)];
         }
 
         return Status.SUCCESS;
@@ -117,6 +137,8 @@ const Actions = {
 
 const Conditions = {
     IsHomeless: (agent) => !agent.homeLocationId,
+
+    HasPlan: (agent) => goalPlanner.hasPlan(agent),
     
     IsHouseDirty: (agent) => {
         if (!agent.homeLocationId || agent.locationId !== agent.homeLocationId) return false;
@@ -149,6 +171,12 @@ const IdleTree = new Selector([
     // 2. Needs & Obligations Evaluation (The "Brain")
     new Action(Actions.EvaluateNeeds),
 
+    // 2b. Carry on with an unfinished plan (e.g. groceries bought, still need to get home)
+    new Sequence([
+        new Condition(Conditions.HasPlan),
+        new Action(Actions.FollowPlan)
+    ]),
+
     // 3. Morning Routine (Before fun/chores)
     new Sequence([
         new Condition(Conditions.NeedsMorningRoutine),
@@ -171,6 +199,8 @@ const IdleTree = new Selector([
     new Action(Actions.DoIdleBehavior)
 ]);
 
+btRegistry.register('idle', { conditions: Conditions, actions: Actions, tree: IdleTree });
+
 // === 3. STATE CLASS ===
 
 export class IdleState extends BaseState {
@@ -188,7 +218,7 @@ export class IdleState extends BaseState {
         super.tick(agent, hour, localEnv, worldState); 
 
         const context = { hour, localEnv, worldState, transition: null };
-        const status = IdleTree.execute(agent, context);
+        const status = btRegistry.resolve('idle', agent).execute(agent, context);
 
         if (context.transition) return context.transition;
 
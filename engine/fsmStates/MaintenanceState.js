@@ -1,8 +1,11 @@
 import { BaseState } from './BaseState.js';
 import { ACTIVITY_COSTS } from '../../data/dataLoader.js';
 import { Selector, Sequence, Condition, Action, Inverter, Status } from '../BehaviorTreeCore.js';
+import btRegistry from '../behaviorTreeRegistry.js';
 import eventBus from '../eventBus.js';
 import worldGraph from '../../data/worldGraph.js';
+import rng from '../rng.js';
+import { payFrom, EXTERNAL } from '../moneyLedger.js';
 
 // === 1. LEAF NODES ===
 
@@ -29,7 +32,7 @@ const Actions = {
         const actualCost = baseCost * costEfficiency;
 
         // Transaction
-        agent.money = (agent.money ?? 0) - actualCost;
+        payFrom(agent, EXTERNAL, actualCost, 'repair', worldState.currentTick);
         homeNode.condition = Math.min(100, (homeNode.condition ?? 100) + repairAmount);
         
         // Stats
@@ -37,7 +40,7 @@ const Actions = {
         agent.stress = Math.max(0, (agent.stress ?? 0) - (diligence > 0.4 ? 0.5 : -0.1));
 
         // Flavor Event (5%)
-        if (Math.random() < 0.05) {
+        if (rng.random() < 0.05) {
              eventBus.emitNow('db:writeMemory', 'low', agent.id, worldState.currentTick, "Fixed something around the house.");
         }
         
@@ -95,6 +98,8 @@ const MaintenanceTree = new Selector([
     new Action((a) => Actions.AbortMaintenance(a, { reason: "Budget inconsistency" }))
 ]);
 
+btRegistry.register('maintenance', { conditions: Conditions, actions: Actions, tree: MaintenanceTree });
+
 // === 3. STATE CLASS ===
 
 export class MaintenanceState extends BaseState {
@@ -107,7 +112,7 @@ export class MaintenanceState extends BaseState {
         super.tick(agent, hour, localEnv, worldState);
 
         const context = { hour, localEnv, worldState, transition: null };
-        const status = MaintenanceTree.execute(agent, context);
+        const status = btRegistry.resolve('maintenance', agent).execute(agent, context);
 
         if (context.transition) return context.transition;
 
@@ -1,9 +1,11 @@
 import { BaseState } from './BaseState.js';
 import { Selector, Sequence, Condition, Action, Status } from '../BehaviorTreeCore.js';
+import btRegistry from '../behaviorTreeRegistry.js';
 import { ACTIVITIES_MAP } from '../../data/dataLoader.js';
 import { GAME_BALANCE } from '../../data/balance.js';
 import { isAgentWorkShift } from '../agentUtilities.js';
 import eventBus from '../eventBus.js';
+import rng from '../rng.js';
 
 // === 1. LEAF NODES ===
 
@@ -43,7 +45,7 @@ const Actions = {
         agent.mood = Math.min(100, (agent.mood ?? 0) + GAME_BALANCE.REGEN.MOOD_BOOST_RECREATION);
 
         // Flavor
-        if (Math.random() < 0.01) {
+        if (rng.random() < 0.01) {
             eventBus.emitNow('db:writeMemory', 'low', agent.id, worldState.currentTick, `Having a great time ${agent.currentActivityName}.`);
         }
 
@@ -111,6 +113,8 @@ const RecreationTree = new Sequence([
     ])
 ]);
 
+btRegistry.register('recreation', { conditions: Conditions, actions: Actions, tree: RecreationTree });
+
 // === 3. STATE CLASS ===
 
 export class RecreationState extends BaseState {
@@ -125,7 +129,7 @@ export class RecreationState extends BaseState {
         super.tick(agent, hour, localEnv, worldState, { skipStressCalculation: true });
 
         const context = { hour, localEnv, worldState, transition: null };
-        const status = RecreationTree.execute(agent, context);
+        const status = btRegistry.resolve('recreation', agent).execute(agent, context);
 
         if (context.transition) return context.transition;
         
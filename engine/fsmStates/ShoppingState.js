@@ -1,8 +1,16 @@
 import { BaseState } from './BaseState.js';
-import { ACTIVITY_COSTS, ITEM_CATALOG } from '../../data/dataLoader.js';
+import { ITEM_CATALOG } from '../../data/dataLoader.js';
+import { GAME_BALANCE } from '../../data/balance.js';
 import { Selector, Sequence, Condition, Action, Inverter, Status } from '../BehaviorTreeCore.js';
+import btRegistry from '../behaviorTreeRegistry.js';
+import goalPlanner from '../goalPlanner.js';
 import eventBus from '../eventBus.js';
 import worldGraph from '../../data/worldGraph.js'; 
+import rng from '../rng.js';
+import { isHoarding } from '../goodsMarket.js';
+import { payFrom, businessAccount } from '../moneyLedger.js';
+
+const { MARKET } = GAME_BALANCE;
 
 // === 1. LEAF NODES (LOGIC) ===
 
@@ -12,32 +20,43 @@ const Actions = {
         // Only run this once per shopping trip to ensure consistency
         if (agent.stateContext.plan) return Status.SUCCESS;
 
-        const baseCost = ACTIVITY_COSTS['shopping'] || 10;
         const conscientiousness = agent.persona?.conscientiousness ?? 0.5;
         const stress = agent.stress ?? 0;
         
-        let multiplier = 1.0;
         let strategy = 'standard';
-        let itemType = 'protein_bar'; // Default
+        let itemCount = MARKET.PURCHASE_QTY;
 
+        // Panic buying: clear the shelf while there's something on it
+        if (isHoarding(context.worldState) &&
+            rng.random() < MARKET.HOARD_CHANCE * (0.5 + (agent.persona?.stressProneness ?? 0.5))) {
+            strategy = 'hoarding';
+            itemCount *= MARKET.HOARD_MULTIPLIER;
+        }
         // Retail Therapy / Impulse Buying
-        if (stress > 60 || conscientiousness < 0.3) {
-            multiplier = 1.5; 
+        else if (stress > 60 || conscientiousness < 0.3) {
             strategy = 'impulse';
-            itemType = 'energy_drink'; // Or random premium item
         } 
         // Frugal Shopping
         else if (conscientiousness > 0.7) {
-            multiplier = 0.8; 
             strategy = 'frugal';
-            itemType = 'canned_soup';
         }
 
+        const itemType = MARKET.SHOPPING_ITEMS[strategy];
+        const loc = worldGraph.nodes[agent.locationId];
+        // Hoarders take whatever is left if it's at least a normal trip's worth
+        const stock = loc ? worldGraph.getStock(loc.key, itemType) : 0;
+        if (strategy === 'hoarding' && stock < itemCount) itemCount = Math.max(MARKET.PURCHASE_QTY, stock);
+
+        const basePrice = ITEM_CATALOG[itemType]?.cost ?? 1;
+        const unitPrice = (loc && worldGraph.getPrice(loc.key, itemType)) ?? basePrice;
+
         agent.stateContext.plan = {
-            totalCost: baseCost * multiplier,
+            totalCost: Math.round(unitPrice * itemCount * 100) / 100,
+            unitPrice,
+            basePrice,
             strategy: strategy,
             itemType: itemType,
-            itemCount: 5
+            itemCount
         };
         
         return Status.SUCCESS;
@@ -59,9 +78,15 @@ const Actions = {
         // Check stock
         // Note: consumeStock returns true if successful. 
         // We use it here because it's atomic. If it returns true, we MUST pay.
-        if (worldGraph.consumeStock(loc.key)) {
-            // Deduct Money
-            agent.money = (agent.money ?? 0) - plan.totalCost;
+        if (worldGraph.consumeStock(loc.key, plan.itemType, plan.itemCount)) {
+            // Pay the store
+            payFrom(agent, businessAccount(loc.key), plan.totalCost, 'sale', context.worldState.currentTick);
+
+            // The main thread applies the sale to the store's shelves (GoodsMarket.recordSale)
+            agent.matrix?.eventBus?.queue('market:purchase', 'high', {
+                storeId: loc.key, itemId: plan.itemType, qty: plan.itemCount,
+                paid: plan.totalCost, agentId: agent.id, tick: context.worldState.currentTick
+            });
             
             // Add Inventory
             const itemDef = ITEM_CATALOG[plan.itemType] || { id: 'food', uses: 5, type: 'food' };
@@ -102,30 +127,43 @@ const Actions = {
             eventBus.emitNow('db:writeMemory', 'low', agent.id, context.worldState.currentTick, `Splurged on groceries. I deserved a treat.`);
         } else if (strategy === 'frugal') {
             agent.mood = Math.min(100, (agent.mood ?? 0) + 2);
+        } else if (strategy === 'hoarding') {
+            agent.stress = Math.max(0, (agent.stress ?? 0) - 5);
+            eventBus.emitNow('db:writeMemory', 'low', agent.id, context.worldState.currentTick, `Stocked up while there was still something on the shelves.`);
         }
 
         // 10% Chance of flavor event
-        if (Math.random() < 0.1) {
+        if (rng.random() < 0.1) {
             const events = [
                 "found a free sample",
                 "ran into a neighbor",
                 "liked the music in the store"
             ];
-            const evt = events[Math.floor(Math.random() * events.length)];
+            const evt = events[Math.floor(rng.random() * events.length)];
             eventBus.emitNow('db:writeMemory', 'low', agent.id, context.worldState.currentTick, `At the store, I ${evt}.`);
         }
 
+        goalPlanner.completeStep(agent, 'shop');
         return Status.SUCCESS;
     },
 
     // Failure outcomes
-    HandlePoverty: (agent) => {
+    HandlePoverty: (agent, context) => {
         agent.stress = Math.min(100, (agent.stress ?? 0) + 10);
         agent.mood = Math.max(0, (agent.mood ?? 0) - 10);
+        goalPlanner.failStep(agent, 'shop', 'card declined', { tick: context.worldState.currentTick });
         return { isDirty: true, walOp: { op: 'AGENT_LOG', data: { msg: "Card declined. Embarrassing." } } };
     },
 
-    HandleNoStock: (agent) => {
+    HandleOverpriced: (agent, context) => {
+        agent.stress = Math.min(100, (agent.stress ?? 0) + 3);
+        goalPlanner.failStep(agent, 'shop', 'too expensive', { exclude: agent.locationId, tick: context.worldState.currentTick });
+        return { isDirty: true, walOp: { op: 'AGENT_LOG', data: { msg: `Walked out, prices were through the roof.` } } };
+    },
+
+    HandleNoStock: (agent, context) => {
+        // Replan around this store (LeaveShop hands back to IdleState, which follows the new plan)
+        goalPlanner.failStep(agent, 'shop', 'out of stock', { exclude: agent.locationId, tick: context.worldState.currentTick });
         return { isDirty: true, walOp: { op: 'AGENT_LOG', data: { msg: "Store was out of stock." } } };
     },
 
@@ -139,6 +177,14 @@ const Conditions = {
     CanAfford: (agent) => {
         const cost = agent.stateContext.plan?.totalCost || 9999;
         return (agent.money ?? 0) >= cost;
+    },
+
+    // Shelf price well above catalog price; panic buyers pay whatever it takes
+    IsOverpriced: (agent) => {
+        const plan = agent.stateContext.plan;
+        if (!plan || plan.strategy === 'hoarding') return false;
+        const limit = plan.strategy === 'frugal' ? MARKET.FRUGAL_PRICE_LIMIT : MARKET.PRICE_LIMIT;
+        return plan.unitPrice > plan.basePrice * limit;
     }
 };
 
@@ -150,6 +196,13 @@ const ShoppingTree = new Sequence([
 
     // Step 2: Try to execute the plan
     new Selector([
+        // Before anything: prices gone up too far, try another store
+        new Sequence([
+            new Condition(Conditions.IsOverpriced),
+            new Action(Actions.HandleOverpriced),
+            new Action(Actions.LeaveShop)
+        ]),
+
         // Option A: Successful Purchase
         new Sequence([
             new Condition(Conditions.CanAfford),
@@ -173,6 +226,8 @@ const ShoppingTree = new Sequence([
     ])
 ]);
 
+btRegistry.register('shopping', { conditions: Conditions, actions: Actions, tree: ShoppingTree });
+
 // === 3. STATE CLASS ===
 
 export class ShoppingState extends BaseState {
@@ -187,7 +242,7 @@ export class ShoppingState extends BaseState {
         super.tick(agent, hour, localEnv, worldState); 
 
         const context = { hour, localEnv, worldState, transition: null };
-        const status = ShoppingTree.execute(agent, context);
+        const status = btRegistry.resolve('shopping', agent).execute(agent, context);
 
         if (context.transition) {
             return context.transition;
@@ -1,7 +1,8 @@
 import { BaseState } from './BaseState.js';
 import { Selector, Sequence, Condition, Action, Status } from '../BehaviorTreeCore.js';
+import btRegistry from '../behaviorTreeRegistry.js';
 import { GAME_BALANCE } from '../../data/balance.js';
-import { isAgentWorkShift } from '../agentUtilities.js'; // Import isAgentWorkShift
+import { isAgentWorkShift, isAgentSick } from '../agentUtilities.js'; // Import isAgentWorkShift
 import eventBus from '../../engine/eventBus.js';
 
 const SLEEP_CONFIG = {
@@ -39,9 +40,9 @@ const Actions = {
         let wakeReason = null;
 
         // 1. Work Alarm (Wake up 1 hour before shift)
-        // We check if work starts in the next hour (current hour + 1)
+        // We check if work starts in the next hour (current hour + 1). The sick sleep through it.
         const nextHour = (hour + 1) % 24;
-        if (isAgentWorkShift(agent, nextHour) && !isAgentWorkShift(agent, hour)) {
+        if (isAgentWorkShift(agent, nextHour) && !isAgentWorkShift(agent, hour) && !isAgentSick(agent)) {
              wakeReason = "Work Alarm";
         }
         
@@ -95,6 +96,8 @@ const SleepingTree = new Sequence([
     new Action(Actions.CheckWakeConditions) // Consolidated wake logic
 ]);
 
+btRegistry.register('sleeping', { actions: Actions, tree: SleepingTree });
+
 // === 3. STATE CLASS ===
 
 export class SleepingState extends BaseState {
@@ -109,7 +112,7 @@ export class SleepingState extends BaseState {
         super.tick(agent, hour, localEnv, worldState, { skipEnergy: true, skipStressCalculation: true });
 
         const context = { hour, localEnv, worldState, transition: null };
-        const status = SleepingTree.execute(agent, context);
+        const status = btRegistry.resolve('sleeping', agent).execute(agent, context);
 
         if (context.transition) return context.transition;
         // If Actions.CheckWakeConditions returned an object (transition), execute handles it differently?
@@ -1,9 +1,20 @@
 import { BaseState } from './BaseState.js';
-import { Selector, Sequence, Condition, Action, Inverter, Status } from '../BehaviorTreeCore.js';
+import { Selector, Sequence, Condition, Action, Inverter, Guard, Timeout, Status } from '../BehaviorTreeCore.js';
+import btRegistry from '../behaviorTreeRegistry.js';
 import { SOCIAL_FAIL_TICK_LIMIT } from '../../data/config.js'; 
 import { GAME_BALANCE } from '../../data/balance.js';
 import worldGraph from '../../data/worldGraph.js';
 import eventBus from '../../engine/eventBus.js';
+import rng from '../rng.js';
+import { getAwaitedMeetup } from '../agent/agentSocialPlans.js';
+import { hearGossip } from '../agent/agentGossip.js';
+
+// worldState.agents is the worker's agent list (an array); co-located agents share a worker
+const findAgent = (worldState, id) => {
+    const agents = worldState.agents;
+    if (!agents || !id) return null;
+    return Array.isArray(agents) ? agents.find(a => a.id === id) ?? null : agents[id] ?? null;
+};
 
 // === 1. LEAF NODES (LOGIC) ===
 
@@ -23,7 +34,7 @@ const Actions = {
         agent.stateContext.ticksInState++;
         const partner = agent.stateContext.isDigital 
             ? null 
-            : context.worldState.agents?.[agent.stateContext.conversationPartner?.id];
+            : findAgent(context.worldState, agent.stateContext.conversationPartner?.id);
 
         // 1. Validation Check: Is partner still here?
         if (!agent.stateContext.isDigital) {
@@ -32,14 +43,17 @@ const Actions = {
             }
         }
 
-        // 2. Regen Stats
+        // 2. Catch up on gossip (each side only updates itself, from its own tick)
+        if (partner) hearGossip(agent, partner, context.worldState.currentTick, agent.matrix?.eventBus);
+
+        // 3. Regen Stats
         const qualityMult = agent.stateContext.isDigital ? 0.7 : 1.2;
         const effectiveRegen = (GAME_BALANCE.REGEN.SOCIALIZE || 5) * qualityMult;
         
         agent.social = Math.max(0, (agent.social ?? 0) - effectiveRegen);
         agent.mood = Math.min(100, (agent.mood ?? 0) + 0.5);
 
-        // 3. Exit Conditions
+        // 4. Exit Conditions
         if (agent.social < 5) return Actions.EndConversation(agent, { reason: "Social battery full." });
         if (agent.stateContext.ticksInState > 120) return Actions.EndConversation(agent, { reason: "Ran out of topics." });
 
@@ -47,21 +61,7 @@ const Actions = {
     },
 
     CheckForReply: (agent, context) => {
-        agent.stateContext.searchTicks++;
-        const target = context.worldState.agents?.[agent.stateContext.targetAgentId];
-        
-        // Timeout check
-        if (agent.stateContext.searchTicks > 10) {
-            agent.stateContext.waitingForReply = false;
-            agent.stateContext.targetAgentId = null;
-            
-            // FIX: Don't just return FAILURE (which falls through to search).
-            // Explicitly give up or switch mode to prevent rapid loop.
-            if (Math.random() < 0.5) {
-                 return Actions.StartDigitalChat(agent); // Fallback to phone
-            }
-            return Actions.EndConversation(agent, { reason: "No reply." });
-        }
+        const target = findAgent(context.worldState, agent.stateContext.targetAgentId);
 
         // Success check: Target is now socializing with US
         if (target && 
@@ -69,13 +69,26 @@ const Actions = {
             target.stateContext?.targetAgentId === agent.id) 
         {
             // Handshake complete!
-            agent.stateContext.conversationPartner = target;
+            // Keep a plain reference: stateContext crosses the worker boundary
+            agent.stateContext.conversationPartner = { id: target.id, name: target.name };
             agent.stateContext.waitingForReply = false;
             agent.stateContext.ticksInState = 0;
             return Status.SUCCESS;
         }
 
-        return Status.RUNNING; // Keep waiting
+        return Status.RUNNING; // Keep waiting (the tree's Timeout decides when to give up)
+    },
+
+    GiveUpOnReply: (agent) => {
+        agent.stateContext.waitingForReply = false;
+        agent.stateContext.targetAgentId = null;
+
+        // FIX: Don't just return FAILURE (which falls through to search).
+        // Explicitly give up or switch mode to prevent rapid loop.
+        if (rng.random() < 0.5) {
+             return Actions.StartDigitalChat(agent); // Fallback to phone
+        }
+        return Actions.EndConversation(agent, { reason: "No reply." });
     },
 
     FindNewPartner: (agent, context) => {
@@ -92,11 +105,11 @@ const Actions = {
         });
 
         if (candidates.length > 0) {
-            // Pick random or best relationship
-            const partner = candidates[0];
+            // A friend we planned to meet here comes first
+            const meetup = getAwaitedMeetup(agent, context.worldState.currentTick);
+            const partner = candidates.find(a => a.id === meetup?.partnerId) || candidates[0];
             agent.stateContext.targetAgentId = partner.id;
             agent.stateContext.waitingForReply = true;
-            agent.stateContext.searchTicks = 0;
 
             // Send signal (simulated via EventBus)
             context.worldState.eventBus?.queue('agent:requestConversation', { from: agent.id, to: partner.id });
@@ -107,6 +120,16 @@ const Actions = {
         return Status.FAILURE; // No one here
     },
 
+    WaitForMeetup: (agent, context) => {
+        const meetup = getAwaitedMeetup(agent, context.worldState.currentTick);
+        const here = context.worldState.locationSocialContext?.get(agent.locationId) || [];
+        if (here.some(a => a.id === meetup.partnerId)) {
+            return Actions.FindNewPartner(agent, context);
+        }
+        agent.currentActivity = `Waiting for ${meetup.partnerName}`;
+        return Status.RUNNING;
+    },
+
     StartDigitalChat: (agent) => {
         // Fallback: Text a friend
         agent.stateContext.isDigital = true;
@@ -118,8 +141,8 @@ const Actions = {
 const Conditions = {
     IsCurfew: (agent, { hour }) => (hour >= 1 && hour < 6),
     IsInConversation: (agent) => !!(agent.stateContext.conversationPartner || agent.stateContext.isDigital),
-    IsWaitingForReply: (agent) => !!agent.stateContext.waitingForReply,
-    HasTarget: (agent) => !!agent.stateContext.targetAgentId
+    HasTarget: (agent) => !!agent.stateContext.targetAgentId,
+    IsAwaitingMeetup: (agent, { worldState }) => !!getAwaitedMeetup(agent, worldState.currentTick)
 };
 
 // === 2. BEHAVIOR TREE ===
@@ -137,13 +160,24 @@ const SocializingTree = new Selector([
         new Action(Actions.HandleActiveChat)
     ]),
 
-    // 3. Waiting for Handshake
+    // 3. Waiting for Handshake (gives up after REPLY_TIMEOUT_TICKS)
+    new Guard({ key: 'waitingForReply', equals: true }, new Selector([
+        new Timeout(
+            GAME_BALANCE.SOCIAL_SIM.REPLY_TIMEOUT_TICKS,
+            new Action(Actions.CheckForReply),
+            { key: 'social_reply_wait' }
+        ),
+        new Action(Actions.GiveUpOnReply)
+    ])),
+
+    // 4. Planned Meetup: hang around until the friend shows (the FSM resolves no-shows)
     new Sequence([
-        new Condition(Conditions.IsWaitingForReply),
-        new Action(Actions.CheckForReply)
+        new Condition(Conditions.IsAwaitingMeetup),
+        new Inverter(new Condition(Conditions.HasTarget)),
+        new Action(Actions.WaitForMeetup)
     ]),
 
-    // 4. Initiation Phase
+    // 5. Initiation Phase
     new Selector([
         // A: Try to find someone physical
         new Sequence([
@@ -160,6 +194,8 @@ const SocializingTree = new Selector([
     ])
 ]);
 
+btRegistry.register('socializing', { conditions: Conditions, actions: Actions, tree: SocializingTree });
+
 // === 3. STATE CLASS ===
 
 export class SocializingState extends BaseState {
@@ -168,7 +204,6 @@ export class SocializingState extends BaseState {
         this._updateActivityFromState(agent);
         
         agent.stateContext.ticksInState = 0;
-        agent.stateContext.searchTicks = 0;
         agent.stateContext.waitingForReply = false;
         agent.stateContext.isDigital = false;
         agent.stateContext.conversationPartner = null;
@@ -183,7 +218,7 @@ export class SocializingState extends BaseState {
         super.tick(agent, hour, localEnv, worldState, { skipSocial: true });
         
         const context = { hour, localEnv, worldState, transition: null };
-        const status = SocializingTree.execute(agent, context);
+        const status = btRegistry.resolve('socializing', agent).execute(agent, context);
 
         if (context.transition) {
             return context.transition;
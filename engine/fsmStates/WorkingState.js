@@ -1,6 +1,25 @@
 import { BaseState } from './BaseState.js';
 import { Selector, Sequence, Condition, Action, Chance, Status } from '../BehaviorTreeCore.js';
-import { isAgentWorkShift } from '../agentUtilities.js';
+import btRegistry from '../behaviorTreeRegistry.js';
+import { isAgentWorkShift, isAgentSick } from '../agentUtilities.js';
+import { GAME_BALANCE } from '../../data/balance.js';
+import { MINUTES_PER_TICK } from '../../data/config.js';
+import rng from '../rng.js';
+import worldGraph from '../../data/worldGraph.js';
+import { payTo, businessAccount, EXTERNAL } from '../moneyLedger.js';
+import { isOfficer, beatOf } from '../agent/agentCrime.js';
+
+const { CRIME } = GAME_BALANCE;
+const TICKS_PER_HOUR = 60 / MINUTES_PER_TICK;
+
+// Wages come out of the employer's treasury; public-sector jobs are paid from outside the city
+const employerAccount = (agent) =>
+    worldGraph.nodes[agent.workLocationId]?.is_business ? businessAccount(agent.workLocationId) : EXTERNAL;
+
+// Lateness and walkouts go to the job market on the main thread (engine/jobMarket.js)
+const reportConduct = (agent, kind, tick) => {
+    agent.matrix?.eventBus?.queue('job:conduct', 'low', { agentId: agent.id, kind, tick });
+};
 
 // === 1. DEFINE LEAVES (REUSABLE LOGIC) ===
 
@@ -8,9 +27,13 @@ const Conditions = {
     IsShiftOver: (agent, { hour }) => !isAgentWorkShift(agent, hour),
     
     IsBurnedOut: (agent) => (agent.stress > 90),
+
+    IsSick: (agent) => isAgentSick(agent),
     
     IsDistracted: (agent, { localEnv }) => 
-        (localEnv.noise > 0.7 || (agent.perceivedAgents?.length > 3 && agent.persona.extroversion < 0.3))
+        (localEnv.noise > 0.7 || (agent.perceivedAgents?.length > 3 && agent.persona.extroversion < 0.3)),
+
+    IsOnBeat: (agent) => isOfficer(agent) && !!agent.workLocationId
 };
 
 const Actions = {
@@ -22,8 +45,7 @@ const Actions = {
         const hoursWorked = ticksWorked / 4; // 15 min ticks
         
         if (hoursWorked > 0) {
-            const earnings = hourlyWage * hoursWorked;
-            agent.money = (agent.money || 0) + earnings;
+            const earnings = payTo(agent, employerAccount(agent), hourlyWage * hoursWorked, 'wages', context.worldState?.currentTick);
             
             // Optional: Log payment
             if (agent.lod === 1) {
@@ -35,25 +57,53 @@ const Actions = {
         return Status.SUCCESS;
     },
 
+    WalkOut: (agent, { worldState }) => {
+        reportConduct(agent, 'walkout', worldState.currentTick);
+        return Status.SUCCESS;
+    },
+
+    // Counted (and remembered) by the health system on the main thread (engine/healthSystem.js)
+    CallInSick: (agent, { worldState }) => {
+        agent.matrix?.eventBus?.queue('health:calledInSick', 'low', { agentId: agent.id, tick: worldState.currentTick });
+        return Status.SUCCESS;
+    },
+
     LeaveWork: (agent) => {
         if (agent.intentionStack) agent.intentionStack.pop();
         // Return transition data. The Tree engine will bubble this up via context.transition
         return { isDirty: true, nextState: 'fsm_idle' }; 
     },
 
-    DoActualWork: (agent) => {
+    DoActualWork: (agent, context) => {
         // Standard work logic
         agent.stateContext.ticksWorked = (agent.stateContext.ticksWorked || 0) + 1;
         agent.stress = Math.min(100, (agent.stress || 0) + 0.05);
         
         // Chance for bonus
-        if (Math.random() < 0.01) {
-            agent.money = (agent.money || 0) + 10;
+        if (rng.random() < 0.01) {
+            payTo(agent, employerAccount(agent), 10, 'bonus', context.worldState?.currentTick);
             return { isDirty: true, walOp: { op: 'AGENT_EARN_BONUS', data: { amount: 10 } } };
         }
         return Status.SUCCESS;
     },
 
+    // Officers walk the streets around their work location, one step every PATROL_TICKS; where
+    // they stand is what deters and catches offenders (engine/crimeSystem.js). One who clocked
+    // in away from the beat (IdleState starts the shift wherever it is) heads to the station first.
+    WalkBeat: (agent, { worldState }) => {
+        const beat = beatOf(agent.workLocationId);
+        if (!beat.has(agent.locationId)) {
+            agent.targetLocationId = agent.workLocationId;
+            agent.fsm?.pushIntention({ goal: agent.state, reason: 'beat' });
+            return { isDirty: true, nextState: 'fsm_commuting' };
+        }
+        if (worldState.currentTick % CRIME.PATROL_TICKS !== 0) return Status.SUCCESS;
+        const steps = (worldGraph.edges[agent.locationId] || []).filter(e => e.mode === 'walk' && beat.has(e.to));
+        if (steps.length === 0) return Status.SUCCESS;
+        agent.locationId = rng.pick(steps).to;
+        return { isDirty: true };
+    },
+
     SlackOff: (agent) => {
         // [FIX] Removed state transition. Slacking off now happens AT WORK.
         // It relieves stress but doesn't earn "ticksWorked" (or earns less).
@@ -62,7 +112,7 @@ const Actions = {
         agent.stress = Math.max(0, (agent.stress || 0) - 0.5);
         
         // Flavor log occasionally
-        if (agent.lod === 1 && Math.random() < 0.05) {
+        if (agent.lod === 1 && rng.random() < 0.05) {
              console.log(`[${agent.name}] Zoning out at work.`);
         }
         
@@ -77,24 +127,40 @@ const StandardWorkerTree = new Selector([
     // 1. High Priority: Burnout
     new Sequence([
         new Condition(Conditions.IsBurnedOut),
+        new Action(Actions.WalkOut),
         new Action(Actions.PayWages), // Get paid for partial shift
         new Action(Actions.LeaveWork)
     ]),
-    // 2. High Priority: Shift End
+    // 2. High Priority: Sick (go home and rest)
+    new Sequence([
+        new Condition(Conditions.IsSick),
+        new Action(Actions.CallInSick),
+        new Action(Actions.PayWages), // Get paid for the hours already worked
+        new Action(Actions.LeaveWork)
+    ]),
+    // 3. High Priority: Shift End
     new Sequence([
         new Condition(Conditions.IsShiftOver),
         new Action(Actions.PayWages), // Get paid for full shift
         new Action(Actions.LeaveWork)
     ]),
-    // 3. Distractions (Low Chance to slack off)
+    // 4. Distractions (Low Chance to slack off)
     new Sequence([
         new Condition(Conditions.IsDistracted),
         new Chance(0.3, new Action(Actions.SlackOff))
     ]),
-    // 4. Default: Work
+    // 5. Officers work on their feet
+    new Sequence([
+        new Condition(Conditions.IsOnBeat),
+        new Action(Actions.WalkBeat),
+        new Action(Actions.DoActualWork)
+    ]),
+    // 6. Default: Work
     new Action(Actions.DoActualWork)
 ]);
 
+btRegistry.register('working', { conditions: Conditions, actions: Actions, tree: StandardWorkerTree });
+
 // === 3. THE REFACTORED STATE ===
 
 export class WorkingState extends BaseState {
@@ -121,8 +187,21 @@ export class WorkingState extends BaseState {
         agent.stateContext.ticksWorked = 0; // Track time for payment
     }
 
+    // Clocking in more than LATE_GRACE_HOURS into the shift counts against the worker, once per
+    // shift. The shift is keyed by the hour it started, kept outside this state's namespace so
+    // coming back from a break doesn't count again.
+    _checkArrival(agent, hour, tick) {
+        if (!isAgentWorkShift(agent, hour)) return;
+        const hoursIn = (Math.floor(hour) - (agent.workStartHour ?? 9) + 24) % 24;
+        const shiftKey = Math.floor(tick / TICKS_PER_HOUR) - hoursIn;
+        if (agent.stateContext.clockedInShift === shiftKey) return;
+        agent.stateContext.clockedInShift = shiftKey;
+        if (hoursIn >= GAME_BALANCE.JOBS.LATE_GRACE_HOURS) reportConduct(agent, 'late', tick);
+    }
+
     tick(agent, hour, localEnv, worldState) {
         super.tick(agent, hour, localEnv, worldState); // Biological decay
+        this._checkArrival(agent, hour, worldState.currentTick);
 
         // 1. Setup the Context for the Tree
         // We add a 'transition' property that the Actions can write to
@@ -133,8 +212,8 @@ export class WorkingState extends BaseState {
             transition: null // Actions will write { nextState: '...' } here
         };
 
-        // 2. Select the correct static tree logic
-        const behaviorTree = StandardWorkerTree;
+        // 2. Select the tree (this agent's YAML variant, or the built-in one)
+        const behaviorTree = btRegistry.resolve('working', agent);
 
         // 3. Execute the Tree
         const status = behaviorTree.execute(agent, context);
@@ -0,0 +1,356 @@
+/**
+ * goalPlanner.js
+ * GOAP-style planner that turns a need into a multi-step intention plan.
+ *
+ * CONCEPT:
+ * A goal (e.g. 'not_hungry') is a test over a small symbolic world state:
+ *   { at, hasFood, money, hungry }
+ * Planner actions have preconditions, effects and a cost (ticks, plus money spent). A
+ * uniform-cost search finds the cheapest sequence, e.g. [commute to store, shop, commute
+ * home, eat]. The facts come from the agent's money and inventory (agentInventory.js), the
+ * candidate places from worldGraph affordances (nearest open stores / eateries, minus those
+ * the agent believes are shut) and commute costs from worldGraph routing.
+ *
+ * EXECUTION:
+ * The plan lives on agent.intentionPlan (synced over IPC), its bookkeeping on
+ * agent.stateContext.planner. IdleState starts the next step. A commute step launches
+ * together with the step after it: the intention stack makes CommutingState hand over
+ * straight to that state on arrival. States report back with completeStep() / failStep().
+ * A failure (out of stock, closed, unreachable, turned away) excludes the location and
+ * replans. After PLANNER.MAX_REPLANS failures the goal is shelved for PLANNER.SHELVE_TICKS.
+ */
+import worldGraph from '../data/worldGraph.js';
+import { ITEM_CATALOG } from '../data/dataLoader.js';
+import { GAME_BALANCE } from '../data/balance.js';
+import { getConsumableFoodItem } from './agent/agentInventory.js';
+import { fearOf } from './agent/agentCrime.js';
+import btTracer from './btTracer.js';
+
+const { PLANNER, COSTS, MARKET, CRIME } = GAME_BALANCE;
+
+// Which FSM state carries out each executable step
+const STEP_STATES = {
+    shop: 'fsm_shopping',
+    eat_home: 'fsm_eating',
+    eat_out: 'fsm_eating',
+};
+
+const GOALS = {
+    not_hungry: {
+        isSatisfied: (facts) => !facts.hungry,
+        isMet: (agent) => (agent.hunger ?? 0) < PLANNER.SATED_HUNGER,
+    },
+};
+
+/**
+ * Price of a shopping trip for the dearest of ShoppingState's items, at catalog price.
+ */
+function estimateShoppingCost() {
+    const costs = Object.values(MARKET.SHOPPING_ITEMS).map(id => ITEM_CATALOG[id]?.cost ?? 0);
+    return MARKET.PURCHASE_QTY * Math.max(...costs);
+}
+
+function offers(node, action) {
+    // Homes list eating among their affordances, but only your own kitchen is open to you
+    return node.type !== 'home' &&
+        worldGraph.isLocationOpen(node) &&
+        worldGraph.getLocationAffordances(node).some(a => a.action === action);
+}
+
+// === PLANNER ACTIONS ===
+// applicable(facts, world) -> boolean, apply(facts, world) -> facts, cost(facts, world) -> number
+
+const ACTIONS = {
+    shop: {
+        applicable: (f, w) => w.stores.has(f.at) && !f.hasFood && f.money >= w.shopCost,
+        apply: (f, w) => ({ ...f, hasFood: true, money: f.money - w.shopCost }),
+        cost: (f, w) => PLANNER.STEP_TICKS + (w.shopCost / PLANNER.MEALS_PER_SHOP) * PLANNER.MONEY_COST_WEIGHT,
+    },
+    eat_home: {
+        applicable: (f, w) => f.hungry && f.hasFood && f.at === w.home,
+        apply: (f) => ({ ...f, hungry: false, hasFood: false }),
+        cost: () => PLANNER.STEP_TICKS,
+    },
+    eat_out: {
+        applicable: (f, w) => f.hungry && w.eateries.has(f.at) && f.money >= COSTS.MEAL_OUT,
+        apply: (f) => ({ ...f, hungry: false, money: f.money - COSTS.MEAL_OUT }),
+        cost: () => PLANNER.STEP_TICKS + COSTS.MEAL_OUT * PLANNER.MONEY_COST_WEIGHT,
+    },
+};
+
+function factsKey(f) {
+    return `${f.at}|${f.hasFood ? 1 : 0}|${f.hungry ? 1 : 0}|${Math.round(f.money)}`;
+}
+
+class GoalPlanner {
+    // === Planning ===
+
+    /**
+     * Snapshot of the places a plan may use: home plus the nearest open stores / eateries
+     * (the agent's own location counts too), minus excluded locations.
+     */
+    _buildWorld(agent, excluded = []) {
+        const skip = new Set(excluded);
+        const here = worldGraph.nodes[agent.locationId];
+        // Places the agent saw or heard were closed / sold out (perceptionService, agentGossip.js)
+        const believedShut = (node) => node !== here &&
+            (agent.beliefs?.locationStatus?.[node.key] === 'closed' || agent.beliefs?.stockStatus?.[node.key] === 'out');
+        // ...and places the agent is afraid of after a crime there (agent/agentCrime.js)
+        const tick = agent.matrix?.tickCount ?? 0;
+        const feared = (node) => node !== here && fearOf(agent, node.key, tick) >= CRIME.FEAR_AVOID_AT;
+        const find = (action) => {
+            const matches = (node) => !skip.has(node.key) && !believedShut(node) && !feared(node) && offers(node, action);
+            const nodes = worldGraph.findKNearest(agent.locationId, matches, PLANNER.CANDIDATE_K);
+            if (here && matches(here)) nodes.unshift(here);
+            return new Set(nodes.map(n => n.key));
+        };
+
+        const world = {
+            home: (agent.homeLocationId && !skip.has(agent.homeLocationId)) ? agent.homeLocationId : null,
+            stores: find('fsm_shopping'),
+            eateries: find('fsm_eating'),
+            shopCost: estimateShoppingCost(),
+        };
+        world.places = [...new Set([world.home, ...world.stores, ...world.eateries])].filter(Boolean);
+        return world;
+    }
+
+    /**
+     * Cheapest action sequence reaching `goalId` from the agent's current facts.
+     * @returns {Array<object>|null} Steps ({action, locationId, state?}), [] if already met.
+     */
+    search(agent, goalId, excluded = []) {
+        const goal = GOALS[goalId];
+        if (!goal) throw new Error(`Unknown planner goal '${goalId}'`);
+
+        const world = this._buildWorld(agent, excluded);
+        const start = {
+            at: agent.locationId,
+            hasFood: !!getConsumableFoodItem(agent),
+            hungry: !goal.isMet(agent),
+            money: agent.money ?? 0,
+        };
+
+        const open = [{ facts: start, cost: 0, steps: [] }];
+        const bestCost = new Map([[factsKey(start), 0]]);
+        const travelCosts = new Map();
+        const travelCost = (from, to) => {
+            const key = `${from}->${to}`;
+            if (!travelCosts.has(key)) travelCosts.set(key, worldGraph.getTravelCost(from, to));
+            return travelCosts.get(key);
+        };
+
+        for (let expansions = 0; open.length > 0 && expansions < PLANNER.MAX_EXPANSIONS; expansions++) {
+            // Uniform-cost search: the open set stays tiny, a linear scan beats a heap here
+            let bestIndex = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].cost < open[bestIndex].cost) bestIndex = i;
+            }
+            const { facts, cost, steps } = open.splice(bestIndex, 1)[0];
+            if (cost > (bestCost.get(factsKey(facts)) ?? Infinity)) continue;
+            if (goal.isSatisfied(facts)) return steps;
+
+            const successors = [];
+            for (const [name, action] of Object.entries(ACTIONS)) {
+                if (!action.applicable(facts, world)) continue;
+                successors.push({
+                    facts: action.apply(facts, world),
+                    cost: cost + action.cost(facts, world),
+                    step: { action: name, locationId: facts.at, state: STEP_STATES[name] },
+                });
+            }
+            for (const place of world.places) {
+                if (place === facts.at) continue;
+                const time = travelCost(facts.at, place);
+                if (!Number.isFinite(time)) continue;
+                successors.push({
+                    facts: { ...facts, at: place },
+                    cost: cost + time,
+                    step: { action: 'commute', locationId: place },
+                });
+            }
+
+            for (const next of successors) {
+                const key = factsKey(next.facts);
+                if (next.cost >= (bestCost.get(key) ?? Infinity)) continue;
+                bestCost.set(key, next.cost);
+                open.push({ facts: next.facts, cost: next.cost, steps: [...steps, next.step] });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Plans towards `goalId` and stores the result on the agent.
+     * @returns {boolean} True if the agent now has a plan to follow.
+     */
+    plan(agent, goalId, tick = 0) {
+        const meta = this._meta(agent);
+        if (meta?.goal !== goalId) {
+            agent.stateContext.planner = { goal: goalId, excluded: [], replans: 0, shelvedUntil: meta?.shelvedUntil ?? null };
+        }
+        const { excluded } = agent.stateContext.planner;
+
+        const steps = this.search(agent, goalId, excluded);
+        if (!steps) {
+            this._shelve(agent, tick, 'no plan');
+            return false;
+        }
+        if (steps.length === 0) {
+            this.clearPlan(agent);
+            return false;
+        }
+
+        agent.intentionPlan = steps;
+        const summary = steps.map(s => `${s.action}@${s.locationId}`).join(' > ');
+        btTracer.annotate({ plan: summary });
+        if (agent.lod === 1) console.log(`[${agent.name}] Planned '${goalId}': ${summary}`);
+        return true;
+    }
+
+    canPlan(agent, goalId, tick = 0) {
+        const meta = this._meta(agent);
+        return !(meta?.goal === goalId && meta.shelvedUntil !== null && tick < meta.shelvedUntil);
+    }
+
+    hasPlan(agent) {
+        return (agent.intentionPlan?.length || 0) > 0;
+    }
+
+    /**
+     * The launched step the agent is carrying out right now, if any.
+     */
+    getActiveStep(agent) {
+        const head = agent.intentionPlan?.[0];
+        return head?.active ? head : null;
+    }
+
+    clearPlan(agent) {
+        agent.intentionPlan = [];
+        if (agent.stateContext) delete agent.stateContext.planner;
+    }
+
+    // === Execution ===
+
+    /**
+     * Launches the next step. Called from IdleState whenever the agent has a plan.
+     * @returns {object|null} An FSM transition, or null when the plan is finished or dropped.
+     */
+    startNextStep(agent, tick = 0) {
+        const meta = this._meta(agent);
+        if (!meta || !this.hasPlan(agent)) {
+            this.clearPlan(agent);
+            return null;
+        }
+        if (GOALS[meta.goal]?.isMet(agent)) {
+            this.clearPlan(agent);
+            return null;
+        }
+
+        let head = agent.intentionPlan[0];
+
+        // Back in idle without the step reporting in (e.g. passed out on the way): replan
+        if (head.active) {
+            if (!this.failStep(agent, null, 'interrupted', { tick })) return null;
+            head = agent.intentionPlan[0];
+        }
+
+        if (head.action === 'commute' && head.locationId === agent.locationId) {
+            agent.intentionPlan.shift();
+            return this.startNextStep(agent, tick);
+        }
+
+        const target = head.locationId;
+        const node = worldGraph.nodes[target];
+        if (target !== agent.homeLocationId && !worldGraph.isLocationOpen(node)) {
+            if (!this.failStep(agent, null, 'closed', { exclude: target, tick })) return null;
+            return this.startNextStep(agent, tick);
+        }
+
+        if (head.action === 'commute') {
+            agent.intentionPlan.shift();
+            const next = agent.intentionPlan[0];
+            if (next) next.active = true;
+            agent.targetLocationId = target;
+            this._pushIntention(agent, next?.state || 'fsm_idle', meta.goal);
+            return { isDirty: true, nextState: 'fsm_commuting' };
+        }
+
+        if (target !== agent.locationId) {
+            // The plan assumed we'd be somewhere else by now
+            if (!this.failStep(agent, null, 'off course', { tick })) return null;
+            return this.startNextStep(agent, tick);
+        }
+
+        head.active = true;
+        this._pushIntention(agent, head.state, meta.goal);
+        return { isDirty: true, nextState: head.state };
+    }
+
+    /**
+     * Marks the active step done. Finishing the last step clears the plan.
+     */
+    completeStep(agent, action) {
+        const head = this.getActiveStep(agent);
+        if (!head || head.action !== action) return;
+        agent.intentionPlan.shift();
+        if (!this.hasPlan(agent)) {
+            if (agent.lod === 1) console.log(`[${agent.name}] Plan '${this._meta(agent)?.goal}' complete.`);
+            this.clearPlan(agent);
+        }
+    }
+
+    /**
+     * Reports a failed step and replans around it.
+     * @param {string|null} action - Only fail if the active step is this action (null: any step).
+     * @param {{exclude?: string, tick?: number}} [options] - `exclude` drops a location from future plans.
+     * @returns {boolean} True if the agent has a new plan to follow.
+     */
+    failStep(agent, action, reason, { exclude = null, tick = 0 } = {}) {
+        const meta = this._meta(agent);
+        const head = agent.intentionPlan?.[0];
+        if (!meta || !head) return false;
+        if (action && (!head.active || head.action !== action)) return false;
+
+        if (exclude && !meta.excluded.includes(exclude)) meta.excluded.push(exclude);
+        meta.replans++;
+        agent.intentionPlan = [];
+        if (agent.lod === 1) console.log(`[${agent.name}] Plan step ${head.action}@${head.locationId} failed (${reason}). Replanning.`);
+
+        if (meta.replans > PLANNER.MAX_REPLANS) {
+            this._shelve(agent, tick, `gave up after ${meta.replans - 1} replans`);
+            return false;
+        }
+        return this.plan(agent, meta.goal, tick);
+    }
+
+    // === Internals ===
+
+    _meta(agent) {
+        return agent.stateContext?.planner || null;
+    }
+
+    _shelve(agent, tick, reason) {
+        const meta = this._meta(agent);
+        agent.intentionPlan = [];
+        if (meta) {
+            meta.shelvedUntil = tick + PLANNER.SHELVE_TICKS;
+            meta.excluded = [];
+            meta.replans = 0;
+        }
+        if (agent.lod === 1) console.log(`[${agent.name}] No plan for '${meta?.goal}' (${reason}).`);
+    }
+
+    _pushIntention(agent, goal, planGoal) {
+        const intention = { goal, reason: `plan:${planGoal}` };
+        if (agent.fsm) {
+            agent.fsm.pushIntention(intention);
+        } else {
+            if (!agent.intentionStack) agent.intentionStack = [];
+            agent.intentionStack.push(intention);
+        }
+    }
+}
+
+const goalPlanner = new GoalPlanner();
+export default goalPlanner;
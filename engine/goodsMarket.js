@@ -0,0 +1,232 @@
+/**
+ * goodsMarket.js
+ * Store shelves, prices and the supply chain behind them.
+ *
+ * Every store keeps a stock of each ITEM_CATALOG item (WorldGraph.nodeInventory). The main
+ * thread owns those shelves: shoppers take goods off the workers' per-tick copy
+ * (fsmStates/ShoppingState.js) and report each sale as 'market:purchase', which is applied here;
+ * the money goes into the store's treasury through the ledger (engine/moneyLedger.js). The
+ * shelves go back out to the workers with every tick.
+ *
+ * Once an hour each item's price moves towards a target set by its catalog cost, how empty the
+ * shelf is and how fast it has been selling compared with normal. Once a day at RESTOCK_HOUR
+ * stores reorder what's running low, more when demand is up, and pay for deliveries out of
+ * their treasury; bad weather or a DISRUPTING_EVENTS world event cancels most deliveries and
+ * makes the rest dearer. During a HOARDING_EVENTS world event shoppers clear shelves several
+ * trips' worth at a time, so a blizzard or a Y2K scare shows up as emptier stores and rising
+ * prices, and shoppers walking out of sold-out or overpriced stores for other ones.
+ *
+ * The city-wide price index per item is kept in worldState.market; its hourly history is in
+ * memory only.
+ */
+import worldGraph from '../data/worldGraph.js';
+import { GAME_BALANCE } from '../data/balance.js';
+import { ITEM_CATALOG } from '../data/dataLoader.js';
+import rng from './rng.js';
+import { EXTERNAL, businessAccount } from './moneyLedger.js';
+
+const { MARKET } = GAME_BALANCE;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * True while a hoarding world event (e.g. Y2K_PANIC) is on.
+ */
+export function isHoarding(worldState) {
+  return (worldState?.world_events || []).some(e => MARKET.HOARDING_EVENTS.includes(e.type));
+}
+
+export default class GoodsMarket {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+    // Hourly { tick, index, items: {itemId: index} } points, oldest first
+    this.history = [];
+  }
+
+  get cacheManager() { return this.matrix.cacheManager; }
+  get eventBus() { return this.matrix.eventBus; }
+
+  get state() {
+    if (!this.matrix.worldState.market) {
+      this.matrix.worldState.market = {
+        priceIndex: {},
+        shortages: 0,
+        totals: { unitsSold: 0, sales: 0, deliveries: 0, missedDeliveries: 0, supplyCost: 0 },
+      };
+    }
+    return this.matrix.worldState.market;
+  }
+
+  /**
+   * Shelves for the workers' tick payload.
+   */
+  getInventory() {
+    return Object.fromEntries(worldGraph.nodeInventory);
+  }
+
+  /**
+   * Worker report of a completed purchase. The payment comes in as its own 'ledger:transfer'.
+   * @param {{storeId: string, itemId: string, qty: number, paid: number}} sale
+   */
+  recordSale({ storeId, itemId, qty, paid }) {
+    const entry = worldGraph.nodeInventory.get(storeId)?.[itemId];
+    if (!entry) return;
+    // Without workers the shopper already took it off these shelves
+    if (this.matrix.workerPool.size > 0) entry.stock = Math.max(0, entry.stock - qty);
+    entry.sold += qty;
+    this.state.totals.unitsSold += qty;
+    this.state.totals.sales = round(this.state.totals.sales + paid);
+  }
+
+  runHourly(tick, worldTime) {
+    this._stockNewStores();
+    if (worldTime.getHours() === MARKET.RESTOCK_HOUR) this._deliver(tick);
+    this._reprice();
+    this._recordIndex(tick);
+  }
+
+  _stores() {
+    return [...worldGraph.nodeInventory.entries()].filter(([id]) => worldGraph.nodes[id]?.is_business);
+  }
+
+  // Stores that opened since (engine/businessManager.js) start with bare shelves and wait
+  // for their first delivery
+  _stockNewStores() {
+    for (const node of worldGraph.nodesByType.store ?? []) {
+      if (node.is_business && !worldGraph.nodeInventory.has(node.key)) {
+        worldGraph.nodeInventory.set(node.key, worldGraph.createInventory(0));
+      }
+    }
+  }
+
+  _isDisrupted() {
+    const { weather, world_events: events = [] } = this.matrix.worldState;
+    return MARKET.DISRUPTING_WEATHER.includes(weather?.weather) ||
+      events.some(e => MARKET.DISRUPTING_EVENTS.includes(e.type));
+  }
+
+  _deliver(tick) {
+    const disrupted = this._isDisrupted();
+    const totals = this.state.totals;
+    let delivered = 0, missed = 0, spent = 0;
+
+    for (const [id, inventory] of this._stores()) {
+      const node = worldGraph.nodes[id];
+      const order = [];
+      for (const [itemId, entry] of Object.entries(inventory)) {
+        if (entry.stock >= MARKET.TARGET_STOCK * MARKET.REORDER_SHARE) continue;
+        const pressure = Math.min(MARKET.MAX_ORDER_FACTOR, Math.max(1, entry.demand / MARKET.NORMAL_DAILY_SALES));
+        const unitCost = (ITEM_CATALOG[itemId]?.cost ?? entry.price) * MARKET.WHOLESALE_SHARE *
+          (disrupted ? MARKET.DISRUPTED_COST_FACTOR : 1);
+        order.push({ entry, qty: Math.ceil(MARKET.TARGET_STOCK * pressure - entry.stock), unitCost });
+      }
+      if (order.length === 0) continue;
+      if (disrupted && rng.random() >= MARKET.DISRUPTED_DELIVERY_CHANCE) {
+        missed++;
+        continue;
+      }
+
+      // Emptiest shelves first, as far as the treasury stretches
+      let cost = 0;
+      for (const { entry, qty, unitCost } of order.sort((a, b) => a.entry.stock - b.entry.stock)) {
+        const affordable = Math.min(qty, Math.floor(((node.treasury ?? 0) - cost) / unitCost));
+        if (affordable <= 0) continue;
+        entry.stock += affordable;
+        cost += affordable * unitCost;
+      }
+      if (cost <= 0) continue;
+      spent += this.matrix.ledger.transfer(businessAccount(id), EXTERNAL, cost, 'supplies', { tick });
+      delivered++;
+    }
+
+    totals.deliveries += delivered;
+    totals.missedDeliveries += missed;
+    totals.supplyCost = round(totals.supplyCost + spent);
+    if (missed > 0) {
+      this.eventBus.queue('log:info', 'medium', `[Market] ${missed} store deliveries didn't make it through today.`);
+    }
+  }
+
+  // Folds the last hour's sales into demand and moves prices towards their target
+  _reprice() {
+    for (const [, inventory] of this._stores()) {
+      for (const [itemId, entry] of Object.entries(inventory)) {
+        entry.demand += (entry.sold * 24 - entry.demand) * MARKET.DEMAND_SMOOTHING;
+        entry.sold = 0;
+
+        const base = ITEM_CATALOG[itemId]?.cost ?? entry.price;
+        const missing = Math.max(0, 1 - entry.stock / MARKET.TARGET_STOCK);
+        const demandRatio = entry.demand / MARKET.NORMAL_DAILY_SALES;
+        let factor = (1 + MARKET.SCARCITY_MARKUP * missing * missing) * (1 + MARKET.DEMAND_MARKUP * Math.max(0, demandRatio - 1));
+        if (demandRatio < 0.5 && missing === 0) factor *= 1 - MARKET.OVERSTOCK_DISCOUNT;
+        factor = Math.min(MARKET.PRICE_CEILING, Math.max(MARKET.PRICE_FLOOR, factor));
+
+        entry.price = round(entry.price + (base * factor - entry.price) * MARKET.PRICE_STICKINESS);
+      }
+    }
+  }
+
+  _recordIndex(tick) {
+    const state = this.state;
+    const sums = {};
+    let shortages = 0;
+    for (const [, inventory] of this._stores()) {
+      for (const [itemId, entry] of Object.entries(inventory)) {
+        const base = ITEM_CATALOG[itemId]?.cost ?? entry.price;
+        const sum = (sums[itemId] ??= { ratio: 0, count: 0 });
+        sum.ratio += entry.price / base;
+        sum.count++;
+        if (entry.stock < MARKET.PURCHASE_QTY) shortages++;
+      }
+    }
+
+    const items = {};
+    for (const [itemId, { ratio, count }] of Object.entries(sums)) items[itemId] = round(ratio / count);
+    const values = Object.values(items);
+    const index = values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : 1;
+
+    state.priceIndex = items;
+    state.shortages = shortages;
+    this.history.push({ tick, index, items });
+    if (this.history.length > MARKET.HISTORY_HOURS) this.history.splice(0, this.history.length - MARKET.HISTORY_HOURS);
+  }
+
+  /**
+   * Prices and stock across the city, per item.
+   * @returns {{index: number, shortages: number, disrupted: boolean, hoarding: boolean,
+   *            items: object[], totals: object, history: object[]}}
+   */
+  getSummary() {
+    const items = {};
+    for (const [, inventory] of this._stores()) {
+      for (const [itemId, entry] of Object.entries(inventory)) {
+        const item = (items[itemId] ??= {
+          itemId, name: ITEM_CATALOG[itemId]?.name ?? itemId, basePrice: ITEM_CATALOG[itemId]?.cost ?? null,
+          minPrice: Infinity, maxPrice: 0, stock: 0, outOfStock: 0, demand: 0,
+        });
+        item.minPrice = Math.min(item.minPrice, entry.price);
+        item.maxPrice = Math.max(item.maxPrice, entry.price);
+        item.stock += entry.stock;
+        item.demand += entry.demand;
+        if (entry.stock < MARKET.PURCHASE_QTY) item.outOfStock++;
+      }
+    }
+    const state = this.state;
+    return {
+      index: this.history[this.history.length - 1]?.index ?? 1,
+      shortages: state.shortages,
+      disrupted: this._isDisrupted(),
+      hoarding: isHoarding(this.matrix.worldState),
+      items: Object.values(items).map(item => ({
+        ...item,
+        priceIndex: state.priceIndex[item.itemId] ?? 1,
+        demand: Math.round(item.demand),
+      })),
+      totals: { ...state.totals },
+      history: this.history.map(({ tick, index }) => ({ tick, index })),
+    };
+  }
+}
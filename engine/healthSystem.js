@@ -0,0 +1,222 @@
+/**
+ * healthSystem.js
+ * A catching illness on the main thread: who has it, who catches it from whom, and who gets
+ * over it. The city runs as an SIR model whose daily counts make the epidemic curve.
+ *
+ * Being sick is the SICK status effect. Its `duration` is the ticks of illness left, counted
+ * down with every other status effect after the FSM tick (services/agentService.js), and it
+ * drains energy faster through Agent.getStatMultiplier('energy_decay'). Every tick each sick
+ * agent may pass it on to anyone at the same place, more likely the more crowded the place is
+ * (matrix.locationAgentCount). Sleep and a full stomach take extra ticks off; going hungry
+ * puts them back. Once it runs out the agent is IMMUNE for IMMUNITY_TICKS and then can catch
+ * it again.
+ *
+ * The sick stay home from work, sleep through the work alarm, and call in sick if it comes on
+ * at work (fsmStates/IdleState.js, SleepingState.js, WorkingState.js). A few agents catch
+ * something out of nowhere every day; --outbreak and POST /api/health/outbreak start one.
+ *
+ * The state is worldState.health; the agents' own status lives in their status_effects.
+ */
+import { GAME_BALANCE } from '../data/balance.js';
+import { MINUTES_PER_TICK } from '../data/config.js';
+import worldGraph from '../data/worldGraph.js';
+import rng from './rng.js';
+import { isAgentSick } from './agentUtilities.js';
+
+const { HEALTH } = GAME_BALANCE;
+const TICKS_PER_DAY = (60 * 24) / MINUTES_PER_TICK;
+
+const effectOf = (agent, type) => (agent.status_effects || []).find(e => e.type === type);
+
+export default class HealthSystem {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+  }
+
+  get cacheManager() { return this.matrix.cacheManager; }
+  get eventBus() { return this.matrix.eventBus; }
+
+  get state() {
+    if (!this.matrix.worldState.health) {
+      this.matrix.worldState.health = {
+        totals: { infections: 0, recoveries: 0, calledInSick: 0 },
+        today: { infections: 0, recoveries: 0, calledInSick: 0 },
+        curve: [],
+        pendingCases: 0,
+      };
+    }
+    return this.matrix.worldState.health;
+  }
+
+  /**
+   * Runs once per tick on the main thread, once the place counts are in and before the
+   * workers: starts any outbreak asked for, spreads the illness, then moves the sick along
+   * towards recovery.
+   * @param {number} tick
+   */
+  update(tick) {
+    if (this.state.pendingCases > 0) {
+      this.seedOutbreak(this.state.pendingCases, tick);
+      this.state.pendingCases = 0;
+    }
+
+    const agents = this.cacheManager.getAllAgents();
+    const sickAt = new Map();
+    const sick = [];
+    for (const agent of agents) {
+      if (!isAgentSick(agent)) continue;
+      sick.push(agent);
+      if (agent.locationId) sickAt.set(agent.locationId, (sickAt.get(agent.locationId) ?? 0) + 1);
+    }
+    if (sick.length === 0) return;
+
+    for (const agent of agents) {
+      const carriers = sickAt.get(agent.locationId);
+      if (!carriers || isAgentSick(agent) || effectOf(agent, 'IMMUNE')) continue;
+      const present = this.matrix.locationAgentCount?.get(agent.locationId) ?? carriers + 1;
+      const crowd = Math.min(HEALTH.CROWD_CAP, 1 + present / HEALTH.CROWD_REF);
+      if (rng.random() < 1 - (1 - HEALTH.TRANSMISSION * crowd) ** carriers) this.infect(agent, tick);
+    }
+
+    for (const agent of sick) this._recover(agent, tick);
+  }
+
+  /**
+   * Makes an agent sick, unless it already is or is still immune.
+   * @returns {boolean} Whether the agent fell ill.
+   */
+  infect(agent, tick) {
+    if (isAgentSick(agent) || effectOf(agent, 'IMMUNE')) return false;
+    if (!agent.status_effects) agent.status_effects = [];
+    agent.status_effects.push({
+      type: 'SICK',
+      duration: rng.int(HEALTH.SICK_TICKS[0], HEALTH.SICK_TICKS[1] + 1),
+      affectedStats: ['energy_decay'],
+      magnitude: HEALTH.ENERGY_DECAY_MULT,
+      since: tick,
+    });
+    agent.energy = Math.max(0, (agent.energy ?? 100) - HEALTH.ONSET_ENERGY);
+    this.cacheManager.markAgentDirty(agent.id);
+
+    const state = this.state;
+    state.totals.infections++;
+    state.today.infections++;
+    this.eventBus.queue('db:writeMemory', 'medium', agent.id, tick, 'I think I\'m coming down with something.');
+    return true;
+  }
+
+  // Sleep and food take extra ticks off the illness, hunger puts them back; at the end it leaves
+  // immunity behind
+  _recover(agent, tick) {
+    const sickness = effectOf(agent, 'SICK');
+    let care = 0;
+    if (agent.state === 'fsm_sleeping') care += HEALTH.SLEEP_RECOVERY;
+    if (effectOf(agent, 'WELL_FED')) care += HEALTH.FED_RECOVERY;
+    if ((agent.hunger ?? 0) >= HEALTH.HUNGRY_AT) care -= HEALTH.HUNGER_SETBACK;
+    sickness.duration = Math.min(HEALTH.MAX_SICK_TICKS, sickness.duration - care);
+    // Recover before the countdown after the FSM tick would drop the effect on its own
+    if (sickness.duration > 1) return;
+
+    agent.status_effects = agent.status_effects.filter(e => e !== sickness);
+    agent.status_effects.push({ type: 'IMMUNE', duration: HEALTH.IMMUNITY_TICKS });
+    this.cacheManager.markAgentDirty(agent.id);
+
+    const state = this.state;
+    state.totals.recoveries++;
+    state.today.recoveries++;
+    const days = Math.max(1, Math.round((tick - (sickness.since ?? tick)) / TICKS_PER_DAY));
+    this.eventBus.queue('db:writeMemory', 'low', agent.id, tick,
+      `Finally over whatever I had. ${days === 1 ? 'A day' : `${days} days`} of feeling awful.`);
+  }
+
+  /**
+   * Worker report of a sick agent leaving work (fsmStates/WorkingState.js).
+   * @param {{agentId: string, tick: number}} report
+   */
+  handleCalledInSick({ agentId, tick = this.matrix.tickCount }) {
+    const agent = this.cacheManager.getAgent(agentId);
+    if (!agent) return;
+    const place = worldGraph.nodes[agent.workLocationId]?.name || 'work';
+    this.state.totals.calledInSick++;
+    this.state.today.calledInSick++;
+    this.eventBus.queue('db:writeMemory', 'low', agentId, tick, `Called in sick to ${place}. Going home to sleep it off.`);
+  }
+
+  /**
+   * Makes `cases` more agents sick at the next tick, while the agents are on the main thread.
+   * @returns {{cases: number, atTick: number}}
+   */
+  scheduleOutbreak(cases) {
+    this.state.pendingCases = (this.state.pendingCases ?? 0) + cases;
+    return { cases: this.state.pendingCases, atTick: this.matrix.tickCount + 1 };
+  }
+
+  /**
+   * Makes `cases` agents who can catch it sick at once.
+   * @returns {string[]} The ids of those who fell ill.
+   */
+  seedOutbreak(cases, tick = this.matrix.tickCount) {
+    const candidates = this.cacheManager.getAllAgents().filter(a => !isAgentSick(a) && !effectOf(a, 'IMMUNE'));
+    const infected = [];
+    while (infected.length < cases && candidates.length > 0) {
+      const [agent] = candidates.splice(rng.int(0, candidates.length), 1);
+      if (this.infect(agent, tick)) infected.push(agent.id);
+    }
+    this.eventBus.queue('log:world', 'medium', `[Health] Outbreak: ${infected.length} people fell ill at tick ${tick}.`);
+    return infected;
+  }
+
+  // Susceptible, infected and recovered (still immune) agents right now
+  _counts() {
+    const counts = { susceptible: 0, infected: 0, recovered: 0 };
+    for (const agent of this.cacheManager.getAllAgents()) {
+      if (isAgentSick(agent)) counts.infected++;
+      else if (effectOf(agent, 'IMMUNE')) counts.recovered++;
+      else counts.susceptible++;
+    }
+    return counts;
+  }
+
+  /**
+   * Runs once per day on the main thread: a few cases out of nowhere, then the day's point on
+   * the epidemic curve.
+   * @param {number} tick
+   */
+  runDaily(tick) {
+    for (const agent of this.cacheManager.getAllAgents()) {
+      if (rng.random() < HEALTH.BACKGROUND_CHANCE) this.infect(agent, tick);
+    }
+
+    const state = this.state;
+    const point = { day: Math.floor(tick / TICKS_PER_DAY), tick, ...this._counts(), ...state.today };
+    state.curve.push(point);
+    if (state.curve.length > HEALTH.CURVE_DAYS) state.curve.splice(0, state.curve.length - HEALTH.CURVE_DAYS);
+    state.today = { infections: 0, recoveries: 0, calledInSick: 0 };
+
+    if (point.infected > 0) {
+      this.eventBus.queue('log:world', 'low',
+        `[Health] ${point.infected} sick (${point.infections} new today, ${point.recoveries} recovered, ${point.calledInSick} called in sick).`);
+    }
+    if (this.matrix.dbService?.isHealthy) {
+      this.matrix.dbService.logSimulationEvent(tick, 'HEALTH_SIR', point);
+    }
+  }
+
+  /**
+   * Current S/I/R counts, totals, the daily curve and its peak, for the dashboard and API.
+   */
+  getSummary() {
+    const state = this.state;
+    const peak = state.curve.reduce((best, point) => (point.infected > (best?.infected ?? 0) ? point : best), null);
+    return {
+      ...this._counts(),
+      totals: { ...state.totals },
+      today: { ...state.today },
+      peak,
+      curve: state.curve.slice(),
+    };
+  }
+}
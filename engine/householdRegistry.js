@@ -0,0 +1,329 @@
+/**
+ * householdRegistry.js
+ * Households: the people who share a home and a budget.
+ *
+ * Membership lives on the agents themselves (`householdId`, `householdRole` of 'head',
+ * 'partner', 'member' (a grown child still at home) or 'dependent', and `partnerId` for a romantic partner, cohabiting or not), so it
+ * persists with the agent blob and crosses into the workers untouched. This class runs on the
+ * main thread only: it rebuilds the household records from the cache, seeds families for a
+ * fresh city, and runs the daily pass that pairs up couples, moves them in together, splits
+ * them up again and pays the dependents' allowance. Rent is charged per household by
+ * worldService.handleRentDay out of the pooled budget.
+ */
+import { GAME_BALANCE } from '../data/balance.js';
+import { dataLoader } from '../data/dataLoader.js';
+import worldGraph from '../data/worldGraph.js';
+import { getTie } from './agent/agentRelationships.js';
+import rng from './rng.js';
+import logger from '../logger.js';
+import { agentAccount } from './moneyLedger.js';
+
+const { HOUSEHOLDS } = GAME_BALANCE;
+
+const surname = (name) => String(name ?? '').split(' ').slice(1).join(' ');
+const firstName = (name) => String(name ?? '').split(' ')[0];
+
+export const DEPENDENT_JOB = { title: 'Dependent', salary: 0, hours: [0, 0] };
+
+function pickStatus(statuses) {
+  const total = (statuses ?? []).reduce((sum, s) => sum + (s.weight ?? 0), 0);
+  if (total <= 0) return 'Single';
+  let roll = rng.random() * total;
+  for (const s of statuses) {
+    roll -= s.weight ?? 0;
+    if (roll <= 0) return s.status;
+  }
+  return statuses[statuses.length - 1].status;
+}
+
+export default class HouseholdRegistry {
+  /**
+   * @param {import('./cacheManager.js').default} cacheManager
+   * @param {import('./eventBus.js').default} eventBus
+   * @param {import('./moneyLedger.js').default} ledger
+   */
+  constructor(cacheManager, eventBus, ledger) {
+    this.cacheManager = cacheManager;
+    this.eventBus = eventBus;
+    this.ledger = ledger;
+    // householdId -> { id, name, headId, homeLocationId, adultIds, dependentIds, memberIds }
+    this.households = new Map();
+  }
+
+  get(householdId) {
+    return this.households.get(householdId) ?? null;
+  }
+
+  getForAgent(agentId) {
+    const agent = this.cacheManager.getAgent(agentId);
+    return agent?.householdId ? this.get(agent.householdId) : null;
+  }
+
+  getAll() {
+    return [...this.households.values()];
+  }
+
+  /**
+   * Regroups the cache by householdId. Agents without one get a household of their own,
+   * and everyone is kept at the head's home when the head has one.
+   * @returns {Map<string, object>}
+   */
+  rebuild() {
+    const groups = new Map();
+    for (const agent of this.cacheManager.getAllAgents()) {
+      if (!agent.householdId) this._startHousehold(agent);
+      if (!groups.has(agent.householdId)) groups.set(agent.householdId, []);
+      groups.get(agent.householdId).push(agent);
+    }
+
+    this.households.clear();
+    for (const [id, members] of groups) {
+      const adults = members.filter(a => a.householdRole !== 'dependent');
+      // A widowed partner or the eldest left behind takes over
+      const head = adults.find(a => a.householdRole === 'head') ??
+        adults.find(a => a.householdRole === 'partner') ?? adults[0] ?? members[0];
+      if (head.householdRole !== 'head') head.householdRole = 'head';
+
+      if (head.homeLocationId) {
+        for (const member of members) {
+          if (member.homeLocationId === head.homeLocationId) continue;
+          member.homeLocationId = head.homeLocationId;
+          member.rent_cost = head.rent_cost;
+          this.cacheManager.markAgentDirty(member.id);
+        }
+      }
+
+      this.households.set(id, {
+        id,
+        name: `${surname(head.name) || head.name} household`,
+        headId: head.id,
+        homeLocationId: head.homeLocationId ?? null,
+        adultIds: members.filter(a => a.householdRole !== 'dependent').map(a => a.id),
+        dependentIds: members.filter(a => a.householdRole === 'dependent').map(a => a.id),
+        memberIds: members.map(a => a.id),
+      });
+    }
+    return this.households;
+  }
+
+  _startHousehold(agent) {
+    agent.householdId = rng.uuid();
+    agent.householdRole = 'head';
+    this.cacheManager.markAgentDirty(agent.id);
+  }
+
+  _adults(household) {
+    return household.adultIds.map(id => this.cacheManager.getAgent(id)).filter(Boolean);
+  }
+
+  /**
+   * Money the adults of a household can put towards shared costs.
+   */
+  getBudget(household) {
+    return this._adults(household).reduce((sum, a) => sum + Math.max(0, a.money ?? 0), 0);
+  }
+
+  /**
+   * Takes `amount` out of the pooled budget, each adult paying in proportion to what they have,
+   * into the `to` ledger account.
+   * @param {{to: string, kind: string, tick: number}} payment
+   * @returns {Map<string, number>|null} Share paid per adult, or null if the pool is short.
+   */
+  charge(household, amount, { to, kind, tick }) {
+    const adults = this._adults(household);
+    const budget = this.getBudget(household);
+    if (amount <= 0) return new Map();
+    if (budget < amount) return null;
+
+    const shares = new Map();
+    for (const adult of adults) {
+      const share = amount * (Math.max(0, adult.money ?? 0) / budget);
+      shares.set(adult.id, this.ledger.transfer(agentAccount(adult.id), to, share, kind, { tick }));
+    }
+    return shares;
+  }
+
+  /**
+   * Turns freshly spawned, single-occupancy agents into families, using the
+   * initial_relationship_statuses weights from demographics.yaml. Married couples share the
+   * first partner's home and surname and may take some of the others in as children; dating
+   * couples become partners but keep their own places. Runs before relationship seeding,
+   * which turns these into romantic and family ties.
+   */
+  seed(agents) {
+    const statuses = dataLoader.demographics?.initial_relationship_statuses;
+    const married = [];
+    const dating = [];
+    const single = [];
+    for (const agent of agents) {
+      const status = pickStatus(statuses);
+      if (status === 'Married') married.push(agent);
+      else if (status === 'Dating') dating.push(agent);
+      else single.push(agent);
+    }
+
+    let families = 0;
+    let children = 0;
+    for (let i = 0; i + 1 < married.length; i += 2) {
+      const [head, partner] = [married[i], married[i + 1]];
+      this._startHousehold(head);
+      head.partnerId = partner.id;
+      partner.partnerId = head.id;
+      partner.name = `${firstName(partner.name)} ${surname(head.name)}`;
+      this._join(partner, head, 'partner', { relocate: true });
+      families++;
+
+      if (rng.random() >= HOUSEHOLDS.CHILD_CHANCE) continue;
+      const count = 1 + Math.floor(rng.random() * HOUSEHOLDS.MAX_CHILDREN);
+      for (let c = 0; c < count && single.length > 0; c++) {
+        const child = single.pop();
+        child.name = `${firstName(child.name)} ${surname(head.name)}`;
+        child.workLocationId = null;
+        child.job = { ...DEPENDENT_JOB, recentEvents: [] };
+        child.money = HOUSEHOLDS.DEPENDENT_ALLOWANCE;
+        this._join(child, head, 'dependent', { relocate: true });
+        children++;
+      }
+    }
+
+    for (let i = 0; i + 1 < dating.length; i += 2) {
+      dating[i].partnerId = dating[i + 1].id;
+      dating[i + 1].partnerId = dating[i].id;
+    }
+
+    this.rebuild();
+    logger.info(`[Households] Seeded ${families} families (${children} children) and ${Math.floor(dating.length / 2)} dating couples.`);
+  }
+
+  _join(agent, head, role, { relocate = false } = {}) {
+    agent.householdId = head.householdId;
+    agent.householdRole = role;
+    agent.homeLocationId = head.homeLocationId;
+    agent.rent_cost = head.rent_cost;
+    if (relocate) agent.locationId = head.homeLocationId;
+    this.cacheManager.markAgentDirty(agent.id);
+  }
+
+  /**
+   * Daily pass (main thread, after the workers): new couples, move-ins, breakups, allowances.
+   */
+  runDaily(tick) {
+    this.rebuild();
+    const agents = this.cacheManager.getAllAgents();
+    let changed = false;
+
+    for (const agent of agents) {
+      if (agent.householdRole === 'dependent') continue;
+      const partner = agent.partnerId ? this.cacheManager.getAgent(agent.partnerId) : null;
+
+      if (agent.partnerId && (!partner || !this._isCouple(agent, partner))) {
+        this._breakUp(agent, partner, tick);
+        changed = true;
+      } else if (!agent.partnerId) {
+        changed = this._findPartner(agent, tick) || changed;
+      } else if (agent.id < partner.id && agent.householdId !== partner.householdId) {
+        changed = this._maybeMoveIn(agent, partner, tick) || changed;
+      }
+    }
+
+    if (changed) this.rebuild();
+    this._payAllowances(tick);
+  }
+
+  _isCouple(a, b) {
+    return getTie(a, b.id)?.type === 'romantic' && getTie(b, a.id)?.type === 'romantic';
+  }
+
+  _findPartner(agent, tick) {
+    for (const otherId of Object.keys(agent.relationships ?? {})) {
+      if (getTie(agent, otherId)?.type !== 'romantic') continue;
+      const other = this.cacheManager.getAgent(otherId);
+      if (!other || other.partnerId || other.householdRole === 'dependent' || !this._isCouple(agent, other)) continue;
+
+      agent.partnerId = other.id;
+      other.partnerId = agent.id;
+      this.cacheManager.markAgentDirty(agent.id);
+      this.cacheManager.markAgentDirty(other.id);
+      this.eventBus.queue('log:info', 'medium', `[Households] ${agent.name} and ${other.name} are now a couple.`);
+      return true;
+    }
+    return false;
+  }
+
+  _maybeMoveIn(a, b, tick) {
+    const tieA = getTie(a, b.id);
+    const tieB = getTie(b, a.id);
+    if (Math.min(tieA.affinity, tieB.affinity) < HOUSEHOLDS.MOVE_IN_AT) return false;
+    if (tick - (tieA.since ?? tick) < HOUSEHOLDS.MOVE_IN_MIN_TICKS) return false;
+    if (rng.random() >= HOUSEHOLDS.MOVE_IN_CHANCE) return false;
+
+    // The bigger household keeps its home; the smaller one (the partner plus any children) moves over.
+    // Only a head can take someone in; grown children still living with their parents move out alone.
+    const canHost = (p) => p.householdRole === 'head' && !!p.homeLocationId;
+    const homeA = this.get(a.householdId);
+    const homeB = this.get(b.householdId);
+    let [host, mover] = homeA.memberIds.length >= homeB.memberIds.length ? [a, b] : [b, a];
+    if (!canHost(host)) [host, mover] = [mover, host];
+    if (!canHost(host)) return false;
+
+    const hasPartner = (h) => h.adultIds.some(id => this.cacheManager.getAgent(id)?.householdRole === 'partner');
+    const movingHousehold = this.get(mover.householdId);
+    if (hasPartner(movingHousehold) || hasPartner(this.get(host.householdId))) return false;
+
+    const moving = mover.householdRole === 'head' ? movingHousehold.memberIds : [mover.id];
+    for (const id of moving) {
+      const member = this.cacheManager.getAgent(id);
+      this._join(member, host, member.id === mover.id ? 'partner' : member.householdRole);
+      if (member.state === 'fsm_acquire_housing' || member.state === 'fsm_homeless') member.fsm.transitionTo('fsm_idle', { reason: 'moved_in' });
+    }
+
+    const homeName = worldGraph.nodes[host.homeLocationId]?.name ?? host.homeLocationId;
+    this.eventBus.queue('log:info', 'high', `[Life Event] ${mover.name} moved in with ${host.name} at ${homeName}.`);
+    this.eventBus.queue('db:writeMemory', 'high', host.id, tick, `${mover.name} moved in with me. We share the rent now.`);
+    this.eventBus.queue('db:writeMemory', 'high', mover.id, tick, `I moved in with ${host.name} at ${homeName}.`);
+    return true;
+  }
+
+  /**
+   * Ends a partnership. If the couple lived together, whoever moved in leaves with nothing but
+   * their own wallet and has to find a place; children stay with the head of the household.
+   */
+  _breakUp(agent, partner, tick) {
+    agent.partnerId = null;
+    this.cacheManager.markAgentDirty(agent.id);
+    if (!partner) return;
+
+    partner.partnerId = null;
+    this.cacheManager.markAgentDirty(partner.id);
+    for (const person of [agent, partner]) {
+      person.stress = Math.min(100, (person.stress ?? 0) + HOUSEHOLDS.BREAKUP_STRESS);
+      person.mood = Math.max(-100, (person.mood ?? 0) - HOUSEHOLDS.BREAKUP_MOOD_DROP);
+    }
+    this.eventBus.queue('db:writeMemory', 'high', agent.id, tick, `${partner.name} and I broke up.`);
+    this.eventBus.queue('db:writeMemory', 'high', partner.id, tick, `${agent.name} and I broke up.`);
+
+    if (agent.householdId !== partner.householdId) {
+      this.eventBus.queue('log:info', 'medium', `[Households] ${agent.name} and ${partner.name} broke up.`);
+      return;
+    }
+
+    const leaver = partner.householdRole === 'head' ? agent : partner;
+    this._startHousehold(leaver);
+    leaver.homeLocationId = null;
+    leaver.rent_cost = 0;
+    leaver.fsm.transitionTo('fsm_acquire_housing', { reason: 'breakup' });
+    this.eventBus.queue('log:info', 'high', `[Life Event] ${agent.name} and ${partner.name} broke up. ${leaver.name} is moving out.`);
+    this.eventBus.queue('db:writeMemory', 'high', leaver.id, tick, `I have to find a new place to live.`);
+  }
+
+  _payAllowances(tick) {
+    for (const household of this.households.values()) {
+      for (const id of household.dependentIds) {
+        const dependent = this.cacheManager.getAgent(id);
+        const topUp = HOUSEHOLDS.DEPENDENT_ALLOWANCE - (dependent?.money ?? 0);
+        if (topUp <= 0) continue;
+        this.charge(household, topUp, { to: agentAccount(dependent.id), kind: 'allowance', tick });
+      }
+    }
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * jobMarket.js
+ * The labor market: businesses post openings, job seekers apply, employers fire and lay off,
+ * and workers quit.
+ *
+ * Runs once per simulated day on the main thread, after the workers; jobs and business
+ * rosters (employee_ids) are owned here. A business posts an opening while its treasury covers
+ * HIRING_RESERVE_WEEKS of payroll with the new hire on it. Openings carry a job drawn from
+ * demographics.yaml and only go to agents whose education meets its education_req.
+ *
+ * Workers report lateness and burned-out walkouts as 'job:conduct' events from
+ * fsmStates/WorkingState.js; they are kept on job.recentEvents, and too many within
+ * CONDUCT_WINDOW_DAYS gets the worker fired. A business that can't make a week's payroll lays
+ * off its newest hire. Unemployed agents grow more stressed by the day, and once broke and
+ * hungry they turn desperate (see FiniteStateMachine._handleCriticalInterruption); desperate
+ * agents are first in line for openings.
+ *
+ * Openings and running totals live in worldState.jobs so they survive checkpoints.
+ */
+import worldGraph from '../data/worldGraph.js';
+import { GAME_BALANCE } from '../data/balance.js';
+import { MINUTES_PER_TICK } from '../data/config.js';
+import { dataLoader } from '../data/dataLoader.js';
+import { generateRandomJob, meetsEducation, isUnemployed } from './agentUtilities.js';
+import rng from './rng.js';
+
+const { JOBS } = GAME_BALANCE;
+const TICKS_PER_DAY = (60 * 24) / MINUTES_PER_TICK;
+
+export const UNEMPLOYED_JOB = { title: 'Unemployed', salary: 0, hours: [9, 17] };
+
+const weekly = (salary) => (salary ?? 0) / 52;
+
+export default class JobMarket {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+  }
+
+  get cacheManager() { return this.matrix.cacheManager; }
+  get eventBus() { return this.matrix.eventBus; }
+
+  get state() {
+    if (!this.matrix.worldState.jobs) {
+      this.matrix.worldState.jobs = { openings: [], totals: { hires: 0, fires: 0, layoffs: 0, quits: 0 } };
+    }
+    return this.matrix.worldState.jobs;
+  }
+
+  /**
+   * Worker report that an employee was late or walked out of a shift.
+   * @param {{agentId: string, kind: 'late'|'walkout', tick: number}} event
+   */
+  recordConduct({ agentId, kind, tick }) {
+    const agent = this.cacheManager.getAgent(agentId);
+    if (!agent?.job || isUnemployed(agent)) return;
+    const cutoff = tick - JOBS.CONDUCT_WINDOW_DAYS * TICKS_PER_DAY;
+    agent.job.recentEvents = [...(agent.job.recentEvents ?? []), { kind, tick }].filter(e => e.tick >= cutoff);
+    this.cacheManager.markAgentDirty(agentId);
+  }
+
+  runDaily(tick) {
+    const agents = this.cacheManager.getAllAgents();
+    this._expireOpenings(tick);
+    this._reviewStaff(tick);
+    this._stressQuits(agents, tick);
+    this._postOpenings(tick);
+    this._fillOpenings(agents, tick);
+
+    for (const agent of agents) {
+      if (!isUnemployed(agent)) continue;
+      agent.stress = Math.min(100, (agent.stress ?? 0) + JOBS.UNEMPLOYED_DAILY_STRESS);
+      this.cacheManager.markAgentDirty(agent.id);
+    }
+  }
+
+  _businesses() {
+    return Object.entries(worldGraph.nodes ?? {}).filter(([, node]) => node.is_business);
+  }
+
+  _staff(node) {
+    return (node.employee_ids ?? []).map(id => this.cacheManager.getAgent(id)).filter(Boolean);
+  }
+
+  _weeklyPayroll(node) {
+    return this._staff(node).reduce((sum, a) => sum + weekly(a.job?.salary), 0);
+  }
+
+  _expireOpenings(tick) {
+    const maxAge = JOBS.OPENING_TTL_DAYS * TICKS_PER_DAY;
+    this.state.openings = this.state.openings.filter(o =>
+      tick - o.postedTick < maxAge && worldGraph.nodes?.[o.businessId]?.is_business);
+  }
+
+  // Fires chronic latecomers and burned-out walkouts; a business short of a week's payroll
+  // lets its newest hire go
+  _reviewStaff(tick) {
+    const cutoff = tick - JOBS.CONDUCT_WINDOW_DAYS * TICKS_PER_DAY;
+    for (const [, node] of this._businesses()) {
+      for (const agent of this._staff(node)) {
+        const recent = (agent.job?.recentEvents ?? []).filter(e => e.tick >= cutoff);
+        const late = recent.filter(e => e.kind === 'late').length;
+        const walkouts = recent.filter(e => e.kind === 'walkout').length;
+        if (late >= JOBS.FIRE_LATE_COUNT) this._separate(agent, 'fired', tick, `for showing up late ${late} times`);
+        else if (walkouts >= JOBS.FIRE_WALKOUT_COUNT) this._separate(agent, 'fired', tick, `for walking out of ${walkouts} shifts`);
+      }
+
+      const staff = this._staff(node);
+      if (staff.length > 0 && (node.treasury ?? 0) < this._weeklyPayroll(node)) {
+        this._separate(staff[staff.length - 1], 'laid_off', tick);
+      }
+    }
+  }
+
+  _stressQuits(agents, tick) {
+    for (const agent of agents) {
+      if (isUnemployed(agent) || agent.householdRole === 'dependent') continue;
+      if ((agent.stress ?? 0) < JOBS.QUIT_STRESS || (agent.money ?? 0) < JOBS.QUIT_SAVINGS) continue;
+      const chance = JOBS.QUIT_STRESS_CHANCE * (0.5 + (agent.persona?.stressProneness ?? 0.5));
+      if (rng.random() < chance) this._separate(agent, 'quit', tick);
+    }
+  }
+
+  _postOpenings(tick) {
+    const openings = this.state.openings;
+    for (const [id, node] of this._businesses()) {
+      const posted = openings.filter(o => o.businessId === id);
+      const cap = Math.max(1, Math.floor((node.capacity ?? 10) * JOBS.STAFF_PER_CAPACITY));
+      if (posted.length >= JOBS.MAX_OPENINGS_PER_BUSINESS) continue;
+      if ((node.employee_ids?.length ?? 0) + posted.length >= cap) continue;
+      if (rng.random() >= JOBS.POSTING_CHANCE) continue;
+
+      const job = generateRandomJob(dataLoader.demographics);
+      if (!job || job.title === UNEMPLOYED_JOB.title) continue;
+      const committed = this._weeklyPayroll(node) + posted.reduce((sum, o) => sum + weekly(o.salary), 0);
+      if ((node.treasury ?? 0) < JOBS.HIRING_RESERVE_WEEKS * (committed + weekly(job.salary))) continue;
+
+      openings.push({
+        id: rng.uuid(),
+        businessId: id,
+        businessName: node.name,
+        title: job.title,
+        salary: job.salary,
+        hours: job.hours,
+        education_req: job.education_req ?? null,
+        postedTick: tick,
+      });
+    }
+  }
+
+  // Desperate job seekers go first; each takes the best-paid opening they qualify for, and
+  // the employed only move for a real raise
+  _fillOpenings(agents, tick) {
+    const openings = this.state.openings;
+    if (openings.length === 0) return;
+
+    const seekers = [];
+    for (const agent of agents) {
+      if (agent.householdRole === 'dependent') continue;
+      if (isUnemployed(agent)) {
+        if (agent.state === 'fsm_desperate') seekers.unshift(agent);
+        else if (rng.random() < JOBS.SEARCH_CHANCE) seekers.push(agent);
+      } else if (rng.random() < JOBS.JOB_HOP_CHANCE) {
+        seekers.push(agent);
+      }
+    }
+
+    for (const agent of seekers) {
+      if (openings.length === 0) break;
+      const employed = !isUnemployed(agent);
+      const minSalary = employed ? (agent.job?.salary ?? 0) * JOBS.JOB_HOP_RAISE : 0;
+      const best = openings
+        .filter(o => o.businessId !== agent.workLocationId && o.salary >= minSalary)
+        .filter(o => meetsEducation(agent.education, o.education_req, dataLoader.demographics))
+        .sort((a, b) => b.salary - a.salary)[0];
+      if (!best) continue;
+
+      openings.splice(openings.indexOf(best), 1);
+      this._hire(agent, best, tick);
+    }
+  }
+
+  _hire(agent, opening, tick) {
+    const node = worldGraph.nodes[opening.businessId];
+    if (!node) return;
+
+    const previous = !isUnemployed(agent) ? worldGraph.nodes[agent.workLocationId] : null;
+    if (previous) {
+      this._leaveRoster(agent);
+      this.state.totals.quits++;
+      this.eventBus.queue('db:writeMemory', 'high', agent.id, tick,
+        `I quit ${previous.name ?? 'my job'} for a better-paying job at ${node.name}.`);
+    } else {
+      this.eventBus.queue('db:writeMemory', 'high', agent.id, tick, `I got a job as a ${opening.title} at ${node.name}!`);
+      agent.mood = Math.min(100, (agent.mood ?? 0) + 20);
+    }
+
+    agent.job = {
+      title: opening.title,
+      salary: opening.salary,
+      hours: opening.hours,
+      education_req: opening.education_req,
+      recentEvents: [],
+    };
+    agent.workLocationId = opening.businessId;
+    agent.workStartHour = opening.hours?.[0] ?? 9;
+    agent.workEndHour = opening.hours?.[1] ?? 17;
+    agent.unemployedSince = null;
+    node.employee_ids ??= [];
+    node.employee_ids.push(agent.id);
+    this.state.totals.hires++;
+    this.cacheManager.markAgentDirty(agent.id);
+    this.eventBus.queue('log:info', 'medium', `[Jobs] ${agent.name} was hired as ${opening.title} at ${node.name}.`);
+  }
+
+  /**
+   * A business has shut down (see BusinessManager): its openings are withdrawn and everyone on
+   * the roster is laid off.
+   */
+  closeBusiness(businessId, tick) {
+    this.state.openings = this.state.openings.filter(o => o.businessId !== businessId);
+    const node = worldGraph.nodes[businessId];
+    if (!node) return;
+    for (const agent of this._staff(node)) this._separate(agent, 'laid_off', tick, 'when it closed down');
+    node.employee_ids = [];
+  }
+
+  _leaveRoster(agent) {
+    const node = agent.workLocationId ? worldGraph.nodes[agent.workLocationId] : null;
+    if (node?.employee_ids) node.employee_ids = node.employee_ids.filter(id => id !== agent.id);
+  }
+
+  /**
+   * Ends the agent's employment.
+   * @param {'fired'|'laid_off'|'quit'} reason
+   * @param {string} [detail] Appended to the log line and memory (e.g. "for showing up late 4 times")
+   */
+  _separate(agent, reason, tick, detail = '') {
+    const node = worldGraph.nodes[agent.workLocationId];
+    const where = node?.name ?? 'work';
+    this._leaveRoster(agent);
+
+    agent.job = { ...UNEMPLOYED_JOB, recentEvents: [] };
+    agent.workLocationId = null;
+    agent.unemployedSince = tick;
+    this.cacheManager.markAgentDirty(agent.id);
+
+    const suffix = detail ? ` ${detail}` : '';
+    if (reason === 'quit') {
+      this.state.totals.quits++;
+      agent.stress = Math.max(0, (agent.stress ?? 0) - JOBS.QUIT_STRESS_RELIEF);
+      this.eventBus.queue('log:info', 'medium', `[Jobs] ${agent.name} quit ${where}.`);
+      this.eventBus.queue('db:writeMemory', 'high', agent.id, tick, `I couldn't take it anymore and quit ${where}.`);
+      return;
+    }
+
+    this.state.totals[reason === 'fired' ? 'fires' : 'layoffs']++;
+    agent.stress = Math.min(100, (agent.stress ?? 0) + JOBS.JOB_LOSS_STRESS);
+    agent.mood = Math.max(-100, (agent.mood ?? 0) - JOBS.JOB_LOSS_MOOD_DROP);
+    const verb = reason === 'fired' ? 'was fired from' : 'was laid off from';
+    this.eventBus.queue('log:info', 'medium', `[Jobs] ${agent.name} ${verb} ${where}${suffix}.`);
+    this.eventBus.queue('db:writeMemory', 'high', agent.id, tick,
+      reason === 'fired' ? `I got fired from ${where}${suffix}.`
+        : detail ? `I was laid off from ${where}${suffix}.` : `${where} couldn't make payroll and let me go.`);
+  }
+
+  /**
+   * Workforce figures and the current openings.
+   * @returns {{workforce: number, unemployed: number, unemploymentRate: number,
+   *            openings: object[], totals: object}}
+   */
+  getSummary() {
+    let workforce = 0, unemployed = 0;
+    for (const agent of this.cacheManager.getAllAgents()) {
+      if (agent.householdRole === 'dependent') continue;
+      workforce++;
+      if (isUnemployed(agent)) unemployed++;
+    }
+    return {
+      workforce,
+      unemployed,
+      unemploymentRate: workforce ? Math.round((unemployed / workforce) * 1000) / 10 : 0,
+      openings: [...this.state.openings],
+      totals: { ...this.state.totals },
+    };
+  }
+}
@@ -5,15 +5,40 @@ import {
   CHECKPOINT_INTERVAL_TICKS,
   DB_PATH,
   INITIAL_AGENTS,
+  SIM_SEED,
+  WORKER_COUNT,
+  RESTORE_TICK,
+  CRISIS_SCRIPT,
+  OUTBREAK_CASES,
+  API_ENABLED,
+  API_PORT,
+  API_HOST,
+  BT_TRACE_MAX_AGENTS,
+  BT_TRACE_EXPORT_DIR,
 } from '../data/config.js';
 
 import { Worker } from 'worker_threads';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
 
 import DbService from '../dbService.js';
 import CacheManager from './cacheManager.js';
+import RelationshipGraph from './relationshipGraph.js';
+import HouseholdRegistry from './householdRegistry.js';
+import PopulationManager from './populationManager.js';
+import JobMarket from './jobMarket.js';
+import BusinessManager from './businessManager.js';
+import GoodsMarket from './goodsMarket.js';
+import Bank from './bank.js';
+import MoneyLedger, { EXTERNAL, agentAccount } from './moneyLedger.js';
+import WeatherSystem from './weatherSystem.js';
+import EventCalendar from './eventCalendar.js';
+import CrisisManager from './crisisManager.js';
+import CrimeSystem from './crimeSystem.js';
+import HealthSystem from './healthSystem.js';
 import Dashboard from '../ui/dashboard.js';
+import ApiServer from '../ui/apiServer.js';
 import eventBus from './eventBus.js';
 import { dataLoader } from '../data/dataLoader.js';
 // FIX: Change named import to default import to match worldGraph.js export change
@@ -22,16 +47,26 @@ import { FiniteStateMachine } from './fsm.js';
 import { worldPartitioner } from './worldPartitioner.js';
 import { hydrateWorldGraph } from './worldSeeder.js';
 import logger from '../logger.js';
-import { initWorldService, updateWorldState } from '../services/worldService.js';
+import rng from './rng.js';
+import btTracer from './btTracer.js';
+import rumorTracker from './rumorTracker.js';
+import { updateWorldState, handleRentDay, updateBusinessEconomies, handlePayday } from '../services/worldService.js';
 
 // --- CONFIGURATION ---
 const isHeadless = process.argv.includes('--headless');
-const NUM_WORKERS = Math.max(1, os.cpus().length - 1);
+const NUM_WORKERS = WORKER_COUNT > 0 ? WORKER_COUNT : Math.max(1, os.cpus().length - 1);
 const __dirname = path.resolve(path.dirname(''));
 const WORKER_TIMEOUT_MS = 10000;
 const REBALANCE_INTERVAL_TICKS = 100; // Rebalance worker partitions every N ticks
 const MAX_WORKER_FAILURES = 3;        // Max failures before circuit breaker trips
 const FAILURE_WINDOW_MS = 60000;      // Time window for failure counting (1 min)
+const PAUSE_POLL_MS = 100;            // Idle poll interval while paused
+const MIN_TICK_RATE_MS = 50;          // Fastest paced tick rate accepted by setTickRate()
+const MAX_TICK_RATE_MS = 60000;       // Slowest paced tick rate accepted by setTickRate()
+const SPEED_STEP_FACTOR = 2;          // faster()/slower() halve or double the tick rate
+const MAX_STEP_TICKS = 1000;          // Upper bound for a single step() request
+const TICKS_PER_DAY = (60 * 24) / MINUTES_PER_TICK;
+const TICKS_PER_HOUR = 60 / MINUTES_PER_TICK;
 
 // Adaptive Pacing Configuration
 const ADAPTIVE_PACING = {
@@ -39,7 +74,6 @@ const ADAPTIVE_PACING = {
   RECOVERY_THRESHOLD: 20,  // Consecutive fast ticks before speeding up
   THROTTLE_STEP: 50,       // Ms to add/remove per adjustment step
   MAX_TICK_RATE: 2000,     // Max slowness (2 seconds per tick)
-  BASE_RATE: TICK_RATE_MS,
   MIN_AGENTS_FOR_ADJUSTMENT: 10 // [FIX 12] Prevent speedup during mass death
 };
 
@@ -80,6 +114,7 @@ class Matrix {
     this.isTickInProgress = false; // Track active tick state
     this.isInitialized = false;    // Track initialization state
     this.isDbSyncing = false;      // Track active DB synchronization
+    this.seed = null;              // Master PRNG seed (see engine/rng.js)
 
     this.worldState = {
       weather: { weather: 'Clear', mood: 'neutral' },
@@ -94,7 +129,21 @@ class Matrix {
     this.eventBus = null;
     this.dbService = null;
     this.cacheManager = null;
+    this.relationshipGraph = null;
+    this.households = null;
+    this.population = null;
+    this.jobMarket = null;
+    this.businesses = null;
+    this.goodsMarket = null;
+    this.bank = null;
+    this.ledger = null;
+    this.weather = null;
+    this.calendar = null;
+    this.crises = null;
+    this.crime = null;
+    this.health = null;
     this.dashboard = null;
+    this.apiServer = null;
     
     this.workerPool = new Map();
     // Track worker health: 'initializing', 'healthy', 'hanging', 'dead', 'dead_processed', 'circuit_open'
@@ -109,17 +158,24 @@ class Matrix {
     this.workerLocationMap = new Map();
     this.locationAgentCount = new Map(); // Track agent density for load balancing
     this.pendingPartitionUpdates = new Map(); // [FIX 9] For atomic partition updates
+    this.turnedAwayCounts = new Map(); // locationId -> agents turned away at the door (since boot)
     
     // Copy-On-Write Graph Snapshot State
     this.graphSnapshot = null;
     this.graphVersion = 0;
     
     // Adaptive Pacing State
+    this.baseTickRate = TICK_RATE_MS; // User-selected rate; adaptive pacing never goes faster than this
     this.targetTickRate = TICK_RATE_MS;
     this.lagStreak = 0;
     this.recoveryStreak = 0;
     
     this.initPromise = null;
+
+    // Time Controls
+    this.isPaused = false;
+    this.isStepping = false;
+    this.isMaxSpeed = false; // Run ticks back-to-back with no pacing sleep
   }
 
   async _spawnWorker(workerId) {
@@ -190,6 +246,8 @@ class Matrix {
         type: 'INIT', 
         payload: { 
             partition: { workerId, locations: locationsForWorker },
+            seed: this.seed, // Workers derive their per-agent/per-location streams from this
+            traceAgentIds: btTracer.getTracedIds(),
             graph: this.graphSnapshot // Send immutable graph snapshot for worker-side validation/pathfinding
         } 
       });
@@ -420,6 +478,93 @@ class Matrix {
     logger.info(`[Matrix] Worker pool initialization complete. Active: ${successCount}/${NUM_WORKERS}`);
   }
 
+  _assignAgentToWorker(agent, validWorkerIds = Array.from(this.workerPool.keys())) {
+    // [FIX 7] Handle missing locationId (Traveling agents)
+    // If agent is traveling (locationId is null), use homeLocationId to determine "ownership"
+    // or map to a default if home is also missing.
+    let locationKey = agent.locationId;
+    if (!locationKey) {
+        locationKey = agent.homeLocationId;
+        // If totally lost, fallback to first node in partition map or random
+        if (!locationKey) {
+           const keys = this.partitionMap.keys();
+           const next = keys.next();
+           locationKey = next.value;
+        }
+    }
+    
+    let workerId = this.partitionMap.get(locationKey);
+    
+    // Fallback if partition points to a dead/missing worker
+    if (workerId === undefined || !this.workerAgentLoads.has(workerId)) {
+         // Assign to first valid worker as fallback
+         workerId = validWorkerIds.length > 0 ? validWorkerIds[0] : 0;
+    }
+    
+    // Ensure the set exists before adding (defensive)
+    if (this.workerAgentLoads.has(workerId)) {
+      this.workerAgentLoads.get(workerId).add(agent.id);
+      this.agentWorkerMap.set(agent.id, workerId);
+    }
+  }
+
+  /**
+   * Brings agents created mid-run (arrivals, births) into the simulation: cache, worker
+   * partition and business roster.
+   * @param {Array<import('./agent.js').default>} agents
+   */
+  addAgents(agents) {
+    for (const agent of agents) {
+      agent.matrix = this;
+      if (!this.cacheManager.getAgent(agent.id)) this.cacheManager.addAgent(agent);
+      // They bring their cash with them
+      this.ledger.transfer(EXTERNAL, agentAccount(agent.id), agent.money ?? 0, 'arrival', { settled: agentAccount(agent.id) });
+      agent.fsm?.startInitialState();
+      this._assignAgentToWorker(agent);
+      const workNode = agent.workLocationId ? worldGraph.nodes[agent.workLocationId] : null;
+      if (workNode?.is_business && !workNode.employee_ids.includes(agent.id)) workNode.employee_ids.push(agent.id);
+    }
+  }
+
+  /**
+   * Takes agents out of the simulation for good (death, moving away): cache, worker
+   * partition, business roster, other agents' ties and partners, and the agents table.
+   * Checkpoints record them as removed on their own.
+   * @param {string[]} ids
+   */
+  async removeAgents(ids) {
+    const gone = new Set(ids);
+    for (const id of gone) {
+      const agent = this.cacheManager.getAgent(id);
+      if (!agent) continue;
+      const workNode = agent.workLocationId ? worldGraph.nodes[agent.workLocationId] : null;
+      if (workNode?.employee_ids) workNode.employee_ids = workNode.employee_ids.filter(e => e !== id);
+      // A business outlives its owner; it just has no agent owner any more
+      const owned = agent.ownedBusinessId ? worldGraph.nodes[agent.ownedBusinessId] : null;
+      if (owned?.owner_id === id) owned.owner_id = null;
+      this.bank?.closeAccounts(agent, this.tickCount);
+      // ...and their cash (or what they owe) goes with them
+      const cash = agent.money ?? 0;
+      if (cash > 0) this.ledger.transfer(agentAccount(id), EXTERNAL, cash, 'departure');
+      else if (cash < 0) this.ledger.transfer(EXTERNAL, agentAccount(id), -cash, 'departure');
+      this.ledger.takeShiftWages(id);
+      this.workerAgentLoads.get(this.agentWorkerMap.get(id))?.delete(id);
+      this.agentWorkerMap.delete(id);
+      this.cacheManager.removeAgent(id);
+    }
+
+    for (const agent of this.cacheManager.getAllAgents()) {
+      let touched = false;
+      for (const id of Object.keys(agent.relationships ?? {})) {
+        if (gone.has(id)) { delete agent.relationships[id]; touched = true; }
+      }
+      if (gone.has(agent.partnerId)) { agent.partnerId = null; touched = true; }
+      if (touched) this.cacheManager.markAgentDirty(agent.id);
+    }
+
+    await this.dbService.removeAgents([...gone]);
+  }
+
   _distributeAgentsToWorkers(agents) {
     // Reset loads - careful to only reset for existing keys if we are post-init failure
     for (let i = 0; i < NUM_WORKERS; i++) {
@@ -428,36 +573,7 @@ class Matrix {
     this.agentWorkerMap.clear();
     
     const validWorkerIds = Array.from(this.workerPool.keys());
-    
-    agents.forEach(agent => {
-      // [FIX 7] Handle missing locationId (Traveling agents)
-      // If agent is traveling (locationId is null), use homeLocationId to determine "ownership"
-      // or map to a default if home is also missing.
-      let locationKey = agent.locationId;
-      if (!locationKey) {
-          locationKey = agent.homeLocationId;
-          // If totally lost, fallback to first node in partition map or random
-          if (!locationKey) {
-             const keys = this.partitionMap.keys();
-             const next = keys.next();
-             locationKey = next.value;
-          }
-      }
-      
-      let workerId = this.partitionMap.get(locationKey);
-      
-      // Fallback if partition points to a dead/missing worker
-      if (workerId === undefined || !this.workerAgentLoads.has(workerId)) {
-           // Assign to first valid worker as fallback
-           workerId = validWorkerIds.length > 0 ? validWorkerIds[0] : 0;
-      }
-      
-      // Ensure the set exists before adding (defensive)
-      if (this.workerAgentLoads.has(workerId)) {
-        this.workerAgentLoads.get(workerId).add(agent.id);
-        this.agentWorkerMap.set(agent.id, workerId);
-      }
-    });
+    agents.forEach(agent => this._assignAgentToWorker(agent, validWorkerIds));
     
     logger.info(`[Matrix] Distributed ${agents.length} agents across ${validWorkerIds.length} active workers.`);
   }
@@ -476,9 +592,15 @@ class Matrix {
       try {
         logger.info('[Matrix] Initializing...');
 
+        // 0. Seed the PRNG before anything draws a random number (world seeding, agent creation)
+        this.seed = SIM_SEED || String(Date.now());
+        rng.setSeed(this.seed);
+        logger.info(`[Matrix] Simulation seed: ${this.seed} (pass --seed=${this.seed} to reproduce this run)`);
+
         // 1. Setup Globals and Event Bus
         this.eventBus = eventBus;
         global.eventBus = eventBus;
+        this._setupControlListeners();
 
         // 2. Initialize Services (Explicit Order)
         this.dbService = new DbService(DB_PATH);
@@ -486,6 +608,20 @@ class Matrix {
 
         this.cacheManager = new CacheManager(this.eventBus, this.dbService, this);
         global.cacheManager = this.cacheManager;
+        this.relationshipGraph = new RelationshipGraph(this.cacheManager);
+        this.ledger = new MoneyLedger(this);
+        this.households = new HouseholdRegistry(this.cacheManager, this.eventBus, this.ledger);
+        this.population = new PopulationManager(this);
+        this.jobMarket = new JobMarket(this);
+        this.businesses = new BusinessManager(this);
+        this.goodsMarket = new GoodsMarket(this);
+        this.bank = new Bank(this);
+        this.weather = new WeatherSystem(this);
+        this.calendar = new EventCalendar(this);
+        this.crises = new CrisisManager(this);
+        this.crime = new CrimeSystem(this);
+        this.health = new HealthSystem(this);
+        this._setupSimulationListeners();
 
         if (!isHeadless) {
           this.dashboard = new Dashboard(this.dbService);
@@ -560,6 +696,9 @@ class Matrix {
         throw new Error('CRITICAL: location_graph.yaml missing edges array.');
     }
     logger.info(`[Matrix] ✓ Loaded ${dataLoader.locationGraph.nodes.length} nodes and ${dataLoader.locationGraph.edges.length} edges.`);
+
+    const treeVariants = FiniteStateMachine.compileBehaviorTrees();
+    logger.info(`[Matrix] ✓ Compiled ${treeVariants} behavior tree variant(s) from YAML.`);
     
     // 2. Initialize worldGraph
     logger.info('[Matrix] Step 2: Initializing worldGraph...');
@@ -576,9 +715,9 @@ class Matrix {
     hydrateWorldGraph(worldGraph);
     logger.info('[Matrix] ✓ World graph hydrated.');
     
-    logger.info('[Matrix] Step 4: Initializing world service...');
-    initWorldService();
-    logger.info('[Matrix] ✓ World service initialized.');
+    logger.info('[Matrix] Step 4: Loading weather...');
+    this.weather.load();
+    logger.info('[Matrix] ✓ Weather loaded.');
     
     logger.info('[Matrix] Step 5: Precomputing affordance cache...');
     this._precomputeAffordanceCache();
@@ -601,16 +740,36 @@ class Matrix {
     logger.info(`[Matrix] ✓ Worker pool ready (${this.workerPool.size} workers active).`);
 
     // 7. Load recovery state from DB
-    logger.info('[Matrix] Step 8: Loading state from database...');
-    const { baseState, lastTick } = await this.dbService.loadStateFromRecovery();
+    if (RESTORE_TICK !== null) {
+        logger.info(`[Matrix] Step 8: Restoring historical checkpoint (tick ${RESTORE_TICK})...`);
+    } else {
+        logger.info('[Matrix] Step 8: Loading state from database...');
+    }
+    const { baseState, lastTick } = await this.dbService.loadStateFromRecovery(RESTORE_TICK);
     this.tickCount = lastTick || 0;
     logger.info(`[Matrix] ✓ Loaded DB state. Last tick: ${this.tickCount}`);
 
-    // 8. Calculate world time
+    // 8. Calculate world time (prefer the stored snapshot time)
     const baseTime = new Date('1999-01-01T08:00:00').getTime();
-    this.worldTime = new Date(baseTime + (this.tickCount * MINUTES_PER_TICK * 60000));
+    this.worldTime = baseState.worldTime
+        ? new Date(baseState.worldTime)
+        : new Date(baseTime + (this.tickCount * MINUTES_PER_TICK * 60000));
     logger.info(`[Matrix] ✓ World time set to: ${this.worldTime.toISOString()}`);
 
+    // 8b. Restore world & graph dynamic state from the snapshot (weather, events, treasuries...)
+    if (baseState.worldState) {
+        this._applyWorldStateSnapshot(baseState.worldState);
+        worldGraph.applyStorefronts(this.worldState.businesses?.storefronts);
+        worldGraph.indexWorldEvents(this.worldState.world_events);
+        this.crime.load();
+        logger.info(`[Matrix] ✓ World state restored (${this.worldState.world_events.length} active events).`);
+    }
+    if (baseState.graphState) {
+        worldGraph.applyDynamicSnapshot(baseState.graphState);
+        this.graphSnapshot = this._createGraphSnapshot();
+        logger.info(`[Matrix] ✓ Graph dynamic state restored (snapshot version ${this.graphVersion}).`);
+    }
+
     // 9. Load or Create Agents - WITH DETAILED LOGGING
     logger.info('[Matrix] Step 9: Loading agents from checkpoint...');
     let agents = await this.cacheManager.loadFromCheckpoint(baseState);
@@ -641,6 +800,8 @@ class Matrix {
     logger.info('[Matrix] Step 10: Assigning matrix references...');
     agents.forEach(agent => { agent.matrix = this; });
     logger.info(`[Matrix] ✓ Matrix assigned to ${agents.length} agents.`);
+    this.households.rebuild();
+    logger.info(`[Matrix] ✓ ${this.households.households.size} households.`);
     
     // 11. Populate employees
     logger.info('[Matrix] Step 11: Populating business employees...');
@@ -652,10 +813,55 @@ class Matrix {
     this._distributeAgentsToWorkers(agents);
     logger.info('[Matrix] ✓ Agent distribution complete.');
 
+    // 13. Commit the rewind: the restored checkpoint becomes the live timeline
+    if (RESTORE_TICK !== null) {
+        logger.info(`[Matrix] Step 13: Discarding history after tick ${RESTORE_TICK}...`);
+        await this.dbService.rewindTo(RESTORE_TICK, agents);
+        logger.info('[Matrix] ✓ Rewind committed.');
+    }
+
+    // 14. Scripted crises (--crisis); runs a restored save already has are left alone
+    if (CRISIS_SCRIPT) this.crises.loadScript(CRISIS_SCRIPT);
+
+    // 15. Patient zeroes (--outbreak)
+    if (OUTBREAK_CASES > 0) this.health.seedOutbreak(OUTBREAK_CASES);
+
     logger.info(`[Matrix] ===== STATE LOAD COMPLETE =====`);
     logger.info(`[Matrix] Agents: ${agents.length} | Tick: ${this.tickCount} | Workers: ${this.workerPool.size}`);
   }
 
+  _applyWorldStateSnapshot(savedState) {
+    // locationSocialContext is rebuilt by the workers every tick and is never persisted
+    this.worldState = {
+      ...this.worldState,
+      ...savedState,
+      locationSocialContext: new Map(),
+      world_events: savedState.world_events || [],
+    };
+  }
+
+  /**
+   * Captures everything needed to restore the city at the current tick.
+   * @returns {{worldTime: string, worldState: object, graphState: object, agents: Array<object>}}
+   */
+  captureSnapshot() {
+    const { locationSocialContext, ...persistableWorldState } = this.worldState;
+    return {
+      worldTime: this.worldTime.toISOString(),
+      worldState: persistableWorldState,
+      graphState: worldGraph.getDynamicSnapshot(),
+      agents: this.cacheManager.getFullState().agents,
+    };
+  }
+
+  /**
+   * Writes a restorable checkpoint for the current tick (see dbService.createCheckpoint).
+   */
+  async createCheckpoint() {
+    this.ledger.flush();
+    await this.dbService.createCheckpoint(this.tickCount, this.captureSnapshot());
+  }
+
   _precomputeAffordanceCache() {
     worldGraph.affordanceCache = {};
     const affordancesToCache = ['fsm_shopping', 'fsm_eating', 'fsm_socializing', 'fsm_recreation'];
@@ -686,6 +892,18 @@ class Matrix {
 
       this.isRunning = true;
       this._runLoop(); 
+      this.eventBus.emitNow('matrix:speedChanged', { tickRateMs: this.baseTickRate, maxSpeed: this.isMaxSpeed });
+
+      if (API_ENABLED && !this.apiServer) {
+        this.apiServer = new ApiServer(this);
+        try {
+          await this.apiServer.start(API_PORT, API_HOST);
+        } catch (err) {
+          // The API is optional; a busy port must not take the simulation down with it
+          logger.error(`[Matrix] Control API failed to start on ${API_HOST}:${API_PORT}: ${err.message}`);
+          this.apiServer = null;
+        }
+      }
 
     } catch (err) {
       dumpError(err, { phase: 'Pre-Flight Validation' });
@@ -696,6 +914,13 @@ class Matrix {
     logger.info('[Matrix] Game Loop Started');
     
     while (this.isRunning) {
+      // TIME CONTROLS: While paused the loop idles. step() drives ticks directly,
+      // so worker pool and eventBus queues are only touched by one tick at a time.
+      if (this.isPaused) {
+          await new Promise(resolve => setTimeout(resolve, PAUSE_POLL_MS));
+          continue;
+      }
+
       const loopStart = Date.now();
       
       // DB HEALTH CHECK & RECOVERY
@@ -719,6 +944,9 @@ class Matrix {
           }
       }
 
+      // A pause requested during the DB recovery wait must not let one more tick through
+      if (this.isPaused) continue;
+
       try {
         await this.tick();
       } catch (err) {
@@ -726,6 +954,13 @@ class Matrix {
         this.eventBus.emitNow('system:error', { error: err.message, tick: this.tickCount });
       }
 
+      // MAX SPEED: No pacing, no sleep. Yield one macrotask so worker replies,
+      // the dashboard render timer and API sockets are still serviced between ticks.
+      if (this.isMaxSpeed) {
+          await new Promise(resolve => setImmediate(resolve));
+          continue;
+      }
+
       const elapsed = Date.now() - loopStart;
       
       // --- ADAPTIVE PACING LOGIC ---
@@ -758,12 +993,12 @@ class Matrix {
           const activeAgentCount = this.cacheManager?.getAllAgents().length || 0;
           
           if (activeAgentCount > ADAPTIVE_PACING.MIN_AGENTS_FOR_ADJUSTMENT &&
-              this.targetTickRate > ADAPTIVE_PACING.BASE_RATE && 
+              this.targetTickRate > this.baseTickRate && 
               this.recoveryStreak >= ADAPTIVE_PACING.RECOVERY_THRESHOLD) {
               
               this.targetTickRate = Math.max(
                   this.targetTickRate - ADAPTIVE_PACING.THROTTLE_STEP, 
-                  ADAPTIVE_PACING.BASE_RATE
+                  this.baseTickRate
               );
               this.recoveryStreak = 0; // Reset streak
               logger.info(`[Matrix] System Stabilized. Increasing simulation speed to ${this.targetTickRate}ms.`);
@@ -776,9 +1011,276 @@ class Matrix {
     }
   }
 
+  // --- TIME CONTROLS ---
+
+  /**
+   * Pauses the run loop after the in-flight tick (if any) completes.
+   * @returns {Promise<boolean>} False if already paused.
+   */
+  async pause() {
+    if (this.isPaused) return false;
+    this.isPaused = true;
+    while (this.isTickInProgress) {
+        await new Promise(r => setTimeout(r, 10));
+    }
+    logger.info(`[Matrix] Paused at tick ${this.tickCount}.`);
+    this.eventBus.emitNow('matrix:paused', { tick: this.tickCount });
+    return true;
+  }
+
+  /**
+   * Resumes the run loop.
+   * @returns {boolean} False if not paused.
+   */
+  resume() {
+    if (!this.isPaused) return false;
+    this.isPaused = false;
+    // Pacing stats are meaningless across a pause
+    this.lagStreak = 0;
+    this.recoveryStreak = 0;
+    logger.info(`[Matrix] Resumed at tick ${this.tickCount}.`);
+    this.eventBus.emitNow('matrix:resumed', { tick: this.tickCount });
+    return true;
+  }
+
+  /**
+   * Runs `count` ticks back-to-back while paused.
+   * @param {number} [count=1]
+   * @returns {Promise<number>} The tick count after stepping.
+   * @throws {SimulationError} If not paused, already stepping, or count is out of range.
+   */
+  async step(count = 1) {
+    if (!this.isPaused) throw new SimulationError('Simulation must be paused before stepping.', { count });
+    if (this.isStepping) throw new SimulationError('A step is already in progress.', { count });
+    if (!Number.isInteger(count) || count < 1 || count > MAX_STEP_TICKS) {
+        throw new SimulationError(`Step count must be an integer between 1 and ${MAX_STEP_TICKS}.`, { count });
+    }
+
+    this.isStepping = true;
+    try {
+        // pause() may still be waiting on the loop's in-flight tick
+        while (this.isTickInProgress) {
+            await new Promise(r => setTimeout(r, 10));
+        }
+        for (let i = 0; i < count && this.isRunning && this.isPaused; i++) {
+            try {
+                await this.tick();
+            } catch (err) {
+                logger.error('[MATRIX] Tick Error (step):', err);
+                this.eventBus.emitNow('system:error', { error: err.message, tick: this.tickCount });
+                break;
+            }
+        }
+    } finally {
+        this.isStepping = false;
+    }
+    return this.tickCount;
+  }
+
+  /**
+   * Changes the paced tick rate at runtime. Adaptive pacing may still slow down under load,
+   * but never runs faster than this.
+   * @param {number} ms - Milliseconds per tick.
+   * @returns {number} The applied rate.
+   */
+  setTickRate(ms) {
+    if (!Number.isFinite(ms) || ms < MIN_TICK_RATE_MS || ms > MAX_TICK_RATE_MS) {
+        throw new SimulationError(`Tick rate must be between ${MIN_TICK_RATE_MS}ms and ${MAX_TICK_RATE_MS}ms.`, { ms });
+    }
+    this.baseTickRate = Math.round(ms);
+    this.targetTickRate = this.baseTickRate;
+    this.isMaxSpeed = false;
+    this.lagStreak = 0;
+    this.recoveryStreak = 0;
+    logger.info(`[Matrix] Tick rate set to ${this.baseTickRate}ms.`);
+    this.eventBus.emitNow('matrix:speedChanged', { tickRateMs: this.baseTickRate, maxSpeed: false });
+    return this.baseTickRate;
+  }
+
+  /**
+   * Toggles back-to-back ticking for batch experiments. Turning it off returns to the
+   * last paced tick rate.
+   * @param {boolean} enabled
+   * @returns {boolean} The new max-speed flag.
+   */
+  setMaxSpeed(enabled) {
+    this.isMaxSpeed = Boolean(enabled);
+    this.targetTickRate = this.baseTickRate;
+    this.lagStreak = 0;
+    this.recoveryStreak = 0;
+    logger.info(this.isMaxSpeed
+        ? '[Matrix] Max speed ON: ticks run back-to-back.'
+        : `[Matrix] Max speed OFF: back to ${this.baseTickRate}ms per tick.`);
+    this.eventBus.emitNow('matrix:speedChanged', { tickRateMs: this.baseTickRate, maxSpeed: this.isMaxSpeed });
+    return this.isMaxSpeed;
+  }
+
+  /** Halves the tick rate (bounded by MIN_TICK_RATE_MS). */
+  faster() {
+    if (this.isMaxSpeed) return this.baseTickRate;
+    return this.setTickRate(Math.max(MIN_TICK_RATE_MS, Math.round(this.baseTickRate / SPEED_STEP_FACTOR)));
+  }
+
+  /** Doubles the tick rate (bounded by MAX_TICK_RATE_MS). Leaves max-speed mode first. */
+  slower() {
+    if (this.isMaxSpeed) {
+        this.setMaxSpeed(false);
+        return this.baseTickRate;
+    }
+    return this.setTickRate(Math.min(MAX_TICK_RATE_MS, this.baseTickRate * SPEED_STEP_FACTOR));
+  }
+
+  async togglePause() {
+    return this.isPaused ? this.resume() : this.pause();
+  }
+
+  /**
+   * Wires UI-originated time controls (dashboard keybindings) to the methods above.
+   * Input errors are reported to the log panel instead of bubbling into the event bus.
+   */
+  _setupControlListeners() {
+    const safely = (label, fn) => async (...args) => {
+        try {
+            await fn(...args);
+        } catch (err) {
+            this.eventBus.emitNow('log:system', `[Control] ${label}: ${err.message}`);
+        }
+    };
+    this.eventBus.on('control:togglePause', safely('Pause', () => this.togglePause()));
+    this.eventBus.on('control:step', safely('Step', (count = 1) => this.step(count)));
+    this.eventBus.on('control:faster', safely('Speed', () => this.faster()));
+    this.eventBus.on('control:slower', safely('Speed', () => this.slower()));
+    this.eventBus.on('control:toggleMaxSpeed', safely('Max speed', () => this.setMaxSpeed(!this.isMaxSpeed)));
+    this.eventBus.on('control:toggleTrace', safely('Trace', (agentId) => {
+        const enabled = this.setAgentTracing(agentId, !btTracer.isTraced(agentId));
+        this.eventBus.emitNow('log:system', `[Trace] ${enabled ? 'Tracing' : 'Stopped tracing'} agent ${agentId}.`);
+    }));
+    this.eventBus.on('control:exportTraces', safely('Trace export', (agentId = null) => {
+        const file = this.exportTraces(agentId);
+        this.eventBus.emitNow('log:system', `[Trace] Exported to ${file}`);
+    }));
+  }
+
+  /**
+   * Turns behavior tree tracing on/off for one agent and syncs the traced set to every worker.
+   * @returns {boolean} Whether the agent is now traced.
+   * @throws {SimulationError} Unknown agent, or BT_TRACE_MAX_AGENTS reached.
+   */
+  setAgentTracing(agentId, enabled) {
+    if (!this.cacheManager?.getAgent(agentId)) {
+        throw new SimulationError(`Unknown agent "${agentId}".`, { agentId });
+    }
+    if (enabled && !btTracer.isTraced(agentId) && btTracer.getTracedIds().length >= BT_TRACE_MAX_AGENTS) {
+        throw new SimulationError(`Already tracing ${BT_TRACE_MAX_AGENTS} agents (BT_TRACE_MAX_AGENTS).`, { agentId });
+    }
+    btTracer.setTraced(agentId, enabled);
+    const agentIds = btTracer.getTracedIds();
+    this.workerPool.forEach(w => w.postMessage({ type: 'SET_TRACE_AGENTS', agentIds }));
+    return enabled;
+  }
+
+  /**
+   * Writes buffered traces (one agent, or all) as JSON under BT_TRACE_EXPORT_DIR.
+   * @returns {string} The written file path.
+   */
+  exportTraces(agentId = null) {
+    return btTracer.writeExport(BT_TRACE_EXPORT_DIR, this.tickCount, agentId);
+  }
+
+  /**
+   * Syncs every agent and writes a restorable checkpoint (manual save).
+   */
+  async saveNow() {
+    await this._performSafeSync(this.cacheManager.getAllAgents());
+    await this.createCheckpoint();
+    logger.info(`[Matrix] Manual save complete at tick ${this.tickCount}.`);
+  }
+
+  /**
+   * Adds a world event (same shape as worldService's random events) at runtime.
+   * A `locationId` makes it local: agents there observe it and gossip about it.
+   * @param {{type: string, duration: number, description?: string, locationId?: string, label?: string}} event
+   * @returns {object} The stored event.
+   * @throws {SimulationError} On malformed input.
+   */
+  injectWorldEvent({ type, duration, description, locationId, label } = {}) {
+    if (typeof type !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(type)) {
+        throw new SimulationError('Event type must be an UPPER_SNAKE_CASE string (e.g. SUBWAY_DELAY).', { type });
+    }
+    if (!Number.isInteger(duration) || duration < 1) {
+        throw new SimulationError('Event duration must be a positive integer (ticks).', { duration });
+    }
+
+    if (locationId !== undefined && !worldGraph.nodes[locationId]) {
+        throw new SimulationError(`Unknown event location "${locationId}".`, { locationId });
+    }
+
+    const event = { type, duration, injected: true };
+    if (description) event.description = String(description);
+    if (locationId !== undefined) event.locationId = locationId;
+    if (label) event.label = String(label);
+    this.worldState.world_events.push(event);
+
+    this.invalidateWorldCaches();
+
+    this.eventBus.queue('log:world', 'medium', `[Control] Injected ${type} for ${duration} ticks.`);
+    return event;
+  }
+
+  /**
+   * Schedules a crisis scenario (crisis_scenarios in events.yaml) from `start` to `end`.
+   * @param {{scenario: string, start?: number, end?: number}} run - Ticks; the start defaults to
+   *   the next tick and the end to the scenario's own length.
+   * @returns {object} The scheduled crisis.
+   * @throws {SimulationError} On an unknown scenario or bad ticks.
+   */
+  scheduleCrisis({ scenario, start = this.tickCount + 1, end } = {}) {
+    const problem = this.crises.check(scenario, start, end);
+    if (problem) throw new SimulationError(`Can't schedule the crisis: ${problem}.`, { scenario, start, end });
+    return this.crises.schedule(scenario, start, end);
+  }
+
+  /**
+   * Ends a running crisis (or calls off a scheduled one) at the next tick.
+   * @throws {SimulationError} If there's no such crisis.
+   */
+  endCrisis(key) {
+    const crisis = this.crises.endEarly(key);
+    if (!crisis) throw new SimulationError(`No crisis "${key}" on the schedule.`, { key });
+    this.eventBus.queue('log:world', 'medium', `[Control] Ending ${crisis.name} at tick ${crisis.endsAt}.`);
+    return crisis;
+  }
+
+  /**
+   * Lightweight run status for the dashboard and control API.
+   */
+  getStatus() {
+    return {
+      tick: this.tickCount,
+      worldTime: this.worldTime.toISOString(),
+      seed: this.seed,
+      isRunning: this.isRunning,
+      isPaused: this.isPaused,
+      isStepping: this.isStepping,
+      isMaxSpeed: this.isMaxSpeed,
+      tickRateMs: this.baseTickRate,
+      effectiveTickRateMs: this.isMaxSpeed ? 0 : this.targetTickRate,
+      agentCount: this.cacheManager ? this.cacheManager.agents.size : 0,
+      tracedAgents: btTracer.getTracedIds(),
+      workers: {
+        active: this.workerPool.size,
+        healthy: Array.from(this.workerHealth.values()).filter(h => h === 'healthy').length,
+      },
+    };
+  }
+
   async stop() {
     logger.info('[Matrix] Initiating graceful shutdown...');
     this.isRunning = false;
+    if (this.apiServer) {
+        await this.apiServer.stop();
+        this.apiServer = null;
+    }
     const shutdownStartTime = Date.now();
 
     // [FIX 13] Intelligent Shutdown Timeout
@@ -884,12 +1386,19 @@ class Matrix {
     try {
       this.tickCount++;
       this.eventBus.setCurrentTick(this.tickCount);
+      // Main-thread draws (weather, news, world events) use a per-tick stream so they
+      // don't depend on how many draws earlier ticks happened to make.
+      rng.reseed('world', this.tickCount);
       
       this.worldTime = new Date(this.worldTime.getTime() + MINUTES_PER_TICK * 60000);
       global.currentTick = this.tickCount;
       global.worldTime = this.worldTime;
 
       if (!this.worldState.environment) this.worldState.environment = { globalLight: 0.8, globalTemp: 20 };
+      this.weather.update(this.worldTime, this.tickCount);
+      this.calendar.update(this.worldTime, this.tickCount);
+      this.crises.update(this.tickCount);
+      this.crime.update();
       updateWorldState(this.worldTime, this.tickCount, this.worldState, this.eventBus);
       this._handleDynamicWorldEvents();
       this._cleanupStalePartitions(); // [FIX 15]
@@ -901,11 +1410,16 @@ class Matrix {
       this.locationAgentCount.clear();
       for (const agent of allAgents) {
           const loc = agent.locationId || agent.homeLocationId;
+          // Agents standing in line outside a full venue don't count towards its occupancy
+          if (agent.state === 'fsm_commuting' && agent.stateContext?.queuedAt === loc) continue;
           if (loc) {
             this.locationAgentCount.set(loc, (this.locationAgentCount.get(loc) || 0) + 1);
           }
       }
 
+      // Contagion goes by how crowded each place is
+      this.health.update(this.tickCount);
+
       // -- DYNAMIC REBALANCING --
       // [FIX 9] Rebalancing now queues updates instead of sending async messages immediately
       if (this.workerPool.size > 1 && this.tickCount % REBALANCE_INTERVAL_TICKS === 0) {
@@ -916,14 +1430,46 @@ class Matrix {
           await this._runAgentUpdatesInWorkers(allAgents);
       } else {
           for (const agent of allAgents) {
+              rng.reseed('agent', this.tickCount, agent.id);
               agent.update(this.tickCount, this.worldTime, this.worldState);
           }
       }
 
+      updateBusinessEconomies(allAgents, worldGraph.nodes, this.ledger);
+      handlePayday(this.worldTime, this.tickCount, worldGraph.nodes, this.cacheManager, this.eventBus, this.ledger);
+
+      // Hourly repricing and the morning's restock deliveries, before the day's books close
+      if (this.tickCount % TICKS_PER_HOUR === 0) {
+          this.goodsMarket.runHourly(this.tickCount, this.worldTime);
+      }
+
+      // Daily relationship decay (after the workers, so this tick's contact counts),
+      // then couples moving in or splitting up over what's left of their ties, then births,
+      // deaths and migration, then hiring and firing, then closing the businesses' books, then
+      // the bank's sweeps and loan payments, then the neighborhoods' crime rates and rents, then
+      // the day's point on the epidemic curve
+      if (this.tickCount % TICKS_PER_DAY === 0) {
+          this.relationshipGraph.applyDecay(allAgents, this.tickCount);
+          this.households.runDaily(this.tickCount);
+          await this.population.runDaily(this.tickCount);
+          this.jobMarket.runDaily(this.tickCount);
+          this.businesses.runDaily(this.tickCount);
+          this.bank.runDaily(this.tickCount);
+          this.crime.runDaily(this.tickCount);
+          this.health.runDaily(this.tickCount);
+      }
+      this.worldState.lastRentMonth = handleRentDay(
+          this.worldTime, this.tickCount, this.cacheManager, worldGraph.nodes,
+          this.eventBus, this.worldState.lastRentMonth ?? null, this.households, this.bank
+      );
+
       // PRE-CHECKPOINT FLUSH: Process critical queues (e.g. db:writeMemory) immediately 
       // to ensure state consistency before sync or checkpoints occur.
       this.eventBus.processQueues();
 
+      // Every transfer of the tick, workers' included, has been booked by now
+      this.ledger.audit(this.tickCount);
+
       if (this.tickCount % SYNC_INTERVAL_TICKS === 0) {
         const dirty = this.cacheManager.getDirtyAgents();
         if (dirty.length > 0) {
@@ -933,7 +1479,7 @@ class Matrix {
       }
 
       if (this.tickCount % CHECKPOINT_INTERVAL_TICKS === 0) {
-        await this.dbService.createCheckpoint(this.tickCount);
+        await this.createCheckpoint();
         this.eventBus.queue('db:createCheckpoint', 'high', this.tickCount);
       }
 
@@ -944,13 +1490,44 @@ class Matrix {
         time: this.worldTime.toISOString(),
         agents: allAgents,
         worldState: this.worldState,
-        locationAgentCount: Object.fromEntries(this.locationAgentCount) // SERIALIZATION FIX: Convert Map to Object
+        locationAgentCount: Object.fromEntries(this.locationAgentCount), // SERIALIZATION FIX: Convert Map to Object
+        turnedAway: Object.fromEntries(this.turnedAwayCounts)
       });
     } finally {
       this.isTickInProgress = false;
     }
   }
 
+  /**
+   * Runs a fixed number of ticks back-to-back without pacing delays.
+   * Used by replay verification (engine/replayVerifier.js) and batch runs.
+   * @param {number} count - Number of ticks to run.
+   * @param {(tick: number, hash: string) => void} [onTick] - Called after each tick with the state hash.
+   */
+  async runTicks(count, onTick = null) {
+    if (!this.isInitialized) await this.init();
+    if (this.workerPool.size === 0) {
+      throw new Error('Worker pool failed to initialize.');
+    }
+
+    this.isRunning = true;
+    for (let i = 0; i < count; i++) {
+      await this.tick();
+      if (onTick) onTick(this.tickCount, this.computeStateHash());
+    }
+  }
+
+  /**
+   * SHA-256 of cacheManager.getFullState(), with agents sorted by ID so the
+   * hash is independent of Map insertion order.
+   * @returns {string}
+   */
+  computeStateHash() {
+    const { agents } = this.cacheManager.getFullState();
+    agents.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    return crypto.createHash('sha256').update(JSON.stringify(agents)).digest('hex');
+  }
+
   _rebalancePartitions(allAgents) {
     logger.info(`[Matrix] Checking partition balance (Tick ${this.tickCount})...`);
     
@@ -1044,14 +1621,22 @@ class Matrix {
       return e.duration > 0;
     });
     
-    if (worldChanged) {
-      FiniteStateMachine.clearPathCache();
-      this._precomputeAffordanceCache();
-      this.workerPool.forEach(w => w.postMessage({ type: 'CLEAR_PATH_CACHE' }));
-      
-      // COPY-ON-WRITE: Update the graph snapshot when world events modify state
-      this.graphSnapshot = this._createGraphSnapshot();
-    }
+    if (worldChanged) this.invalidateWorldCaches();
+  }
+
+  /**
+   * Drops cached paths and affordances here and in the workers after the world changes
+   * (an event starts or ends, a business closes or opens). The workers pick up the world
+   * events' closures and sites with the next tick.
+   */
+  invalidateWorldCaches() {
+    worldGraph.indexWorldEvents(this.worldState.world_events);
+    FiniteStateMachine.clearPathCache();
+    this._precomputeAffordanceCache();
+    this.workerPool.forEach(w => w.postMessage({ type: 'CLEAR_PATH_CACHE' }));
+
+    // COPY-ON-WRITE: Update the graph snapshot when the world changes
+    this.graphSnapshot = this._createGraphSnapshot();
   }
 
   async _runAgentUpdatesInWorkers(allAgents) {
@@ -1096,6 +1681,7 @@ class Matrix {
       worldState: this.worldState,
       locationAgentCount: Object.fromEntries(this.locationAgentCount), // SERIALIZATION FIX: Convert Map to Object
       worldEvents: this.worldState.world_events,
+      inventory: this.goodsMarket.getInventory(), // Store shelves as of the end of last tick
       graphSnapshot: this.graphSnapshot // IMMUTABLE SNAPSHOT: Pass the frozen graph to workers
     };
 
@@ -1224,6 +1810,39 @@ class Matrix {
     this._updateAgentDistribution(allUpdatedAgents);
   }
 
+  /**
+   * Main-thread sinks for events that agents raise from the workers.
+   */
+  _setupSimulationListeners() {
+    // db:writeMemory is batchable: one call per tick with [agentId, tick, text] tuples
+    this.eventBus.on('db:writeMemory_batch', (payloads) => {
+      const memories = payloads
+        .filter(([agentId, , text]) => agentId && typeof text === 'string')
+        .map(([agentId, tick, text]) => ({ agentId, tick: tick ?? this.tickCount, description: text, importance: 1 }));
+      if (memories.length > 0) this.dbService.writeToMemoryBatch(memories);
+    });
+
+    this.eventBus.on('location:turnedAway', ({ locationId }) => {
+      this.turnedAwayCounts.set(locationId, (this.turnedAwayCounts.get(locationId) || 0) + 1);
+    });
+
+    this.eventBus.on('bt:trace', (record) => btTracer.record(record));
+    this.eventBus.on('gossip:spread', (event) => rumorTracker.record(event));
+    this.eventBus.on('job:conduct', (event) => this.jobMarket.recordConduct(event));
+    this.eventBus.on('market:purchase', (event) => this.goodsMarket.recordSale(event));
+    this.eventBus.on('bank:loanApplication', (event) => this.bank.handleLoanApplication(event));
+    this.eventBus.on('bank:withdraw', (event) => this.bank.handleWithdrawal(event));
+    this.eventBus.on('ledger:transfer', (event) => this.ledger.handleTransfer(event));
+    this.eventBus.on('calendar:arrived', (event) => this.calendar.recordArrival(event));
+    this.eventBus.on('crisis:stranded', (event) => this.crises.recordStranded(event));
+    // crime:attempt is batchable too: the tick's attempts are settled together, in a fixed order
+    this.eventBus.on('crime:attempt_batch', (payloads) => this.crime.handleAttempts(payloads.map(([attempt]) => attempt)));
+    this.eventBus.on('health:calledInSick', (event) => this.health.handleCalledInSick(event));
+  }
+
+  /**
+   * Worker events arrive as ['queue', event, priority, ...args] (queued) or [event, ...args] (emitNow).
+   */
   _processWorkerOutputs(walOps, logEvents) {
     for (const walOp of walOps) {
       if (walOp.op === 'db:writeMemory') {
@@ -1235,7 +1854,15 @@ class Matrix {
         }
       }
     }
-    for (const log of logEvents) this.eventBus.queue(...log);
+    for (const log of logEvents) {
+      if (log[0] === 'queue') {
+        const [, event, priority, ...args] = log;
+        this.eventBus.queue(event, priority, ...args);
+      } else {
+        const [event, ...args] = log;
+        this.eventBus.queue(event, 'high', ...args);
+      }
+    }
   }
 
   _updateAgentDistribution(updatedAgents) {
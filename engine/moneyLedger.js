@@ -0,0 +1,303 @@
+/**
+ * moneyLedger.js
+ * Double-entry bookkeeping for every dollar in the city.
+ *
+ * Money sits in typed accounts: an agent's cash ('agent:<id>'), a business's treasury
+ * ('business:<nodeId>'), the city's purse ('city', which collects transit fares) and the bank's
+ * reserves ('bank', see engine/bank.js). Everyone outside the simulation (landlords, suppliers,
+ * public employers, people arriving and leaving) is 'external', the one account without a
+ * balance: money only enters or leaves the city through it.
+ *
+ * Every transfer moves an amount from one account to another under a kind ('fare', 'sale',
+ * 'salary', 'rent'...). On the main thread MoneyLedger.transfer applies both sides. Workers can
+ * only change their own copy of an agent, so payFrom/payTo change the agent's cash there and
+ * report the transfer as 'ledger:transfer' with the agent's side already settled; the main
+ * thread applies the other side when it processes the tick's events. Business takings and costs
+ * go on to the daily books (engine/businessManager.js).
+ *
+ * Entries are written to the ledger_entries table every FLUSH_TICKS, one row per account pair
+ * and kind, stamped with the last tick it covers. After each tick's events, audit() adds up the money in the city and checks the
+ * change against what came in from and went out to 'external'. Anything beyond AUDIT_TOLERANCE
+ * was created or destroyed without an entry, and the tick is flagged.
+ */
+import worldGraph from '../data/worldGraph.js';
+import { GAME_BALANCE } from '../data/balance.js';
+
+const { LEDGER } = GAME_BALANCE;
+
+export const CITY = 'city';
+export const BANK_ACCOUNT = 'bank';
+export const EXTERNAL = 'external';
+export const agentAccount = (agentId) => `agent:${agentId}`;
+export const businessAccount = (nodeId) => `business:${nodeId}`;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Kinds that go on a business's daily books: takings are credited to the receiving business,
+// costs debited to the paying one
+const BOOK_COLUMNS = {
+  sale: 'revenue',
+  meal: 'revenue',
+  walk_in: 'revenue',
+  upkeep: 'upkeep',
+  wages: 'payroll',
+  bonus: 'payroll',
+  salary: 'payroll',
+  supplies: 'supplies',
+};
+
+function report(agent, transfer) {
+  agent.matrix?.eventBus?.queue('ledger:transfer', 'high', { ...transfer, settled: agentAccount(agent.id) });
+}
+
+/**
+ * Worker side: takes `amount` out of the agent's cash and reports it as paid to `to`.
+ * @returns {number} What was paid, to the cent.
+ */
+export function payFrom(agent, to, amount, kind, tick) {
+  amount = round(amount);
+  if (!(amount > 0)) return 0;
+  agent.money = (agent.money ?? 0) - amount;
+  report(agent, { from: agentAccount(agent.id), to, amount, kind, tick });
+  return amount;
+}
+
+/**
+ * Worker side: adds `amount` to the agent's cash and reports it as paid by `from`.
+ * @returns {number} What was paid, to the cent.
+ */
+export function payTo(agent, from, amount, kind, tick) {
+  amount = round(amount);
+  if (!(amount > 0)) return 0;
+  agent.money = (agent.money ?? 0) + amount;
+  report(agent, { from, to: agentAccount(agent.id), amount, kind, tick });
+  return amount;
+}
+
+export default class MoneyLedger {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+    // (from, to, kind) -> row waiting for the next flush
+    this.pending = new Map();
+    // Money in from and out to 'external' since the last audit
+    this.flow = { in: 0, out: 0 };
+    // Money in the city at the last audit; null until the first one (and after a restart)
+    this.lastTotal = null;
+  }
+
+  get cacheManager() { return this.matrix.cacheManager; }
+  get eventBus() { return this.matrix.eventBus; }
+
+  get state() {
+    if (!this.matrix.worldState.ledger) {
+      this.matrix.worldState.ledger = {
+        city: 0,
+        totals: {},
+        sourced: 0,
+        sunk: 0,
+        shiftWages: {},
+        lastAudit: null,
+        flaggedTicks: 0,
+        flags: [],
+      };
+    }
+    return this.matrix.worldState.ledger;
+  }
+
+  // Applies a change to an account's balance. undefined for an account that doesn't exist.
+  _holder(account) {
+    if (account === EXTERNAL) return () => {};
+    if (account === CITY) return (delta) => { this.state.city = round(this.state.city + delta); };
+    if (account === BANK_ACCOUNT) {
+      const bank = this.matrix.bank;
+      return bank ? (delta) => { bank.state.reserves = round(bank.state.reserves + delta); } : undefined;
+    }
+    const split = account.indexOf(':');
+    const type = account.slice(0, split);
+    const id = account.slice(split + 1);
+    if (type === 'agent') {
+      const agent = this.cacheManager.getAgent(id);
+      if (!agent) return undefined;
+      return (delta) => {
+        agent.money = (agent.money ?? 0) + delta;
+        this.cacheManager.markAgentDirty(agent.id);
+      };
+    }
+    if (type === 'business') {
+      const node = worldGraph.nodes[id];
+      return node ? (delta) => { node.treasury = (node.treasury ?? 0) + delta; } : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Moves `amount` (rounded to the cent) from one account to another and records the entry.
+   * `settled` names a side the caller has already applied, e.g. the agent's cash in a worker.
+   * A transfer between unknown accounts is refused; if one side was already settled, the
+   * missing side is booked to 'external' instead so the money is still accounted for.
+   * @param {string} from
+   * @param {string} to
+   * @param {number} amount
+   * @param {string} kind
+   * @param {{tick?: number, settled?: string|null}} [options]
+   * @returns {number} What was transferred.
+   */
+  transfer(from, to, amount, kind, { tick = this.matrix.tickCount, settled = null } = {}) {
+    amount = round(amount);
+    if (!(amount > 0) || from === to) return 0;
+
+    let debit = from === settled ? null : this._holder(from);
+    let credit = to === settled ? null : this._holder(to);
+    if (debit === undefined || credit === undefined) {
+      if (!settled) {
+        this.eventBus.queue('log:error', 'medium', `[Ledger] Refused ${kind} of $${amount} from ${from} to ${to}: unknown account.`);
+        return 0;
+      }
+      if (debit === undefined) { from = EXTERNAL; debit = null; }
+      if (credit === undefined) { to = EXTERNAL; credit = null; }
+    }
+    debit?.(-amount);
+    credit?.(amount);
+    this._record(tick ?? this.matrix.tickCount, from, to, kind, amount);
+    return amount;
+  }
+
+  /**
+   * Worker report of a transfer whose agent side is already settled (see payFrom/payTo).
+   */
+  handleTransfer({ from, to, amount, kind, tick, settled }) {
+    this.transfer(from, to, amount, kind, { tick, settled });
+  }
+
+  _record(tick, from, to, kind, amount) {
+    const state = this.state;
+    state.totals[kind] = round((state.totals[kind] ?? 0) + amount);
+    if (from === EXTERNAL) {
+      this.flow.in += amount;
+      state.sourced = round(state.sourced + amount);
+    }
+    if (to === EXTERNAL) {
+      this.flow.out += amount;
+      state.sunk = round(state.sunk + amount);
+    }
+
+    const key = `${from}|${to}|${kind}`;
+    const row = this.pending.get(key);
+    if (row) {
+      row.amount = round(row.amount + amount);
+      row.count++;
+      row.tick = Math.max(row.tick, tick);
+    } else {
+      this.pending.set(key, { tick, from, to, kind, amount, count: 1 });
+    }
+
+    const column = BOOK_COLUMNS[kind];
+    const business = column === 'revenue' ? to : from;
+    if (column && business.startsWith('business:')) {
+      this.matrix.businesses?.record(business.slice('business:'.length), { [column]: amount });
+    }
+    if (kind === 'wages' && from.startsWith('business:') && to.startsWith('agent:')) {
+      const agentId = to.slice('agent:'.length);
+      state.shiftWages[agentId] = round((state.shiftWages[agentId] ?? 0) + amount);
+    }
+  }
+
+  /**
+   * Shift wages (WorkingState.PayWages) an agent has been paid by a business since the last
+   * payday, which payday then only tops up to the weekly salary. Resets the tally.
+   */
+  takeShiftWages(agentId) {
+    const state = this.state;
+    const paid = state.shiftWages[agentId] ?? 0;
+    delete state.shiftWages[agentId];
+    return paid;
+  }
+
+  /**
+   * All the money in the city: agents' cash, business treasuries, the city's purse and the
+   * bank's reserves. Savings and loans are claims on the bank, not money, and don't count.
+   */
+  totalMoney() {
+    let total = this.state.city + (this.matrix.bank?.state.reserves ?? 0);
+    for (const agent of this.cacheManager.getAllAgents()) total += agent.money ?? 0;
+    for (const node of Object.values(worldGraph.nodes)) total += node.treasury ?? 0;
+    return total;
+  }
+
+  /**
+   * Per-tick conservation check, after the tick's events: the change in total money since the
+   * last audit must match the entries to and from 'external'. A mismatch is flagged (log,
+   * simulation_events and worldState.ledger.flags) and the count starts over from what's there.
+   */
+  audit(tick = this.matrix.tickCount) {
+    const state = this.state;
+    const total = this.totalMoney();
+    const { in: sourced, out: sunk } = this.flow;
+    this.flow = { in: 0, out: 0 };
+
+    let ok = true;
+    if (this.lastTotal !== null) {
+      const expected = this.lastTotal + sourced - sunk;
+      const drift = round(total - expected);
+      if (Math.abs(drift) > LEDGER.AUDIT_TOLERANCE) {
+        ok = false;
+        const flag = { tick, expected: round(expected), actual: round(total), drift };
+        state.flaggedTicks++;
+        state.flags.push(flag);
+        if (state.flags.length > LEDGER.MAX_FLAGS) state.flags.splice(0, state.flags.length - LEDGER.MAX_FLAGS);
+        this.eventBus.queue('log:error', 'high',
+          `[Ledger] Audit failed at tick ${tick}: $${drift} ${drift > 0 ? 'appeared' : 'vanished'} without a ledger entry.`);
+        if (this.matrix.dbService?.isHealthy) this.matrix.dbService.logSimulationEvent(tick, 'LEDGER_AUDIT_FAILED', flag);
+      }
+    }
+    this.lastTotal = total;
+    state.lastAudit = { tick, total: round(total), ok };
+
+    if (tick % LEDGER.FLUSH_TICKS === 0) this.flush();
+    return state.lastAudit;
+  }
+
+  /**
+   * Writes the batched entries to the database.
+   */
+  flush() {
+    if (this.pending.size === 0) return;
+    const rows = [...this.pending.values()];
+    this.pending.clear();
+    this.matrix.dbService?.writeLedgerBatch(rows);
+  }
+
+  /**
+   * Recorded entries into or out of an account (all accounts if none given), newest first.
+   * @param {string|null} [account]
+   * @param {number} [limit]
+   */
+  getEntries(account = null, limit = 50) {
+    this.flush();
+    return this.matrix.dbService?.getLedgerEntries(account, limit) ?? [];
+  }
+
+  /**
+   * Money in the city by account type, flows per kind and the audit's record.
+   */
+  getSummary() {
+    const state = this.state;
+    let cash = 0, treasuries = 0;
+    for (const agent of this.cacheManager.getAllAgents()) cash += agent.money ?? 0;
+    for (const node of Object.values(worldGraph.nodes)) treasuries += node.treasury ?? 0;
+    const reserves = this.matrix.bank?.state.reserves ?? 0;
+    return {
+      total: round(cash + treasuries + state.city + reserves),
+      accounts: { agents: round(cash), businesses: round(treasuries), city: state.city, bank: reserves },
+      sourced: state.sourced,
+      sunk: state.sunk,
+      totals: { ...state.totals },
+      lastAudit: state.lastAudit,
+      flaggedTicks: state.flaggedTicks,
+      flags: state.flags.slice(-10),
+    };
+  }
+}
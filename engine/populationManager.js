@@ -0,0 +1,298 @@
+/**
+ * populationManager.js
+ * Long-running population dynamics: aging, births, deaths and migration.
+ *
+ * Runs once per simulated day on the main thread, after the workers. Age comes from each
+ * agent's birthDate against world time; mortality from age and chronic strain (see
+ * agent/agentLifecycle.js). Cohabiting couples have children, dependents come of age at
+ * ADULT_AGE, and the city trades a trickle of households with the outside world: arrivals are
+ * generated from demographics.yaml through CacheManager.createNewAgents, departures leave as
+ * whole households. Every addition and removal goes through Matrix.addAgents/removeAgents so
+ * worker partitions, business rosters and the agents table stay in step.
+ *
+ * Running totals live in worldState.population so they survive checkpoints.
+ */
+import Agent from './agent.js';
+import { GAME_BALANCE } from '../data/balance.js';
+import { INITIAL_AGENTS } from '../data/config.js';
+import { dataLoader } from '../data/dataLoader.js';
+import { createTie } from './agent/agentRelationships.js';
+import { ageOf, randomBirthDate, birthDateToday, isBirthday, updateChronicStrain, dailyMortality } from './agent/agentLifecycle.js';
+import { DEPENDENT_JOB } from './householdRegistry.js';
+import { UNEMPLOYED_JOB } from './jobMarket.js';
+import rng from './rng.js';
+import logger from '../logger.js';
+
+const { POPULATION } = GAME_BALANCE;
+
+const surname = (name) => String(name ?? '').split(' ').slice(1).join(' ');
+
+function pickWeighted(entries) {
+  const total = entries.reduce((sum, e) => sum + (e.weight ?? 0), 0);
+  if (total <= 0) return entries[0] ?? null;
+  let roll = rng.random() * total;
+  for (const e of entries) {
+    roll -= e.weight ?? 0;
+    if (roll <= 0) return e;
+  }
+  return entries[entries.length - 1];
+}
+
+// Whole number of events for an expected count (e.g. 0.3 -> 0 or 1)
+function rollCount(expected) {
+  return Math.floor(expected) + (rng.random() < expected % 1 ? 1 : 0);
+}
+
+export default class PopulationManager {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+  }
+
+  get cacheManager() { return this.matrix.cacheManager; }
+  get households() { return this.matrix.households; }
+  get eventBus() { return this.matrix.eventBus; }
+
+  get totals() {
+    if (!this.matrix.worldState.population) {
+      this.matrix.worldState.population = { births: 0, deaths: 0, arrivals: 0, departures: 0 };
+    }
+    return this.matrix.worldState.population;
+  }
+
+  /**
+   * Gives agents without a birthDate one: adults from demographics.yaml age_brackets,
+   * dependents young enough to be their household head's children.
+   */
+  assignBirthDates(agents) {
+    const worldTime = this.matrix.worldTime;
+    const brackets = dataLoader.demographics?.age_brackets;
+    const [defaultMin, defaultMax] = POPULATION.DEFAULT_ADULT_AGES;
+
+    for (const agent of agents) {
+      if (agent.birthDate || agent.householdRole === 'dependent') continue;
+      const bracket = brackets?.length ? pickWeighted(brackets) : { min: defaultMin, max: defaultMax };
+      agent.birthDate = randomBirthDate(worldTime, bracket.min, bracket.max);
+    }
+
+    for (const agent of agents) {
+      if (agent.birthDate) continue;
+      const head = this.cacheManager.getAgent(this.households?.get(agent.householdId)?.headId);
+      const parentAge = head && head.id !== agent.id ? ageOf(head, worldTime) : null;
+      const maxAge = Math.max(0, Math.min(POPULATION.ADULT_AGE - 1, (parentAge ?? POPULATION.ADULT_AGE * 2) - POPULATION.ADULT_AGE));
+      agent.birthDate = randomBirthDate(worldTime, 0, maxAge);
+    }
+  }
+
+  /**
+   * Daily pass. Async because departures are deleted from the database.
+   */
+  async runDaily(tick) {
+    const worldTime = this.matrix.worldTime;
+    const agents = this.cacheManager.getAllAgents();
+    this.assignBirthDates(agents.filter(a => !a.birthDate));
+
+    const departing = new Map(); // agentId -> reason
+    for (const agent of agents) {
+      updateChronicStrain(agent);
+      const age = ageOf(agent, worldTime);
+
+      if (isBirthday(agent, worldTime) && age > 0) {
+        this.eventBus.queue('db:writeMemory', 'low', agent.id, tick, `I turned ${age} today.`);
+        if (agent.householdRole === 'dependent' && age >= POPULATION.ADULT_AGE) this._comeOfAge(agent, tick);
+      }
+      if (rng.random() < dailyMortality(agent, age)) departing.set(agent.id, 'death');
+    }
+
+    this._births(tick, departing);
+    this._migrateOut(departing);
+
+    if (departing.size > 0) await this._remove(departing, tick);
+    this._migrateIn(tick);
+  }
+
+  _comeOfAge(agent, tick) {
+    agent.householdRole = 'member';
+    agent.job = { ...UNEMPLOYED_JOB, recentEvents: [] };
+    agent.unemployedSince = tick;
+    this.cacheManager.markAgentDirty(agent.id);
+    this.eventBus.queue('log:info', 'medium', `[Population] ${agent.name} came of age.`);
+    this.eventBus.queue('db:writeMemory', 'high', agent.id, tick, `I'm an adult now. Time to find a job.`);
+  }
+
+  _births(tick, departing) {
+    const worldTime = this.matrix.worldTime;
+    const [minAge, maxAge] = POPULATION.FERTILE_AGES;
+
+    for (const household of this.households.getAll()) {
+      if (!household.homeLocationId || household.dependentIds.length >= POPULATION.MAX_CHILDREN) continue;
+      const head = this.cacheManager.getAgent(household.headId);
+      const partner = head?.partnerId ? this.cacheManager.getAgent(head.partnerId) : null;
+      if (!partner || partner.householdId !== household.id) continue;
+      if (departing.has(head.id) || departing.has(partner.id)) continue;
+
+      const fertile = [head, partner].every(p => {
+        const age = ageOf(p, worldTime);
+        return age !== null && age >= minAge && age <= maxAge;
+      });
+      if (!fertile || rng.random() >= POPULATION.BIRTH_CHANCE) continue;
+
+      this._bear(household, head, partner, tick);
+    }
+  }
+
+  _bear(household, head, partner, tick) {
+    const firstNames = dataLoader.demographics?.first_names || ['Baby'];
+    const first = firstNames[Math.floor(rng.random() * firstNames.length)];
+    const baby = new Agent({
+      activityStartTick: tick,
+      name: `${first} ${surname(head.name) || head.name}`,
+      homeLocationId: household.homeLocationId,
+      locationId: household.homeLocationId,
+      rent_cost: head.rent_cost,
+      householdId: household.id,
+      householdRole: 'dependent',
+      money: 0,
+      job: { ...DEPENDENT_JOB, recentEvents: [] },
+      birthDate: birthDateToday(this.matrix.worldTime),
+    });
+
+    for (const id of household.memberIds) {
+      const member = this.cacheManager.getAgent(id);
+      if (!member) continue;
+      const isParent = id === head.id || id === partner.id;
+      baby.relationships[id] = createTie('family', isParent ? 90 : 60, tick);
+      member.relationships[baby.id] = createTie('family', isParent ? 90 : 60, tick);
+      this.cacheManager.markAgentDirty(id);
+    }
+
+    this.matrix.addAgents([baby]);
+    household.dependentIds.push(baby.id);
+    household.memberIds.push(baby.id);
+    this.totals.births++;
+
+    this.eventBus.queue('log:info', 'high', `[Life Event] ${head.name} and ${partner.name} had a baby: ${baby.name}.`);
+    for (const parent of [head, partner]) {
+      this.eventBus.queue('db:writeMemory', 'high', parent.id, tick, `${baby.name} was born today!`);
+    }
+  }
+
+  _migrateOut(departing) {
+    const population = this.cacheManager.agents.size;
+    if (population - departing.size <= INITIAL_AGENTS * POPULATION.MIGRATION_BOUNDS[0]) return;
+
+    // Unhappy and broke households are the likeliest to give up on the city
+    const candidates = this.households.getAll()
+      .filter(h => !h.memberIds.some(id => departing.has(id)))
+      .map(h => {
+        const adults = h.adultIds.map(id => this.cacheManager.getAgent(id)).filter(Boolean);
+        const mood = adults.reduce((sum, a) => sum + (a.mood ?? 0), 0) / Math.max(1, adults.length);
+        const broke = adults.some(a => (a.rentFailures ?? 0) > 0) ? 1 : 0;
+        return { household: h, weight: 1 + Math.max(0, -mood) / 50 + broke };
+      });
+
+    // Whole households leave, so the rate is per household rather than per person
+    for (let n = rollCount(candidates.length * POPULATION.MIGRATION_OUT_RATE); n > 0 && candidates.length > 0; n--) {
+      const pick = pickWeighted(candidates);
+      candidates.splice(candidates.indexOf(pick), 1);
+      for (const id of pick.household.memberIds) departing.set(id, 'migration');
+    }
+  }
+
+  _migrateIn(tick) {
+    const population = this.cacheManager.agents.size;
+    const room = Math.floor(INITIAL_AGENTS * POPULATION.MIGRATION_BOUNDS[1]) - population;
+    const count = Math.min(room, rollCount(population * POPULATION.MIGRATION_IN_RATE));
+    if (count <= 0) return;
+
+    const arrivals = this.cacheManager.createNewAgents(count, tick);
+    this.matrix.addAgents(arrivals);
+    this.totals.arrivals += arrivals.length;
+    this.eventBus.queue('log:info', 'medium', `[Population] ${arrivals.length} new resident(s) moved to the city.`);
+    for (const agent of arrivals) {
+      this.eventBus.queue('db:writeMemory', 'high', agent.id, tick, `I just moved to the city.`);
+    }
+  }
+
+  /**
+   * Takes the dead and the departing out of the simulation. Children whose last adult is
+   * gone leave with them (to relatives out of town).
+   */
+  async _remove(departing, tick) {
+    this.households.rebuild();
+    for (const household of this.households.getAll()) {
+      const adultsLeft = household.adultIds.filter(id => !departing.has(id));
+      if (adultsLeft.length > 0 || !household.adultIds.some(id => departing.has(id))) continue;
+      for (const id of household.dependentIds) {
+        if (!departing.has(id)) departing.set(id, 'relatives');
+      }
+    }
+
+    for (const [id, reason] of departing) {
+      const agent = this.cacheManager.getAgent(id);
+      if (!agent) continue;
+      if (reason === 'death') {
+        this.totals.deaths++;
+        this.eventBus.queue('log:info', 'high', `[Life Event] ${agent.name} died at ${ageOf(agent, this.matrix.worldTime)}.`);
+        this._mourn(agent, departing, tick);
+      } else {
+        this.totals.departures++;
+      }
+    }
+    const moved = [...departing.values()].filter(r => r !== 'death').length;
+    if (moved > 0) this.eventBus.queue('log:info', 'medium', `[Population] ${moved} resident(s) left the city.`);
+
+    await this.matrix.removeAgents([...departing.keys()]);
+    this.households.rebuild();
+  }
+
+  _mourn(agent, departing, tick) {
+    for (const other of this.cacheManager.getAllAgents()) {
+      if (departing.has(other.id)) continue;
+      const tie = other.relationships?.[agent.id];
+      if (other.id !== agent.partnerId && tie?.type !== 'family') continue;
+      other.mood = Math.max(-100, (other.mood ?? 0) - 50);
+      other.stress = Math.min(100, (other.stress ?? 0) + 30);
+      this.cacheManager.markAgentDirty(other.id);
+      this.eventBus.queue('db:writeMemory', 'high', other.id, tick, `${agent.name} passed away.`);
+    }
+  }
+
+  /**
+   * Age pyramid plus running totals.
+   * @returns {{population: number, medianAge: number|null, totals: object,
+   *            brackets: Array<{range: string, total: number, dependents: number}>}}
+   */
+  getPyramid() {
+    const worldTime = this.matrix.worldTime;
+    const size = POPULATION.PYRAMID_BRACKET_YEARS;
+    const counts = [];
+    const ages = [];
+
+    for (const agent of this.cacheManager.getAllAgents()) {
+      const age = ageOf(agent, worldTime);
+      if (age === null) continue;
+      ages.push(age);
+      const i = Math.floor(age / size);
+      counts[i] ??= { total: 0, dependents: 0 };
+      counts[i].total++;
+      if (agent.householdRole === 'dependent') counts[i].dependents++;
+    }
+
+    ages.sort((a, b) => a - b);
+    const brackets = Array.from(counts, (c, i) => ({
+      range: `${i * size}-${i * size + size - 1}`,
+      total: c?.total ?? 0,
+      dependents: c?.dependents ?? 0,
+    }));
+
+    return {
+      population: this.cacheManager.agents.size,
+      medianAge: ages.length ? ages[Math.floor(ages.length / 2)] : null,
+      totals: { ...this.totals },
+      brackets,
+    };
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * relationshipGraph.js
+ * Population-wide view over the ties agents keep in agent.relationships.
+ *
+ * The ties themselves are owned by the agents (see agent/agentRelationships.js) and change
+ * inside the workers; this class only reads them from the main-thread cache, answers
+ * cross-agent queries (incoming ties, friends of friends, coworkers at a location) and runs
+ * the daily decay pass. Persistence goes through DbService's relationships table.
+ */
+import { getTie, normalizeTie, decayRelationships } from './agent/agentRelationships.js';
+import logger from '../logger.js';
+
+const FRIEND_TYPES = new Set(['friend', 'romantic']);
+
+export default class RelationshipGraph {
+  /**
+   * @param {import('./cacheManager.js').default} cacheManager
+   */
+  constructor(cacheManager) {
+    this.cacheManager = cacheManager;
+  }
+
+  /**
+   * How `fromId` sees `toId`, or null if there is no tie.
+   */
+  getTie(fromId, toId) {
+    const agent = this.cacheManager.getAgent(fromId);
+    return agent ? getTie(agent, toId) : null;
+  }
+
+  /**
+   * Outgoing ties of an agent, strongest first.
+   * @param {string} agentId
+   * @param {{type?: string|string[], minAffinity?: number}} [filter]
+   * @returns {Array<object>} Ties with an added `otherId`.
+   */
+  getTies(agentId, { type = null, minAffinity = -Infinity } = {}) {
+    const agent = this.cacheManager.getAgent(agentId);
+    if (!agent) return [];
+    const types = type ? new Set([].concat(type)) : null;
+
+    const ties = [];
+    for (const [otherId, raw] of Object.entries(agent.relationships ?? {})) {
+      const tie = normalizeTie(raw);
+      if (types && !types.has(tie.type)) continue;
+      if (tie.affinity < minAffinity) continue;
+      ties.push({ otherId, ...tie });
+    }
+    return ties.sort((a, b) => b.affinity - a.affinity);
+  }
+
+  /**
+   * Ties other agents hold towards this one. Ties are directed, so these can differ from
+   * getTies() (B may count A as a friend while A barely knows B).
+   */
+  getIncomingTies(agentId, { type = null } = {}) {
+    const types = type ? new Set([].concat(type)) : null;
+    const ties = [];
+    for (const other of this.cacheManager.getAllAgents()) {
+      const raw = other.relationships?.[agentId];
+      if (!raw || other.id === agentId) continue;
+      const tie = normalizeTie(raw);
+      if (types && !types.has(tie.type)) continue;
+      ties.push({ fromId: other.id, ...tie });
+    }
+    return ties.sort((a, b) => b.affinity - a.affinity);
+  }
+
+  /**
+   * True if both sides hold a tie of the given type (any type when omitted).
+   */
+  isMutual(aId, bId, type = null) {
+    const ab = this.getTie(aId, bId);
+    const ba = this.getTie(bId, aId);
+    if (!ab || !ba) return false;
+    return !type || (ab.type === type && ba.type === type);
+  }
+
+  /**
+   * Ids of the agents this agent counts as friends (romantic partners included).
+   */
+  friendsOf(agentId) {
+    return this.getTies(agentId, { type: [...FRIEND_TYPES] }).map(t => t.otherId);
+  }
+
+  /**
+   * Agents reachable through one friend who aren't already friends themselves, ranked by
+   * how many mutual friends lead to them.
+   * @returns {Array<{id: string, via: string[]}>}
+   */
+  friendsOfFriends(agentId) {
+    const friends = new Set(this.friendsOf(agentId));
+    const candidates = new Map();
+
+    for (const friendId of friends) {
+      for (const id of this.friendsOf(friendId)) {
+        if (id === agentId || friends.has(id) || !this.cacheManager.getAgent(id)) continue;
+        if (!candidates.has(id)) candidates.set(id, []);
+        candidates.get(id).push(friendId);
+      }
+    }
+
+    return [...candidates.entries()]
+      .map(([id, via]) => ({ id, via }))
+      .sort((a, b) => b.via.length - a.via.length);
+  }
+
+  /**
+   * Agents employed at a location, optionally only those there right now.
+   * @param {string} locationId
+   * @param {{excludeId?: string, presentOnly?: boolean}} [opts]
+   * @returns {Array<object>} Agents, in cache order.
+   */
+  coworkersAt(locationId, { excludeId = null, presentOnly = false } = {}) {
+    return this.cacheManager.getAllAgents().filter(agent =>
+      agent.id !== excludeId &&
+      agent.workLocationId === locationId &&
+      (!presentOnly || agent.locationId === locationId)
+    );
+  }
+
+  /**
+   * Daily pass: drifts ties without recent contact toward neutral and forgets faded
+   * acquaintances. Runs on the main thread between worker ticks.
+   * @returns {number} Ties changed across the population.
+   */
+  applyDecay(agents, tick) {
+    let changed = 0;
+    for (const agent of agents) {
+      const count = decayRelationships(agent, tick);
+      if (count === 0) continue;
+      changed += count;
+      this.cacheManager.markAgentDirty(agent.id);
+    }
+    if (changed > 0) logger.info(`[RelationshipGraph] Daily decay touched ${changed} ties.`);
+    return changed;
+  }
+}
@@ -0,0 +1,132 @@
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../logger.js';
+
+/**
+ * replayVerifier.js
+ * Determinism check: runs the same seeded simulation twice and compares the
+ * cacheManager.getFullState() hash after every tick.
+ *
+ * Each run happens in its own child process (fresh singletons, fresh worker pool,
+ * throwaway DB file), so nothing leaks from the first run into the second. Giving the two
+ * runs different worker pool sizes checks that the results don't depend on how the agents
+ * are partitioned across workers either.
+ *
+ * Usage: node index.js --verify-replay=200 --seed=1999 --agents=100 [--replay-workers=1,4]
+ */
+
+const INDEX_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+const OUTPUT_TAIL_LINES = 40;
+
+function removeDbFiles(dbPath) {
+    for (const suffix of ['', '-wal', '-shm', '-journal']) {
+        try { fs.unlinkSync(dbPath + suffix); } catch (e) { /* not created */ }
+    }
+}
+
+/**
+ * Spawns one headless replay run and resolves with its per-tick hashes.
+ * @param {number} runIndex
+ * @param {{ticks: number, seed: string, agents?: number, workers?: number}} options
+ * @returns {Promise<{seed: string, tickHashes: Array<{tick: number, hash: string}>}>}
+ */
+function spawnRun(runIndex, { ticks, seed, agents, workers }) {
+    const dbPath = path.join(os.tmpdir(), `nyc_1999_replay_${process.pid}_${runIndex}.db`);
+    removeDbFiles(dbPath);
+
+    const env = { ...process.env, SIM_SEED: seed, DB_PATH: dbPath };
+    if (agents) env.INITIAL_AGENTS = String(agents);
+    if (workers) env.WORKER_COUNT = String(workers);
+
+    return new Promise((resolve, reject) => {
+        const child = fork(INDEX_PATH, ['--headless', `--replay-run=${ticks}`], { env, silent: true });
+        const outputTail = [];
+        let result = null;
+
+        // Drain the child's console so its pipe never fills up; keep the tail for error reports.
+        const collect = (chunk) => {
+            outputTail.push(...chunk.toString().split('\n').filter(Boolean));
+            if (outputTail.length > OUTPUT_TAIL_LINES) outputTail.splice(0, outputTail.length - OUTPUT_TAIL_LINES);
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        child.on('message', (msg) => {
+            if (msg && msg.type === 'REPLAY_RESULT') result = msg;
+        });
+
+        child.on('error', (err) => {
+            removeDbFiles(dbPath);
+            reject(err);
+        });
+
+        child.on('exit', (code) => {
+            removeDbFiles(dbPath);
+            if (result) {
+                resolve(result);
+            } else {
+                reject(new Error(`Replay run ${runIndex} exited with code ${code} before reporting.\n${outputTail.join('\n')}`));
+            }
+        });
+    });
+}
+
+/**
+ * Runs the simulation twice with the same seed and compares state hashes tick by tick.
+ * `workers` gives the two runs their worker pool sizes, e.g. [1, 4]; by default both use the usual pool.
+ * @param {{ticks: number, seed?: string, agents?: number, workers?: [number, number]}} options
+ * @returns {Promise<{deterministic: boolean, seed: string, ticks: number, divergedAtTick: number|null, finalHash: string|null}>}
+ */
+export async function verifyReplay({ ticks, seed, agents, workers = [] }) {
+    const runSeed = seed ? String(seed) : String(Date.now());
+    logger.info(`[Replay] Verifying determinism: ${ticks} ticks, seed "${runSeed}"${agents ? `, ${agents} agents` : ''}`
+        + `${workers.length ? `, ${workers[0]} vs ${workers[1]} workers` : ''}.`);
+
+    // Sequential on purpose: each run already spins up its own worker pool.
+    const first = await spawnRun(1, { ticks, seed: runSeed, agents, workers: workers[0] });
+    logger.info(`[Replay] Run 1 complete (${first.tickHashes.length} ticks).`);
+    const second = await spawnRun(2, { ticks, seed: runSeed, agents, workers: workers[1] });
+    logger.info(`[Replay] Run 2 complete (${second.tickHashes.length} ticks).`);
+
+    let divergedAtTick = null;
+    const count = Math.max(first.tickHashes.length, second.tickHashes.length);
+    for (let i = 0; i < count; i++) {
+        const a = first.tickHashes[i];
+        const b = second.tickHashes[i];
+        if (!a || !b || a.hash !== b.hash) {
+            divergedAtTick = (a || b).tick;
+            break;
+        }
+    }
+
+    const finalHash = first.tickHashes.length > 0 ? first.tickHashes[first.tickHashes.length - 1].hash : null;
+
+    if (divergedAtTick === null) {
+        logger.info(`[Replay] ✅ Deterministic. Final state hash: ${finalHash}`);
+    } else {
+        logger.error(`[Replay] ❌ Runs diverged at tick ${divergedAtTick} (seed "${runSeed}").`);
+    }
+
+    return { deterministic: divergedAtTick === null, seed: runSeed, ticks, divergedAtTick, finalHash };
+}
+
+/**
+ * Child-process side of verifyReplay(): boots a Matrix, runs the ticks, reports hashes over IPC.
+ * @param {typeof import('./matrix.js').default} Matrix
+ * @param {number} ticks
+ */
+export async function runReplayChild(Matrix, ticks) {
+    const simulator = new Matrix();
+    await simulator.init();
+
+    const tickHashes = [];
+    await simulator.runTicks(ticks, (tick, hash) => tickHashes.push({ tick, hash }));
+    await simulator.stop();
+
+    await new Promise((resolve) => {
+        process.send({ type: 'REPLAY_RESULT', seed: simulator.seed, tickHashes }, resolve);
+    });
+}
@@ -0,0 +1,141 @@
+/**
+ * rng.js
+ * Seedable pseudo-random number generator for deterministic simulation runs.
+ *
+ * CONCEPT:
+ * Every random draw in the engine goes through this module instead of Math.random().
+ * A run is defined by a single master seed. Independent "streams" are derived from the
+ * master seed plus a set of keys (e.g. ['agent', tick, agentId]), so the result of a draw
+ * never depends on how many other draws happened before it on another thread.
+ *
+ * Each thread (main + every worker) holds its own singleton. Workers receive the master
+ * seed in their INIT payload and re-key the active stream per agent / per location, which
+ * keeps results identical regardless of how agents are partitioned across workers.
+ */
+import logger from '../logger.js';
+
+/**
+ * Hashes an arbitrary list of keys into a 32-bit unsigned integer (FNV-1a + murmur finalizer).
+ * @param {...(string|number)} parts
+ * @returns {number}
+ */
+export function hashSeed(...parts) {
+    let h = 0x811c9dc5;
+    const str = parts.join('\u001f');
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * mulberry32: small, fast 32-bit PRNG with a full 2^32 period.
+ * @param {number} state - 32-bit seed
+ * @returns {() => number} Generator returning floats in [0, 1)
+ */
+function mulberry32(state) {
+    let a = state >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class Rng {
+    constructor() {
+        this.seed = null;
+        this.streamKey = null;
+        // Unseeded fallback keeps standalone modules (tools, tests) working.
+        this._next = Math.random;
+    }
+
+    /**
+     * Sets the master seed and resets the active stream to the root stream.
+     * @param {string|number} seed
+     */
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.streamKey = 'root';
+        this._next = mulberry32(hashSeed(this.seed, 'root'));
+        logger.info(`[Rng] Master seed set to "${this.seed}".`);
+    }
+
+    isSeeded() {
+        return this.seed !== null;
+    }
+
+    /**
+     * Switches the active stream to one derived from the master seed and the given keys.
+     * No-op when the generator is unseeded.
+     * @param {...(string|number)} keys
+     */
+    reseed(...keys) {
+        if (this.seed === null) return;
+        this.streamKey = keys.join(':');
+        this._next = mulberry32(hashSeed(this.seed, ...keys));
+    }
+
+    /**
+     * Creates an independent generator for the given keys without touching the active stream.
+     * @param {...(string|number)} keys
+     * @returns {Rng}
+     */
+    fork(...keys) {
+        const child = new Rng();
+        if (this.seed !== null) {
+            child.seed = this.seed;
+            child.streamKey = keys.join(':');
+            child._next = mulberry32(hashSeed(this.seed, ...keys));
+        }
+        return child;
+    }
+
+    /** @returns {number} Float in [0, 1) */
+    random() {
+        return this._next();
+    }
+
+    /** @returns {number} Integer in [min, max) */
+    int(min, max) {
+        return min + Math.floor(this._next() * (max - min));
+    }
+
+    /** @returns {boolean} True with the given probability */
+    chance(probability) {
+        return this._next() < probability;
+    }
+
+    /** @returns {*} Random element of the array, or null if empty */
+    pick(arr) {
+        if (!arr || arr.length === 0) return null;
+        return arr[Math.floor(this._next() * arr.length)];
+    }
+
+    /**
+     * RFC4122-shaped v4 UUID drawn from the active stream (deterministic when seeded).
+     * @returns {string}
+     */
+    uuid() {
+        const hex = [];
+        for (let i = 0; i < 16; i++) {
+            let byte = Math.floor(this._next() * 256);
+            if (i === 6) byte = (byte & 0x0f) | 0x40;
+            if (i === 8) byte = (byte & 0x3f) | 0x80;
+            hex.push(byte.toString(16).padStart(2, '0'));
+        }
+        const s = hex.join('');
+        return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+    }
+}
+
+const rng = new Rng();
+export default rng;
@@ -0,0 +1,157 @@
+/**
+ * rumorTracker.js
+ * Reassembles how individual rumors travelled through the population.
+ *
+ * Every time an agent observes a fact first-hand or hears it from someone, the worker raises
+ * 'gossip:spread' (see agent/agentGossip.js). Matrix feeds those here, on the main thread,
+ * where they are grouped by rumorId: who knew it when, via whom, after how many retellings,
+ * and whether it arrived distorted. trace() turns that into reach and speed figures for the
+ * control API.
+ *
+ * Tracking is in-memory only and capped at MAX_TRACKED_RUMORS (the stalest rumor is dropped
+ * first) and MAX_EDGES_PER_RUMOR hand-offs each.
+ */
+import { MINUTES_PER_TICK } from '../data/config.js';
+
+const MAX_TRACKED_RUMORS = 500;
+const MAX_EDGES_PER_RUMOR = 2000;
+const REACH_MILESTONES = [5, 10, 25, 50, 100];
+
+class RumorTracker {
+    constructor() {
+        // rumorId -> { rumorId, kind, subjectId, subjectName, originId, originTick, text, lastTick, edges }
+        this.rumors = new Map();
+    }
+
+    /**
+     * @param {{rumorId: string, kind: string, subjectId: string, subjectName: string, originTick: number,
+     *          from: string|null, to: string, tick: number, hops: number, confidence: number,
+     *          distorted: boolean, text: string}} event
+     */
+    record(event) {
+        if (!event?.rumorId || !event.to) return;
+
+        let rumor = this.rumors.get(event.rumorId);
+        if (!rumor) {
+            if (this.rumors.size >= MAX_TRACKED_RUMORS) this._evictStalest();
+            rumor = {
+                rumorId: event.rumorId,
+                kind: event.kind,
+                subjectId: event.subjectId,
+                subjectName: event.subjectName,
+                originId: event.hops === 0 ? event.to : null,
+                originTick: event.originTick ?? event.tick,
+                text: event.text,
+                lastTick: event.tick,
+                edges: [],
+            };
+            this.rumors.set(event.rumorId, rumor);
+        }
+
+        rumor.lastTick = Math.max(rumor.lastTick, event.tick);
+        if (rumor.edges.length >= MAX_EDGES_PER_RUMOR) return;
+        rumor.edges.push({
+            from: event.from,
+            to: event.to,
+            tick: event.tick,
+            hops: event.hops,
+            confidence: Math.round(event.confidence * 100) / 100,
+            distorted: !!event.distorted,
+            kind: event.kind,
+            subjectName: event.subjectName,
+            text: event.text,
+        });
+    }
+
+    _evictStalest() {
+        let stalest = null;
+        for (const rumor of this.rumors.values()) {
+            if (!stalest || rumor.lastTick < stalest.lastTick) stalest = rumor;
+        }
+        if (stalest) this.rumors.delete(stalest.rumorId);
+    }
+
+    _summarize(rumor) {
+        const holders = new Set(rumor.edges.map(e => e.to));
+        return {
+            rumorId: rumor.rumorId,
+            kind: rumor.kind,
+            subjectId: rumor.subjectId,
+            subjectName: rumor.subjectName,
+            originId: rumor.originId,
+            originTick: rumor.originTick,
+            text: rumor.text,
+            reach: holders.size,
+            retellings: rumor.edges.filter(e => e.from).length,
+            maxHops: Math.max(0, ...rumor.edges.map(e => e.hops)),
+            distortions: rumor.edges.filter(e => e.distorted).length,
+            lastTick: rumor.lastTick,
+            spanTicks: rumor.lastTick - rumor.originTick,
+        };
+    }
+
+    /**
+     * @param {{sort?: 'reach'|'recent', limit?: number}} [opts]
+     */
+    list({ sort = 'recent', limit = 50 } = {}) {
+        const summaries = [...this.rumors.values()].map(r => this._summarize(r));
+        summaries.sort(sort === 'reach'
+            ? (a, b) => b.reach - a.reach || b.lastTick - a.lastTick
+            : (a, b) => b.lastTick - a.lastTick);
+        return summaries.slice(0, limit);
+    }
+
+    /**
+     * How far and how fast one rumor travelled.
+     * @returns {object|null} Summary plus the reach curve, ticks to each reach milestone,
+     *   agents per hop, and every recorded hand-off in order.
+     */
+    trace(rumorId) {
+        const rumor = this.rumors.get(rumorId);
+        if (!rumor) return null;
+
+        // First time each agent got it
+        const firstHeard = new Map();
+        for (const edge of rumor.edges) {
+            if (!firstHeard.has(edge.to)) firstHeard.set(edge.to, edge);
+        }
+        const arrivals = [...firstHeard.values()].sort((a, b) => a.tick - b.tick);
+
+        const reachCurve = [];
+        for (const [i, edge] of arrivals.entries()) {
+            const point = { tick: edge.tick, reach: i + 1 };
+            if (reachCurve.length && reachCurve[reachCurve.length - 1].tick === edge.tick) {
+                reachCurve[reachCurve.length - 1] = point;
+            } else {
+                reachCurve.push(point);
+            }
+        }
+
+        const ticksToReach = {};
+        for (const milestone of REACH_MILESTONES) {
+            if (arrivals.length >= milestone) ticksToReach[milestone] = arrivals[milestone - 1].tick - rumor.originTick;
+        }
+
+        const byHop = {};
+        for (const edge of arrivals) byHop[edge.hops] = (byHop[edge.hops] || 0) + 1;
+
+        const summary = this._summarize(rumor);
+        const hoursSpan = (summary.spanTicks * MINUTES_PER_TICK) / 60;
+        return {
+            ...summary,
+            hoursSpan,
+            reachPerDay: hoursSpan > 0 ? Math.round((summary.reach / hoursSpan) * 24 * 10) / 10 : summary.reach,
+            ticksToReach,
+            agentsByHop: byHop,
+            reachCurve,
+            edges: rumor.edges,
+        };
+    }
+
+    clear() {
+        this.rumors.clear();
+    }
+}
+
+const rumorTracker = new RumorTracker();
+export default rumorTracker;
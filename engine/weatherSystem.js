@@ -0,0 +1,332 @@
+/**
+ * weatherSystem.js
+ * The city's weather: patterns, temperatures and multi-day fronts, borough by borough.
+ *
+ * Everything comes from data/weather_patterns.yaml. The first pattern is drawn by weight; after
+ * that, every STEP_HOURS the city's pattern gives way to the next along its Markov transitions.
+ * Each borough follows the city's pattern or, at its `divergence` chance, draws its own (a shower
+ * over Queens while Manhattan stays overcast). Patterns the season rules out (min_base_temp /
+ * max_base_temp) are dropped before drawing.
+ *
+ * Temperature follows the climate curve: the month's mean, interpolated day by day, plus a daily
+ * swing peaking at warmest_hour, plus the pattern's and the borough's offsets. Each midnight
+ * without a front, a front the season allows may roll in for a few days: it shifts the
+ * temperature and draws the weather from its own patterns, and can raise a world event
+ * (a heat wave raises HEAT_WAVE). A front's world event injected by hand or raised by a crisis
+ * (engine/crisisManager.js) brings the front with it.
+ *
+ * The state is worldState.weather, which goes to the workers every tick. Each borough's
+ * conditions carry their physical effects: `outdoor` scales outdoor affordances
+ * (WorldGraph.getDynamicAffordances), `stress` is added per tick to agents outdoors
+ * (fsmStates/BaseState.js) and the pattern and temperature slow travel
+ * (WorldGraph.getWeatherMultiplier). localWeather() reads a borough's conditions back out.
+ */
+import { dataLoader } from '../data/dataLoader.js';
+import { GAME_BALANCE } from '../data/balance.js';
+import { MINUTES_PER_TICK } from '../data/config.js';
+import rng from './rng.js';
+
+const { WEATHER } = GAME_BALANCE;
+const TICKS_PER_DAY = (60 * 24) / MINUTES_PER_TICK;
+const STEP_TICKS = (WEATHER.STEP_HOURS * 60) / MINUTES_PER_TICK;
+
+const DEFAULT_CLIMATE = {
+  monthly_mean_temp: [18, 18, 18, 18, 18, 18, 18, 18, 18, 18, 18, 18],
+  daily_swing: 0,
+  warmest_hour: 15,
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Conditions in a borough (the city's if it has none of its own).
+ * @param {object} weather - worldState.weather
+ * @param {string} [borough]
+ * @returns {{weather: string, temperature: number, outdoor: number, stress: number}}
+ */
+export function localWeather(weather, borough) {
+  return weather?.boroughs?.[borough] ?? weather ?? { weather: 'Clear', temperature: WEATHER.INDOOR_TEMP, outdoor: 1, stress: 0 };
+}
+
+/**
+ * What an agent feels: the outdoor temperature outside, a muted version of it indoors.
+ */
+export function feltTemperature(local, outdoors) {
+  const outside = local?.temperature ?? WEATHER.INDOOR_TEMP;
+  return outdoors ? outside : round1(WEATHER.INDOOR_TEMP + (outside - WEATHER.INDOOR_TEMP) * WEATHER.INDOOR_SHARE);
+}
+
+// Degrees beyond a [min, max] band, 0 inside it
+const beyond = (temp, min, max) => Math.max(0, min - temp, temp - max);
+
+export default class WeatherSystem {
+  /**
+   * @param {import('./matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+    this.config = null;
+  }
+
+  get eventBus() { return this.matrix.eventBus; }
+
+  get state() { return this.matrix.worldState.weather; }
+
+  /**
+   * Reads weather_patterns.yaml, logging (and ignoring) references to patterns it doesn't define.
+   */
+  load() {
+    const data = dataLoader.weatherPatterns || {};
+    const patterns = data.weather_patterns || {};
+    const errors = [];
+    const checkRow = (where, row) => {
+      for (const name of Object.keys(row || {})) {
+        if (!patterns[name]) errors.push(`${where} names unknown pattern "${name}"`);
+      }
+    };
+    for (const [from, row] of Object.entries(data.transitions || {})) {
+      if (!patterns[from]) errors.push(`transitions from unknown pattern "${from}"`);
+      checkRow(`transitions.${from}`, row);
+    }
+    for (const [key, front] of Object.entries(data.fronts || {})) checkRow(`fronts.${key}.patterns`, front.patterns);
+    for (const error of errors) this.eventBus?.queue('log:error', 'medium', `[Weather] weather_patterns.yaml: ${error}.`);
+
+    this.config = {
+      patterns,
+      transitions: data.transitions || {},
+      climate: { ...DEFAULT_CLIMATE, ...data.climate },
+      fronts: data.fronts || {},
+      boroughs: data.boroughs || {},
+    };
+  }
+
+  /**
+   * Runs once per tick on the main thread, before updateWorldState reads the weather.
+   * @param {Date} worldTime
+   * @param {number} tick
+   */
+  update(worldTime, tick) {
+    if (!this.config) this.load();
+    if (Object.keys(this.config.patterns).length === 0) return;
+
+    // A fresh city, or a save from before the weather had boroughs
+    if (!this.state?.boroughs) this._begin(worldTime, tick);
+
+    const state = this.state;
+    let changed = false;
+    if (state.front && tick >= state.front.endsAt) {
+      this._endFront();
+      changed = true;
+    }
+    if (!state.front) changed = this._followInjectedEvent(worldTime, tick) || changed;
+    if (!state.front && worldTime.getHours() === 0 && worldTime.getMinutes() < MINUTES_PER_TICK) {
+      changed = this._rollFront(worldTime, tick) || changed;
+    }
+    if (state.front) this._keepFrontEvent(tick);
+
+    if (changed || tick >= state.nextChange) this._step(worldTime, tick);
+    // Temperatures (and what they do to the outdoors) move on the hour
+    else if (worldTime.getMinutes() < MINUTES_PER_TICK) this._applyConditions(worldTime);
+
+    this.matrix.worldState.environment.globalTemp = state.temperature;
+  }
+
+  /**
+   * Today's mean temperature from the climate curve, plus the front's shift.
+   */
+  baseTemperature(date) {
+    const means = this.config.climate.monthly_mean_temp;
+    const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    // Each month's mean sits at its middle; interpolate between neighbouring months
+    const position = date.getMonth() + (date.getDate() - 0.5) / daysInMonth - 0.5;
+    const month = Math.floor(position);
+    const t = position - month;
+    const from = means[(month + 12) % 12];
+    const to = means[(month + 13) % 12];
+    return from + (to - from) * t + (this.state?.front?.temp ?? 0);
+  }
+
+  _temperatureAt(date) {
+    const { daily_swing: swing, warmest_hour: warmest } = this.config.climate;
+    const hour = date.getHours() + date.getMinutes() / 60;
+    return this.baseTemperature(date) + swing * Math.cos((2 * Math.PI * (hour - warmest)) / 24);
+  }
+
+  _fitsSeason(entry, baseTemp) {
+    return baseTemp >= (entry?.min_base_temp ?? -Infinity) && baseTemp <= (entry?.max_base_temp ?? Infinity);
+  }
+
+  // Draws a pattern from relative odds, skipping unknown and out-of-season ones. null if none fit.
+  _draw(weights, baseTemp) {
+    const candidates = Object.entries(weights || {})
+      .filter(([name, weight]) => weight > 0 && this.config.patterns[name] && this._fitsSeason(this.config.patterns[name], baseTemp));
+    const total = candidates.reduce((sum, [, weight]) => sum + weight, 0);
+    if (total <= 0) return null;
+    let roll = rng.random() * total;
+    for (const [name, weight] of candidates) {
+      roll -= weight;
+      if (roll < 0) return name;
+    }
+    return candidates[candidates.length - 1][0];
+  }
+
+  // Odds for what follows `current`: the front's patterns while one is on, else the transitions
+  _nextWeights(current) {
+    const front = this.state.front;
+    if (front) return this.config.fronts[front.key]?.patterns;
+    return this.config.transitions[current];
+  }
+
+  // Each pattern's `weight`: the odds with nothing to go on
+  _openingWeights() {
+    return Object.fromEntries(Object.entries(this.config.patterns).map(([name, p]) => [name, p.weight ?? 0]));
+  }
+
+  _pick(current, baseTemp) {
+    return this._draw(this._nextWeights(current), baseTemp)
+      // Nothing in the row fits (e.g. the season turned): start over from the opening weights
+      ?? this._draw(this._openingWeights(), baseTemp)
+      ?? current;
+  }
+
+  _begin(worldTime, tick) {
+    // A restored save keeps its pattern if the season allows; a new city draws one by weight
+    const previous = tick > 1 ? this.state?.weather : null;
+    this.matrix.worldState.weather = { weather: null, front: null, boroughs: {}, nextChange: tick + STEP_TICKS };
+    const base = this.baseTemperature(worldTime);
+    const kept = this.config.patterns[previous] && this._fitsSeason(this.config.patterns[previous], base);
+    const first = (kept && previous) || this._draw(this._openingWeights(), base) || 'Clear';
+    const state = this.state;
+    state.weather = first;
+    for (const borough of Object.keys(this.config.boroughs)) state.boroughs[borough] = { weather: first };
+    this._applyConditions(worldTime);
+  }
+
+  /**
+   * Moves every pattern on one step and schedules the next.
+   */
+  _step(worldTime, tick) {
+    const state = this.state;
+    const base = this.baseTemperature(worldTime);
+    const previous = state.weather;
+    state.weather = this._pick(previous, base);
+
+    for (const [borough, { divergence = 0 }] of Object.entries(this.config.boroughs)) {
+      const local = (state.boroughs[borough] ??= { weather: state.weather });
+      local.weather = rng.random() < divergence ? this._pick(local.weather, base) : state.weather;
+    }
+    state.nextChange = tick + STEP_TICKS;
+
+    if (state.weather !== previous) {
+      this.eventBus.queue('log:world', 'low', `[Weather] Forecast changed to: ${state.weather}`);
+    }
+    this._applyConditions(worldTime);
+  }
+
+  /**
+   * Temperatures and effects for the city and each borough at this hour.
+   */
+  _applyConditions(worldTime) {
+    const state = this.state;
+    const air = this._temperatureAt(worldTime);
+    const pattern = this.config.patterns[state.weather] || {};
+    Object.assign(state, {
+      description: pattern.description,
+      mood: pattern.mood,
+      light: pattern.light ?? 0,
+      ...this._conditions(state.weather, air),
+    });
+    for (const [borough, { temp = 0 }] of Object.entries(this.config.boroughs)) {
+      const local = state.boroughs[borough];
+      Object.assign(local, this._conditions(local.weather, air + temp));
+    }
+  }
+
+  _conditions(name, air) {
+    const pattern = this.config.patterns[name] || {};
+    const temperature = round1(air + (pattern.temp ?? 0));
+    const discomfort = beyond(temperature, WEATHER.COMFORT_MIN, WEATHER.COMFORT_MAX);
+    const extreme = beyond(temperature, WEATHER.COLD_TEMP, WEATHER.HOT_TEMP);
+    return {
+      weather: name,
+      temperature,
+      outdoor: round2(Math.max(WEATHER.MIN_OUTDOOR_QUALITY, (pattern.outdoor ?? 1) * (1 - WEATHER.QUALITY_LOSS_PER_DEGREE * discomfort))),
+      stress: round2((pattern.stress ?? 0) + WEATHER.TEMP_STRESS_PER_DEGREE * extreme),
+    };
+  }
+
+  // --- Fronts ---
+
+  _rollFront(worldTime, tick) {
+    const base = this.baseTemperature(worldTime);
+    for (const [key, front] of Object.entries(this.config.fronts)) {
+      if (!front.chance || !this._fitsSeason(front, base) || rng.random() >= front.chance) continue;
+      const [min, max] = front.days || [1, 1];
+      const days = min + Math.floor(rng.random() * (max - min + 1));
+      this._startFront(key, tick + days * TICKS_PER_DAY);
+      this.eventBus.queue('log:world', 'medium', `[Weather] A ${front.name || key} moves in for ${days === 1 ? 'a day' : `${days} days`}.`);
+      return true;
+    }
+    return false;
+  }
+
+  // A front's world event injected from outside (the control API) brings the front along
+  _followInjectedEvent(worldTime, tick) {
+    const events = this.matrix.worldState.world_events || [];
+    for (const [key, front] of Object.entries(this.config.fronts)) {
+      if (!front.world_event) continue;
+      const event = events.find(e => e.type === front.world_event && !e.front);
+      if (!event) continue;
+      event.front = key;
+      this._startFront(key, tick + event.duration);
+      this.eventBus.queue('log:world', 'medium', `[Weather] A ${front.name || key} moves in.`);
+      return true;
+    }
+    return false;
+  }
+
+  _startFront(key, endsAt) {
+    const front = this.config.fronts[key];
+    this.state.front = { key, name: front.name || key, temp: front.temp ?? 0, endsAt };
+    this.matrix.invalidateWorldCaches?.();
+  }
+
+  // Keeps the front's world event up for as long as the front lasts
+  _keepFrontEvent(tick) {
+    const { key, endsAt } = this.state.front;
+    const type = this.config.fronts[key]?.world_event;
+    if (!type) return;
+    const events = (this.matrix.worldState.world_events ??= []);
+    const remaining = endsAt - tick;
+    const event = events.find(e => e.front === key);
+    if (event) event.duration = Math.max(event.duration, remaining);
+    else events.push({ type, duration: remaining, front: key, description: this.state.front.name });
+  }
+
+  _endFront() {
+    const { key, name } = this.state.front;
+    this.state.front = null;
+    const events = this.matrix.worldState.world_events || [];
+    // A crisis's event (engine/crisisManager.js) stays until the crisis ends
+    this.matrix.worldState.world_events = events.filter(e => e.front !== key || e.crisis);
+    this.matrix.invalidateWorldCaches?.();
+    this.eventBus.queue('log:world', 'medium', `[Weather] The ${name} has passed.`);
+  }
+
+  /**
+   * The weather across the city for the dashboard and API.
+   */
+  getSummary() {
+    const state = this.state || {};
+    return {
+      weather: state.weather,
+      description: state.description,
+      temperature: state.temperature,
+      outdoor: state.outdoor,
+      front: state.front ? { ...state.front, ticksLeft: Math.max(0, state.front.endsAt - this.matrix.tickCount) } : null,
+      boroughs: Object.fromEntries(Object.entries(state.boroughs || {}).map(([b, l]) => [b, { weather: l.weather, temperature: l.temperature, outdoor: l.outdoor }])),
+      nextChange: state.nextChange,
+    };
+  }
+}
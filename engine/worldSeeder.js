@@ -1,4 +1,5 @@
 import { dataLoader } from '../data/dataLoader.js';
+import rng from './rng.js';
 
 /**
  * worldSeeder.js
@@ -51,7 +52,11 @@ const RENT_MULTIPLIERS = {
 
 // --- Procedural Generators ---
 
-function getNeighborhood(borough, y) {
+/**
+ * The neighborhood a node at height `y` in `borough` belongs to. Workers don't hydrate their
+ * graph, so they work it out from here when they need it (e.g. WorldGraph crime rates).
+ */
+export function getNeighborhood(borough, y) {
     const bData = BOROUGHS[borough];
     if (!bData) return `${borough}_general`;
     
@@ -65,8 +70,8 @@ function generateName(node, district) {
     // Use flavor text from locations.yaml if available
     const flavorList = dataLoader.worldData?.consistent_locations?.[node.type];
     
-    if (flavorList && Math.random() < 0.7) {
-        const pick = flavorList[Math.floor(Math.random() * flavorList.length)];
+    if (flavorList && rng.random() < 0.7) {
+        const pick = flavorList[Math.floor(rng.random() * flavorList.length)];
         return `${pick} (${district})`; // Add district to distinguish duplicates
     }
     
@@ -114,14 +119,14 @@ export function hydrateWorldGraph(worldGraph) {
         
         // 2. Environmental Physics (Used by Agent Sensory System)
         if (['bar', 'subway', 'street'].includes(node.type)) {
-            node.noise = 0.7 + (Math.random() * 0.3); // 0.7 - 1.0
+            node.noise = 0.7 + (rng.random() * 0.3); // 0.7 - 1.0
         } else if (['library', 'home'].includes(node.type)) {
-            node.noise = Math.random() * 0.3; // 0.0 - 0.3
+            node.noise = rng.random() * 0.3; // 0.0 - 0.3
         } else {
-            node.noise = 0.3 + (Math.random() * 0.3); // 0.3 - 0.6
+            node.noise = 0.3 + (rng.random() * 0.3); // 0.3 - 0.6
         }
         
-        node.condition = Math.floor(Math.random() * 40) + 60; // 60-100% initial condition
+        node.condition = Math.floor(rng.random() * 40) + 60; // 60-100% initial condition
         
         // 3. Economics
         const rentMult = RENT_MULTIPLIERS[node.neighborhood] || 1.0;
@@ -131,12 +136,14 @@ export function hydrateWorldGraph(worldGraph) {
             const baseRent = 1200;
             // Rent calculation: Base * District Multiplier * Condition Factor
             node.rent_cost = Math.floor(baseRent * rentMult * (1 + (node.capacity / 10) * 0.1));
+            // Rent before the neighborhood's crime rate is taken into account (engine/crimeSystem.js)
+            node.base_rent = node.rent_cost;
             node.luxury_tier = node.rent_cost > 2500 ? 3 : (node.rent_cost > 1800 ? 2 : 1);
             node.is_business = false;
         } else if (['store', 'bar', 'restaurant', 'office'].includes(node.type)) {
             businessCount++;
             node.is_business = true;
-            node.treasury = Math.floor(Math.random() * 50000) + 10000;
+            node.treasury = Math.floor(rng.random() * 50000) + 10000;
             node.employee_ids = []; // Init empty staff list
             
             if (node.type === 'bar') node.open_hours = [17, 2]; // 5 PM - 2 AM
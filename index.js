@@ -1,6 +1,6 @@
 import readline from 'readline';
-import Matrix from './engine/matrix.js';
 import logger from './logger.js';
+import { verifyReplay, runReplayChild } from './engine/replayVerifier.js';
 
 // --- ROBUST ARGUMENT PARSING ---
 const args = process.argv.slice(2).reduce((acc, arg) => {
@@ -10,8 +10,19 @@ Usage: node index.js [options]
 
 Options:
   --agents=N      Set initial number of agents (default: config.js value)
+  --api[=PORT]    Serve the local HTTP/WebSocket control API (default port: 8099)
+  --crisis=SCENARIO@START[-END][,...]
+                  Schedule crisis scenarios (events.yaml) between ticks, e.g. blackout@96-144
   --headless      Run without the TUI (Terminal User Interface)
+  --outbreak=N    Make N agents sick at boot to start an epidemic (see GET /api/health)
   --debug         Enable debug logging
+  --restore-tick=N
+                  Rewind to retained checkpoint N on boot (history after N is discarded)
+  --seed=S        Seed the PRNG for a reproducible run (default: derived from clock, logged at boot)
+  --verify-replay=N
+                  Run N ticks twice with the same seed and compare state hashes, then exit
+  --replay-workers=A,B
+                  With --verify-replay: run the two replays on A and B workers, e.g. 1,4
   --help          Show this help message
         `);
         process.exit(0);
@@ -23,6 +34,40 @@ Options:
 
 if (args.agents) process.env.INITIAL_AGENTS = args.agents;
 if (args.debug) process.env.DEBUG = 'true';
+if (args.seed) process.env.SIM_SEED = String(args.seed);
+if (args.api) {
+    if (args.api !== true && !/^\d+$/.test(String(args.api))) {
+        console.error('--api takes an optional port number, e.g. --api=8099');
+        process.exit(1);
+    }
+    process.env.API_ENABLED = 'true';
+    if (args.api !== true) process.env.API_PORT = String(args.api);
+}
+if (args.crisis !== undefined) {
+    if (!/^[a-z][a-z0-9_]*@\d+(-\d+)?(,[a-z][a-z0-9_]*@\d+(-\d+)?)*$/.test(String(args.crisis))) {
+        console.error('--crisis takes scenario@start[-end] runs in ticks, e.g. --crisis=blackout@96-144,transit_strike@200');
+        process.exit(1);
+    }
+    process.env.CRISIS_SCRIPT = String(args.crisis);
+}
+if (args.outbreak !== undefined) {
+    if (!/^\d+$/.test(String(args.outbreak))) {
+        console.error('--outbreak takes a number of agents to make sick, e.g. --outbreak=20');
+        process.exit(1);
+    }
+    process.env.OUTBREAK_CASES = String(args.outbreak);
+}
+if (args['restore-tick'] !== undefined) {
+    if (!/^\d+$/.test(String(args['restore-tick']))) {
+        console.error('--restore-tick requires a checkpoint tick number, e.g. --restore-tick=120');
+        process.exit(1);
+    }
+    process.env.RESTORE_TICK = String(args['restore-tick']);
+}
+
+// NOTE: Matrix is imported dynamically (see loadMatrix) so that data/config.js
+// reads process.env AFTER the CLI overrides above have been applied.
+const loadMatrix = async () => (await import('./engine/matrix.js')).default;
 
 process.title = 'nyc-1999-sim';
 let simulator = null;
@@ -58,7 +103,11 @@ async function gracefulShutdown(exitCode = 0, reason = 'Unknown') {
                 const allAgents = simulator.cacheManager.getAllAgents();
                 await simulator.dbService.syncAgents(allAgents);
             }
-            await simulator.dbService.createCheckpoint(simulator.tickCount);
+            if (simulator.cacheManager) {
+                await simulator.createCheckpoint();
+            } else {
+                await simulator.dbService.createCheckpoint(simulator.tickCount);
+            }
             logger.info('[INDEX] Database sync & checkpoint complete.');
         }
     }
@@ -97,7 +146,8 @@ function setupInteractiveMode() {
 
         if (!simulator || isShuttingDown) return;
 
-        switch (key.name) {
+        // Symbol keys ('+', '-') have no key.name, only the raw string
+        switch (key.name || str) {
             case 'q':
                 await gracefulShutdown(0, 'User Keypress (q)');
                 break;
@@ -106,12 +156,46 @@ function setupInteractiveMode() {
                 try {
                     const allAgents = simulator.cacheManager.getAllAgents();
                     await simulator.dbService.syncAgents(allAgents);
-                    await simulator.dbService.createCheckpoint(simulator.tickCount);
+                    await simulator.createCheckpoint();
                     logger.info("[CLI] Save Successful.");
                 } catch (err) {
                     logger.error(`[CLI] Save Failed: ${err.message}`);
                 }
                 break;
+            case 'space':
+            case 'p':
+                try {
+                    await simulator.togglePause();
+                } catch (err) {
+                    logger.error(`[CLI] Pause Failed: ${err.message}`);
+                }
+                break;
+            case 'n':
+                try {
+                    const tick = await simulator.step(1);
+                    logger.info(`[CLI] Stepped to tick ${tick}.`);
+                } catch (err) {
+                    logger.error(`[CLI] Step Failed: ${err.message}`);
+                }
+                break;
+            case '+':
+            case '=':
+                simulator.faster();
+                break;
+            case '-':
+            case '_':
+                simulator.slower();
+                break;
+            case 'm':
+                simulator.setMaxSpeed(!simulator.isMaxSpeed);
+                break;
+            case 'x':
+                try {
+                    logger.info(`[CLI] Behavior tree traces exported to ${simulator.exportTraces()}`);
+                } catch (err) {
+                    logger.error(`[CLI] Trace Export Failed: ${err.message}`);
+                }
+                break;
             case 'd':
                 if (simulator.eventBus) {
                     const newDebug = !simulator.eventBus.debug;
@@ -128,6 +212,7 @@ async function main() {
   try {
     logger.info('[INDEX] Booting Matrix...');
     
+    const Matrix = await loadMatrix();
     simulator = new Matrix();
     
     // Wire up event listeners
@@ -152,7 +237,7 @@ async function main() {
     // This prevents mouse reporting bytes from being misinterpreted as 'q' or 'Ctrl+C'
     if (args.headless) {
         setupInteractiveMode();
-        logger.info('[INDEX] Headless Mode: Press "q" to quit, "s" to save.');
+        logger.info('[INDEX] Headless Mode: Press "q" to quit, "s" to save, "space" to pause, "n" to step, "+"/"-" to change speed, "m" for max speed, "x" to export traces.');
     } else {
         logger.info('[INDEX] TUI Mode: Use Dashboard controls to exit.');
     }
@@ -164,4 +249,42 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+// --- REPLAY VERIFICATION ---
+async function replayMain() {
+  try {
+    if (args['replay-run']) {
+      // Child process spawned by verifyReplay()
+      await runReplayChild(await loadMatrix(), parseInt(args['replay-run'], 10));
+      process.exit(0);
+    }
+
+    const ticks = parseInt(args['verify-replay'], 10);
+    if (!Number.isFinite(ticks) || ticks <= 0) {
+      logger.error('[INDEX] --verify-replay requires a positive tick count, e.g. --verify-replay=200');
+      process.exit(1);
+    }
+    let workers;
+    if (args['replay-workers'] !== undefined) {
+      if (!/^[1-9]\d*,[1-9]\d*$/.test(String(args['replay-workers']))) {
+        logger.error('[INDEX] --replay-workers takes two worker pool sizes, e.g. --replay-workers=1,4');
+        process.exit(1);
+      }
+      workers = String(args['replay-workers']).split(',').map(Number);
+    }
+    const result = await verifyReplay({ ticks, seed: args.seed, agents: args.agents, workers });
+    // Logger only prints to console in headless mode, so report the verdict directly.
+    console.log(result.deterministic
+      ? `Replay OK: ${ticks} ticks with seed "${result.seed}" are deterministic (final hash ${result.finalHash}).`
+      : `Replay FAILED: runs with seed "${result.seed}" diverged at tick ${result.divergedAtTick}.`);
+    setTimeout(() => process.exit(result.deterministic ? 0 : 1), 500);
+  } catch (err) {
+    logger.error(`[INDEX] Replay verification failed: ${err.message}\n${err.stack}`);
+    setTimeout(() => process.exit(1), 500);
+  }
+}
+
+if (args['verify-replay'] || args['replay-run']) {
+  replayMain();
+} else {
+  main();
+}
\ No newline at end of file
@@ -3,6 +3,8 @@ import {
 } from '../data/config.js';
 
 import { runPerception } from './perceptionService.js';
+import rng from '../engine/rng.js';
+import { localWeather, feltTemperature } from '../engine/weatherSystem.js';
 
 /**
  * services/agentService.js
@@ -33,7 +35,11 @@ export async function updateAgent(agent, matrix, hour) {
           world_events: matrix.worldState?.world_events || [],
           dayOfWeek: matrix.worldTime ? matrix.worldTime.getDay() : 0,
           environment: matrix.worldState?.environment,
-          weather: matrix.worldState?.weather || { weather: 'Clear' } 
+          weather: matrix.worldState?.weather || { weather: 'Clear' },
+          // Scheduled city events agents may go to (engine/eventCalendar.js)
+          calendar: matrix.worldState?.calendar,
+          // Officers on patrol and neighborhood crime rates (engine/crimeSystem.js)
+          crime: matrix.worldState?.crime
       };
       
       // Cache it on the matrix instance so subsequent agents in this tick reuse it
@@ -61,26 +67,8 @@ export async function updateAgent(agent, matrix, hour) {
   // MOVED: To end of Phase 2.
 
   // 5. Movement Physics
-  if (agent.inTransit || agent.travelTimer > 0) {
-      if (typeof agent._handleMovement === 'function') {
-          agent._handleMovement();
-      }
-      
-      // FIX: Apply decay during transit. 
-      // Since we skip FSM (where decay lives now), we must manually apply it here to prevent metabolic pausing.
-      if (typeof agent._decayStats === 'function') {
-          agent._decayStats(worldState);
-      }
-
-      // FIX: Update status effects AFTER decay so multipliers apply for this tick.
-      if (typeof agent._updateStatusEffects === 'function') {
-          agent._updateStatusEffects();
-      }
-
-      if (agent.inTransit || agent.travelTimer > 0) {
-          return { isDirty: true, walOp: null };
-      }
-  }
+  // Trips are counted down by CommutingState (HandleTransitTick) inside the FSM tick, which also
+  // applies decay, so agents in transit go through the FSM like everyone else.
 
   // --- PHASE 2: COGNITION (FSM & Decision Making) ---
   
@@ -95,13 +83,17 @@ export async function updateAgent(agent, matrix, hour) {
   };
 
   // FIX: Populate complete environment data for States (Sleeping, etc)
+  // Weather is the borough's (engine/weatherSystem.js); indoors only part of the outside temperature gets in
+  const outdoors = !!locationNode?.isOutdoors;
+  const weather = localWeather(matrix.worldState?.weather, locationNode?.borough);
   const localEnv = {
       noise: locationNode?.noise ?? 0.3,
       condition: locationNode?.condition ?? 100,
-      // Use global temp from worldState or default to 20C
-      temperature: matrix.worldState?.environment?.globalTemp ?? 20,
-      // Support both property names common in these systems
-      weather: matrix.worldState?.weather?.condition || matrix.worldState?.weather?.weather || 'Clear',
+      temperature: feltTemperature(weather, outdoors),
+      weather: weather.weather || 'Clear',
+      outdoors,
+      outdoorQuality: weather.outdoor ?? 1,
+      weatherStress: outdoors ? (weather.stress ?? 0) : 0,
       light: getLightLevel(hour),
       crowding: matrix.locationAgentCount?.[agent.locationId] ?? 0
   };
@@ -139,7 +131,7 @@ export async function updateAgent(agent, matrix, hour) {
 
     // FIX: Reduced spam probability from 0.02 to 0.005 (0.5%).
     // Prevents stressed agents from flooding the event log with complaints every few hours.
-    if (Math.random() < 0.005) { 
+    if (rng.random() < 0.005) { 
         if (stress > 80) {
             matrix.eventBus.queue('log:agent', 'low', `[${agent.name}] I feel like I'm going to explode.`);
         } else if (mood < 10) {
@@ -1,4 +1,7 @@
 import worldGraph from '../data/worldGraph.js';
+import rng from '../engine/rng.js';
+import { localWeather } from '../engine/weatherSystem.js';
+import { observeFact, forgetFact, forgetStaleFacts } from '../engine/agent/agentGossip.js';
 
 /**
  * perceptionService.js
@@ -38,7 +41,7 @@ export function runPerception(agent, worldState, locationAgentCount) {
         
         // Perceive weather *only* if outdoors or near a window (simplified to outdoors)
         if (currentLocation.isOutdoors) {
-            beliefs.weather = worldState.weather?.weather || 'unknown';
+            beliefs.weather = localWeather(worldState.weather, currentLocation.borough).weather || 'unknown';
         } else {
             // If indoors, their belief persists. If they didn't know, it stays unknown.
             beliefs.weather = beliefs.weather || 'unknown';
@@ -48,6 +51,9 @@ export function runPerception(agent, worldState, locationAgentCount) {
         const isTrulyOpen = worldGraph.isLocationOpen(currentLocation);
         beliefs.locationStatus[currentLocationId] = isTrulyOpen ? 'open' : 'closed';
 
+        // Seeing it first-hand settles any gossip about this place, and starts new gossip
+        perceiveLocationFacts(agent, currentLocation, isTrulyOpen, worldState);
+
         // Perceive other agents at this location
         // We get this from the 'perceivedAgents' list prepared by the ActionScorer's context.
         // This is a bit of a circular dependency, but it's the most efficient way.
@@ -64,13 +70,46 @@ export function runPerception(agent, worldState, locationAgentCount) {
     // 2. Memory Decay (Beliefs become "unknown" over time)
     // Agents slowly "forget" the status of locations they haven't visited.
     if (worldState.currentTick % 100 === 0) { // Run this check every 100 ticks
+        forgetStaleFacts(agent, worldState.currentTick);
         for (const locationId in beliefs.locationStatus) {
             if (locationId !== currentLocationId) {
                 // 10% chance to forget the status of a location they aren't at
-                if (Math.random() < 0.1) {
+                if (rng.random() < 0.1) {
                     beliefs.locationStatus[locationId] = 'unknown';
                 }
             }
         }
+        for (const locationId in beliefs.stockStatus || {}) {
+            if (locationId !== currentLocationId && rng.random() < 0.1) {
+                delete beliefs.stockStatus[locationId];
+            }
+        }
+    }
+}
+
+/**
+ * Turns what the agent sees at its current location into first-hand facts it can pass on
+ * (agent/agentGossip.js), and drops rumors the scene contradicts.
+ */
+function perceiveLocationFacts(agent, node, isOpen, worldState) {
+    const tick = worldState.currentTick;
+    const eventBus = agent.matrix?.eventBus;
+    const subject = { id: node.key, name: node.name };
+
+    if (isOpen) {
+        forgetFact(agent, 'location_closed', node.key);
+        forgetFact(agent, 'out_of_stock', node.key);
+        if (agent.beliefs.stockStatus) delete agent.beliefs.stockStatus[node.key];
+    } else if (node.type !== 'home') {
+        const { reason } = worldGraph.getDynamicAffordances(node, worldGraph.currentHour, worldGraph.currentDay, worldGraph.currentWorldEvents);
+        observeFact(agent, reason === 'Sold Out' ? 'out_of_stock' : 'location_closed', subject, tick, { eventBus });
+    }
+
+    const event = (worldState.world_events || []).find(e => e.locationId === node.key || e.nodes?.includes(node.key));
+    if (event) {
+        const detail = event.label || event.type.toLowerCase().replace(/_/g, ' ');
+        observeFact(agent, 'local_event', subject, tick, { detail, eventBus });
+    } else {
+        forgetFact(agent, 'local_event', node.key);
     }
-}
\ No newline at end of file
+}
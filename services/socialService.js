@@ -1,13 +1,22 @@
 import { 
   shouldLogThinking, 
   LOG_ALL_SOCIALS_TO_MEMORY, 
-  LOG_RELATIONSHIP_MILESTONES 
+  LOG_RELATIONSHIP_MILESTONES,
+  MINUTES_PER_TICK
 } from '../data/config.js';
 import { dataLoader } from '../data/dataLoader.js'; // <-- IMPORTED DATA LOADER
+import { GAME_BALANCE } from '../data/balance.js';
+import worldGraph from '../data/worldGraph.js';
+import rng from '../engine/rng.js';
+import { addMeetup, hasMeetupWith, countPendingMeetups } from '../engine/agent/agentSocialPlans.js';
+import { observeFact } from '../engine/agent/agentGossip.js';
 
 // If RELATIONSHIP_AFFINITY_GAIN was removed from config, we define a fallback here or use balance.js
 const BASE_AFFINITY_GAIN = 1.0; 
 
+const { SOCIAL_PLANS } = GAME_BALANCE;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
 /**
  * services/socialService.js
  *
@@ -17,7 +26,7 @@ const BASE_AFFINITY_GAIN = 1.0;
 
 function getRandomElement(arr) {
     if (!arr || arr.length === 0) return null;
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(rng.random() * arr.length)];
 }
 
 // --- NEW: Cultural Topic Generator ---
@@ -44,13 +53,13 @@ function generateConversationTopic(agentA, agentB) {
     }
     
     const selectedTopic = getRandomElement(relevantTopics) || { topic: "the weather" };
-    const selectedSlang = Math.random() < 0.3 ? getRandomElement(slang) : "";
+    const selectedSlang = rng.random() < 0.3 ? getRandomElement(slang) : "";
     
     return { topic: selectedTopic.topic, slang: selectedSlang };
 }
 
 function determineSocialEventType(affinityChange, topicData) {
-  const rand = Math.random();
+  const rand = rng.random();
   const { topic, slang } = topicData;
   const slangStr = slang ? ` "${slang}"` : "";
   
@@ -99,7 +108,42 @@ function determineSocialEventType(affinityChange, topicData) {
   };
 }
 
-export function processSocialInteractions(lod1Agents, worldNodes, eventBus, tickCount) {
+// --- NEW: Social Plans ---
+// Friends who hit it off agree to meet again ("Fri 8pm at the bar"). Both keep a copy.
+function maybeScheduleMeetup(agentA, partner, relationship, eventBus, tickCount, worldTime) {
+  if ((relationship.affinity ?? 0) < SOCIAL_PLANS.MIN_AFFINITY) return null;
+  if (hasMeetupWith(agentA, partner.id)) return null;
+  if (countPendingMeetups(agentA) >= SOCIAL_PLANS.MAX_PENDING || countPendingMeetups(partner) >= SOCIAL_PLANS.MAX_PENDING) return null;
+  if (rng.random() >= SOCIAL_PLANS.PROPOSE_CHANCE) return null;
+
+  const venues = worldGraph.findKNearest(agentA.locationId, node => SOCIAL_PLANS.VENUE_TYPES.includes(node.type), SOCIAL_PLANS.VENUE_SEARCH_K);
+  const venue = getRandomElement(venues);
+  if (!venue) return null;
+
+  const [minDays, maxDays] = SOCIAL_PLANS.DAYS_AHEAD;
+  const days = minDays + Math.floor(rng.random() * (maxDays - minDays + 1));
+  const hour = getRandomElement(SOCIAL_PLANS.HOURS);
+  const date = new Date(worldTime);
+  date.setDate(date.getDate() + days);
+  date.setHours(hour, 0, 0, 0);
+
+  const meetup = {
+    id: `${tickCount}:${agentA.id}:${partner.id}`,
+    locationId: venue.key,
+    locationName: venue.name,
+    tick: tickCount + Math.round((date - worldTime) / (MINUTES_PER_TICK * 60000)),
+    when: `${DAY_NAMES[date.getDay()]} ${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`,
+  };
+  addMeetup(agentA, { ...meetup, partnerId: partner.id, partnerName: partner.name });
+  addMeetup(partner, { ...meetup, partnerId: agentA.id, partnerName: agentA.name });
+
+  eventBus.queue('db:writeMemory', 'low', agentA.id, tickCount, `Made plans with ${partner.name}: ${venue.name}, ${meetup.when}.`);
+  eventBus.queue('db:writeMemory', 'low', partner.id, tickCount, `Made plans with ${agentA.name}: ${venue.name}, ${meetup.when}.`);
+  eventBus.queue('log:info', 'low', `[Social] ${agentA.name} & ${partner.name} will meet at ${venue.name} (${meetup.when}).`);
+  return meetup;
+}
+
+export function processSocialInteractions(lod1Agents, worldNodes, eventBus, tickCount, worldTime = null) {
   const socializingAgents = lod1Agents.filter(a => a.state === 'fsm_socializing');
   const processed = new Set();
 
@@ -156,22 +200,11 @@ export function processSocialInteractions(lod1Agents, worldNodes, eventBus, tick
 
     const newRelA = agentA.getRelationship(partner.id);
 
-    // --- Move In Logic ---
-    let movedIn = false;
-    if (newRelA.type === 'romantic_partner' && (newRelA.affinity ?? 0) > 95 &&
-        !agentA.partnerId && !partner.partnerId &&
-        agentA.homeLocationId !== partner.homeLocationId &&
-        Math.random() < 0.05) {
-        
-        agentA.partnerId = partner.id;
-        partner.partnerId = agentA.id;
-        partner.homeLocationId = agentA.homeLocationId;
-        movedIn = true;
-        
-        eventBus.queue('log:info', 'high', `[Life Event] ${agentA.name} and ${partner.name} moved in together!`);
-        eventBus.queue('db:writeMemory', 'high', agentA.id, tickCount, `I asked ${partner.name} to move in, and they said yes!`);
-    }
-    
+    // --- Social Plans ---
+    if (worldTime) maybeScheduleMeetup(agentA, partner, newRelA, eventBus, tickCount, worldTime);
+
+    // Moving in together is up to the daily household pass (engine/householdRegistry.js)
+
     // --- Memory Logging ---
     eventBus.queue('db:writeMemory', 'low', agentA.id, tickCount, socialEvent.memoryText);
     eventBus.queue('db:writeMemory', 'low', partner.id, tickCount, socialEvent.memoryText);
@@ -179,6 +212,11 @@ export function processSocialInteractions(lod1Agents, worldNodes, eventBus, tick
     // --- Relationship Milestone Log ---
     if (newRelA.type !== relABefore.type) {
       eventBus.queue('log:info', 'medium', `[Relationship] ${agentA.name} & ${partner.name}: ${relABefore.type} → ${newRelA.type}`);
+      // News the couple will share with their friends
+      if (newRelA.type === 'romantic') {
+        observeFact(agentA, 'new_partner', { id: agentA.id, name: agentA.name }, tickCount, { eventBus });
+        observeFact(partner, 'new_partner', { id: agentA.id, name: agentA.name }, tickCount, { eventBus });
+      }
     }
     
     const node = worldNodes[agentA.locationId];
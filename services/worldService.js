@@ -4,6 +4,10 @@ import {
 } from '../data/config.js';
 import { dataLoader } from '../data/dataLoader.js';
 import { GAME_BALANCE } from '../data/balance.js'; 
+import rng from '../engine/rng.js';
+import { observeFact } from '../engine/agent/agentGossip.js';
+import { EXTERNAL, agentAccount, businessAccount } from '../engine/moneyLedger.js';
+import { localWeather } from '../engine/weatherSystem.js';
 
 /**
  * services/worldService.js
@@ -17,33 +21,6 @@ const CONSOLIDATION_AGE_TICKS = 192;
 let lastNewsUpdateTick = 0;
 const NEWS_UPDATE_INTERVAL_TICKS = 60; 
 
-let _weatherWeightSum = 0;
-
-export function initWorldService() {
-  // Source: weather_patterns.yaml
-  const weatherSource = dataLoader.weatherPatterns || dataLoader.worldData?.weather_patterns;
-
-  if (weatherSource) {
-    // If the yaml is structured as { weather_patterns: { ... } } or just { Clear: ... }
-    // Based on file: weather_patterns.yaml has root key 'weather_patterns'
-    const patterns = weatherSource.weather_patterns || weatherSource;
-
-    _weatherWeightSum = Object.values(patterns).reduce((sum, w) => sum + (w.weight || 0), 0);
-    
-    if (_weatherWeightSum > 0) {
-        const rand = Math.random() * _weatherWeightSum;
-        let cumulativeWeight = 0;
-        for (const key in patterns) {
-            const weather = patterns[key];
-            cumulativeWeight += weather.weight;
-            if (rand <= cumulativeWeight) {
-                break;
-            }
-        }
-    }
-  }
-}
-
 export function consolidateMemories(agent, dbService, currentTick, eventBus) {
     const cutoffTick = currentTick - CONSOLIDATION_AGE_TICKS;
     const memoriesToReview = dbService.getAgentMemoriesForConsolidation(agent.id, cutoffTick);
@@ -103,29 +80,54 @@ export function consolidateMemories(agent, dbService, currentTick, eventBus) {
     }
 }
 
-export function updateBusinessEconomies(lod1Agents, worldNodes) {
+/**
+ * Runs every tick: businesses take in a baseline of walk-in trade, a share per customer on the
+ * premises and the output of staff on shift, and pay their upkeep as far as the till stretches.
+ * @param {import('../engine/moneyLedger.js').default} ledger
+ */
+export function updateBusinessEconomies(agents, worldNodes, ledger) {
+  const { BUSINESSES } = GAME_BALANCE;
+
+  // One pass over the agents instead of one per business
+  const onShift = new Map();
+  const customers = new Map();
+  for (const agent of agents) {
+    const loc = agent.locationId;
+    if (!loc || !worldNodes[loc]?.is_business) continue;
+    if (loc === agent.workLocationId && agent.state?.startsWith('fsm_working')) {
+      if (!onShift.has(loc)) onShift.set(loc, []);
+      onShift.get(loc).push(agent);
+    } else if (agent.state !== 'fsm_commuting') {
+      customers.set(loc, (customers.get(loc) || 0) + 1);
+    }
+  }
+
   for (const nodeId in worldNodes) {
     const node = worldNodes[nodeId];
     if (node.is_business) {
-      let currentProductivity = node.productivity * node.level;
+      let currentProductivity = node.productivity * node.level * BUSINESSES.WALK_IN_SHARE;
       let currentUpkeep = node.upkeep * node.level;
 
-      const activeWorkers = lod1Agents.filter(a =>
-        a.workLocationId === nodeId && a.state.startsWith('fsm_working_')
-      );
+      currentProductivity += (customers.get(nodeId) || 0) * BUSINESSES.CUSTOMER_SPEND * node.level;
 
-      activeWorkers.forEach(worker => {
+      (onShift.get(nodeId) || []).forEach(worker => {
         const skillBonus = (worker.skills?.programming ?? 0) / 20; 
         currentProductivity += (node.productivity * 0.5) + skillBonus;
       });
 
-      node.treasury = (node.treasury ?? 0) + currentProductivity; 
-      node.treasury = Math.max(0, node.treasury - currentUpkeep);
+      ledger.transfer(EXTERNAL, businessAccount(nodeId), currentProductivity, 'walk_in');
+      ledger.transfer(businessAccount(nodeId), EXTERNAL, Math.min(currentUpkeep, Math.max(0, node.treasury ?? 0)), 'upkeep');
     }
   }
 }
 
-export function handlePayday(worldTime, tickCount, worldNodes, cacheManager, eventBus) {
+/**
+ * Friday 5 PM payroll: each employee gets what's left of their weekly salary after the shift
+ * wages they were paid during the week. A business that can't cover someone's week has missed
+ * payroll; missing MISSED_PAYROLL_LIMIT paydays in a row closes it (see BusinessManager).
+ * @param {import('../engine/moneyLedger.js').default} ledger
+ */
+export function handlePayday(worldTime, tickCount, worldNodes, cacheManager, eventBus, ledger) {
   const day = worldTime.getDay(); // 5 = Friday
   const hour = worldTime.getHours(); // 17 = 5 PM
 
@@ -135,6 +137,7 @@ export function handlePayday(worldTime, tickCount, worldNodes, cacheManager, eve
     for (const nodeId in worldNodes) {
       const node = worldNodes[nodeId];
       if (node.is_business && node.employee_ids.length > 0) {
+        let missed = false;
         for (const agentId of node.employee_ids) {
           const agent = cacheManager.getAgent(agentId);
           if (!agent) continue;
@@ -143,24 +146,37 @@ export function handlePayday(worldTime, tickCount, worldNodes, cacheManager, eve
           const weeklySalary = (job.salary ?? 0) / 52;
           
           if (weeklySalary <= 0) continue; 
+          const owed = weeklySalary - ledger.takeShiftWages(agent.id);
+          if (owed <= 0) continue;
 
-          if ((node.treasury ?? 0) >= weeklySalary) { 
-            node.treasury -= weeklySalary;
-            agent.money = (agent.money ?? 0) + weeklySalary; 
-            eventBus.queue('db:writeWAL', 'medium', tickCount, 'AGENT_PAID', { agentId: agent.id, amount: weeklySalary });
+          if ((node.treasury ?? 0) >= owed) { 
+            ledger.transfer(businessAccount(nodeId), agentAccount(agent.id), owed, 'salary', { tick: tickCount });
+            eventBus.queue('db:writeWAL', 'medium', tickCount, 'AGENT_PAID', { agentId: agent.id, amount: owed });
           } else {
+            missed = true;
             agent.stress = Math.min(100, (agent.stress ?? 0) + 50); 
             agent.mood = Math.max(-100, (agent.mood ?? 0) - 20); 
             eventBus.queue('log:error', 'high', `[Matrix] PAYROLL FAILED for ${agent.name} at ${node.name}. (Treasury: $${(node.treasury ?? 0).toFixed(0)})`);
             eventBus.queue('db:writeMemory', 'high', agent.id, tickCount, `My paycheck bounced! ${node.name} couldn't pay me.`);
           }
+          cacheManager.markAgentDirty(agent.id);
         }
+        node.missed_payrolls = missed ? (node.missed_payrolls ?? 0) + 1 : 0;
       }
     }
   }
 }
 
-export function handleRentDay(worldTime, tickCount, cacheManager, worldNodes, eventBus, lastRentDay) {
+/**
+ * Charges each household's rent out of its pooled budget on the 1st of the month, drawing on
+ * the adults' savings when their cash falls short.
+ * A household that can't cover it racks up a failure on every adult and a hit to their
+ * credit scores; at EVICTION_FAILURE_COUNT the whole household is put out.
+ * @param {import('../engine/householdRegistry.js').default} households
+ * @param {import('../engine/bank.js').default} [bank]
+ * @returns {number} The month rent was last collected for.
+ */
+export function handleRentDay(worldTime, tickCount, cacheManager, worldNodes, eventBus, lastRentDay, households, bank = null) {
   const dayOfMonth = worldTime.getDate();
   const currentMonth = worldTime.getMonth();
 
@@ -174,50 +190,74 @@ export function handleRentDay(worldTime, tickCount, cacheManager, worldNodes, ev
     eventBus.queue('log:info', 'high', `[Matrix] It's the 1st of the month. Rent is due!`);
     
     const allAgents = cacheManager.getAllAgents();
-    for (const agent of allAgents) {
-      const homeNode = agent.homeLocationId ? worldNodes[agent.homeLocationId] : null;
-      
-      if (homeNode && (homeNode.rent_cost ?? 0) > 0) { 
-        const rent = homeNode.rent_cost;
-        
-        if ((agent.money ?? 0) >= rent) { 
-          agent.money = (agent.money ?? 0) - rent; 
+    for (const household of households.rebuild().values()) {
+      const homeNode = household.homeLocationId ? worldNodes[household.homeLocationId] : null;
+      if (!homeNode || (homeNode.rent_cost ?? 0) <= 0) continue;
+
+      const rent = homeNode.rent_cost;
+      const adults = household.adultIds.map(id => cacheManager.getAgent(id)).filter(Boolean);
+      const shortfall = rent - households.getBudget(household);
+      if (shortfall > 0) bank?.cover(adults, shortfall, tickCount);
+      const shares = households.charge(household, rent, { to: EXTERNAL, kind: 'rent', tick: tickCount });
+
+      if (shares) {
+        for (const agent of adults) {
+          const share = Math.round(shares.get(agent.id) ?? 0);
           agent.rentFailures = 0; 
           agent.status_effects = agent.status_effects.filter(e => e.type !== 'FINANCIAL_ANXIETY');
-          eventBus.queue('db:writeWAL', 'medium', tickCount, 'AGENT_PAID_RENT', { agentId: agent.id, amount: rent });
-          eventBus.queue('db:writeMemory', 'low', agent.id, tickCount, `Paid $${rent} for rent.`);
-        
+          eventBus.queue('db:writeMemory', 'low', agent.id, tickCount, adults.length > 1
+            ? `Paid my $${share} share of the $${rent} rent.`
+            : `Paid $${rent} for rent.`);
+        }
+        eventBus.queue('db:writeWAL', 'medium', tickCount, 'AGENT_PAID_RENT', { agentId: household.headId, householdId: household.id, amount: rent });
+        continue;
+      }
+
+      // --- RENT FAILED ---
+      // Use GAME_BALANCE constants (from WORLD object)
+      const anxietyDuration = GAME_BALANCE.WORLD.FINANCIAL_ANXIETY_DURATION;
+      const evictionLimit = GAME_BALANCE.WORLD.EVICTION_FAILURE_COUNT;
+      const budget = households.getBudget(household);
+
+      for (const agent of adults) {
+        agent.stress = Math.min(100, (agent.stress ?? 0) + 80); 
+        agent.mood = Math.max(-100, (agent.mood ?? 0) - 40); 
+        agent.rentFailures = (agent.rentFailures ?? 0) + 1; 
+        bank?.adjustScore(agent, -GAME_BALANCE.BANK.RENT_FAILURE_PENALTY);
+
+        const anxietyEffect = agent.status_effects.find(e => e.type === 'FINANCIAL_ANXIETY');
+        if (anxietyEffect) {
+            anxietyEffect.duration = anxietyDuration;
         } else {
-          // --- RENT FAILED ---
-          agent.stress = Math.min(100, (agent.stress ?? 0) + 80); 
-          agent.mood = Math.max(-100, (agent.mood ?? 0) - 40); 
-          agent.rentFailures = (agent.rentFailures ?? 0) + 1; 
-          
-          // Use GAME_BALANCE constants (from WORLD object)
-          const anxietyDuration = GAME_BALANCE.WORLD.FINANCIAL_ANXIETY_DURATION;
-          const evictionLimit = GAME_BALANCE.WORLD.EVICTION_FAILURE_COUNT;
+            agent.status_effects.push({ type: 'FINANCIAL_ANXIETY', duration: anxietyDuration });
+        }
+        cacheManager.markAgentDirty(agent.id); 
+      }
 
-          if (!agent.status_effects.some(e => e.type === 'FINANCIAL_ANXIETY')) {
-              agent.status_effects.push({ type: 'FINANCIAL_ANXIETY', duration: anxietyDuration });
-          } else {
-              const anxietyEffect = agent.status_effects.find(e => e.type === 'FINANCIAL_ANXIETY');
-              if (anxietyEffect) {
-                  anxietyEffect.duration = anxietyDuration;
-              }
-          }
-          
-          cacheManager.updateAgent(agent); 
+      const failures = Math.max(0, ...adults.map(a => a.rentFailures));
+      const members = household.memberIds.map(id => cacheManager.getAgent(id)).filter(Boolean);
+      const [we, our] = members.length > 1 ? ['We', 'our'] : ['I', 'my'];
+      if (failures >= evictionLimit) {
+        for (const agent of members) {
+          agent.fsm.transitionTo('fsm_homeless', { reason: 'evicted' });
+          eventBus.queue('log:error', 'high', `[Matrix] EVICTION: ${agent.name} failed to pay rent ${evictionLimit} times. They are now HOMELESS.`);
+          eventBus.queue('db:writeMemory', 'high', agent.id, tickCount, members.length > 1
+            ? `We couldn't pay our $${rent} rent. We've failed ${evictionLimit} times... We're homeless!`
+            : `I couldn't pay my $${rent} rent. I've failed ${evictionLimit} times... I'm homeless!`);
+        }
 
-          if (agent.rentFailures >= evictionLimit) {
-            agent.transitionToState('fsm_homeless'); 
-            eventBus.queue('log:error', 'high', `[Matrix] EVICTION: ${agent.name} failed to pay rent ${evictionLimit} times. They are now HOMELESS.`);
-            eventBus.queue('db:writeMemory', 'high', agent.id, tickCount, `I couldn't pay my $${rent} rent. I've failed ${evictionLimit} times... I'm homeless!`);
-          
-          } else {
-            eventBus.queue('log:error', 'high', `[Matrix] RENT FAILED for ${agent.name}. (Needs $${rent}, has $${(agent.money ?? 0).toFixed(0)}). Failure ${agent.rentFailures} of ${evictionLimit}.`);
-            eventBus.queue('db:writeMemory', 'high', agent.id, tickCount, `I couldn't pay my $${rent} rent! This is failure ${agent.rentFailures} of ${evictionLimit}.`);
+        // The evicted household and anyone else at the address know first-hand; the rest hear it
+        const witnesses = allAgents.filter(other => other.homeLocationId === household.homeLocationId);
+        for (const evicted of members) {
+          for (const witness of witnesses) {
+            observeFact(witness, 'eviction', { id: evicted.id, name: evicted.name }, tickCount, { eventBus });
           }
         }
+      } else {
+        eventBus.queue('log:error', 'high', `[Matrix] RENT FAILED for the ${household.name}. (Needs $${rent}, has $${budget.toFixed(0)}). Failure ${failures} of ${evictionLimit}.`);
+        for (const agent of adults) {
+          eventBus.queue('db:writeMemory', 'high', agent.id, tickCount, `${we} couldn't pay ${our} $${rent} rent! This is failure ${failures} of ${evictionLimit}.`);
+        }
       }
     }
     return currentMonth; 
@@ -262,40 +302,16 @@ export function updateWorldState(worldTime, tickCount, worldState, eventBus) {
     const tod = atmosphereData[todKey] || { description: '...' };
     worldState.timeOfDayDesc = tod.description;
     
-    // --- Weather Update ---
-    if (tickCount === 1 || tickCount % (60 * 24 / MINUTES_PER_TICK) === 0) { 
-        // Use weather_patterns.yaml
-        const patterns = weatherData.weather_patterns || {};
-        
-        let weightSum = 0;
-        for(let k in patterns) weightSum += (patterns[k].weight || 0);
-
-        if (weightSum > 0) {
-            const rand = Math.random() * weightSum;
-            let cumulativeWeight = 0;
-            for (const key in patterns) {
-                const weather = patterns[key];
-                cumulativeWeight += weather.weight;
-                if (rand <= cumulativeWeight) {
-                    if (worldState.weather.weather !== key) {
-                        worldState.weather = { ...weather, weather: key }; 
-                        eventBus.queue('log:world', 'low', `[Weather] Forecast changed to: ${key}`);
-                    }
-                    break;
-                }
-            }
-        }
-    }
-
-    // Apply weather effects
-    const baseTemp = 18; 
+    // Apply weather effects (the weather itself and globalTemp come from engine/weatherSystem.js)
     const baseLight = 0.0; 
-    // Defaults for TOD light/temp if not in yaml
-    const todTemp = (todKey === 'afternoon') ? 2 : (todKey === 'night' || todKey === 'late_night') ? -2 : 0;
+    // Defaults for TOD light if not in yaml
     const todLight = (todKey === 'morning' || todKey === 'afternoon') ? 1.0 : (todKey === 'evening') ? 0.5 : 0.1;
 
-    worldState.environment.globalTemp = baseTemp + (worldState.weather.temp || 0) + todTemp;
     worldState.environment.globalLight = Math.max(0, Math.min(1, baseLight + todLight + (worldState.weather.light || 0)));
+    // A blackout (engine/crisisManager.js) holds it down
+    for (const event of worldState.world_events || []) {
+        if (event.light !== undefined) worldState.environment.globalLight = Math.min(worldState.environment.globalLight, event.light);
+    }
 
     const weatherType = worldState.weather.weather || 'Clear';
     
@@ -313,13 +329,22 @@ export function updateWorldState(worldTime, tickCount, worldState, eventBus) {
         if (worldState.world_events.some(e => e.type === 'HEAT_WAVE')) {
             contextualHeadlines.push("City issues heat advisory as temperatures soar for third straight day.");
         }
+        if (worldState.world_events.some(e => e.type === 'BLACKOUT')) {
+            contextualHeadlines.push("Lights out across the five boroughs as Con Ed scrambles to restore power.");
+        }
+        if (worldState.world_events.some(e => e.type === 'TRANSIT_STRIKE')) {
+            contextualHeadlines.push("Transit workers walk off the job; millions of straphangers left to hoof it.");
+        }
+        if (worldState.world_events.some(e => e.type === 'BLIZZARD')) {
+            contextualHeadlines.push("Blizzard buries the city; mayor urges New Yorkers to stay off the roads.");
+        }
         
         if (contextualHeadlines.length > 0) {
-            newHeadline = contextualHeadlines[Math.floor(Math.random() * contextualHeadlines.length)];
+            newHeadline = contextualHeadlines[Math.floor(rng.random() * contextualHeadlines.length)];
         }
 
         if (!newHeadline && newsHeadlines.length > 0) {
-            newHeadline = newsHeadlines[Math.floor(Math.random() * newsHeadlines.length)];
+            newHeadline = newsHeadlines[Math.floor(rng.random() * newsHeadlines.length)];
         }
         
         // If no events.yaml headlines, keep existing or fallback
@@ -345,21 +370,28 @@ export function updateWorldState(worldTime, tickCount, worldState, eventBus) {
     // Check every 200 ticks (~2 days)
     if (tickCount % 200 === 0) {
         // 1. Subway Delay 
-        if (Math.random() < 0.1 && !worldState.world_events.some(e => e.type === 'SUBWAY_DELAY')) {
+        if (rng.random() < 0.1 && !worldState.world_events.some(e => e.type === 'SUBWAY_DELAY')) {
             // Source text from events.yaml if possible
             const subEvents = eventsData.random_subway_events || [];
-            const flavor = subEvents.length > 0 ? subEvents[Math.floor(Math.random() * subEvents.length)].event : "Signal Failure";
+            const flavor = subEvents.length > 0 ? subEvents[Math.floor(rng.random() * subEvents.length)].event : "Signal Failure";
             
-            const duration = Math.floor(Math.random() * 20) + 10;
+            const duration = Math.floor(rng.random() * 20) + 10;
             worldState.world_events.push({ type: 'SUBWAY_DELAY', duration: duration, description: flavor });
             eventBus.queue('log:world', 'medium', `SUBWAY DELAY: ${flavor} (${duration} ticks).`);
         }
         
-        // 2. Heat Wave
-        if (Math.random() < 0.05 && !worldState.world_events.some(e => e.type === 'HEAT_WAVE')) {
-            const duration = Math.floor(Math.random() * 50) + 50;
-            worldState.world_events.push({ type: 'HEAT_WAVE', duration: duration });
-            eventBus.queue('log:world', 'medium', `A HEAT_WAVE is blanketing the city for ${duration} ticks.`);
+        // (Heat waves come with the weather: see engine/weatherSystem.js)
+
+        // 2. Street Fair (local: only agents who pass by see it, everyone else hears about it)
+        const { GOSSIP } = GAME_BALANCE;
+        if (rng.random() < GOSSIP.STREET_FAIR_CHANCE && !worldState.world_events.some(e => e.type === 'STREET_FAIR')) {
+            const site = worldGraph.findRandomLocationByType(GOSSIP.STREET_FAIR_TYPES[Math.floor(rng.random() * GOSSIP.STREET_FAIR_TYPES.length)]);
+            if (site) {
+                const [minTicks, maxTicks] = GOSSIP.STREET_FAIR_TICKS;
+                const duration = minTicks + Math.floor(rng.random() * (maxTicks - minTicks + 1));
+                worldState.world_events.push({ type: 'STREET_FAIR', duration, locationId: site.key, label: 'street fair' });
+                eventBus.queue('log:world', 'medium', `A STREET_FAIR opens at ${site.name || site.key} for ${duration} ticks.`);
+            }
         }
     }
 }
@@ -371,7 +403,7 @@ export function runSensoryCheck(tickCount, worldState, playerFocus, eventBus) {
     if (!focusedNode) return;
 
     const hour = worldGraph.currentWorldTime.getHours();
-    const weather = worldState.weather || { weather: 'Clear' };
+    const weather = localWeather(worldState.weather, focusedNode.borough);
     const crowdProfile = worldGraph.getExpectedCrowdProfile(focusedNode);
     let sensoryData = null, prefix = '';
 
@@ -381,10 +413,10 @@ export function runSensoryCheck(tickCount, worldState, playerFocus, eventBus) {
     const nycSmells = locationsData.nyc_smells || {};
 
     if (focusedNode.isOutdoors) {
-        if (weather.weather === 'Heavy rain') {
+        if (weather.weather === 'Rain' || weather.weather === 'Thunderstorm') {
             sensoryData = 'the roar of rain hitting the pavement.';
             prefix = 'You hear';
-        } else if (weather.weather === 'Light rain' || weather.weather === 'Drizzle') {
+        } else if (weather.weather === 'Drizzle') {
             sensoryData = 'the gentle patter of rain.';
             prefix = 'You hear';
         } else if (weather.weather === 'Snow') {
@@ -404,16 +436,16 @@ export function runSensoryCheck(tickCount, worldState, playerFocus, eventBus) {
     if (!sensoryData) {
         const locationType = focusedNode.type;
 
-        if (Math.random() < 0.5) {
+        if (rng.random() < 0.5) {
             const sounds = nycSounds[locationType] || nycSounds['street']; 
             if (sounds && sounds.length > 0) {
-                sensoryData = sounds[Math.floor(Math.random() * sounds.length)];
+                sensoryData = sounds[Math.floor(rng.random() * sounds.length)];
                 prefix = 'You hear';
             }
         } else {
             const smells = nycSmells[locationType] || nycSmells['street']; 
             if (smells && smells.length > 0) {
-                sensoryData = smells[Math.floor(Math.random() * smells.length)];
+                sensoryData = smells[Math.floor(rng.random() * smells.length)];
                 prefix = 'You smell';
             }
         }
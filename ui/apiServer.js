@@ -0,0 +1,661 @@
+import http from 'http';
+import crypto from 'crypto';
+import eventBus from '../engine/eventBus.js';
+import worldGraph from '../data/worldGraph.js';
+import btRegistry from '../engine/behaviorTreeRegistry.js';
+import btTracer from '../engine/btTracer.js';
+import rumorTracker from '../engine/rumorTracker.js';
+import logger from '../logger.js';
+
+/**
+ * apiServer.js
+ * Local HTTP/JSON control API + WebSocket tick stream for a running Matrix.
+ *
+ * Dependency-free on purpose: plain `http` for routing and a minimal RFC 6455
+ * implementation for server -> client text frames (no `ws` package needed).
+ *
+ * READ:
+ *   GET  /api/status                 Run status (tick, pause state, tick rate, workers)
+ *   GET  /api/world                  Current worldState
+ *   GET  /api/agents                 Agent summaries (?state=&locationId=&limit=&offset=)
+ *   GET  /api/agents/:id             Full serialized agent + recent memories + behavior tree variants
+ *   GET  /api/locations              Location summaries (?type=)
+ *   GET  /api/locations/:id          Full node + agents present
+ *   GET  /api/checkpoints            Restorable checkpoints
+ *   GET  /api/agents/:id/trace       Buffered behavior tree traces (?limit=)
+ *   GET  /api/agents/:id/relationships        Outgoing and incoming ties (?type=)
+ *   GET  /api/agents/:id/friends-of-friends   Friends' friends, ranked by mutual friends
+ *   GET  /api/agents/:id/bank        Savings, credit score, loans and recent ledger postings (?limit=)
+ *   GET  /api/locations/:id/coworkers         Agents employed there (?agentId= to exclude, ?present=true)
+ *   GET  /api/rumors                 Tracked rumors (?sort=recent|reach&limit=)
+ *   GET  /api/rumors/:id             How far and how fast one rumor spread, hand-off by hand-off
+ *   GET  /api/population             Age pyramid, median age, births/deaths/migration totals
+ *   GET  /api/jobs                   Unemployment, open positions, hire/fire/layoff/quit totals
+ *   GET  /api/businesses             Open and vacant businesses with owners and books (?sort=treasury|net|losses&limit=)
+ *   GET  /api/businesses/:id         One business with its daily ledger
+ *   GET  /api/market                 Price index, stock and shortages per item, delivery totals, hourly index history
+ *   GET  /api/bank                   Deposits, loans, credit score bands, ledger totals and their audit
+ *   GET  /api/ledger                 Money per account type, flows per kind, the conservation audit and flagged ticks
+ *   GET  /api/ledger/entries         Recorded transfers, newest first (?account=agent:<id>|business:<id>|city|bank|external&limit=)
+ *   GET  /api/weather                Current pattern and temperature, any front, and each borough's conditions
+ *   GET  /api/calendar               Scheduled and running city events with their sites and closures, coming dates, past turnouts
+ *   GET  /api/crisis                 Scheduled and running crises with their counts so far, the scenarios, post-crisis reports
+ *   GET  /api/crime                  Incident and arrest totals, officers on patrol, theft rate and danger per neighborhood, recent incidents
+ *   GET  /api/health                 Susceptible/infected/recovered counts, infection totals, the daily epidemic curve and its peak
+ *   GET  /api/traces                 JSON export of every buffered trace
+ * CONTROL:
+ *   POST /api/control/pause
+ *   POST /api/control/resume
+ *   POST /api/control/step           { "ticks": 1 }
+ *   POST /api/control/tick-rate      { "ms": 1000 }
+ *   POST /api/control/max-speed      { "enabled": true }
+ *   POST /api/control/save
+ *   POST /api/events                 { "type": "SUBWAY_DELAY", "duration": 8, "description": "..." }
+ *                                    (+ "locationId", "label" for a local event, e.g. a street fair)
+ *   POST /api/crisis                 { "scenario": "blackout", "start": 120, "end": 168 } (ticks; both optional)
+ *   POST /api/crisis/:key/end        Ends a crisis (or calls off a scheduled one) at the next tick
+ *   POST /api/health/outbreak        { "cases": 20 } makes that many agents sick at the next tick
+ *   POST /api/agents/:id/trace       { "enabled": true }
+ *   POST /api/traces/export          Writes the JSON export under BT_TRACE_EXPORT_DIR
+ * STREAM:
+ *   WS   /api/stream                 One JSON message per matrix:tickComplete
+ *
+ * Only the local machine may drive the simulation: requests and stream upgrades whose Host or
+ * Origin isn't this server's own loopback host:port get 403 (so web pages open in a browser
+ * can't reach it), there are no CORS headers, and POST bodies must be application/json (415).
+ */
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_PAGE_SIZE = 1000;
+const DEFAULT_PAGE_SIZE = 100;
+// Skip stream frames for clients that are this far behind instead of buffering unbounded
+const WS_MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/** JSON.stringify replacer: Maps -> plain objects, Sets -> arrays. */
+function jsonReplacer(key, value) {
+  if (value instanceof Map) return Object.fromEntries(value);
+  if (value instanceof Set) return Array.from(value);
+  return value;
+}
+
+function parseIntParam(raw, fallback, min, max) {
+  if (raw === null || raw === undefined || raw === '') return fallback;
+  const n = parseInt(raw, 10);
+  if (!Number.isFinite(n)) throw new ApiError(400, `Expected an integer, got "${raw}".`);
+  return Math.min(max, Math.max(min, n));
+}
+
+function decodePathParam(raw) {
+  try {
+    return decodeURIComponent(raw);
+  } catch (e) {
+    throw new ApiError(400, `Malformed percent-encoding in "${raw}".`);
+  }
+}
+
+function summarizeAgent(agent) {
+  return {
+    id: agent.id,
+    name: agent.name,
+    state: agent.state,
+    locationId: agent.locationId,
+    targetLocationId: agent.targetLocationId ?? null,
+    currentActivity: agent.currentActivity ?? null,
+    hunger: agent.hunger,
+    energy: agent.energy,
+    social: agent.social,
+    mood: agent.mood,
+    money: Math.round(agent.money ?? 0),
+    lod: agent.lod,
+  };
+}
+
+function encodeTextFrame(text) {
+  const payload = Buffer.from(text, 'utf8');
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x81, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x81;
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+class ApiServer {
+  /**
+   * @param {import('../engine/matrix.js').default} matrix
+   */
+  constructor(matrix) {
+    this.matrix = matrix;
+    this.server = null;
+    this.clients = new Set();
+    // host:port values this server answers to, filled in once the port is bound
+    this.allowedHosts = new Set();
+    this._onTickComplete = this._onTickComplete.bind(this);
+    this._onControlChange = this._onControlChange.bind(this);
+
+    this.routes = [
+      ['GET', /^\/api\/status$/, () => this.matrix.getStatus()],
+      ['GET', /^\/api\/world$/, () => this._getWorld()],
+      ['GET', /^\/api\/agents$/, (req, params, query) => this._listAgents(query)],
+      ['GET', /^\/api\/agents\/([^/]+)$/, (req, [id]) => this._getAgent(id)],
+      ['GET', /^\/api\/locations$/, (req, params, query) => this._listLocations(query)],
+      ['GET', /^\/api\/locations\/([^/]+)$/, (req, [id]) => this._getLocation(id)],
+      ['GET', /^\/api\/checkpoints$/, () => ({ checkpoints: this.matrix.dbService.listSnapshots() })],
+      ['POST', /^\/api\/control\/pause$/, async () => ({ changed: await this.matrix.pause(), ...this.matrix.getStatus() })],
+      ['POST', /^\/api\/control\/resume$/, () => ({ changed: this.matrix.resume(), ...this.matrix.getStatus() })],
+      ['POST', /^\/api\/control\/step$/, (req, params, query, body) => this._step(body)],
+      ['POST', /^\/api\/control\/tick-rate$/, (req, params, query, body) => this._setTickRate(body)],
+      ['POST', /^\/api\/control\/max-speed$/, (req, params, query, body) => this._setMaxSpeed(body)],
+      ['POST', /^\/api\/control\/save$/, () => this._save()],
+      ['POST', /^\/api\/events$/, (req, params, query, body) => this._injectEvent(body)],
+      ['POST', /^\/api\/crisis$/, (req, params, query, body) => this._scheduleCrisis(body)],
+      ['POST', /^\/api\/crisis\/([^/]+)\/end$/, (req, [key]) => this._endCrisis(key)],
+      ['POST', /^\/api\/health\/outbreak$/, (req, params, query, body) => this._startOutbreak(body)],
+      ['GET', /^\/api\/agents\/([^/]+)\/trace$/, (req, [id], query) => this._getTrace(id, query)],
+      ['POST', /^\/api\/agents\/([^/]+)\/trace$/, (req, [id], query, body) => this._setTracing(id, body)],
+      ['GET', /^\/api\/agents\/([^/]+)\/relationships$/, (req, [id], query) => this._getRelationships(id, query)],
+      ['GET', /^\/api\/agents\/([^/]+)\/friends-of-friends$/, (req, [id]) => this._getFriendsOfFriends(id)],
+      ['GET', /^\/api\/agents\/([^/]+)\/bank$/, (req, [id], query) => this._getBankAccount(id, query)],
+      ['GET', /^\/api\/locations\/([^/]+)\/coworkers$/, (req, [id], query) => this._getCoworkers(id, query)],
+      ['GET', /^\/api\/rumors$/, (req, params, query) => this._listRumors(query)],
+      ['GET', /^\/api\/rumors\/([^/]+)$/, (req, [id]) => this._getRumor(id)],
+      ['GET', /^\/api\/population$/, () => this.matrix.population.getPyramid()],
+      ['GET', /^\/api\/jobs$/, () => this.matrix.jobMarket.getSummary()],
+      ['GET', /^\/api\/businesses$/, (req, params, query) => this._listBusinesses(query)],
+      ['GET', /^\/api\/businesses\/([^/]+)$/, (req, [id]) => this._getBusiness(id)],
+      ['GET', /^\/api\/market$/, () => this.matrix.goodsMarket.getSummary()],
+      ['GET', /^\/api\/bank$/, () => this.matrix.bank.getSummary()],
+      ['GET', /^\/api\/ledger$/, () => this.matrix.ledger.getSummary()],
+      ['GET', /^\/api\/ledger\/entries$/, (req, params, query) => this._getLedgerEntries(query)],
+      ['GET', /^\/api\/weather$/, () => this.matrix.weather.getSummary()],
+      ['GET', /^\/api\/calendar$/, () => this.matrix.calendar.getSummary()],
+      ['GET', /^\/api\/crisis$/, () => this.matrix.crises.getSummary()],
+      ['GET', /^\/api\/crime$/, () => this.matrix.crime.getSummary()],
+      ['GET', /^\/api\/health$/, () => this.matrix.health.getSummary()],
+      ['GET', /^\/api\/traces$/, () => btTracer.exportJSON()],
+      ['POST', /^\/api\/traces\/export$/, () => ({ file: this.matrix.exportTraces() })],
+    ];
+  }
+
+  /**
+   * Starts listening. Resolves once the port is bound.
+   * @param {number} port
+   * @param {string} host
+   */
+  start(port, host) {
+    this.server = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch(err => {
+        logger.error('[ApiServer] Unhandled request error', { error: err.message });
+        if (!res.headersSent) this._send(res, 500, { error: 'Internal error' });
+      });
+    });
+    this.server.on('upgrade', (req, socket) => this._handleUpgrade(req, socket));
+
+    eventBus.on('matrix:tickComplete', this._onTickComplete);
+    eventBus.on('matrix:paused', this._onControlChange);
+    eventBus.on('matrix:resumed', this._onControlChange);
+    eventBus.on('matrix:speedChanged', this._onControlChange);
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        const boundPort = this.server.address().port;
+        const hostName = host.includes(':') ? `[${host}]` : host;
+        this.allowedHosts = new Set([...LOOPBACK_HOSTS, hostName].map(h => `${h}:${boundPort}`));
+        logger.info(`[ApiServer] ✓ Control API listening on http://${host}:${port}/api (stream: ws://${host}:${port}/api/stream)`);
+        resolve();
+      });
+    });
+  }
+
+  async stop() {
+    eventBus.off('matrix:tickComplete', this._onTickComplete);
+    eventBus.off('matrix:paused', this._onControlChange);
+    eventBus.off('matrix:resumed', this._onControlChange);
+    eventBus.off('matrix:speedChanged', this._onControlChange);
+
+    for (const socket of this.clients) {
+      try { socket.end(Buffer.from([0x88, 0x00])); } catch (e) { /* already gone */ }
+    }
+    this.clients.clear();
+
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+    logger.info('[ApiServer] Stopped.');
+  }
+
+  // --- HTTP ---
+
+  /**
+   * Whether a request comes from this machine's own clients: the Host header (which DNS
+   * rebinding can't fake) is this server's loopback host:port, and so is the Origin, if any.
+   * Non-browser clients such as curl send no Origin.
+   */
+  _isLocalRequest(req) {
+    if (!this.allowedHosts.has((req.headers.host || '').toLowerCase())) return false;
+    const origin = req.headers.origin;
+    if (origin === undefined) return true;
+    try {
+      const url = new URL(origin);
+      return url.protocol === 'http:' && this.allowedHosts.has(url.host);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async _handleRequest(req, res) {
+    if (!this._isLocalRequest(req)) {
+      this._send(res, 403, { error: 'Forbidden: the control API only answers to its own loopback host.' });
+      return;
+    }
+    if (req.method === 'OPTIONS') {
+      this._send(res, 204, null);
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    let methodMismatch = false;
+    for (const [method, pattern, handler] of this.routes) {
+      const match = pattern.exec(pathname);
+      if (!match) continue;
+      if (method !== req.method) {
+        methodMismatch = true;
+        continue;
+      }
+
+      try {
+        const body = req.method === 'POST' ? await this._readBody(req) : null;
+        const params = match.slice(1).map(decodePathParam);
+        const result = await handler(req, params, url.searchParams, body);
+        this._send(res, 200, result);
+      } catch (err) {
+        if (err instanceof ApiError) {
+          this._send(res, err.status, { error: err.message });
+        } else if (err.name === 'SimulationError') {
+          // Matrix control methods reject invalid requests with SimulationError
+          this._send(res, 409, { error: err.message });
+        } else {
+          logger.error(`[ApiServer] ${req.method} ${pathname} failed`, { error: err.message });
+          this._send(res, 500, { error: err.message });
+        }
+      }
+      return;
+    }
+
+    this._send(res, methodMismatch ? 405 : 404, { error: methodMismatch ? 'Method not allowed' : 'Not found' });
+  }
+
+  _readBody(req) {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') {
+      req.resume();
+      return Promise.reject(new ApiError(415, 'POST bodies must be sent as Content-Type: application/json.'));
+    }
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new ApiError(413, 'Request body too large.'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        if (size === 0) return resolve({});
+        try {
+          const parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+          if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            return reject(new ApiError(400, 'Request body must be a JSON object.'));
+          }
+          resolve(parsed);
+        } catch (e) {
+          reject(new ApiError(400, 'Request body is not valid JSON.'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _send(res, status, payload) {
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+    });
+    res.end(payload === null ? undefined : JSON.stringify(payload, jsonReplacer));
+  }
+
+  // --- HANDLERS ---
+
+  _getWorld() {
+    const { locationSocialContext, ...worldState } = this.matrix.worldState;
+    return { tick: this.matrix.tickCount, worldTime: this.matrix.worldTime.toISOString(), worldState };
+  }
+
+  _listAgents(query) {
+    const state = query.get('state');
+    const locationId = query.get('locationId');
+    const limit = parseIntParam(query.get('limit'), DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+    const offset = parseIntParam(query.get('offset'), 0, 0, Number.MAX_SAFE_INTEGER);
+
+    let agents = this.matrix.cacheManager.getAllAgents();
+    if (state) agents = agents.filter(a => a.state === state);
+    if (locationId) agents = agents.filter(a => a.locationId === locationId);
+    agents.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+    return {
+      total: agents.length,
+      offset,
+      limit,
+      agents: agents.slice(offset, offset + limit).map(summarizeAgent),
+    };
+  }
+
+  _getAgent(id) {
+    const agent = this.matrix.cacheManager.getAgent(id);
+    if (!agent) throw new ApiError(404, `Agent "${id}" not found.`);
+    const memories = this.matrix.dbService.getAgentMemories(id, 20) || [];
+    const behaviorVariants = {};
+    for (const treeId of btRegistry.trees.keys()) {
+      const variant = btRegistry.getVariant(treeId, id);
+      if (variant) behaviorVariants[treeId] = variant;
+    }
+    return { agent: agent.serialize(), memories, behaviorVariants };
+  }
+
+  _occupancy() {
+    const counts = new Map();
+    for (const agent of this.matrix.cacheManager.getAllAgents()) {
+      if (!agent.locationId) continue;
+      counts.set(agent.locationId, (counts.get(agent.locationId) || 0) + 1);
+    }
+    return counts;
+  }
+
+  _listLocations(query) {
+    const type = query.get('type');
+    const occupancy = this._occupancy();
+    const locations = [];
+    for (const [id, node] of Object.entries(worldGraph.nodes)) {
+      if (type && node.type !== type) continue;
+      locations.push({
+        id,
+        name: node.name,
+        type: node.type,
+        borough: node.borough ?? null,
+        capacity: node.capacity ?? null,
+        occupancy: occupancy.get(id) || 0,
+        turnedAway: this.matrix.turnedAwayCounts.get(id) || 0,
+        open: worldGraph.isLocationOpen(node),
+      });
+    }
+    return { total: locations.length, locations };
+  }
+
+  _getLocation(id) {
+    const node = worldGraph.nodes[id];
+    if (!node) throw new ApiError(404, `Location "${id}" not found.`);
+    const present = this.matrix.cacheManager.getAllAgents()
+      .filter(a => a.locationId === id)
+      .map(summarizeAgent);
+    return {
+      location: { ...node, open: worldGraph.isLocationOpen(node) },
+      inventory: worldGraph.nodeInventory.get(id) ?? null,
+      occupancy: present.length,
+      turnedAway: this.matrix.turnedAwayCounts.get(id) || 0,
+      agents: present,
+    };
+  }
+
+  _requireAgent(id) {
+    const agent = this.matrix.cacheManager.getAgent(id);
+    if (!agent) throw new ApiError(404, `Agent "${id}" not found.`);
+    return agent;
+  }
+
+  _getRelationships(id, query) {
+    this._requireAgent(id);
+    const graph = this.matrix.relationshipGraph;
+    const type = query.get('type') || null;
+    const names = (ties, key) => ties.map(t => ({ ...t, name: this.matrix.cacheManager.getAgent(t[key])?.name ?? null }));
+    return {
+      agentId: id,
+      ties: names(graph.getTies(id, { type }), 'otherId'),
+      incoming: names(graph.getIncomingTies(id, { type }), 'fromId'),
+    };
+  }
+
+  _getFriendsOfFriends(id) {
+    this._requireAgent(id);
+    const candidates = this.matrix.relationshipGraph.friendsOfFriends(id);
+    return {
+      agentId: id,
+      agents: candidates.map(({ id: otherId, via }) => ({
+        ...summarizeAgent(this.matrix.cacheManager.getAgent(otherId)),
+        via,
+      })),
+    };
+  }
+
+  _getCoworkers(id, query) {
+    if (!worldGraph.nodes[id]) throw new ApiError(404, `Location "${id}" not found.`);
+    const coworkers = this.matrix.relationshipGraph.coworkersAt(id, {
+      excludeId: query.get('agentId'),
+      presentOnly: query.get('present') === 'true',
+    });
+    return { locationId: id, agents: coworkers.map(summarizeAgent) };
+  }
+
+  _listRumors(query) {
+    const sort = query.get('sort') || 'recent';
+    if (!['recent', 'reach'].includes(sort)) throw new ApiError(400, '"sort" must be "recent" or "reach".');
+    const limit = parseIntParam(query.get('limit'), DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+    return { rumors: rumorTracker.list({ sort, limit }) };
+  }
+
+  _getRumor(id) {
+    const trace = rumorTracker.trace(id);
+    if (!trace) throw new ApiError(404, `Rumor "${id}" not tracked.`);
+    return trace;
+  }
+
+  _listBusinesses(query) {
+    const sort = query.get('sort') || 'treasury';
+    if (!['treasury', 'net', 'losses'].includes(sort)) throw new ApiError(400, '"sort" must be "treasury", "net" or "losses".');
+    const limit = parseIntParam(query.get('limit'), DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+    return { ...this.matrix.businesses.getSummary(), businesses: this.matrix.businesses.list({ sort, limit }) };
+  }
+
+  _getBusiness(id) {
+    const business = this.matrix.businesses.getLedger(id);
+    if (!business) throw new ApiError(404, `Business "${id}" not found.`);
+    return business;
+  }
+
+  async _step(body) {
+    const ticks = body.ticks === undefined ? 1 : body.ticks;
+    if (!Number.isInteger(ticks)) throw new ApiError(400, '"ticks" must be an integer.');
+    const tick = await this.matrix.step(ticks);
+    return { tick, ...this.matrix.getStatus() };
+  }
+
+  _setTickRate(body) {
+    if (typeof body.ms !== 'number') throw new ApiError(400, '"ms" must be a number.');
+    return { tickRateMs: this.matrix.setTickRate(body.ms) };
+  }
+
+  _setMaxSpeed(body) {
+    if (typeof body.enabled !== 'boolean') throw new ApiError(400, '"enabled" must be a boolean.');
+    this.matrix.setMaxSpeed(body.enabled);
+    return this.matrix.getStatus();
+  }
+
+  async _save() {
+    await this.matrix.saveNow();
+    return { saved: true, tick: this.matrix.tickCount };
+  }
+
+  _getTrace(id, query) {
+    if (!this.matrix.cacheManager.getAgent(id)) throw new ApiError(404, `Agent "${id}" not found.`);
+    const limit = parseIntParam(query.get('limit'), btTracer.bufferSize, 1, btTracer.bufferSize);
+    return { agentId: id, traced: btTracer.isTraced(id), traces: btTracer.getTraces(id, limit) };
+  }
+
+  _getBankAccount(id, query) {
+    const limit = parseIntParam(query.get('limit'), DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+    const account = this.matrix.bank.getAccount(id, { limit });
+    if (!account) throw new ApiError(404, `Agent "${id}" not found.`);
+    return account;
+  }
+
+  _getLedgerEntries(query) {
+    const account = query.get('account') || null;
+    if (account !== null && !/^((agent|business):.+|city|bank|external)$/.test(account)) {
+      throw new ApiError(400, '"account" must be "agent:<id>", "business:<id>", "city", "bank" or "external".');
+    }
+    const limit = parseIntParam(query.get('limit'), DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE);
+    return { account, entries: this.matrix.ledger.getEntries(account, limit) };
+  }
+
+  _setTracing(id, body) {
+    if (typeof body.enabled !== 'boolean') throw new ApiError(400, '"enabled" must be a boolean.');
+    if (!this.matrix.cacheManager.getAgent(id)) throw new ApiError(404, `Agent "${id}" not found.`);
+    return { agentId: id, traced: this.matrix.setAgentTracing(id, body.enabled), tracedAgents: btTracer.getTracedIds() };
+  }
+
+  _injectEvent(body) {
+    return { event: this.matrix.injectWorldEvent(body), activeEvents: this.matrix.worldState.world_events.length };
+  }
+
+  _scheduleCrisis(body) {
+    if (typeof body.scenario !== 'string') throw new ApiError(400, '"scenario" must be a scenario id (see GET /api/crisis).');
+    for (const field of ['start', 'end']) {
+      if (body[field] !== undefined && !Number.isInteger(body[field])) throw new ApiError(400, `"${field}" must be a tick number.`);
+    }
+    return { crisis: this.matrix.scheduleCrisis(body) };
+  }
+
+  _endCrisis(key) {
+    const { name, startsAt, endsAt } = this.matrix.endCrisis(key);
+    return { crisis: { key, name, startsAt, endsAt } };
+  }
+
+  _startOutbreak(body) {
+    if (!Number.isInteger(body.cases) || body.cases < 1) throw new ApiError(400, '"cases" must be a positive number of agents.');
+    return { outbreak: this.matrix.health.scheduleOutbreak(body.cases) };
+  }
+
+  // --- WEBSOCKET ---
+
+  _handleUpgrade(req, socket) {
+    if (!this._isLocalRequest(req)) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const key = req.headers['sec-websocket-key'];
+    if (url.pathname !== '/api/stream' || !key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    this.clients.add(socket);
+
+    socket.on('data', buf => this._handleClientFrame(socket, buf));
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+
+    this._sendTo(socket, { type: 'hello', ...this.matrix.getStatus() });
+  }
+
+  /**
+   * Clients only ever need to close or ping; anything else is ignored.
+   * Control frames are always small and unfragmented, so a single-buffer parse is enough.
+   */
+  _handleClientFrame(socket, buf) {
+    if (buf.length < 2) return;
+    const opcode = buf[0] & 0x0f;
+    if (opcode === 0x8) {
+      this.clients.delete(socket);
+      socket.end(Buffer.from([0x88, 0x00]));
+    } else if (opcode === 0x9) {
+      const masked = (buf[1] & 0x80) !== 0;
+      const len = buf[1] & 0x7f;
+      if (len > 125) return;
+      const payload = Buffer.from(buf.subarray(masked ? 6 : 2, (masked ? 6 : 2) + len));
+      if (masked) {
+        const mask = buf.subarray(2, 6);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      }
+      socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+    }
+  }
+
+  _sendTo(socket, message) {
+    if (socket.destroyed || socket.writableLength > WS_MAX_BUFFERED_BYTES) return;
+    socket.write(encodeTextFrame(JSON.stringify(message, jsonReplacer)));
+  }
+
+  _broadcast(message) {
+    if (this.clients.size === 0) return;
+    const frame = encodeTextFrame(JSON.stringify(message, jsonReplacer));
+    for (const socket of this.clients) {
+      if (socket.destroyed || socket.writableLength > WS_MAX_BUFFERED_BYTES) continue;
+      socket.write(frame);
+    }
+  }
+
+  _onTickComplete(data) {
+    if (this.clients.size === 0) return;
+    const { locationSocialContext, ...worldState } = data.worldState || {};
+    this._broadcast({
+      type: 'tick',
+      tick: data.tick,
+      time: data.time,
+      agentCount: Array.isArray(data.agents) ? data.agents.length : 0,
+      worldState,
+      locationAgentCount: data.locationAgentCount,
+      turnedAway: data.turnedAway,
+    });
+  }
+
+  _onControlChange() {
+    this._broadcast({ type: 'status', ...this.matrix.getStatus() });
+  }
+}
+
+export default ApiServer;
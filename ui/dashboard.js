@@ -2,8 +2,11 @@ import blessed from 'blessed';
 import contrib from 'blessed-contrib';
 import eventBus from '../engine/eventBus.js';
 import worldGraph from '../data/worldGraph.js';
-import { UI_RENDER_RATE_MS } from '../data/config.js';
+import { UI_RENDER_RATE_MS, MINUTES_PER_TICK } from '../data/config.js';
 import logger from '../logger.js';
+import btTracer from '../engine/btTracer.js';
+import { ageOf } from '../engine/agent/agentLifecycle.js';
+import { creditScoreOf } from '../engine/bank.js';
 // [Refined] Import the Maps to correlate data
 import { dataLoader, ACTIVITIES_MAP, ACTIVITY_COSTS } from '../data/dataLoader.js'; 
 
@@ -12,6 +15,15 @@ class Dashboard {
   static MAX_RELATIONSHIPS_SHOWN = 4;
   static MAX_SKILLS_SHOWN = 3;
   static MAX_MEMORIES_SHOWN = 3;
+  static MAX_TURNED_AWAY_SHOWN = 3;
+  static MAX_TRACE_HISTORY_SHOWN = 8;
+  static MAX_LEDGER_ROWS = 40;
+  static TRACE_STATUS_COLORS = {
+      SUCCESS: 'green-fg',
+      FAILURE: 'red-fg',
+      RUNNING: 'yellow-fg',
+      ERROR: 'magenta-fg'
+  };
   static COLORS = {
       GOOD: 'green-fg',
       WARN: 'yellow-fg',
@@ -93,9 +105,12 @@ class Dashboard {
     this._agentNameMap = new Map();
     this._lastAgentCount = 0;
 
+    // Time control status (mirrored from matrix:paused / matrix:resumed / matrix:speedChanged)
+    this.timeControl = { isPaused: false, isMaxSpeed: false, tickRateMs: null };
+
     // --- Layout ---
     this.headerBox = this.grid.set(0, 0, 2, 8, blessed.box, {
-      label: '{bold}[ Architect\'s Console ]{/bold}',
+      label: '{bold}[ Architect\'s Console ]{/bold} space:pause n:step +/-:speed m:max t:trace b:ledger x:export',
       tags: true,
       border: { type: 'line' },
       style: { border: { fg: 'cyan' } },
@@ -166,6 +181,40 @@ class Dashboard {
       vi: true,
     });
 
+    // Decision trace overlay (toggled with 't' for the selected agent), drawn over the simulant list
+    this.traceVisible = false;
+    this.traceBox = blessed.box({
+      parent: this.screen,
+      top: '17%', left: 0, width: '67%', height: '83%',
+      label: '{bold}[ Decision Trace ]{/bold}',
+      tags: true,
+      hidden: true,
+      border: { type: 'line' },
+      style: { border: { fg: 'magenta' } },
+      scrollable: true,
+      alwaysScroll: true,
+      mouse: true,
+      keys: true,
+      vi: true,
+    });
+
+    // Business ledger overlay (toggled with 'b'), same footprint as the trace panel
+    this.ledgerVisible = false;
+    this.ledgerBox = blessed.box({
+      parent: this.screen,
+      top: '17%', left: 0, width: '67%', height: '83%',
+      label: '{bold}[ Business Ledger ]{/bold}',
+      tags: true,
+      hidden: true,
+      border: { type: 'line' },
+      style: { border: { fg: 'green' } },
+      scrollable: true,
+      alwaysScroll: true,
+      mouse: true,
+      keys: true,
+      vi: true,
+    });
+
     this.setupDataListener();
     this.startRenderLoop();
     this.setupKeybindings();
@@ -306,6 +355,100 @@ class Dashboard {
           .join(' ');
   }
 
+  getPopulationStats() {
+      const pyramid = this.cacheManager?.matrix?.population?.getPyramid();
+      if (!pyramid) return 'N/A';
+      const { births, deaths, arrivals, departures } = pyramid.totals;
+      return `${pyramid.population} (median age ${pyramid.medianAge ?? '?'}) | Born: ${births} | Died: ${deaths} | Moved in/out: ${arrivals}/${departures}`;
+  }
+
+  getJobStats() {
+      const jobs = this.cacheManager?.matrix?.jobMarket?.getSummary();
+      if (!jobs) return 'N/A';
+      const { hires, fires, layoffs, quits } = jobs.totals;
+      return `Unemployment: ${jobs.unemploymentRate}% | Openings: ${jobs.openings.length} | Hired: ${hires} | Fired: ${fires} | Laid off: ${layoffs} | Quit: ${quits}`;
+  }
+
+  getMarketStats() {
+      const market = this.cacheManager?.matrix?.goodsMarket?.getSummary();
+      if (!market) return 'N/A';
+      const blocks = '▁▂▃▄▅▆▇█';
+      const recent = market.history.slice(-24).map(p => p.index);
+      const lo = Math.min(...recent), hi = Math.max(...recent);
+      const spark = recent.map(v => blocks[hi > lo ? Math.round((v - lo) / (hi - lo) * 7) : 0]).join('');
+      const flags = [market.disrupted && '{red-fg}deliveries disrupted{/red-fg}', market.hoarding && '{yellow-fg}panic buying{/yellow-fg}']
+          .filter(Boolean).join(' ');
+      return `Prices x${market.index.toFixed(2)} ${spark} | Out of stock: ${market.shortages}${flags ? ' | ' + flags : ''}`;
+  }
+
+  getBankStats() {
+      const bank = this.cacheManager?.matrix?.bank?.getSummary();
+      if (!bank) return 'N/A';
+      const audit = bank.audit.ok ? '' : ' | {red-fg}AUDIT MISMATCH{/red-fg}';
+      return `Savings: $${Math.round(bank.savings)} | Loans: ${bank.activeLoans} ($${Math.round(bank.owed)} owed) | ` +
+          `Written off: $${Math.round(bank.totals.write_off)} | Avg credit: ${bank.avgScore ?? '?'}${audit}`;
+  }
+
+  getMoneyStats() {
+      const ledger = this.cacheManager?.matrix?.ledger?.getSummary();
+      if (!ledger) return 'N/A';
+      const audit = ledger.flaggedTicks > 0
+          ? `{red-fg}${ledger.flaggedTicks} ticks flagged (last: ${ledger.flags[ledger.flags.length - 1].tick}){/red-fg}`
+          : '{green-fg}balanced{/green-fg}';
+      return `$${Math.round(ledger.total)} in the city | City purse: $${Math.round(ledger.accounts.city)} | ` +
+          `In/out: $${Math.round(ledger.sourced)}/$${Math.round(ledger.sunk)} | Audit: ${audit}`;
+  }
+
+  getCrimeStats() {
+      const crime = this.cacheManager?.matrix?.crime?.getSummary();
+      if (!crime) return 'N/A';
+      const { totals } = crime;
+      const worst = crime.areas[0]?.danger > 0
+          ? ` | Worst: {red-fg}${crime.areas[0].name.replace(/_/g, ' ')}{/red-fg} (${crime.areas[0].rate}/day)`
+          : '';
+      return `Thefts: ${totals.shoplifting + totals.pickpocketing} | Fare evasion: ${totals.fare_evasion} | ` +
+          `Arrests: ${totals.arrests} | On patrol: ${crime.officersOnPatrol}${worst}`;
+  }
+
+  getHealthStats() {
+      const health = this.cacheManager?.matrix?.health?.getSummary();
+      if (!health) return 'N/A';
+      const sick = health.infected > 0 ? `{red-fg}${health.infected}{/red-fg}` : '0';
+      const peak = health.peak ? ` | Peak: ${health.peak.infected} (day ${health.peak.day})` : '';
+      return `S/I/R: ${health.susceptible}/${sick}/${health.recovered} | New today: ${health.today.infections} | ` +
+          `Called in sick: ${health.totals.calledInSick}${peak}`;
+  }
+
+  getWeatherStats() {
+      const weather = this.cacheManager?.matrix?.weather?.getSummary();
+      if (!weather?.weather) return 'Clear';
+      const hours = (ticks) => Math.round((ticks * MINUTES_PER_TICK) / 60);
+      const front = weather.front ? ` | {yellow-fg}${weather.front.name}{/yellow-fg} (${hours(weather.front.ticksLeft)}h left)` : '';
+      const local = Object.entries(weather.boroughs)
+          .filter(([, b]) => b.weather !== weather.weather)
+          .map(([name, b]) => `${name}: ${b.weather}`);
+      return `${weather.weather}, ${Math.round(weather.temperature)}°C${front}` + (local.length ? ` | ${local.join(', ')}` : '');
+  }
+
+  getEventStats(worldState) {
+      const calendar = this.cacheManager?.matrix?.calendar?.getSummary();
+      const crises = this.cacheManager?.matrix?.crises?.getSummary();
+      const hours = (ticks) => Math.round((ticks * MINUTES_PER_TICK) / 60);
+      const parts = (crises?.events || []).map(c => c.started
+          ? `{red-fg}${c.name}{/red-fg} (${c.stranded} stranded, ${hours(c.ticksLeft)}h left)`
+          : `${c.name} in ${hours(c.startsIn)}h`);
+      for (const e of calendar?.events || []) {
+          parts.push(e.started
+              ? `{yellow-fg}${e.name}{/yellow-fg} (${e.attendees} there, ${hours(e.ticksLeft)}h left)`
+              : `${e.name} in ${hours(e.startsIn)}h`);
+      }
+      for (const e of worldState.world_events || []) {
+          if (!e.calendar && !e.crisis) parts.push(e.label || e.type.toLowerCase().replace(/_/g, ' '));
+      }
+      if (parts.length === 0 && calendar?.upcoming.length) parts.push(`Next: ${calendar.upcoming[0].name} (${calendar.upcoming[0].date})`);
+      return parts.join(', ') || 'None';
+  }
+
   getCivStats(agents) {
       // [FIX 4] Stats Calculation Division by Zero Risk
       if (!agents || agents.length === 0) {
@@ -316,9 +459,10 @@ class Dashboard {
       const jobCounts = {};
       agents.forEach(a => {
           if (a.state === 'fsm_homeless') homelessCount++;
-          if (!a.job || !a.job.title || a.job.title === 'Unemployed') unemployedCount++;
           if (a.status_effects && a.status_effects.some(e => e.type === 'SICK')) sickCount++;
           totalWealth += (a.money || 0);
+          if (a.householdRole === 'dependent') return;
+          if (!a.job || !a.job.title || a.job.title === 'Unemployed') unemployedCount++;
           if (a.job && a.job.title) jobCounts[a.job.title] = (jobCounts[a.job.title] || 0) + 1;
       });
       const topJob = Object.entries(jobCounts).sort(([,a], [,b]) => b - a)[0];
@@ -331,6 +475,16 @@ class Dashboard {
       };
   }
   
+  getTurnedAwayStats(turnedAway) {
+      const entries = Object.entries(turnedAway || {});
+      if (entries.length === 0) return '{grey-fg}No one turned away{/grey-fg}';
+      return entries
+          .sort(([,a], [,b]) => b - a)
+          .slice(0, Dashboard.MAX_TURNED_AWAY_SHOWN)
+          .map(([id, count]) => `${this.safeString(worldGraph.nodes[id]?.name, id).substring(0, 18)} {red-fg}${count}{/red-fg}`)
+          .join(' | ');
+  }
+
   getJobColor(jobTitle) {
       const title = (jobTitle || '').toLowerCase();
       if (title === 'unemployed') return 'grey-fg';
@@ -373,6 +527,19 @@ class Dashboard {
             try { this.render(data); } catch (e) { /* swallow */ }
         }
     });
+    eventBus.on('matrix:paused', () => { this.timeControl.isPaused = true; });
+    eventBus.on('matrix:resumed', () => { this.timeControl.isPaused = false; });
+    eventBus.on('matrix:speedChanged', ({ tickRateMs, maxSpeed }) => {
+        this.timeControl.tickRateMs = tickRateMs;
+        this.timeControl.isMaxSpeed = maxSpeed;
+    });
+  }
+
+  _formatTimeControl() {
+      const { isPaused, isMaxSpeed, tickRateMs } = this.timeControl;
+      if (isPaused) return '{yellow-fg}{bold}PAUSED{/bold}{/yellow-fg}';
+      if (isMaxSpeed) return '{magenta-fg}{bold}MAX SPEED{/bold}{/magenta-fg}';
+      return `{green-fg}RUNNING{/green-fg}${tickRateMs ? ` @ ${tickRateMs}ms/t` : ''}`;
   }
 
   startRenderLoop() {
@@ -488,8 +655,11 @@ class Dashboard {
       const safeId = (typeof agent.id === 'string') ? agent.id : JSON.stringify(agent.id).replace(/"/g, '');
       const locationNode = worldGraph.nodes[agent.locationId];
       
-      let content = `{bold}${agent.name}{/bold} (ID: ${safeId.substring(0, 4)})\n`;
-      content += `{blue-fg}${agent.job?.title || 'Unemployed'}{/blue-fg} @ ${agent.workLocationId || 'N/A'}\n`;
+      const age = this.cacheManager?.matrix ? ageOf(agent, this.cacheManager.matrix.worldTime) : null;
+      let content = `{bold}${agent.name}{/bold} (ID: ${safeId.substring(0, 4)})${age !== null ? `, ${age}` : ''}\n`;
+      content += `{blue-fg}${agent.job?.title || 'Unemployed'}{/blue-fg} @ ${agent.workLocationId || 'N/A'}${agent.education ? ` (${agent.education})` : ''}\n`;
+      const owned = agent.ownedBusinessId ? worldGraph.nodes[agent.ownedBusinessId] : null;
+      if (owned) content += `Owns: {green-fg}${owned.name}{/green-fg} ($${Math.round(owned.treasury ?? 0)})\n`;
       
       // [Refined] Location + Borough Context
       let locStr = agent.locationId || 'Unknown';
@@ -511,10 +681,40 @@ class Dashboard {
       } else {
            content += `Action: ${this.getFormattedAction(agent)}\n`;
       }
+      if (agent.intentionPlan && agent.intentionPlan.length > 0) {
+          const steps = agent.intentionPlan.map(step => `${step.action.replace(/_/g, ' ')}${step.active ? '*' : ''}`);
+          content += `Plan: {cyan-fg}${steps.join(' > ')}{/cyan-fg}\n`;
+      }
+      for (const meetup of agent.socialPlans || []) {
+          content += `Meetup: {magenta-fg}${meetup.when}{/magenta-fg} w/ ${meetup.partnerName} @ ${meetup.locationName || meetup.locationId}\n`;
+      }
+      const household = this.cacheManager?.matrix?.households?.get(agent.householdId);
+      if (household && household.memberIds.length > 1) {
+          const others = household.memberIds
+              .filter(id => id !== agent.id)
+              .map(id => this.cacheManager.getAgent(id))
+              .filter(Boolean)
+              .map(m => `${m.name.split(' ')[0]}${m.id === agent.partnerId ? ' (partner)' : m.householdRole === 'dependent' ? ' (child)' : ''}`);
+          content += `Household: {green-fg}${household.name}{/green-fg} w/ ${others.join(', ')}\n`;
+      } else if (agent.partnerId) {
+          content += `Dating: {green-fg}${this.cacheManager?.getAgent(agent.partnerId)?.name || 'Unknown'}{/green-fg}\n`;
+      }
+      if (household && household.adultIds.length > 1 && agent.householdRole !== 'dependent') {
+          content += `Household budget: $${Math.round(this.cacheManager.matrix.households.getBudget(household))}\n`;
+      }
+      const heard = Object.values(agent.beliefs?.facts || {})
+          .filter(fact => fact.hops > 0)
+          .sort((a, b) => b.heardAt - a.heardAt)[0];
+      if (heard) {
+          content += `Heard: {yellow-fg}"${heard.text}"{/yellow-fg} (${Math.round(heard.confidence * 100)}%)\n`;
+      }
       content += '\n';
 
       content += `{bold}Vitals:{/bold}\n`;
       content += `  Money: $${Math.round(agent.money || 0)}\n`;
+      const savings = agent.financial?.savings ?? 0;
+      const owed = (agent.financial?.debts ?? []).reduce((sum, loan) => sum + loan.balance, 0);
+      content += `  Bank:  $${Math.round(savings)} saved${owed > 0 ? ` | {red-fg}$${Math.round(owed)} owed{/red-fg}` : ''} | Credit ${creditScoreOf(agent)}\n`;
       // Consolidated Needs (Removed redundancy if present in previous versions)
       content += `  Energy: ${this.formatNeed('Energy', agent.energy, 100, false)}\n`;
       content += `  Hunger: ${this.formatNeed('Hunger', agent.hunger, 100, true)}\n`;
@@ -635,7 +835,7 @@ class Dashboard {
         const avgNeeds = `H:${this.makeBar(avgHunger, 100)} E:${this.makeBar(avgEnergy, 100)} S:${this.makeBar(avgSocial, 100)}`;
         this.headerBox.setContent(
           ` {cyan-fg}{bold}TIME:{/bold}{/cyan-fg} ${timeString} ${dayNightIcon} | ${worldDate.toDateString()}\n` +
-          ` {cyan-fg}{bold}STATUS:{/bold}{/cyan-fg} Uptime: ${tick}t | Agents: ${agents.length}\n` +
+          ` {cyan-fg}{bold}STATUS:{/bold}{/cyan-fg} ${this._formatTimeControl()} | Uptime: ${tick}t | Agents: ${agents.length}\n` +
           ` {cyan-fg}{bold}NEEDS:{/bold}{/cyan-fg}  ${avgNeeds}`
         );
       } catch (err) {
@@ -645,10 +845,7 @@ class Dashboard {
       // World Box
       try {
           const weather = worldState.weather || {};
-          const weatherDesc = weather.weather ? `${weather.weather}` : 'Clear';
-          const temp = weather.temp ? `${(18 + weather.temp).toFixed(0)}°C` : '18°C';
           const news = worldState.news ? worldState.news.substring(0, 60) + (worldState.news.length > 60 ? '...' : '') : 'No major headlines.';
-          const events = (worldState.activeEvents || []).map(e => e.name).join(', ') || 'None';
           
           // [Refined] Look for rich description in dataLoader if worldState is simple
           let atmosphere = worldState.timeOfDayDesc || 'The city is quiet.';
@@ -660,11 +857,19 @@ class Dashboard {
           const cityStats = this.getCityEconomyStats();
           const civStats = this.getCivStats(agents);
           this.worldBox.setContent(
-              `{bold}Weather:{/bold} ${weatherDesc}, ${temp}\n` +
+              `{bold}Weather:{/bold} ${this.getWeatherStats()}\n` +
               `{bold}Economy:{/bold} Avg Cash: $${cityStats.avgTreasury} | Infra: ${cityStats.avgCondition}%\n` +
               `{bold}Civ:{/bold}     Homeless: ${civStats.homeless} | Unemployed: ${civStats.unemployed} | Sick: ${civStats.sick} | Top Job: ${civStats.topJob}\n` +
+              `{bold}Jobs:{/bold}    ${this.getJobStats()}\n` +
+              `{bold}Market:{/bold}  ${this.getMarketStats()}\n` +
+              `{bold}Bank:{/bold}    ${this.getBankStats()}\n` +
+              `{bold}Money:{/bold}   ${this.getMoneyStats()}\n` +
+              `{bold}Crime:{/bold}   ${this.getCrimeStats()}\n` +
+              `{bold}Health:{/bold}  ${this.getHealthStats()}\n` +
+              `{bold}Pop:{/bold}     ${this.getPopulationStats()}\n` +
               `{bold}News:{/bold}    ${news}\n` +
-              `{bold}Events:{/bold}  ${events}\n` +
+              `{bold}Events:{/bold}  ${this.getEventStats(worldState)}\n` +
+              `{bold}Doors:{/bold}   ${this.getTurnedAwayStats(data.turnedAway)}\n` +
               `{bold}Vibe:{/bold}    ${atmosphere}`
           );
       } catch (err) {
@@ -802,12 +1007,97 @@ ${(this.focusedAgentMemories || []).slice(0, 3).map(m => {
       } catch (err) {
           this.agentDetailBox.setContent(`Render Error: ${err.message}`);
       }
+
+      if (this.traceVisible) {
+        try {
+          this.traceBox.setContent(this.formatTracePanel(this.selectedAgentId));
+        } catch (err) {
+          this.traceBox.setContent(`Render Error: ${err.message}`);
+        }
+      }
+      if (this.ledgerVisible) {
+        try {
+          this.ledgerBox.setContent(this.formatBusinessLedger());
+        } catch (err) {
+          this.ledgerBox.setContent(`Render Error: ${err.message}`);
+        }
+      }
       this.screen.render();
     } catch (err) {
         // Fatal Render Error catch
     }
   }
   
+  /**
+   * Indented view of the agent's latest behavior tree trace + a one-line summary of earlier ticks.
+   */
+  formatTracePanel(agentId) {
+      if (!agentId) return 'Select an agent, then press t to trace it.';
+      const latest = btTracer.getLatest(agentId);
+      if (!latest) {
+          return btTracer.isTraced(agentId)
+              ? 'Tracing... waiting for the next tick.'
+              : 'Not traced.';
+      }
+
+      const n = (v) => Math.round(this.safeNumber(v, 0));
+      const { needs = {} } = latest;
+      const tree = latest.tree ? `${latest.tree.id} (${latest.tree.variant})` : 'none';
+      const lines = [
+          `{bold}Tick ${latest.tick}{/bold} @ ${latest.hour}:00  ${latest.state}${latest.nextState ? ` → {bold}${latest.nextState}{/bold}` : ''}`,
+          `Tree: ${tree}${btTracer.isTraced(agentId) ? '' : ' {grey-fg}[tracing stopped]{/grey-fg}'}`,
+          `{grey-fg}E:${n(needs.energy)} H:${n(needs.hunger)} S:${n(needs.social)} Str:${n(needs.stress)} Mood:${n(needs.mood)} $${n(needs.money)}{/grey-fg}`,
+          ''
+      ];
+
+      if (latest.override) {
+          lines.push(`{magenta-fg}Lizard brain override: ${latest.override} (tree skipped){/magenta-fg}`);
+      }
+      for (const node of latest.nodes) {
+          const color = Dashboard.TRACE_STATUS_COLORS[node.status] || Dashboard.COLORS.WHITE;
+          const args = node.args ? ` {grey-fg}${JSON.stringify(node.args)}{/grey-fg}` : '';
+          lines.push(`${'  '.repeat(node.depth)}${node.node} {${color}}${node.status}{/${color}}${args}`);
+      }
+      if (latest.truncated) lines.push('{grey-fg}... (trace truncated){/grey-fg}');
+
+      const history = btTracer.getTraces(agentId, Dashboard.MAX_TRACE_HISTORY_SHOWN + 1).slice(0, -1).reverse();
+      if (history.length > 0) {
+          lines.push('', '{bold}Earlier ticks{/bold}');
+          for (const record of history) {
+              const lastAction = [...record.nodes].reverse().find(node => node.node.startsWith('Action(') && node.status !== 'FAILURE');
+              const outcome = record.override ? `override: ${record.override}` : (lastAction?.node || 'no action');
+              lines.push(` ${String(record.tick).padStart(6)} ${String(record.state || '?').padEnd(20)} ${outcome}`);
+          }
+      }
+      return lines.join('\n');
+  }
+
+  /**
+   * City business totals, then one row per business, the ones losing money longest first.
+   */
+  formatBusinessLedger() {
+      const businesses = this.cacheManager?.matrix?.businesses;
+      if (!businesses) return 'N/A';
+      const { open, vacant, owned, losing, treasury, opened, closed } = businesses.getSummary();
+      const lines = [
+          `{bold}Open:{/bold} ${open} | Vacant: ${vacant} | Agent-owned: ${owned} | Losing money: ${losing} | Opened: ${opened} | Closed: ${closed}`,
+          `{bold}Total treasury:{/bold} $${treasury}`,
+          '',
+          `{bold}${'Name'.padEnd(28)} ${'Type'.padEnd(10)} ${'Owner'.padEnd(18)} ${'Staff'.padStart(5)} ${'Treasury'.padStart(9)} ${'Week net'.padStart(9)} ${'Loss d'.padStart(6)}{/bold}`
+      ];
+      for (const row of businesses.list({ sort: 'losses', limit: Dashboard.MAX_LEDGER_ROWS })) {
+          const net = `${row.weekNet >= 0 ? '+' : ''}${row.weekNet}`;
+          const color = row.status === 'vacant' ? 'grey' : row.weekNet < 0 ? 'red' : 'green';
+          lines.push(
+              `{${color}-fg}${String(row.name ?? row.id).substring(0, 28).padEnd(28)}{/${color}-fg} ` +
+              `${(row.status === 'vacant' ? 'vacant' : row.type).padEnd(10)} ` +
+              `${String(row.owner?.name ?? '-').substring(0, 18).padEnd(18)} ` +
+              `${String(row.staff).padStart(5)} ${`$${row.treasury}`.padStart(9)} ${net.padStart(9)} ${String(row.lossDays).padStart(6)}`
+          );
+      }
+      return lines.join('\n');
+  }
+
   updateFocusedAgentMemories() {
       if (!this.dbService || !this.selectedAgentId) return;
       try {
@@ -827,11 +1117,51 @@ ${(this.focusedAgentMemories || []).slice(0, 3).map(m => {
         eventBus.emitNow('system:shutdown');
         // Do NOT call process.exit(0) immediately. Let index.js handle the graceful shutdown sequence.
       });
+      // Time controls: handled by Matrix._setupControlListeners
+      this.screen.key(['space', 'p'], () => eventBus.emitNow('control:togglePause'));
+      this.screen.key(['n'], () => eventBus.emitNow('control:step', 1));
+      this.screen.key(['+', '='], () => eventBus.emitNow('control:faster'));
+      this.screen.key(['-', '_'], () => eventBus.emitNow('control:slower'));
+      this.screen.key(['m'], () => eventBus.emitNow('control:toggleMaxSpeed'));
+      this.screen.key(['t'], () => {
+          if (!this.selectedAgentId) {
+              eventBus.emitNow('log:system', '[Trace] Select an agent first.');
+              return;
+          }
+          // Opening the panel starts tracing the agent; closing it stops.
+          this.traceVisible = !this.traceVisible;
+          if (this.traceVisible !== btTracer.isTraced(this.selectedAgentId)) {
+              eventBus.emitNow('control:toggleTrace', this.selectedAgentId);
+          }
+          if (this.traceVisible) {
+              this.traceBox.show();
+          } else {
+              this.traceBox.hide();
+          }
+          this.traceBox.setContent(this.formatTracePanel(this.selectedAgentId));
+          this.screen.render();
+      });
+      this.screen.key(['b'], () => {
+          this.ledgerVisible = !this.ledgerVisible;
+          if (this.ledgerVisible) {
+              this.ledgerBox.setContent(this.formatBusinessLedger());
+              this.ledgerBox.show();
+              this.ledgerBox.setFront();
+          } else {
+              this.ledgerBox.hide();
+          }
+          this.screen.render();
+      });
+      this.screen.key(['x'], () => eventBus.emitNow('control:exportTraces'));
       this.agentList.on('select item', (item, idx) => {
           try {
             this.selectedAgentId = this.agentsInFocusCache[idx]?.id || null;
             // FIX: Update memories immediately on selection to prevent stale data race conditions
             this.updateFocusedAgentMemories();
+            // Keep the open trace panel useful: follow the selection
+            if (this.traceVisible && this.selectedAgentId && !btTracer.isTraced(this.selectedAgentId)) {
+                eventBus.emitNow('control:toggleTrace', this.selectedAgentId);
+            }
             // Trigger immediate render if state exists
             if (this.latestState) {
                 this.render(this.latestState);
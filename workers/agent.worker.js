@@ -5,6 +5,8 @@ import * as agentService from '../services/agentService.js';
 import { FiniteStateMachine } from '../engine/fsm.js'; 
 import Agent from '../engine/agent.js'; 
 import * as socialService from '../services/socialService.js';
+import rng from '../engine/rng.js';
+import btTracer from '../engine/btTracer.js';
 // [REF] Removed perceptionService import as it is now handled inside agentService
 // import * as perceptionService from '../services/perceptionService.js'; 
 
@@ -12,6 +14,10 @@ import * as socialService from '../services/socialService.js';
 let isInitialized = false;
 let partition = { workerId: -1, locations: new Set() };
 const collectedEvents = [];
+// Last worldState.businesses.version applied to the local graph
+let storefrontVersion = 0;
+// Last worldState.crime.version applied to the local graph
+let crimeVersion = 0;
 
 // Mock Matrix for the Worker Context
 const workerMatrixMock = {
@@ -19,6 +25,7 @@ const workerMatrixMock = {
     worldTime: new Date(),
     worldState: {},
     locationAgentCount: {},
+    worldGraph,
     eventBus: {
         queue: (type, priority, ...args) => {
             collectedEvents.push(['queue', type, priority, ...args]);
@@ -53,6 +60,17 @@ function serializeForIPC(agent) {
         relationships: agent.relationships,
         history: agent.history,
         intentionStack: agent.intentionStack,
+        intentionPlan: agent.intentionPlan,
+        socialPlans: agent.socialPlans,
+        beliefs: agent.beliefs,
+        // A lease signed in AcquireHousingState changes the home
+        homeLocationId: agent.homeLocationId,
+        rent_cost: agent.rent_cost,
+        // Multi-tick travel and plans must survive the round trip through the main thread
+        targetLocationId: agent.targetLocationId,
+        travelTimer: agent.travelTimer,
+        transitFrom: agent.transitFrom,
+        transitTo: agent.transitTo,
         // [REF] Pass stateContext across IPC for UI/Debug/Persistence
         stateContext: agent.stateContext
     };
@@ -66,6 +84,13 @@ async function initializeWorker(initPayload) {
         partition.workerId = workerId;
         partition.locations = new Set(initPayload.partition.locations);
 
+        // Every worker shares the master seed; streams are re-keyed per agent/location each tick
+        if (initPayload.seed !== null && initPayload.seed !== undefined) {
+            rng.setSeed(initPayload.seed);
+            rng.reseed('worker-init');
+        }
+        if (initPayload.traceAgentIds) btTracer.setTracedIds(initPayload.traceAgentIds);
+
         console.log(`[Worker ${workerId}] Loading data...`);
         await dataLoader.loadAllData();
         console.log(`[Worker ${workerId}] Data loaded, initializing worldGraph...`);
@@ -74,6 +99,7 @@ async function initializeWorker(initPayload) {
         console.log(`[Worker ${workerId}] WorldGraph initialized with ${Object.keys(worldGraph.nodes).length} nodes`);
         
         FiniteStateMachine.clearPathCache();
+        FiniteStateMachine.compileBehaviorTrees();
         
         const invalidLocs = Array.from(partition.locations).filter(loc => !worldGraph.nodes[loc]);
         if (invalidLocs.length > 0) {
@@ -107,13 +133,29 @@ async function processTick(tickPayload) {
         worldTime, 
         worldState, 
         locationAgentCount,
-        worldEvents
+        worldEvents,
+        inventory
     } = tickPayload;
 
     const parsedTime = new Date(worldTime);
     const hour = parsedTime.getHours();
 
-    worldGraph.updateDynamicState(parsedTime, worldEvents || [], new Map(Object.entries(locationAgentCount || {})));
+    worldGraph.updateDynamicState(parsedTime, worldEvents || [], new Map(Object.entries(locationAgentCount || {})), worldState?.weather);
+
+    // Business closures and openings happen on the main thread (engine/businessManager.js)
+    const businesses = worldState?.businesses;
+    if (businesses && businesses.version !== storefrontVersion) {
+        worldGraph.applyStorefronts(businesses.storefronts);
+        storefrontVersion = businesses.version;
+    }
+    // Neighborhood crime rates are kept on the main thread (engine/crimeSystem.js)
+    const crime = worldState?.crime;
+    if (crime && crime.version !== crimeVersion) {
+        worldGraph.applyCrimeRates(crime.danger);
+        crimeVersion = crime.version;
+    }
+    // Store shelves are kept on the main thread (engine/goodsMarket.js)
+    if (inventory) worldGraph.applyInventory(inventory);
     
     workerMatrixMock.tickCount = tickCount;
     workerMatrixMock.worldTime = parsedTime;
@@ -122,6 +164,7 @@ async function processTick(tickPayload) {
 
     // Hydrate Agents
     const agents = agentsData.map(data => {
+        rng.reseed('hydrate', tickCount, data.id);
         const agent = new Agent(data);
         agent.matrix = workerMatrixMock; 
         if (!agent.fsm) agent.fsm = new FiniteStateMachine(agent);
@@ -137,6 +180,10 @@ async function processTick(tickPayload) {
     
     const agentUpdatePromises = agents.map(async (agent) => {
         try {
+            // DETERMINISM: Each agent draws from its own (tick, agentId) stream, so results
+            // don't depend on which worker it landed on or who was updated before it.
+            // updateAgent never awaits, so the stream can't be interleaved with another agent.
+            rng.reseed('agent', tickCount, agent.id);
             const updateResult = await agentService.updateAgent(agent, workerMatrixMock, hour);
             if (updateResult && updateResult.walOp) {
                 walOps.push(updateResult.walOp);
@@ -176,15 +223,27 @@ async function processTick(tickPayload) {
     }
     
     if (lod1AgentsInPartition.length > 0) {
-        try {
-            socialService.processSocialInteractions(
-                lod1AgentsInPartition,
-                worldGraph.nodes, 
-                workerMatrixMock.eventBus, 
-                tickCount
-            );
-        } catch (err) {
-            console.error(`[Worker ${partition.workerId}] Social Service Error:`, err);
+        // Pairing only happens between co-located agents, so run it per location with a
+        // (tick, locationId) stream. Locations never span workers, keeping this split-independent.
+        const lod1ByLocation = new Map();
+        for (const agent of lod1AgentsInPartition) {
+            if (!lod1ByLocation.has(agent.locationId)) lod1ByLocation.set(agent.locationId, []);
+            lod1ByLocation.get(agent.locationId).push(agent);
+        }
+
+        for (const [locationId, localAgents] of lod1ByLocation) {
+            try {
+                rng.reseed('social', tickCount, locationId);
+                socialService.processSocialInteractions(
+                    localAgents,
+                    worldGraph.nodes, 
+                    workerMatrixMock.eventBus, 
+                    tickCount,
+                    workerMatrixMock.worldTime
+                );
+            } catch (err) {
+                console.error(`[Worker ${partition.workerId}] Social Service Error:`, err);
+            }
         }
     }
 
@@ -212,6 +271,9 @@ parentPort.on('message', async (msg) => {
         case 'CLEAR_PATH_CACHE':
             FiniteStateMachine.clearPathCache();
             break;
+        case 'SET_TRACE_AGENTS':
+            btTracer.setTracedIds(msg.agentIds);
+            break;
         case 'SHUTDOWN':
             process.exit(0);
             break;